@@ -65,6 +65,7 @@ export default function AddVehicle() {
     model: "",
     year: new Date().getFullYear(),
     price: "",
+    cost_price: "",
     kilometers: "",
     fuel_type: "",
     transmission: "",
@@ -73,6 +74,8 @@ export default function AddVehicle() {
     // Details
     description: "",
     vin: "",
+    engine_cc: "",
+    length_mm: "",
     
     // Media
     image_urls: [],
@@ -156,12 +159,15 @@ export default function AddVehicle() {
         model: vehicle.model || "",
         year: vehicle.year || new Date().getFullYear(),
         price: vehicle.price ? vehicle.price.toString() : "",
+        cost_price: vehicle.cost_price != null ? vehicle.cost_price.toString() : "",
         kilometers: vehicle.kilometers ? vehicle.kilometers.toString() : "",
         fuel_type: vehicle.fuel_type || "",
         transmission: vehicle.transmission || "",
         color: vehicle.color || "",
         description: vehicle.description || "",
         vin: vehicle.vin || "",
+        engine_cc: vehicle.engine_cc ? vehicle.engine_cc.toString() : "",
+        length_mm: vehicle.length_mm ? vehicle.length_mm.toString() : "",
         image_urls: vehicle.image_urls || [],
         video_url: vehicle.video_url || "",
         document_urls: vehicle.document_urls || [],
@@ -200,6 +206,7 @@ export default function AddVehicle() {
       if (!formData.transmission) newErrors.transmission = "Transmission is required";
     } else if (currentStep === 2) { // Pricing
       if (!formData.price || !SecurityValidator.validatePrice(formData.price)) newErrors.price = "A valid price is required";
+      if (formData.cost_price !== "" && !(parseFloat(formData.cost_price) >= 0)) newErrors.cost_price = "Enter the amount you paid for the vehicle";
     } else if (currentStep === 3) { // Photos & Documents
       if (formData.image_urls.length === 0) newErrors.image_urls = "At least one photo is required";
       const hasRC = formData.document_urls.some(doc => doc.type === 'rc');
@@ -208,6 +215,8 @@ export default function AddVehicle() {
       if (!hasInsurance) newErrors.insurance_doc = "Insurance Paper is required";
     } else if (currentStep === 4) { // Details & Inspection
       if (formData.vin && !SecurityValidator.validateVIN(formData.vin)) newErrors.vin = "Invalid VIN format";
+      if (formData.engine_cc && !(parseInt(formData.engine_cc) >= 50 && parseInt(formData.engine_cc) <= 10000)) newErrors.engine_cc = "Engine capacity must be between 50 and 10000 cc";
+      if (formData.length_mm && !(parseInt(formData.length_mm) >= 2000 && parseInt(formData.length_mm) <= 8000)) newErrors.length_mm = "Length must be between 2000 and 8000 mm";
     }
 
     setErrors(newErrors);
@@ -360,6 +369,9 @@ export default function AddVehicle() {
         status,
         dealer_id: currentDealer.id, 
         price: parseFloat(formData.price),
+        cost_price: formData.cost_price !== "" ? parseFloat(formData.cost_price) : null,
+        engine_cc: formData.engine_cc ? parseInt(formData.engine_cc) : null,
+        length_mm: formData.length_mm ? parseInt(formData.length_mm) : null,
         kilometers: formData.kilometers ? parseFloat(formData.kilometers) : 0,
         year: parseInt(formData.year),
         days_in_stock: formData.days_in_stock || 0, // Preserve if exists, otherwise default
@@ -571,6 +583,21 @@ export default function AddVehicle() {
                 )}
               </div>
               
+              <div>
+                <label className="block text-sm font-medium mb-2">Purchase Price (₹)</label>
+                <Input
+                  type="number"
+                  placeholder="What you paid for this vehicle"
+                  value={formData.cost_price}
+                  onChange={(e) => handleInputChange('cost_price', e.target.value)}
+                  className={errors.cost_price ? 'border-red-500' : ''}
+                />
+                {errors.cost_price && <p className="text-red-500 text-sm mt-1">{errors.cost_price}</p>}
+                <p className="text-sm text-gray-600 mt-1">
+                  Needed for the tax invoice: GST is charged on your margin. Never shown to buyers.
+                </p>
+              </div>
+
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <div className="flex items-start gap-2">
                   <Zap className="w-5 h-5 text-blue-600 mt-0.5" />
@@ -731,6 +758,34 @@ export default function AddVehicle() {
                   />
                   {errors.vin && <p className="text-red-500 text-sm mt-1">{errors.vin}</p>}
                 </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Engine Capacity (cc)</label>
+                    <Input
+                      type="number"
+                      placeholder="As on the RC, e.g. 1197"
+                      value={formData.engine_cc}
+                      onChange={(e) => handleInputChange('engine_cc', e.target.value)}
+                      className={errors.engine_cc ? 'border-red-500' : ''}
+                    />
+                    {errors.engine_cc && <p className="text-red-500 text-sm mt-1">{errors.engine_cc}</p>}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Length (mm)</label>
+                    <Input
+                      type="number"
+                      placeholder="e.g. 3995"
+                      value={formData.length_mm}
+                      onChange={(e) => handleInputChange('length_mm', e.target.value)}
+                      className={errors.length_mm ? 'border-red-500' : ''}
+                    />
+                    {errors.length_mm && <p className="text-red-500 text-sm mt-1">{errors.length_mm}</p>}
+                  </div>
+                </div>
+                <p className="text-sm text-gray-600 -mt-3">
+                  Engine capacity and length decide the GST rate on the sale; electric vehicles can skip them.
+                </p>
               </CardContent>
             </Card>
 
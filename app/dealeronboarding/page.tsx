@@ -5,6 +5,7 @@ import { createPageUrl } from '@/utils';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { User } from '@/api/entities'; // Keep User for fetching current user
+import { SecurityValidator } from '@/components/shared/SecurityValidator';
 import * as DataManager from '@/data/DataManager'; // Import DataManager for profile creation and notifications
 
 export default function DealerOnboarding() {
@@ -18,6 +19,7 @@ export default function DealerOnboarding() {
     address: '',
     city: '',
     state: '',
+    pincode: '',
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null); // State for displaying error messages
@@ -97,6 +99,9 @@ export default function DealerOnboarding() {
       if (!formData.state?.trim()) {
         throw new Error('State is required');
       }
+      if (!SecurityValidator.validatePincode(formData.pincode?.trim())) {
+        throw new Error('Pincode must be 6 digits');
+      }
 
       console.log('[DealerOnboarding] Creating dealer profile with data:', formData);
       
@@ -129,6 +134,8 @@ export default function DealerOnboarding() {
         errorMessage = 'Please enter a valid Indian phone number (10 digits).';
       } else if (error.message.includes('email')) { 
         errorMessage = 'Please enter a valid email address.';
+      } else if (error.message.includes('Pincode')) {
+        errorMessage = 'Please enter a valid 6-digit pincode.';
       } else {
         errorMessage = 'Profile creation failed. Please try again.'; // Generic fallback error
       }
@@ -227,6 +234,18 @@ export default function DealerOnboarding() {
               className="h-12 bg-white/20 text-white placeholder:text-gray-300 border-white/30"
               required
             />
+            {/* Input for Pincode */}
+            <Input
+              type="text"
+              name="pincode" // Name attribute for handleChange
+              placeholder="Pincode"
+              inputMode="numeric"
+              maxLength={6}
+              value={formData.pincode}
+              onChange={handleChange}
+              className="h-12 bg-white/20 text-white placeholder:text-gray-300 border-white/30"
+              required
+            />
 
             {error && ( // Display error message if present
               <p className="text-red-400 text-center text-sm">{error}</p>
@@ -1,7 +1,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { Transaction, Vehicle, Dealer, User, RTOApplication, Notification } from '@/api/entities';
+import { Transaction, Vehicle, Dealer, User, RTOApplication } from '@/api/entities';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
@@ -10,7 +10,6 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Separator } from '@/components/ui/separator';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Progress } from '@/components/ui/progress';
-import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import {
   MessageSquare,
   Car,
@@ -24,7 +23,6 @@ import {
   Star,
   TrendingUp,
   AlertCircle,
-  Send,
   Loader2,
   CreditCard,
   Shield,
@@ -35,24 +33,52 @@ import {
   Eye,
   Copy,
   Building,
-  ThumbsUp
+  ThumbsUp,
+  Images,
+  AlertTriangle
 } from 'lucide-react';
 import { createPageUrl } from '@/utils';
-import { SendEmail } from '@/api/integrations';
+import { recordOffer, migrateLegacyOffers } from '@/api/offers';
+import { transitionTransaction, canPerform } from '@/api/transactionWorkflow';
+import { nextOfferExpiry, expireOffer, isOfferExpired } from '@/api/offerExpiry';
+import { acceptOffer, cancelAcceptedDeal } from '@/api/offerQueue';
+import { releaseIfDue, conditionHoldsRelease } from '@/api/escrowRelease';
+import { syncTransportBooking } from '@/api/transportBookings';
+import { listEscrowEvents } from '@/api/escrowEvents';
+import { listConditionReports } from '@/api/conditionReports';
+import { ensurePaymentSchedule, remindIfDue, isPaymentScheduled, nextDueMilestone, amountPaid } from '@/api/paymentSchedule';
 
 // Import Phase 3 components
 import PaymentGatewayIntegration from '@/components/payments/PaymentGatewayIntegration';
+import EscrowLedgerCard from '@/components/payments/EscrowLedgerCard';
+import EscrowReleasePanel from '@/components/payments/EscrowReleasePanel';
+import PaymentScheduleCard from '@/components/payments/PaymentScheduleCard';
 import RealTimeLogistics from '@/components/logistics/RealTimeLogistics';
+import TransportStatusTracker from '@/components/logistics/TransportStatusTracker';
+import ConditionReportPanel from '@/components/logistics/ConditionReportPanel';
 import DigitalDocumentManager from '@/components/documents/DigitalDocumentManager';
 
 // Import existing components
 import OfferHistoryTracker from '@/components/dealroom/OfferHistoryTracker';
+import DealRoomChat from '@/components/dealroom/DealRoomChat';
+import OfferExpiryCountdown from '@/components/dealroom/OfferExpiryCountdown';
+import OfferComparison from '@/components/dealroom/OfferComparison';
+import MediaGallery from '@/components/dealroom/MediaGallery';
 import MarketInsights from '@/components/dealroom/MarketInsights';
 // RTOInitiationForm and RTOStatusTracker are no longer directly used in the tabs, but RTOApplication entity is still used for loading.
-// TransportBookingForm and TransportStatusTracker are replaced by RealTimeLogistics.
+// TransportBookingForm is replaced by RealTimeLogistics; TransportStatusTracker shows once transport is booked.
 import DealCompletionModal from '@/components/post-sale/DealCompletionModal';
 import DealArchiveManager from '@/components/post-sale/DealArchiveManager';
 
+const ESCROW_EVENT_LABELS = {
+  release_scheduled: { label: 'Release Scheduled', dot: 'bg-blue-400' },
+  released: { label: 'Escrow Released', dot: 'bg-green-600' },
+  refund_requested: { label: 'Refund Requested', dot: 'bg-amber-500' },
+  refund_agreed: { label: 'Refund Agreed', dot: 'bg-orange-500' },
+  refund_declined: { label: 'Refund Declined', dot: 'bg-gray-500' },
+  cancelled: { label: 'Cancelled After Payment', dot: 'bg-red-500', amountNote: ' cancellation fee' }
+};
+
 export default function DealRoom() {
   const location = useLocation();
   const navigate = useNavigate();
@@ -65,23 +91,24 @@ export default function DealRoom() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Chat and negotiation state
-  const [newMessage, setNewMessage] = useState('');
-  const [sendingMessage, setSendingMessage] = useState(false);
+  // Negotiation state
   const [counterOffer, setCounterOffer] = useState('');
   const [makingCounterOffer, setMakingCounterOffer] = useState(false);
   const [processingAction, setProcessingAction] = useState(false);
+  const [offers, setOffers] = useState([]);
 
   // Phase 3: Payment state
   const [showPaymentGateway, setShowPaymentGateway] = useState(false);
   // processingPayment is still useful if the actual payment API call is inside DealRoom, but here it's delegated to PaymentGatewayIntegration.
   // We can keep it if the logic comes back to DealRoom later for other reasons, but for now it's not directly used for the payment dialog itself.
   const [processingPayment, setProcessingPayment] = useState(false);
-  const [showReleaseDialog, setShowReleaseDialog] = useState(false); // This dialog is removed in the outline's JSX, but keeping state for now
-  const [releasingFunds, setReleasingFunds] = useState(false); // This dialog is removed in the outline's JSX, but keeping state for now
+  const [escrowEvents, setEscrowEvents] = useState([]);
+  // Milestone being paid when the deal has a payment schedule
+  const [paymentMilestone, setPaymentMilestone] = useState(null);
 
   // Phase 3: Logistics state
   const [selectedLogisticsQuote, setSelectedLogisticsQuote] = useState(null);
+  const [conditionReports, setConditionReports] = useState([]);
 
   // RTO state
   const [rtoApplication, setRtoApplication] = useState(null);
@@ -94,10 +121,6 @@ export default function DealRoom() {
   const [showCompletionModal, setShowCompletionModal] = useState(false);
   const [dealCompleted, setDealCompleted] = useState(false);
 
-  // User lookups
-  const [allUsers, setAllUsers] = useState([]);
-  const [allDealers, setAllDealers] = useState([]);
-
   // Get transaction ID from URL parameters
   const getTransactionId = () => {
     const urlParams = new URLSearchParams(location.search);
@@ -114,15 +137,6 @@ export default function DealRoom() {
     }
   }, [location.search]);
 
-  // Utility to find user object for a given dealer ID
-  const findUserForDealer = (dealerId) => {
-    const dealer = allDealers.find(d => d.id === dealerId);
-    if (dealer && dealer.created_by) {
-      return allUsers.find(user => user.email === dealer.created_by);
-    }
-    return null;
-  };
-
   const loadRTOApplication = async (transactionId) => {
     setLoadingRTO(true);
     try {
@@ -144,17 +158,38 @@ export default function DealRoom() {
     setLoading(true);
     setError(null);
     try {
-      const [user, currentTransaction, allUsersData, allDealersData] = await Promise.all([
+      const [user, loadedTransaction, allDealersData] = await Promise.all([
         User.me(),
         Transaction.get(transactionId),
-        User.list(),
         Dealer.list()
       ]);
 
+      // A negotiation past its deadline lapses as soon as anyone opens it,
+      // and escrow past its cooling-off window is released the same way
+      let currentTransaction = isOfferExpired(loadedTransaction)
+        ? (await expireOffer(transactionId)) || await Transaction.get(transactionId)
+        : loadedTransaction;
+      try {
+        currentTransaction = (await releaseIfDue(currentTransaction)) || currentTransaction;
+      } catch (releaseError) {
+        console.error('Error releasing escrow:', releaseError);
+      }
+      // Picks up tracking events any missed partner webhooks would have brought
+      try {
+        currentTransaction = (await syncTransportBooking(currentTransaction)) || currentTransaction;
+      } catch (syncError) {
+        console.error('Error syncing transport tracking:', syncError);
+      }
+      // High-value deals are paid in stages once accepted
+      try {
+        currentTransaction = await ensurePaymentSchedule(currentTransaction);
+        await remindIfDue(currentTransaction);
+      } catch (scheduleError) {
+        console.error('Error preparing payment schedule:', scheduleError);
+      }
+
       setCurrentUser(user);
       setTransaction(currentTransaction);
-      setAllUsers(allUsersData);
-      setAllDealers(allDealersData);
 
       const userDealerData = allDealersData.find(dealer => dealer.created_by === user.email);
       if (userDealerData) {
@@ -192,6 +227,12 @@ export default function DealRoom() {
         setBuyer(null);
       }
 
+      // Older transactions only have offers embedded in chat; migrate them on first load
+      setOffers(await migrateLegacyOffers(transactionId));
+
+      setEscrowEvents(await listEscrowEvents(transactionId));
+      setConditionReports(await listConditionReports(transactionId));
+
       // RTO application is loaded even if the RTO tab is integrated into Documents
       await loadRTOApplication(transactionId);
 
@@ -207,6 +248,9 @@ export default function DealRoom() {
   const isSellerView = currentDealer && transaction && currentDealer.id === transaction.seller_id;
   const isBuyerView = currentDealer && transaction && currentDealer.id === transaction.buyer_id;
   const otherParty = isSellerView ? buyer : seller;
+  // Platform admins can open any deal room to settle escrow disputes
+  const isPlatformAdmin = !!currentUser?.platform_admin && !isSellerView && !isBuyerView;
+  const deliveryReport = conditionReports.find(report => report.stage === 'delivery');
 
   // Check if deal completion modal should be shown
   useEffect(() => {
@@ -221,176 +265,118 @@ export default function DealRoom() {
   }, [transaction, vehicle, currentDealer, otherParty, isSellerView, dealCompleted]);
 
   // Phase 3: Payment Success Handler
-  const handlePaymentSuccess = async (paymentData) => {
-    try {
-      const updatedTransaction = {
-        ...transaction,
-        status: 'in_escrow',
-        escrow_status: 'paid',
-        payment_method: paymentData.method,
-        payment_confirmed_at: new Date().toISOString(),
-        messages: [
-          ...(transaction.messages || []),
-          {
-            sender_id: currentDealer?.id,
-            message: `Payment of ₹${(paymentData.amount / 100000).toFixed(2)}L completed successfully. Funds secured in escrow.`,
-            timestamp: new Date().toISOString(),
-            type: 'system'
-          }
-        ]
-      };
-
-      await Transaction.update(transaction.id, updatedTransaction);
-      setTransaction(updatedTransaction);
-      setShowPaymentGateway(false);
-
-      // Create notification for seller
-      const sellerUser = findUserForDealer(transaction.seller_id);
-      if (sellerUser) {
-        await Notification.create({
-          user_email: sellerUser.email,
-          type: 'payment',
-          title: 'Payment Received!',
-          message: `Buyer has completed payment of ₹${(paymentData.amount / 100000).toFixed(2)}L. Funds are now in secure escrow.`,
-          link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
-          icon: 'CreditCard'
-        });
-        await SendEmail({
-          to: sellerUser.email,
-          subject: `Payment Received in Escrow for ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
-          body: `<p>The buyer has paid the amount into escrow for your ${vehicle.year} ${vehicle.make} ${vehicle.model}. The funds are now secure. Please proceed with logistics arrangements.</p>`
-        });
-      }
+  // Funding the escrow and confirming the deal happen when the gateway
+  // reports the capture, so there is only fresh state to load here
+  const handlePaymentSuccess = async () => {
+    setShowPaymentGateway(false);
+    await loadDealRoomData(transaction.id);
+  };
 
-      await loadDealRoomData(transaction.id);
-    } catch (error) {
-      console.error('Payment success handling failed:', error);
-      alert('Failed to process payment success. Please check transaction status.');
-    }
+  const openPayment = (milestone = null) => {
+    setPaymentMilestone(milestone);
+    setShowPaymentGateway(true);
   };
 
   const handlePaymentFailure = (errorMessage) => {
     setShowPaymentGateway(false);
     alert(`Payment failed: ${errorMessage}`);
+    // A failed payment may have handed the vehicle to a backup offer
+    loadDealRoomData(transaction.id);
   };
 
   // Phase 3: Logistics Quote Handler
+  // Booking goes through RealTimeLogistics, which reloads the deal once the
+  // partner confirms; until then only the chosen quote is kept here.
   const handleLogisticsQuoteUpdate = (quote) => {
     setSelectedLogisticsQuote(quote);
-    // You might want to update transaction with the selected quote
-    // e.g., if a quote is accepted and booked, update transaction.transport_status
-    // This depends on how RealTimeLogistics communicates booking status.
   };
 
-  const sendMessage = async () => {
-    if (!newMessage.trim() || !currentDealer || sendingMessage) return;
+  // Realtime updates pushed from the deal room channel
+  const handleRealtimeTransaction = (updated) => {
+    setTransaction(prev => ({ ...prev, ...updated }));
+  };
+
+  const handleRealtimeOffer = (offer) => {
+    setOffers(prev => prev.some(existing => existing.id === offer.id) ? prev : [...prev, offer]);
+  };
 
-    setSendingMessage(true);
-    try {
-      const updatedMessages = [
-        ...(transaction.messages || []),
-        {
-          sender_id: currentDealer.id,
-          message: newMessage,
-          timestamp: new Date().toISOString()
-        }
-      ];
+  const handleAcceptOffer = async () => {
+    if (!transaction || processingAction) return;
 
-      await Transaction.update(transaction.id, { messages: updatedMessages });
+    setProcessingAction(true);
+    try {
+      await acceptOffer(transaction.id, {
+        actorDealerId: currentDealer.id,
+        patch: { final_amount: transaction.offer_amount },
+        expect: { offer_amount: transaction.offer_amount }
+      });
+      await recordOffer({
+        transactionId: transaction.id,
+        proposerId: currentDealer.id,
+        type: 'accept',
+        amount: transaction.offer_amount
+      });
 
-      setTransaction(prev => ({ ...prev, messages: updatedMessages }));
-      setNewMessage('');
+      await loadDealRoomData(transaction.id);
     } catch (error) {
-      console.error('Error sending message:', error);
-      alert('Failed to send message. Please try again.');
+      console.error('Error accepting offer:', error);
+      alert(`Failed to accept offer. ${error.message}`);
     } finally {
-      setSendingMessage(false);
+      setProcessingAction(false);
     }
   };
 
-  const handleAcceptOffer = async () => {
+  const handleRejectOffer = async () => {
     if (!transaction || processingAction) return;
 
     setProcessingAction(true);
     try {
-      const updatedMessages = [
-        ...(transaction.messages || []),
-        {
-          sender_id: currentDealer.id,
-          message: `Offer of ₹${((transaction.offer_amount || 0) / 100000).toFixed(1)}L has been accepted!`,
-          timestamp: new Date().toISOString()
+      if (['accepted', 'payment_pending'].includes(transaction.status)) {
+        // Backing out of an accepted deal hands the vehicle to the next backup offer
+        const { promoted } = await cancelAcceptedDeal(transaction.id, { actorDealerId: currentDealer.id });
+        if (promoted && isSellerView) {
+          alert(`The next backup offer of ₹${(promoted.final_amount / 100000).toFixed(1)}L has been accepted automatically.`);
         }
-      ];
-
-      const updatedTransaction = {
-        ...transaction,
-        status: 'accepted',
-        final_amount: transaction.offer_amount,
-        messages: updatedMessages
-      };
-
-      await Transaction.update(transaction.id, updatedTransaction);
-      setTransaction(updatedTransaction);
-
-      const buyerUser = findUserForDealer(transaction.buyer_id);
-      if (buyerUser) {
-        const message = `Your offer for the ${vehicle.year} ${vehicle.make} ${vehicle.model} has been accepted!`;
-        await Notification.create({
-          user_email: buyerUser.email,
-          message: message,
-          link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
-          type: 'deal_update',
-          icon: 'ThumbsUp'
+      } else {
+        await transitionTransaction(transaction.id, 'reject_offer', {
+          actorDealerId: currentDealer.id,
+          expect: { offer_amount: transaction.offer_amount }
         });
-        await SendEmail({
-          to: buyerUser.email,
-          subject: "Offer Accepted!",
-          body: `<p>${message} Please proceed to payment to secure the deal.</p>`
+        await recordOffer({
+          transactionId: transaction.id,
+          proposerId: currentDealer.id,
+          type: 'reject',
+          amount: transaction.offer_amount
         });
       }
 
+      // Reload the transaction to get updated data
       await loadDealRoomData(transaction.id);
     } catch (error) {
-      console.error('Error accepting offer:', error);
-      alert('Failed to accept offer. Please try again.');
+      console.error('Error rejecting offer:', error);
+      alert(`Failed to reject offer. ${error.message}`);
     } finally {
       setProcessingAction(false);
     }
   };
 
-  const handleRejectOffer = async () => {
+  const handleWithdrawOffer = async () => {
     if (!transaction || processingAction) return;
+    if (!window.confirm('Withdraw your offer? The seller will be notified.')) return;
 
     setProcessingAction(true);
     try {
-      const updatedMessages = [
-        ...(transaction.messages || []),
-        {
-          sender_id: currentDealer.id,
-          message: `Offer of ₹${((transaction.offer_amount || 0) / 100000).toFixed(1)}L has been rejected.`,
-          timestamp: new Date().toISOString()
-        }
-      ];
-
-      const updatedTransaction = {
-        ...transaction,
-        status: 'cancelled',
-        messages: updatedMessages
-      };
-
-      await Transaction.update(transaction.id, updatedTransaction);
-      setTransaction(updatedTransaction); // Update local state immediately
-
-      // Update vehicle status back to live
-      if (vehicle) {
-        await Vehicle.update(vehicle.id, { status: 'live' });
-      }
-
-      // Reload the transaction to get updated data
+      await transitionTransaction(transaction.id, 'withdraw_offer', { actorDealerId: currentDealer.id });
+      await recordOffer({
+        transactionId: transaction.id,
+        proposerId: currentDealer.id,
+        type: 'withdraw',
+        amount: transaction.offer_amount
+      });
       await loadDealRoomData(transaction.id);
     } catch (error) {
-      console.error('Error rejecting offer:', error);
-      alert('Failed to reject offer. Please try again.');
+      console.error('Error withdrawing offer:', error);
+      alert(`Failed to withdraw offer. ${error.message}`);
     } finally {
       setProcessingAction(false);
     }
@@ -399,7 +385,7 @@ export default function DealRoom() {
   const handleCounterOffer = async () => {
     if (!counterOffer || !transaction || makingCounterOffer) return;
 
-    const counterAmount = parseFloat(counterOffer) * 100000;
+    const counterAmount = Math.round(parseFloat(counterOffer) * 100000);
     if (isNaN(counterAmount) || counterAmount <= 0) {
       alert('Please enter a valid counter offer amount');
       return;
@@ -407,50 +393,25 @@ export default function DealRoom() {
 
     setMakingCounterOffer(true);
     try {
-      const updatedMessages = [
-        ...(transaction.messages || []),
-        {
-          sender_id: currentDealer.id,
-          message: `Counter-offer: ₹${counterOffer}L`,
-          timestamp: new Date().toISOString()
-        }
-      ];
-
-      const updatedTransaction = {
-        ...transaction,
-        status: 'negotiating',
-        offer_amount: counterAmount,
-        messages: updatedMessages
-      };
-
-      await Transaction.update(transaction.id, updatedTransaction);
-      setTransaction(updatedTransaction); // Update local state immediately
+      const expiresAt = await nextOfferExpiry();
+      await transitionTransaction(transaction.id, 'counter_offer', {
+        actorDealerId: currentDealer.id,
+        patch: { offer_amount: counterAmount, last_offer_by: currentDealer.id, offer_expires_at: expiresAt }
+      });
+      await recordOffer({
+        transactionId: transaction.id,
+        proposerId: currentDealer.id,
+        type: 'counter',
+        amount: counterAmount,
+        expiresAt
+      });
       setCounterOffer('');
 
-      // --- NOTIFICATION TRIGGER ---
-      const otherPartyUser = findUserForDealer(isSellerView ? transaction.buyer_id : transaction.seller_id);
-      if (otherPartyUser) {
-        const message = `${currentDealer.business_name} sent a counter-offer of ₹${(counterAmount / 100000).toFixed(1)}L for ${vehicle.year} ${vehicle.make} ${vehicle.model}.`;
-        await Notification.create({
-          user_email: otherPartyUser.email,
-          message: message,
-          link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
-          type: 'deal_update',
-          icon: 'ArrowLeftRight'
-        });
-        await SendEmail({
-          to: otherPartyUser.email,
-          subject: `Counter-offer received for ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
-          body: `<p>${message} You can review and respond in the Deal Room.</p>`
-        });
-      }
-      // --- END NOTIFICATION TRIGGER ---
-
       // Reload the transaction to get updated data
       await loadDealRoomData(transaction.id);
     } catch (error) {
       console.error('Error making counter offer:', error);
-      alert('Failed to make counter offer. Please try again.');
+      alert(`Failed to make counter offer. ${error.message}`);
     } finally {
       setMakingCounterOffer(false);
     }
@@ -476,6 +437,24 @@ export default function DealRoom() {
     loadDealRoomData(transaction.id);
   };
 
+  const handleOfferExpired = async () => {
+    try {
+      await expireOffer(transaction.id);
+    } catch (error) {
+      console.error('Error expiring offer:', error);
+    }
+    await loadDealRoomData(transaction.id);
+  };
+
+  // Files promoted from the media gallery change the vehicle listing only
+  const refreshVehicle = async () => {
+    try {
+      setVehicle(await Vehicle.get(vehicle.id));
+    } catch (error) {
+      console.error('Error reloading vehicle:', error);
+    }
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     // You could add a toast notification here
@@ -528,6 +507,7 @@ export default function DealRoom() {
     const statusConfig = {
       offer_made: { color: 'bg-blue-100 text-blue-800', text: 'Offer Made' },
       negotiating: { color: 'bg-yellow-100 text-yellow-800', text: 'Negotiating' },
+      backup: { color: 'bg-slate-100 text-slate-800', text: 'Backup Offer' },
       accepted: { color: 'bg-green-100 text-green-800', text: 'Accepted' },
       payment_pending: { color: 'bg-orange-100 text-orange-800', text: 'Payment Pending' },
       in_escrow: { color: 'bg-purple-100 text-purple-800', text: 'In Escrow' },
@@ -553,6 +533,15 @@ export default function DealRoom() {
               </AlertDescription>
             </Alert>
           )}
+          {deliveryReport?.flagged && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>
+                The vehicle&apos;s condition at delivery differs from pickup: {deliveryReport.comparison.flags.join('; ')}.
+                {!deliveryReport.dispute_opened_at && !deliveryReport.dispute_waived_at && isBuyerView && ' Open a dispute or accept the vehicle as it arrived from the Logistics tab.'}
+              </AlertDescription>
+            </Alert>
+          )}
           <div className="flex items-center justify-between mb-4">
             <div>
               <h1 className="momentum-h1">Deal Room</h1>
@@ -625,11 +614,15 @@ export default function DealRoom() {
         {/* Tabs Content */}
         <div className="flex-1 overflow-hidden">
           <Tabs value={activeTab} onValueChange={setActiveTab} className="h-full flex flex-col">
-            <TabsList className="grid w-full grid-cols-5 mx-6 mt-6">
+            <TabsList className="grid w-full grid-cols-6 mx-6 mt-6">
               <TabsTrigger value="negotiation">
                 <MessageSquare className="w-4 h-4 mr-2" />
                 Chat & Negotiation
               </TabsTrigger>
+              <TabsTrigger value="media">
+                <Images className="w-4 h-4 mr-2" />
+                Media
+              </TabsTrigger>
               <TabsTrigger value="payments">
                 <CreditCard className="w-4 h-4 mr-2" />
                 Payments & Escrow
@@ -650,64 +643,28 @@ export default function DealRoom() {
 
             {/* Negotiation Tab */}
             <TabsContent value="negotiation" className="flex-1 overflow-scroll p-6 pt-4">
+              {isSellerView && vehicle && (
+                <OfferComparison
+                  key={`${transaction.id}-${transaction.status}`}
+                  vehicle={vehicle}
+                  currentDealer={currentDealer}
+                  currentTransactionId={transaction.id}
+                  onAccepted={(acceptedId) => acceptedId === transaction.id
+                    ? loadDealRoomData(transaction.id)
+                    : navigate(createPageUrl(`DealRoom?transactionId=${acceptedId}`))}
+                />
+              )}
+
               <div className="flex gap-6">
                 {/* Chat Messages */}
                 <div className="flex-1 flex flex-col">
-                  <Card className="flex-1 flex flex-col"> {/* Added flex-1 and flex flex-col for proper height */}
-                    <CardHeader>
-                      <CardTitle className="text-lg">Messages</CardTitle>
-                    </CardHeader>
-                    <CardContent className="flex-1 flex flex-col">
-                      <div className="flex-1 overflow-y-auto mb-4 space-y-3 max-h-96"> {/* Added max-h-96 for scrollable area */}
-                        {transaction.messages && transaction.messages.length > 0 ? (
-                          transaction.messages.map((message, index) => {
-                            const isCurrentUser = message.sender_id === currentDealer?.id;
-                            const senderName = isCurrentUser ? 'You' : (otherParty?.business_name) || 'Other Party';
-
-                            return (
-                              <div key={index} className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
-                                <div className={`max-w-[70%] rounded-lg p-3 ${
-                                  isCurrentUser
-                                    ? 'bg-blue-600 text-white'
-                                    : 'bg-gray-100 text-gray-900'
-                                }`}>
-                                  <div className="font-medium text-sm mb-1">{senderName}</div>
-                                  <div>{message.message}</div>
-                                  <div className={`text-xs mt-1 ${isCurrentUser ? 'text-blue-100' : 'text-gray-500'}`}>
-                                    {new Date(message.timestamp).toLocaleString()}
-                                  </div>
-                                </div>
-                              </div>
-                            );
-                          })
-                        ) : (
-                          <div className="flex-1 flex items-center justify-center text-gray-500">
-                            <div className="text-center">
-                              <MessageSquare className="w-8 h-8 text-gray-300 mx-auto mb-2" />
-                              <p>No messages yet. Start the conversation!</p>
-                            </div>
-                          </div>
-                        )}
-                      </div>
-
-                      <div className="flex gap-2">
-                        <Input
-                          placeholder="Type your message..."
-                          value={newMessage}
-                          onChange={(e) => setNewMessage(e.target.value)}
-                          onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-                          disabled={sendingMessage}
-                        />
-                        <Button
-                          onClick={sendMessage}
-                          disabled={!newMessage.trim() || sendingMessage}
-                          className="momentum-btn-primary"
-                        >
-                          <Send className="w-4 h-4" />
-                        </Button>
-                      </div>
-                    </CardContent>
-                  </Card>
+                  <DealRoomChat
+                    transaction={transaction}
+                    currentDealer={currentDealer}
+                    otherParty={otherParty}
+                    onTransactionChange={handleRealtimeTransaction}
+                    onOfferReceived={handleRealtimeOffer}
+                  />
                 </div>
 
                 {/* Simplified Negotiation Panel */}
@@ -720,6 +677,16 @@ export default function DealRoom() {
                       </CardTitle>
                     </CardHeader>
                     <CardContent className="space-y-4">
+                      {['offer_made', 'negotiating'].includes(transaction.status) && (
+                        <OfferExpiryCountdown
+                          transaction={transaction}
+                          currentDealer={currentDealer}
+                          isSellerView={isSellerView}
+                          onExpired={handleOfferExpired}
+                          onExtended={() => loadDealRoomData(transaction.id)}
+                        />
+                      )}
+
                       <div className="bg-gray-50 rounded-lg p-4">
                         <div className="text-sm font-medium text-gray-700 mb-2">
                           {transaction.final_amount ? 'Agreed Amount' : 'Current Offer'}
@@ -828,7 +795,7 @@ export default function DealRoom() {
                             </div>
                           </div>
 
-                          {isSellerView && (
+                          {canPerform(transaction, 'accept_offer', currentDealer?.id) && (
                             <div className="flex gap-2">
                               <Button
                                 onClick={handleAcceptOffer}
@@ -843,17 +810,54 @@ export default function DealRoom() {
                         </div>
                       )}
 
+                      {transaction.status === 'backup' && (
+                        <div className="space-y-3">
+                          <Alert>
+                            <Clock className="h-4 w-4" />
+                            <AlertDescription>
+                              {isBuyerView
+                                ? `The seller accepted another offer. Yours is backup #${transaction.backup_rank} and will be accepted automatically if that deal falls through.`
+                                : `Held as backup #${transaction.backup_rank} behind the accepted offer.`}
+                            </AlertDescription>
+                          </Alert>
+                          {canPerform(transaction, 'withdraw_offer', currentDealer?.id) && (
+                            <Button
+                              onClick={handleWithdrawOffer}
+                              disabled={processingAction}
+                              variant="outline"
+                              className="w-full"
+                            >
+                              <XCircle className="w-4 h-4 mr-2" />
+                              Withdraw Offer
+                            </Button>
+                          )}
+                        </div>
+                      )}
+
                       {transaction.status === 'accepted' && (
-                        <Alert>
-                          <CheckCircle className="h-4 w-4" />
-                          <AlertDescription>
-                            Offer accepted! Final amount: ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L
-                            <br />
-                            <span className="text-sm text-gray-600 mt-1 block">
-                              Next step: {isBuyerView ? 'Process payment' : 'Wait for payment'}
-                            </span>
-                          </AlertDescription>
-                        </Alert>
+                        <div className="space-y-3">
+                          <Alert>
+                            <CheckCircle className="h-4 w-4" />
+                            <AlertDescription>
+                              Offer accepted! Final amount: ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L
+                              <br />
+                              <span className="text-sm text-gray-600 mt-1 block">
+                                Next step: {isBuyerView ? 'Process payment' : 'Wait for payment'}
+                              </span>
+                            </AlertDescription>
+                          </Alert>
+                          {canPerform(transaction, 'cancel_deal', currentDealer?.id) && (
+                            <Button
+                              onClick={handleRejectOffer}
+                              disabled={processingAction}
+                              variant="outline"
+                              className="w-full text-red-600 hover:text-red-700"
+                            >
+                              <XCircle className="w-4 h-4 mr-2" />
+                              Cancel Deal
+                            </Button>
+                          )}
+                        </div>
                       )}
 
                       {['payment_pending', 'in_escrow'].includes(transaction.status) && (
@@ -898,14 +902,25 @@ export default function DealRoom() {
                       )}
 
                       {transaction.status === 'accepted' && isBuyerView && (
-                        <Button
-                          onClick={() => setShowPaymentGateway(true)}
-                          className="w-full momentum-btn-accent"
-                          size="lg"
-                        >
-                          <CreditCard className="w-5 h-5 mr-2" />
-                          Process Payment - ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L
-                        </Button>
+                        isPaymentScheduled(transaction) ? (
+                          <Button
+                            onClick={() => openPayment(nextDueMilestone(transaction))}
+                            className="w-full momentum-btn-accent"
+                            size="lg"
+                          >
+                            <CreditCard className="w-5 h-5 mr-2" />
+                            Pay {nextDueMilestone(transaction)?.label} - ₹{(nextDueMilestone(transaction)?.amount / 100000).toFixed(1)}L
+                          </Button>
+                        ) : (
+                          <Button
+                            onClick={() => openPayment()}
+                            className="w-full momentum-btn-accent"
+                            size="lg"
+                          >
+                            <CreditCard className="w-5 h-5 mr-2" />
+                            Process Payment - ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L
+                          </Button>
+                        )
                       )}
                     </CardContent>
                   </Card>
@@ -919,7 +934,7 @@ export default function DealRoom() {
 
                   {/* NEW: Offer History Tracker */}
                   <OfferHistoryTracker
-                    messages={transaction.messages || []}
+                    offers={offers}
                     currentUser={currentDealer}
                     seller={seller}
                     buyer={buyer}
@@ -928,6 +943,17 @@ export default function DealRoom() {
               </div>
             </TabsContent>
 
+            {/* Shared Media Tab */}
+            <TabsContent value="media" className="flex-1 overflow-scroll p-6 pt-4">
+              <MediaGallery
+                transaction={transaction}
+                currentDealer={currentDealer}
+                otherParty={otherParty}
+                isSellerView={isSellerView}
+                onVehicleUpdated={refreshVehicle}
+              />
+            </TabsContent>
+
             {/* Phase 3: Enhanced Payments Tab */}
             <TabsContent value="payments" className="flex-1 overflow-scroll p-6 pt-4">
               <div className="space-y-6">
@@ -936,7 +962,14 @@ export default function DealRoom() {
                   <p className="text-gray-600">All payments are protected by our secure escrow system</p>
                 </div>
 
-                {transaction.status === 'accepted' && isBuyerView && (
+                <PaymentScheduleCard
+                  transaction={transaction}
+                  currentDealer={currentDealer}
+                  onPay={openPayment}
+                  onUpdated={() => loadDealRoomData(transaction.id)}
+                />
+
+                {transaction.status === 'accepted' && isBuyerView && !isPaymentScheduled(transaction) && (
                   <Card>
                     <CardContent className="p-6">
                       <div className="text-center">
@@ -946,7 +979,7 @@ export default function DealRoom() {
                           Your payment will be held securely in escrow until delivery confirmation
                         </p>
                         <Button
-                          onClick={() => setShowPaymentGateway(true)}
+                          onClick={() => openPayment()}
                           className="momentum-btn-accent"
                           size="lg"
                         >
@@ -965,26 +998,10 @@ export default function DealRoom() {
                         <CheckCircle2 className="w-16 h-16 text-green-500 mx-auto mb-4" />
                         <h4 className="font-semibold text-lg mb-2">Payment Secured</h4>
                         <p className="text-gray-600">
-                          ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L is held securely in escrow
+                          {transaction.escrow_status === 'partially_paid'
+                            ? `₹${(amountPaid(transaction) / 100000).toFixed(1)}L of ₹${((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L is held securely in escrow`
+                            : `₹${((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L is held securely in escrow`}
                         </p>
-                        {transaction.escrow_status === 'paid' && isSellerView && (
-                          <div className="mt-4">
-                            <Alert>
-                              <AlertCircle className="h-4 w-4" />
-                              <AlertDescription>
-                                Funds are in escrow. Once vehicle delivery is confirmed, you can initiate fund release.
-                              </AlertDescription>
-                            </Alert>
-                            <Button
-                              onClick={() => setShowReleaseDialog(true)} // Retaining the state/dialog for fund release if needed
-                              className="mt-4 w-full bg-green-600 hover:bg-green-700 text-white"
-                              size="lg"
-                            >
-                              <CheckCircle2 className="w-5 h-5 mr-2" />
-                              Release Funds
-                            </Button>
-                          </div>
-                        )}
                         {transaction.escrow_status === 'released' && (
                           <div className="mt-4 text-green-600 font-medium">Funds Released to Seller.</div>
                         )}
@@ -992,6 +1009,14 @@ export default function DealRoom() {
                     </CardContent>
                   </Card>
                 )}
+                <EscrowReleasePanel
+                  transaction={transaction}
+                  currentDealer={currentDealer}
+                  isPlatformAdmin={isPlatformAdmin}
+                  onUpdated={() => loadDealRoomData(transaction.id)}
+                />
+                <EscrowLedgerCard transaction={transaction} />
+
                 {/* Bank Details (for seller when payment is made) - Re-added as this is important functionality*/}
                 {isSellerView && ['payment_pending', 'in_escrow', 'completed'].includes(transaction.status) && seller && (
                     <Card>
@@ -1054,15 +1079,40 @@ export default function DealRoom() {
                   <p className="text-gray-600">Get live quotes from verified transport partners and track vehicle movement.</p>
                 </div>
 
-                {seller && buyer && (
+                {transaction.transport_status && (
+                  <TransportStatusTracker
+                    transaction={transaction}
+                    vehicle={vehicle}
+                    seller={seller}
+                    buyer={buyer}
+                    currentUser={currentDealer}
+                    hasDeliveryReport={!!deliveryReport}
+                    conditionHold={conditionHoldsRelease(deliveryReport)}
+                    onStatusUpdate={() => loadDealRoomData(transaction.id)}
+                  />
+                )}
+
+                {transaction.transport_status && (
+                  <ConditionReportPanel
+                    transaction={transaction}
+                    reports={conditionReports}
+                    isBuyer={isBuyerView}
+                    isSeller={isSellerView}
+                    currentDealerId={currentDealer?.id}
+                    onUpdated={() => loadDealRoomData(transaction.id)}
+                  />
+                )}
+
+                {seller && buyer && !transaction.transport_status && (
                   <RealTimeLogistics
                     transaction={transaction}
                     vehicle={vehicle}
                     seller={seller}
                     buyer={buyer}
                     currentUser={currentUser}
+                    currentDealer={currentDealer}
                     onQuoteUpdate={handleLogisticsQuoteUpdate}
-                    onStatusUpdate={loadDealRoomData} // Trigger reload of main transaction data on status change
+                    onStatusUpdate={() => loadDealRoomData(transaction.id)} // Trigger reload of main transaction data on status change
                   />
                 )}
               </div>
@@ -1130,6 +1180,19 @@ export default function DealRoom() {
                               </span>
                             </div>
                           )}
+                          {escrowEvents.filter(event => event.event_type !== 'delivery_confirmed').map(event => (
+                            <div key={event.id} className="flex items-start gap-3 text-sm">
+                              <div className={`w-2 h-2 mt-1.5 rounded-full ${ESCROW_EVENT_LABELS[event.event_type]?.dot || 'bg-gray-400'}`}></div>
+                              <div>
+                                <span className="text-gray-600">{ESCROW_EVENT_LABELS[event.event_type]?.label || event.event_type}:</span>{' '}
+                                <span className="font-medium">{new Date(event.created_date).toLocaleDateString()}</span>
+                                {event.amount > 0 && (
+                                  <span className="font-medium"> · ₹{event.amount.toLocaleString('en-IN')}{ESCROW_EVENT_LABELS[event.event_type]?.amountNote}</span>
+                                )}
+                                <div className="text-gray-500">{event.reason} ({event.actor})</div>
+                              </div>
+                            </div>
+                          ))}
                         </div>
                       </div>
 
@@ -1252,129 +1315,13 @@ export default function DealRoom() {
       {showPaymentGateway && (
         <PaymentGatewayIntegration
           transaction={transaction}
+          milestone={paymentMilestone}
           onPaymentSuccess={handlePaymentSuccess}
           onPaymentFailure={handlePaymentFailure}
           isOpen={showPaymentGateway}
           onClose={() => setShowPaymentGateway(false)}
         />
       )}
-
-      {/* Release Funds Dialog - Retained as it's critical for seller and not replaced by PaymentGatewayIntegration */}
-      <Dialog open={showReleaseDialog} onOpenChange={setShowReleaseDialog}>
-        <DialogContent className="max-w-md">
-          <DialogHeader>
-            <DialogTitle className="flex items-center gap-2">
-              <CheckCircle2 className="w-5 h-5" />
-              Release Escrow Funds
-            </DialogTitle>
-            <DialogDescription>
-              Confirm that you have delivered the vehicle and are ready to complete this transaction.
-            </DialogDescription>
-          </DialogHeader>
-
-          <div className="space-y-4 py-4">
-            <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-              <div className="font-medium text-green-900 mb-2">Amount to Release</div>
-              <div className="text-2xl font-bold text-green-600">
-                ₹{((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)} Lakhs
-              </div>
-              <div className="text-sm text-green-700 mt-1">
-                Will be transferred to your registered bank account
-              </div>
-            </div>
-
-            <Alert>
-              <AlertCircle className="h-4 w-4" />
-              <AlertDescription>
-                <strong>Important:</strong> Only release funds after confirming:
-                <ul className="list-disc list-inside mt-2 space-y-1 text-sm">
-                  <li>Vehicle has been delivered to buyer</li>
-                  <li>All paperwork is complete</li>
-                  <li>Buyer has taken possession</li>
-                </ul>
-              </AlertDescription>
-            </Alert>
-          </div>
-
-          <DialogFooter>
-            <Button variant="outline" onClick={() => setShowReleaseDialog(false)}>
-              Cancel
-            </Button>
-            <Button
-              onClick={async () => { // Direct implementation of release funds here
-                setReleasingFunds(true);
-                try {
-                  const updatedMessages = [
-                    ...(transaction.messages || []),
-                    {
-                      sender_id: currentDealer.id,
-                      message: `Funds have been released. Deal completed successfully! ₹${((transaction.final_amount || transaction.offer_amount) / 100000).toFixed(1)}L transferred to seller.`,
-                      timestamp: new Date().toISOString()
-                    }
-                  ];
-
-                  const updatedTransaction = {
-                    ...transaction,
-                    status: 'completed',
-                    escrow_status: 'released',
-                    messages: updatedMessages
-                  };
-
-                  await Transaction.update(transaction.id, updatedTransaction);
-                  setTransaction(updatedTransaction); // Update local state immediately
-
-                  // Update vehicle status to sold
-                  if (vehicle) {
-                    await Vehicle.update(vehicle.id, { status: 'sold' });
-                  }
-
-                  setShowReleaseDialog(false);
-
-                  // --- NOTIFICATION TRIGGER ---
-                  const buyerUser = findUserForDealer(transaction.buyer_id);
-                  if (buyerUser) {
-                    const message = `Funds for the ${vehicle.year} ${vehicle.make} ${vehicle.model} have been released to the seller.`;
-                    await Notification.create({
-                      user_email: buyerUser.email,
-                      message: message,
-                      link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
-                      type: 'payment',
-                      icon: 'CheckCircle2'
-                    });
-                     await SendEmail({
-                      to: buyerUser.email,
-                      subject: `Funds Released for ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
-                      body: `<p>${message} This deal is now nearing completion.</p>`
-                    });
-                  }
-                  // --- END NOTIFICATION TRIGGER ---
-
-                  await loadDealRoomData(transaction.id);
-                } catch (error) {
-                  console.error('Error releasing funds:', error);
-                  alert('Failed to release funds. Please try again.');
-                } finally {
-                  setReleasingFunds(false);
-                }
-              }}
-              disabled={releasingFunds}
-              className="bg-green-600 hover:bg-green-700 text-white"
-            >
-              {releasingFunds ? (
-                <>
-                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                  Releasing...
-                </>
-              ) : (
-                <>
-                  <CheckCircle2 className="w-4 h-4 mr-2" />
-                  Release Funds
-                </>
-              )}
-            </Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
     </div>
   );
 }
@@ -8,7 +8,7 @@ import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Checkbox } from "@/components/ui/checkbox";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle, AlertDialogTrigger } from "@/components/ui/alert-dialog";
-import { Search, Plus, Edit, Trash2, Copy, Upload, Download, Car } from "lucide-react";
+import { Search, Plus, Edit, Trash2, Copy, Upload, Download, Car, Gavel } from "lucide-react";
 import Link from "next/link";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
@@ -18,6 +18,7 @@ import { DataManager } from "../components/shared/DataManager";
 import ErrorBoundary from "../components/shared/ErrorBoundary";
 import PermissionGuard from "../components/shared/PermissionGuard";
 import LoadingSpinner from "../components/shared/LoadingSpinner";
+import AuctionSetupDialog from "../components/auctions/AuctionSetupDialog";
 
 export default function Inventory() {
   const navigate = useNavigate();
@@ -32,6 +33,7 @@ export default function Inventory() {
   const [currentUser, setCurrentUser] = useState(null);
   const [currentDealer, setCurrentDealer] = useState(null);
   const [initializationError, setInitializationError] = useState(null);
+  const [auctionVehicle, setAuctionVehicle] = useState(null);
 
   useEffect(() => {
     loadInventoryData();
@@ -185,6 +187,13 @@ export default function Inventory() {
       delete duplicateData.created_date;
       delete duplicateData.updated_date;
       delete duplicateData.created_by;
+      delete duplicateData.version;
+
+      // A copy starts life as a fixed-price draft, never mid-auction
+      duplicateData.listing_mode = 'fixed';
+      Object.keys(duplicateData)
+        .filter(key => key.startsWith('auction_'))
+        .forEach(key => delete duplicateData[key]);
       
       await DataManager.createVehicle(duplicateData, currentDealer.id);
       await loadInventoryData(); // Reload data
@@ -425,6 +434,16 @@ export default function Inventory() {
                       >
                         <Copy className="w-4 h-4 text-green-600" />
                       </button>
+
+                      {vehicle.status === 'live' && vehicle.listing_mode !== 'auction' && (
+                        <button
+                          onClick={() => setAuctionVehicle(vehicle)}
+                          className="w-9 h-9 bg-white/80 backdrop-blur-sm hover:bg-white rounded-full flex items-center justify-center transition-colors shadow-md"
+                          title="Start Auction"
+                        >
+                          <Gavel className="w-4 h-4 text-amber-600" />
+                        </button>
+                      )}
                       
                       <AlertDialog>
                         <AlertDialogTrigger asChild>
@@ -465,6 +484,14 @@ export default function Inventory() {
             />
           </div>
         </div>
+
+        <AuctionSetupDialog
+          vehicle={auctionVehicle}
+          currentDealer={currentDealer}
+          isOpen={!!auctionVehicle}
+          onClose={() => setAuctionVehicle(null)}
+          onStarted={(updated) => setVehicles(current => current.map(v => (v.id === updated.id ? updated : v)))}
+        />
       </PermissionGuard>
     </ErrorBoundary>
   );
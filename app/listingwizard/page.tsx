@@ -51,6 +51,8 @@ export default function ListingWizard() {
     kilometers: "",
     fuel_type: "",
     transmission: "",
+    engine_cc: "",
+    length_mm: "",
     color: "",
     description: "",
     vin: "",
@@ -110,6 +112,8 @@ export default function ListingWizard() {
             if (!vehicleData.year) newErrors.year = "Year is required";
             if (!vehicleData.fuel_type) newErrors.fuel_type = "Fuel type is required";
             if (!vehicleData.transmission) newErrors.transmission = "Transmission is required";
+            if (vehicleData.engine_cc && !(parseInt(vehicleData.engine_cc) >= 50 && parseInt(vehicleData.engine_cc) <= 10000)) newErrors.engine_cc = "Engine capacity must be between 50 and 10000 cc";
+            if (vehicleData.length_mm && !(parseInt(vehicleData.length_mm) >= 2000 && parseInt(vehicleData.length_mm) <= 8000)) newErrors.length_mm = "Length must be between 2000 and 8000 mm";
             break;
         case 'pricing':
             if (!vehicleData.price || parseFloat(vehicleData.price) <= 0) newErrors.price = "A valid price is required";
@@ -238,6 +242,8 @@ export default function ListingWizard() {
         price: parseFloat(vehicleData.price),
         kilometers: vehicleData.kilometers ? parseFloat(vehicleData.kilometers) : 0,
         year: parseInt(vehicleData.year),
+        engine_cc: vehicleData.engine_cc ? parseInt(vehicleData.engine_cc) : null,
+        length_mm: vehicleData.length_mm ? parseInt(vehicleData.length_mm) : null,
         days_in_stock: 0,
         inspection_score: getInspectionScore(),
         features: vehicleData.features || []
@@ -481,7 +487,34 @@ export default function ListingWizard() {
                         </Select>
                         {errors.transmission && <p className="text-red-500 text-sm mt-1">{errors.transmission}</p>}
                       </div>
+
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Engine Capacity (cc)</label>
+                        <Input
+                          type="number"
+                          placeholder="As on the RC, e.g. 1197"
+                          value={vehicleData.engine_cc}
+                          onChange={(e) => setVehicleData({...vehicleData, engine_cc: e.target.value})}
+                          className={errors.engine_cc ? 'border-red-500' : ''}
+                        />
+                        {errors.engine_cc && <p className="text-red-500 text-sm mt-1">{errors.engine_cc}</p>}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Length (mm)</label>
+                        <Input
+                          type="number"
+                          placeholder="e.g. 3995"
+                          value={vehicleData.length_mm}
+                          onChange={(e) => setVehicleData({...vehicleData, length_mm: e.target.value})}
+                          className={errors.length_mm ? 'border-red-500' : ''}
+                        />
+                        {errors.length_mm && <p className="text-red-500 text-sm mt-1">{errors.length_mm}</p>}
+                      </div>
                     </div>
+                    <p className="text-sm text-gray-600">
+                      Engine capacity and length decide the GST rate on the sale; electric vehicles can skip them.
+                    </p>
                   </CardContent>
                 </Card>
               </TabsContent>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo } from "react";
-import { Vehicle, Transaction, Dealer, User, Notification } from "@/api/entities";
+import { Transaction, Dealer, User, Notification } from "@/api/entities";
 import VehicleCard from "../components/shared/VehicleCard";
 import VehicleDetailPanel from "../components/shared/VehicleDetailPanel";
 import { Button } from "@/components/ui/button";
@@ -15,6 +15,11 @@ import { createPageUrl } from "@/utils";
 import Link from "next/link";
 import { useNavigate, useLocation } from "react-router-dom";
 import { SendEmail, InvokeLLM } from '@/api/integrations';
+import { recordOffer } from '@/api/offers';
+import { postMessage } from '@/api/messages';
+import { nextOfferExpiry, expireStaleOffers } from '@/api/offerExpiry';
+import { findOpenOffer } from '@/api/offerQueue';
+import { settleEndedAuctions, subscribeToAuctions } from '@/api/auctions';
 import ErrorBoundary from "../components/shared/ErrorBoundary";
 import PermissionGuard from "../components/shared/PermissionGuard";
 import LoadingSpinner from "../components/shared/LoadingSpinner";
@@ -65,6 +70,15 @@ export default function Marketplace() {
     loadMarketplaceData();
   }, []);
 
+  // Live bid state for every auction on the page
+  useEffect(() => {
+    return subscribeToAuctions({
+      onVehicle: (updated) => {
+        setVehicles(current => current.map(vehicle => (vehicle.id === updated.id ? { ...vehicle, ...updated } : vehicle)));
+      }
+    });
+  }, []);
+
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
     const query = urlParams.get('query');
@@ -102,6 +116,21 @@ export default function Marketplace() {
       console.log(`[Marketplace] Dealer found: ${dealer.business_name} (ID: ${dealer.id})`);
       setCurrentDealer(dealer);
 
+      // Lapsed offers on this dealer's deals release their vehicles before we
+      // list what is live; the database only lets a dealer change their own.
+      try {
+        await expireStaleOffers(dealer.id);
+      } catch (expiryError) {
+        console.error('[Marketplace] Error expiring stale offers:', expiryError);
+      }
+
+      // Likewise, auctions past their end time are settled before listing
+      try {
+        await settleEndedAuctions();
+      } catch (auctionError) {
+        console.error('[Marketplace] Error settling ended auctions:', auctionError);
+      }
+
       // Fetch current dealer's transactions
       const dealerTransactions = await DataManager.getTransactionsByDealer(dealer.id);
       setTransactions(dealerTransactions);
@@ -162,14 +191,25 @@ export default function Marketplace() {
       return;
     }
 
+    if (vehicle.listing_mode === 'auction') {
+      alert('This vehicle is being auctioned. Place a bid from the vehicle panel instead.');
+      return;
+    }
+
     // Check if an existing offer exists for this vehicle from the current dealer
     const existingOffer = transactions.find(t =>
       t.buyer_id === currentDealer.id &&
       t.seller_id === vehicle.dealer_id &&
       t.vehicle_id === vehicle.id &&
-      ['offer_made', 'negotiating', 'pending_customer_view', 'accepted'].includes(t.status)
+      ['offer_made', 'negotiating', 'backup', 'pending_customer_view', 'accepted'].includes(t.status)
     );
 
+    // Vehicles take several offers at once, but each dealer negotiates in a single deal room
+    if (existingOffer && ['offer_made', 'negotiating', 'backup'].includes(existingOffer.status)) {
+      navigate(createPageUrl(`DealRoom?transactionId=${existingOffer.id}`));
+      return;
+    }
+
     setSelectedVehicle(vehicle);
 
     if (existingOffer && ['pending_customer_view', 'accepted'].includes(existingOffer.status)) {
@@ -203,21 +243,42 @@ export default function Marketplace() {
     }
 
     try {
+      const existingOffer = await findOpenOffer(selectedVehicle.id, currentDealer.id);
+      if (existingOffer) {
+        setShowMakeOfferModal(false);
+        navigate(createPageUrl(`DealRoom?transactionId=${existingOffer.id}`));
+        return;
+      }
+
+      // The ledger works in whole rupees
+      const amount = Math.round(parseFloat(offerAmount) * 100000);
+      const expiresAt = await nextOfferExpiry();
       const newTransaction = await Transaction.create({
         vehicle_id: selectedVehicle.id,
         seller_id: selectedVehicle.dealer_id,
         buyer_id: currentDealer.id,
-        offer_amount: parseFloat(offerAmount) * 100000,
+        offer_amount: amount,
         status: 'offer_made',
-        messages: [{
-          sender_id: currentDealer.id,
-          message: `Initial offer of ₹${offerAmount}L for your ${selectedVehicle.year} ${selectedVehicle.make} ${selectedVehicle.model}`,
-          timestamp: new Date().toISOString()
-        }]
+        offer_expires_at: expiresAt
       });
-      
-      await Vehicle.update(selectedVehicle.id, { status: 'in_transaction' });
-      
+
+      await postMessage(
+        newTransaction.id,
+        currentDealer.id,
+        `Initial offer of ₹${offerAmount}L for your ${selectedVehicle.year} ${selectedVehicle.make} ${selectedVehicle.model}`
+      );
+
+      await recordOffer({
+        transactionId: newTransaction.id,
+        proposerId: currentDealer.id,
+        type: 'initial',
+        amount,
+        expiresAt
+      });
+
+      // The vehicle stays live so other dealers can make competing offers;
+      // it only leaves the marketplace once the seller accepts one.
+
       // Notification logic
       const sellerDealer = getDealerForVehicle(selectedVehicle);
       const allUsersData = await User.list(); 
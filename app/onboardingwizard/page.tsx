@@ -11,6 +11,7 @@ import { UploadFile } from '@/api/integrations';
 import { SendEmail } from '@/api/integrations';
 import ProgressBar from '../components/shared/ProgressBar';
 import FileUploader from '../components/shared/FileUploader';
+import { SecurityValidator } from '@/components/shared/SecurityValidator';
 import { ArrowLeft, Shield, CreditCard } from 'lucide-react';
 
 const TOTAL_STEPS = 4; // Updated to 4 steps
@@ -25,12 +26,14 @@ export default function OnboardingWizard() {
     gstin: '',
     pan: '',
     address: '',
+    pincode: '',
     kyb_documents: [],
     // New fields for Phase 2
     account_number: '',
     ifsc_code: '',
     bank_name: '',
   });
+  const [stepError, setStepError] = useState(null);
 
   useEffect(() => {
     const loadData = async () => {
@@ -46,6 +49,7 @@ export default function OnboardingWizard() {
             gstin: currentDealer.gstin || '',
             pan: currentDealer.pan || '',
             address: currentDealer.address || '',
+            pincode: currentDealer.pincode || '',
             kyb_documents: currentDealer.kyb_documents || [],
             account_number: currentDealer.account_number || '',
             ifsc_code: currentDealer.ifsc_code || '',
@@ -79,6 +83,13 @@ export default function OnboardingWizard() {
   };
 
   const handleNext = async () => {
+    // Transport quotes are priced from the dealer's pincode
+    if (currentStep === 2 && !SecurityValidator.validatePincode(formData.pincode)) {
+      setStepError('Please enter your 6-digit business pincode.');
+      return;
+    }
+    setStepError(null);
+
     if (currentStep < TOTAL_STEPS) {
       // Save progress
       await Dealer.update(dealer.id, { ...formData });
@@ -175,6 +186,17 @@ export default function OnboardingWizard() {
                   onChange={(e) => setFormData({ ...formData, address: e.target.value })}
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Pincode</label>
+                <Input
+                  placeholder="6-digit pincode"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={formData.pincode}
+                  onChange={(e) => setFormData({ ...formData, pincode: e.target.value.trim() })}
+                />
+                <p className="text-xs text-gray-500 mt-1">Used to work out transport distances for your deals.</p>
+              </div>
               <FileUploader
                 fileTypeLabel="Upload GST Certificate"
                 onUpload={handleFileUpload('gst_certificate')}
@@ -276,6 +298,10 @@ export default function OnboardingWizard() {
 
         {renderStep()}
 
+        {stepError && (
+          <p className="mt-4 text-sm text-red-600">{stepError}</p>
+        )}
+
         <div className="mt-8 flex justify-between">
            <Button variant="outline" onClick={handleBack}>
             <ArrowLeft className="w-4 h-4 mr-2" />
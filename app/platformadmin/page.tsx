@@ -28,6 +28,10 @@ import { format } from 'date-fns';
 import LoadingSpinner from '../components/shared/LoadingSpinner';
 import ErrorBoundary from '../components/shared/ErrorBoundary';
 import { DataManager } from '../components/shared/DataManager';
+import { findLedgerDiscrepancies } from '@/api/escrowLedger';
+import ReconciliationPanel from '@/components/payments/ReconciliationPanel';
+import { createPageUrl } from '@/utils';
+import { Link } from 'react-router-dom';
 
 export default function PlatformAdmin() {
   const [currentUser, setCurrentUser] = useState(null);
@@ -39,6 +43,8 @@ export default function PlatformAdmin() {
   const [analytics, setAnalytics] = useState({});
   const [selectedUser, setSelectedUser] = useState(null);
   const [showUserModal, setShowUserModal] = useState(false);
+  const [ledgerDiscrepancies, setLedgerDiscrepancies] = useState(null);
+  const [checkingLedger, setCheckingLedger] = useState(false);
 
   useEffect(() => {
     loadPlatformData();
@@ -190,6 +196,18 @@ export default function PlatformAdmin() {
     }
   };
 
+  const runLedgerCheck = async () => {
+    setCheckingLedger(true);
+    try {
+      setLedgerDiscrepancies(await findLedgerDiscrepancies());
+    } catch (error) {
+      console.error('Error checking escrow ledger:', error);
+      alert('Error: ' + error.message);
+    } finally {
+      setCheckingLedger(false);
+    }
+  };
+
   const generateReport = async (reportType) => {
     try {
       let reportData = {};
@@ -362,11 +380,12 @@ export default function PlatformAdmin() {
           </div>
 
           <Tabs defaultValue="users" className="space-y-6">
-            <TabsList className="grid w-full grid-cols-4">
+            <TabsList className="grid w-full grid-cols-5">
               <TabsTrigger value="users">User Management</TabsTrigger>
               <TabsTrigger value="system">System Config</TabsTrigger>
               <TabsTrigger value="logs">System Logs</TabsTrigger>
               <TabsTrigger value="reports">Reports</TabsTrigger>
+              <TabsTrigger value="payments">Payments</TabsTrigger>
             </TabsList>
 
             {/* Users Tab */}
@@ -599,6 +618,51 @@ export default function PlatformAdmin() {
                   </div>
                 </CardContent>
               </Card>
+
+              <Card className="mt-6">
+                <CardHeader>
+                  <CardTitle>Escrow Ledger Integrity</CardTitle>
+                  <CardDescription>
+                    Flags any transaction whose ledger does not net to zero or whose escrow has paid out more than it received.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <Button onClick={runLedgerCheck} disabled={checkingLedger}>
+                    <DollarSign className="w-4 h-4 mr-2" />
+                    {checkingLedger ? 'Checking...' : 'Run Ledger Check'}
+                  </Button>
+
+                  {ledgerDiscrepancies && ledgerDiscrepancies.length === 0 && (
+                    <Alert>
+                      <CheckCircle className="h-4 w-4" />
+                      <AlertDescription>Every transaction ledger balances.</AlertDescription>
+                    </Alert>
+                  )}
+
+                  {ledgerDiscrepancies && ledgerDiscrepancies.length > 0 && (
+                    <div className="space-y-2">
+                      {ledgerDiscrepancies.map(({ transactionId, issues }) => (
+                        <Alert key={transactionId} variant="destructive">
+                          <AlertTriangle className="h-4 w-4" />
+                          <AlertDescription>
+                            <Link to={createPageUrl(`DealRoom?transactionId=${transactionId}`)} className="font-semibold underline">
+                              Transaction {transactionId}
+                            </Link>
+                            <ul className="list-disc ml-4 mt-1">
+                              {issues.map(issue => <li key={issue}>{issue}</li>)}
+                            </ul>
+                          </AlertDescription>
+                        </Alert>
+                      ))}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            {/* Payments Tab */}
+            <TabsContent value="payments">
+              <ReconciliationPanel dealers={dealers} />
             </TabsContent>
           </Tabs>
         </div>
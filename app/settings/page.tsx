@@ -11,8 +11,9 @@ import Link from "next/link";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from '@/utils';
 import { SendEmail } from '@/api/integrations';
-import { User as UserIcon, Bell, Shield, BookOpen, Eye, Calculator } from 'lucide-react';
+import { User as UserIcon, Bell, Shield, BookOpen, Eye, Calculator, FileText } from 'lucide-react';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import DocumentTemplateEditor from '@/components/documents/DocumentTemplateEditor';
 
 export default function Settings() {
   const navigate = useNavigate();
@@ -261,7 +262,7 @@ export default function Settings() {
           </div>
 
           <Tabs defaultValue="profile" className="space-y-6">
-            <TabsList className="grid w-full grid-cols-5">
+            <TabsList className="grid w-full grid-cols-6">
               <TabsTrigger value="profile" className="flex items-center gap-2">
                 <UserIcon className="w-4 h-4" />
                 Profile
@@ -278,6 +279,10 @@ export default function Settings() {
                 <Calculator className="w-4 h-4" />
                 Customer Mode
               </TabsTrigger>
+              <TabsTrigger value="documents" className="flex items-center gap-2">
+                <FileText className="w-4 h-4" />
+                Documents
+              </TabsTrigger>
               <TabsTrigger value="help" className="flex items-center gap-2">
                 <BookOpen className="w-4 h-4" />
                 Help
@@ -318,9 +323,15 @@ export default function Settings() {
                         </div>
                       </div>
                       
-                      <div>
-                        <label className="block text-sm font-medium mb-2">Business Address</label>
-                        <Input value={dealer.address || 'Not provided'} disabled />
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div className="md:col-span-2">
+                          <label className="block text-sm font-medium mb-2">Business Address</label>
+                          <Input value={dealer.address || 'Not provided'} disabled />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium mb-2">Pincode</label>
+                          <Input value={dealer.pincode || 'Not provided'} disabled />
+                        </div>
                       </div>
                       
                       <div className="pt-4 border-t">
@@ -643,6 +654,19 @@ export default function Settings() {
               </div>
             </TabsContent>
 
+            {/* Document Templates Tab */}
+            <TabsContent value="documents">
+              {dealer ? (
+                <DocumentTemplateEditor dealer={dealer} />
+              ) : (
+                <Card>
+                  <CardContent className="p-6 text-gray-600">
+                    Set up your dealer profile to customise the documents generated for your deals.
+                  </CardContent>
+                </Card>
+              )}
+            </TabsContent>
+
             {/* Help Tab */}
             <TabsContent value="help">
               <Card>
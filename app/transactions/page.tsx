@@ -9,6 +9,8 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@
 import { Search, Filter, Eye, MessageSquare, Car, Star, Archive } from "lucide-react"; // Added Star, Archive
 import Link from "next/link";
 import { createPageUrl } from "@/utils";
+import { releaseDueEscrows } from "@/api/escrowRelease";
+import { sendPaymentReminders } from "@/api/paymentSchedule";
 import TransactionCard from '@/components/shared/TransactionCard'; // Added TransactionCard import
 
 export default function Transactions() {
@@ -30,6 +32,22 @@ export default function Transactions() {
     try {
       const user = await User.me();
       setCurrentUser(user);
+
+      // Deals past their cooling-off window are paid out before we list them.
+      // Only this dealer's deals are swept; other dealers' run on their own loads.
+      const [dealer] = await Dealer.filter({ created_by: user.email });
+      if (dealer) {
+        try {
+          await releaseDueEscrows(dealer.id);
+        } catch (releaseError) {
+          console.error('Error releasing due escrow:', releaseError);
+        }
+        try {
+          await sendPaymentReminders(dealer.id);
+        } catch (reminderError) {
+          console.error('Error sending payment reminders:', reminderError);
+        }
+      }
       
       const [transactionData, vehicleData, dealerData] = await Promise.all([
         Transaction.list('-created_date'),
@@ -63,6 +81,7 @@ export default function Transactions() {
     const statusColors = {
       offer_made: "bg-blue-100 text-blue-800",
       negotiating: "bg-yellow-100 text-yellow-800",
+      backup: "bg-slate-100 text-slate-800",
       accepted: "bg-green-100 text-green-800",
       payment_pending: "bg-orange-100 text-orange-800",
       in_escrow: "bg-purple-100 text-purple-800",
@@ -74,6 +93,7 @@ export default function Transactions() {
     const statusLabels = {
       offer_made: "OFFER MADE",
       negotiating: "NEGOTIATING", 
+      backup: "BACKUP OFFER",
       accepted: "ACCEPTED",
       payment_pending: "PAYMENT PENDING",
       in_escrow: "IN ESCROW",
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { verifyPublicDocument } from '@/api/documentVerification';
+import { DOCUMENT_TYPE_LABELS } from '@/api/dealDocuments';
+import { createPageUrl } from '@/utils';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { ShieldCheck, ShieldAlert, Search, Loader2, AlertCircle, CheckCircle2, Clock, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+function PartyDetails({ label, party }) {
+  return (
+    <div>
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="font-medium">{party?.name || '-'}</div>
+      <div className="text-sm text-gray-600">
+        {[party?.city, party?.gstin && `GSTIN ${party.gstin}`].filter(Boolean).join(' · ')}
+      </div>
+    </div>
+  );
+}
+
+function SignatureStatus({ label, signature }) {
+  if (!signature) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-500">
+        <Clock className="w-4 h-4" />
+        {label}: not signed
+      </div>
+    );
+  }
+  return (
+    <div className={`flex items-center gap-2 text-sm ${signature.valid ? 'text-green-700' : 'text-red-700'}`}>
+      {signature.valid ? <CheckCircle2 className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+      {label}: {signature.valid ? 'signed' : 'signature does not match'} by {signature.signer_name || '-'} on{' '}
+      {format(new Date(signature.signed_at), 'PPP p')}
+    </div>
+  );
+}
+
+// Public page, no login: financiers and RTO agents check a document by the
+// QR code printed on it or by its number.
+export default function VerifyDocument() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [reference, setReference] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const ref = new URLSearchParams(location.search).get('ref') || '';
+    setReference(ref);
+    if (ref) lookup(ref);
+  }, [location.search]);
+
+  const lookup = async (value) => {
+    setLoading(true);
+    setError('');
+    setResult(null);
+    try {
+      setResult(await verifyPublicDocument(value));
+    } catch (err) {
+      console.error('Failed to verify document:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reference.trim()) return;
+    navigate(`${createPageUrl('VerifyDocument')}?ref=${encodeURIComponent(reference.trim())}`);
+  };
+
+  const signatures = result?.signatures || [];
+  const sellerSignature = signatures.find(signature => signature.party === 'seller');
+  const buyerSignature = signatures.find(signature => signature.party === 'buyer');
+  const genuine = result?.found && result.hash_matches && signatures.every(signature => signature.valid);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="text-center">
+          <ShieldCheck className="w-12 h-12 text-blue-600 mx-auto mb-3" />
+          <h1 className="text-2xl font-bold">Document Verification</h1>
+          <p className="text-gray-600">
+            Check that a sale agreement, invoice, receipt or delivery note issued through Aura is genuine and unchanged.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <Input
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            placeholder="Document number or hash"
+            className="font-mono"
+          />
+          <Button type="submit" disabled={loading || !reference.trim()}>
+            {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Search className="w-4 h-4 mr-2" />}
+            Verify
+          </Button>
+        </form>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {result && !result.found && (
+          <Alert variant="destructive">
+            <ShieldAlert className="h-4 w-4" />
+            <AlertDescription>
+              No document matches this number or hash. Check what you entered; a document that was changed after it
+              was issued will not match its original hash.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {result?.found && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                {DOCUMENT_TYPE_LABELS[result.document_type] || result.document_type}
+                {result.legal_validity === 'executed'
+                  ? <Badge className="bg-green-100 text-green-800">Executed</Badge>
+                  : <Badge className="bg-gray-100 text-gray-800">Not fully signed</Badge>}
+              </CardTitle>
+              <CardDescription>
+                No. {result.document_number} · Issued {format(new Date(result.generated_at), 'PPP')}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {genuine ? (
+                <Alert>
+                  <ShieldCheck className="h-4 w-4" />
+                  <AlertDescription>
+                    This document matches our records and has not been changed since it was issued.
+                  </AlertDescription>
+                </Alert>
+              ) : (
+                <Alert variant="destructive">
+                  <ShieldAlert className="h-4 w-4" />
+                  <AlertDescription>
+                    {!result.hash_matches
+                      ? 'The stored document no longer matches the hash recorded when it was issued. Do not rely on it.'
+                      : 'A signature on this document does not match it. Do not rely on it.'}
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <PartyDetails label="Seller" party={result.seller} />
+                <PartyDetails label="Buyer" party={result.buyer} />
+                <div>
+                  <div className="text-sm text-gray-500">Vehicle</div>
+                  <div className="font-medium">{result.vehicle || '-'}</div>
+                  {result.registration_number && <div className="text-sm text-gray-600">{result.registration_number}</div>}
+                </div>
+                <div>
+                  <div className="text-sm text-gray-500">Amount</div>
+                  <div className="font-medium">
+                    {result.amount != null ? `₹${Number(result.amount).toLocaleString('en-IN')}` : '-'}
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <SignatureStatus label="Seller" signature={sellerSignature} />
+                <SignatureStatus label="Buyer" signature={buyerSignature} />
+              </div>
+
+              <div className="text-xs text-gray-500 break-all">
+                Document hash (SHA-256): <span className="font-mono">{result.recorded_hash}</span>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
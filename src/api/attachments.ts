@@ -0,0 +1,139 @@
+import { Message, Transaction, Vehicle } from '@/api/entities'
+import { UploadFile } from '@/api/integrations'
+import { postMessage } from '@/api/messages'
+import { getParty } from '@/api/transactionWorkflow'
+import type {
+  AttachmentKind,
+  MessageAttachment,
+  PromotionTarget
+} from '@/api/types'
+
+export interface GalleryItem extends MessageAttachment {
+  message_id: string
+  sender_id: string
+  created_at: string
+}
+
+export function attachmentKind(mimeType: string): AttachmentKind {
+  if (mimeType.startsWith('image/')) return 'image'
+  if (mimeType.startsWith('video/')) return 'video'
+  return 'document'
+}
+
+// Vehicles keep a single `video_url`, so only photos and documents can be
+// added to the listing from chat.
+export function promotionTargetFor(kind: AttachmentKind): PromotionTarget | null {
+  if (kind === 'image') return 'image_urls'
+  if (kind === 'document') return 'document_urls'
+  return null
+}
+
+/**
+ * Uploads a file and posts it to the deal room chat. Callers are expected
+ * to have validated the file type and size first.
+ */
+export async function sendAttachment(transactionId: string, senderId: string, file: File, caption = '') {
+  const { file_url } = await UploadFile({ file })
+  const attachment: MessageAttachment = {
+    url: file_url,
+    name: file.name,
+    mime_type: file.type,
+    size: file.size,
+    kind: attachmentKind(file.type)
+  }
+  return postMessage(transactionId, senderId, caption.trim(), 'attachment', [attachment])
+}
+
+// Every attachment shared in a deal room, newest first.
+export async function listAttachments(transactionId: string): Promise<GalleryItem[]> {
+  const messages = await Message.filter({ transaction_id: transactionId, type: 'attachment' }, '-created_date')
+  return messages.flatMap(message =>
+    (message.attachments || []).map(attachment => ({
+      ...attachment,
+      message_id: message.id,
+      sender_id: message.sender_id,
+      created_at: message.created_at
+    }))
+  )
+}
+
+async function updateAttachment(
+  messageId: string,
+  url: string,
+  change: (attachment: MessageAttachment) => Partial<MessageAttachment>
+) {
+  return Message.mutate(messageId, (message) => {
+    const attachments = message.attachments || []
+    const target = attachments.find(attachment => attachment.url === url)
+    if (!target) throw new Error('Attachment not found on this message')
+    const patch = change(target)
+    return {
+      attachments: attachments.map(attachment => attachment === target ? { ...attachment, ...patch } : attachment)
+    }
+  })
+}
+
+// Either party can suggest adding a chat file to the listing.
+export async function requestPromotion(messageId: string, url: string, requesterId: string) {
+  return updateAttachment(messageId, url, (attachment) => {
+    const target = promotionTargetFor(attachment.kind)
+    if (!target) throw new Error('Videos cannot be added to the vehicle listing')
+    if (attachment.promotion_status === 'approved') throw new Error('This file is already on the listing')
+    return {
+      promotion_target: target,
+      promotion_status: 'requested',
+      promotion_requested_by: requesterId
+    }
+  })
+}
+
+export async function declinePromotion(messageId: string, url: string) {
+  return updateAttachment(messageId, url, () => ({
+    promotion_target: null,
+    promotion_status: null,
+    promotion_requested_by: null
+  }))
+}
+
+/**
+ * Adds a chat attachment to the vehicle's `image_urls` or `document_urls`.
+ * Only the seller of the transaction may do this. Re-running it is safe:
+ * a URL already on the vehicle is not added twice.
+ */
+export async function approvePromotion(
+  messageId: string,
+  url: string,
+  sellerId: string,
+  { documentType = 'other' }: { documentType?: string } = {}
+) {
+  const message = await Message.get(messageId)
+  const attachment = (message.attachments || []).find(item => item.url === url)
+  if (!attachment) throw new Error('Attachment not found on this message')
+
+  const target = promotionTargetFor(attachment.kind)
+  if (!target) throw new Error('Videos cannot be added to the vehicle listing')
+
+  const transaction = await Transaction.get(message.transaction_id)
+  if (getParty(transaction, sellerId) !== 'seller') {
+    throw new Error('Only the seller can add files to the vehicle listing')
+  }
+
+  await Vehicle.mutate(transaction.vehicle_id, (vehicle) => {
+    if (target === 'image_urls') {
+      const images = vehicle.image_urls || []
+      return { image_urls: images.includes(url) ? images : [...images, url] }
+    }
+    const documents = vehicle.document_urls || []
+    return {
+      document_urls: documents.some(doc => doc.url === url)
+        ? documents
+        : [...documents, { type: documentType, url, name: attachment.name }]
+    }
+  })
+
+  return updateAttachment(messageId, url, () => ({
+    promotion_target: target,
+    promotion_status: 'approved',
+    promoted_at: new Date().toISOString()
+  }))
+}
@@ -0,0 +1,245 @@
+import supabase from '@/api/supabaseClient'
+import { AuctionBid, Vehicle } from '@/api/entities'
+import { notifyDealer } from '@/api/notifications'
+import { listVehicleOffers } from '@/api/offerQueue'
+import { createPageUrl } from '@/utils'
+import type { AuctionBid as AuctionBidRecord, Vehicle as VehicleRecord } from '@/api/types'
+
+export type AuctionPhase = 'scheduled' | 'live' | 'ended' | 'settled' | 'unsold' | 'cancelled'
+
+export class AuctionError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'AuctionError'
+  }
+}
+
+interface AuctionSettlement {
+  settled: boolean
+  outcome?: 'sold' | 'unsold'
+  leader_id?: string | null
+  amount?: number | null
+  transaction_id?: string
+}
+
+export interface AuctionSettings {
+  startPrice: number
+  reservePrice: number
+  minIncrement: number
+  startAt: string
+  endAt: string
+}
+
+const formatLakhs = (amount?: number | null) => `₹${((amount || 0) / 100000).toFixed(1)}L`
+
+const vehicleName = (vehicle: VehicleRecord) => `${vehicle.year} ${vehicle.make} ${vehicle.model}`
+
+export function auctionPhase(vehicle: VehicleRecord, now = Date.now()): AuctionPhase | null {
+  if (vehicle.listing_mode !== 'auction' || !vehicle.auction_status) return null
+  if (vehicle.auction_status !== 'active') return vehicle.auction_status
+  if (now < new Date(vehicle.auction_start_at as string).getTime()) return 'scheduled'
+  if (now < new Date(vehicle.auction_end_at as string).getTime()) return 'live'
+  return 'ended'
+}
+
+export function minimumNextBid(vehicle: VehicleRecord) {
+  return vehicle.auction_current_bid == null
+    ? vehicle.auction_start_price || 0
+    : vehicle.auction_current_bid + (vehicle.auction_min_increment || 0)
+}
+
+export function reserveMet(vehicle: VehicleRecord) {
+  return vehicle.auction_current_bid != null && vehicle.auction_current_bid >= (vehicle.auction_reserve_price || 0)
+}
+
+export async function startAuction(vehicleId: string, dealerId: string, settings: AuctionSettings) {
+  const { startPrice, reservePrice, minIncrement, startAt, endAt } = settings
+  if (!(startPrice > 0) || !(minIncrement > 0)) {
+    throw new AuctionError('Starting price and bid increment must be greater than zero')
+  }
+  if (!(reservePrice >= startPrice)) {
+    throw new AuctionError('Reserve price cannot be below the starting price')
+  }
+  if (new Date(endAt) <= new Date(startAt) || new Date(endAt) <= new Date()) {
+    throw new AuctionError('The auction must end after it starts and in the future')
+  }
+
+  // Auctions replace one-on-one negotiation, so existing offers must be settled first
+  const openOffers = await listVehicleOffers(vehicleId)
+  if (openOffers.length > 0) {
+    throw new AuctionError('Respond to the open offers on this vehicle before auctioning it')
+  }
+
+  return Vehicle.mutate(vehicleId, (vehicle) => {
+    if (vehicle.dealer_id !== dealerId) throw new AuctionError('Only the listing dealer can auction this vehicle')
+    if (vehicle.status !== 'live') throw new AuctionError('Only live vehicles can be auctioned')
+    if (auctionPhase(vehicle) && ['scheduled', 'live', 'ended'].includes(auctionPhase(vehicle) as string)) {
+      throw new AuctionError('This vehicle already has an auction running')
+    }
+    return {
+      listing_mode: 'auction',
+      auction_status: 'active',
+      auction_start_price: startPrice,
+      auction_reserve_price: reservePrice,
+      auction_min_increment: minIncrement,
+      auction_start_at: new Date(startAt).toISOString(),
+      auction_end_at: new Date(endAt).toISOString(),
+      auction_current_bid: null,
+      auction_leader_id: null,
+      auction_bid_count: 0,
+      auction_transaction_id: null
+    }
+  })
+}
+
+// Sellers can pull an auction only until the first bid arrives.
+export async function cancelAuction(vehicleId: string, dealerId: string) {
+  return Vehicle.mutate(vehicleId, (vehicle) => {
+    if (vehicle.dealer_id !== dealerId) throw new AuctionError('Only the listing dealer can cancel this auction')
+    if (vehicle.auction_status !== 'active') throw new AuctionError('This auction is no longer running')
+    if ((vehicle.auction_bid_count || 0) > 0) throw new AuctionError('Auctions with bids cannot be cancelled')
+    return { listing_mode: 'fixed', auction_status: 'cancelled' }
+  })
+}
+
+/**
+ * Places a proxy bid: the bidder submits the most they will pay and the
+ * visible price only rises one increment above the runner-up. The bid is
+ * resolved by `place_auction_bid`, which keeps every maximum out of sight of
+ * the other dealers and pushes the end time out for bids in the closing
+ * window (`auction_extension_minutes` in SystemConfig).
+ */
+export async function placeBid(vehicleId: string, bidderId: string, maxAmount: number) {
+  if (!Number.isFinite(maxAmount) || maxAmount <= 0) {
+    throw new AuctionError(`Invalid bid amount: ${maxAmount}`)
+  }
+  const { data, error } = await supabase.rpc('place_auction_bid', { p_vehicle_id: vehicleId, p_max_amount: maxAmount })
+  if (error) throw new AuctionError(error.message)
+  const { leading, previous_leader_id: previousLeaderId } = data as { leading: boolean, previous_leader_id: string | null }
+
+  const vehicle = await Vehicle.get(vehicleId)
+
+  if (leading && previousLeaderId && previousLeaderId !== bidderId) {
+    try {
+      await notifyDealer(previousLeaderId, {
+        type: 'auction',
+        title: 'You have been outbid',
+        message: `You have been outbid on the ${vehicleName(vehicle)}. The current bid is ${formatLakhs(vehicle.auction_current_bid)}.`,
+        link: createPageUrl('Marketplace'),
+        linkLabel: 'Bid again'
+      })
+    } catch (error) {
+      console.error('Failed to notify outbid dealer:', error)
+    }
+  }
+
+  return { vehicle, leading }
+}
+
+// The calling dealer's own maximum on a running auction, or null
+export async function getMyMaximum(vehicleId: string) {
+  const { data, error } = await supabase.rpc('my_auction_maximum', { p_vehicle_id: vehicleId })
+  if (error) throw new AuctionError(error.message)
+  return data as number | null
+}
+
+// Bid history, newest first. Proxy maximums are never stored on bids.
+export async function listBids(vehicleId: string): Promise<AuctionBidRecord[]> {
+  return AuctionBid.filter({ vehicle_id: vehicleId }, '-created_date')
+}
+
+/**
+ * Closes an auction whose end time has passed. If the reserve was met the
+ * winner gets a Transaction at `accepted`, so payment and logistics run
+ * through the deal room as usual; otherwise the vehicle goes back to a
+ * fixed-price listing. `settle_auction` does both in one step, and only the
+ * caller that actually settles it sends the notifications. Returns the id
+ * of the new transaction, or null.
+ */
+export async function settleAuction(vehicleId: string) {
+  const { data, error } = await supabase.rpc('settle_auction', { p_vehicle_id: vehicleId })
+  if (error) throw new AuctionError(error.message)
+  const result = data as AuctionSettlement
+  // Still running, or another client settled it first
+  if (!result.settled) return null
+
+  const vehicle = await Vehicle.get(vehicleId)
+  const notify = async (dealerId: string, title: string, message: string, link: string) => {
+    try {
+      await notifyDealer(dealerId, { type: 'auction', title, message, link })
+    } catch (error) {
+      console.error(`Failed to send auction notification to ${dealerId}:`, error)
+    }
+  }
+
+  if (result.outcome === 'unsold') {
+    const message = result.leader_id
+      ? `The auction for your ${vehicleName(vehicle)} ended at ${formatLakhs(result.amount)}, below your reserve. It is back on the marketplace at its listed price.`
+      : `The auction for your ${vehicleName(vehicle)} ended without bids. It is back on the marketplace at its listed price.`
+    await notify(vehicle.dealer_id, 'Auction ended unsold', message, createPageUrl('Inventory'))
+    if (result.leader_id) {
+      await notify(result.leader_id, 'Reserve not met',
+        `The auction for the ${vehicleName(vehicle)} ended below the seller's reserve.`, createPageUrl('Marketplace'))
+    }
+    return null
+  }
+
+  const transactionId = result.transaction_id as string
+  const link = createPageUrl(`DealRoom?transactionId=${transactionId}`)
+  await notify(result.leader_id as string, 'Auction won', `You won the auction for the ${vehicleName(vehicle)} at ${formatLakhs(result.amount)}.`, link)
+  await notify(vehicle.dealer_id, 'Auction sold', `Your ${vehicleName(vehicle)} sold at auction for ${formatLakhs(result.amount)}.`, link)
+
+  return transactionId
+}
+
+// There is no scheduler, so marketplace loads and auction timers settle
+// anything that has ended.
+export async function settleEndedAuctions() {
+  const { data, error } = await supabase
+    .from('Vehicle')
+    .select('id')
+    .eq('listing_mode', 'auction')
+    .eq('auction_status', 'active')
+    .lt('auction_end_at', new Date().toISOString())
+  if (error) throw error
+
+  for (const { id } of data as { id: string }[]) {
+    try {
+      await settleAuction(id)
+    } catch (err) {
+      console.error(`Failed to settle auction for vehicle ${id}:`, err)
+    }
+  }
+}
+
+export interface AuctionSubscriptionHandlers {
+  // Limit updates to one vehicle; otherwise every auction listing is watched
+  vehicleId?: string
+  onVehicle?: (vehicle: VehicleRecord) => void
+  onBid?: (bid: AuctionBidRecord) => void
+}
+
+export function subscribeToAuctions({ vehicleId, onVehicle, onBid }: AuctionSubscriptionHandlers) {
+  let channel = supabase
+    .channel(vehicleId ? `auction:${vehicleId}` : 'auctions')
+    .on('postgres_changes', {
+      event: 'UPDATE',
+      schema: 'public',
+      table: 'Vehicle',
+      filter: vehicleId ? `id=eq.${vehicleId}` : 'listing_mode=eq.auction'
+    }, payload => onVehicle?.(payload.new as VehicleRecord))
+
+  if (vehicleId) {
+    channel = channel.on('postgres_changes', {
+      event: 'INSERT',
+      schema: 'public',
+      table: 'AuctionBid',
+      filter: `vehicle_id=eq.${vehicleId}`
+    }, payload => onBid?.(payload.new as AuctionBidRecord))
+  }
+
+  channel.subscribe()
+  return () => {
+    supabase.removeChannel(channel)
+  }
+}
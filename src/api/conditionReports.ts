@@ -0,0 +1,258 @@
+import { ConditionReport, Transaction } from '@/api/entities'
+import { getParty } from '@/api/transactionWorkflow'
+import { requestPartialRefund } from '@/api/escrowRelease'
+import { postSystemMessage } from '@/api/messages'
+import { notifyDealer, collectNotificationErrors } from '@/api/notifications'
+import { getNumericConfig } from '@/api/systemConfig'
+import { createPageUrl } from '@/utils'
+import type {
+  ConditionComparison,
+  ConditionPhoto,
+  ConditionReport as ConditionReportRecord,
+  ConditionStage,
+  DamageMarker,
+  DamageSeverity,
+  PhotoAngle
+} from '@/api/types'
+
+// Vehicles travel on a carrier, so the odometer should barely move between
+// pickup and delivery. More than this many km is flagged.
+export const ODOMETER_TOLERANCE_CONFIG_KEY = 'condition_odometer_tolerance_km'
+export const DEFAULT_ODOMETER_TOLERANCE_KM = 50
+
+export const REQUIRED_PHOTO_ANGLES: PhotoAngle[] = ['front', 'rear', 'left', 'right', 'dashboard', 'interior']
+export const FUEL_LEVELS = ['Empty', '1/4', '1/2', '3/4', 'Full']
+
+export const PHOTO_ANGLE_LABELS: Record<PhotoAngle, string> = {
+  front: 'Front',
+  rear: 'Rear',
+  left: 'Left side',
+  right: 'Right side',
+  dashboard: 'Dashboard (odometer and fuel gauge)',
+  interior: 'Interior'
+}
+
+// Markers further apart than this on the diagram are different damage
+const MATCH_RADIUS = 20
+
+const SEVERITY_RANK: Record<DamageSeverity, number> = { minor: 0, moderate: 1, major: 2 }
+
+export class ConditionReportError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ConditionReportError'
+  }
+}
+
+export interface ConditionReportInput {
+  photos: ConditionPhoto[]
+  damage: DamageMarker[]
+  odometerKm: number
+  fuelLevel: number
+  notes?: string
+}
+
+export const panelLabel = (panel: string) => panel.replace(/_/g, ' ')
+
+const describeMarker = (marker: DamageMarker) =>
+  `${marker.severity} ${marker.type.replace('_', ' ')} on the ${panelLabel(marker.panel)}`
+
+/**
+ * Matches each delivery marker to an unused pickup marker of the same type
+ * on the same panel. Anything left over is new damage; a match rated more
+ * severe at delivery counts as worsened.
+ */
+export function compareConditionReports(
+  pickup: Pick<ConditionReportRecord, 'damage' | 'odometer_km' | 'fuel_level'>,
+  delivery: Pick<ConditionReportRecord, 'damage' | 'odometer_km' | 'fuel_level'>,
+  odometerToleranceKm = DEFAULT_ODOMETER_TOLERANCE_KM
+): ConditionComparison {
+  const unmatched = [...pickup.damage]
+  const newDamage: DamageMarker[] = []
+  const worsenedDamage: DamageMarker[] = []
+
+  for (const marker of delivery.damage) {
+    let best = -1
+    let bestDistance = Infinity
+    unmatched.forEach((candidate, index) => {
+      if (candidate.panel !== marker.panel || candidate.type !== marker.type) return
+      const distance = Math.hypot(candidate.x - marker.x, candidate.y - marker.y)
+      if (distance <= MATCH_RADIUS && distance < bestDistance) {
+        best = index
+        bestDistance = distance
+      }
+    })
+    if (best === -1) {
+      newDamage.push(marker)
+      continue
+    }
+    const [match] = unmatched.splice(best, 1)
+    if (SEVERITY_RANK[marker.severity] > SEVERITY_RANK[match.severity]) worsenedDamage.push(marker)
+  }
+
+  const odometerDelta = delivery.odometer_km - pickup.odometer_km
+  const fuelDrop = pickup.fuel_level - delivery.fuel_level
+  const flags = [
+    ...newDamage.map(marker => `New ${describeMarker(marker)}`),
+    ...worsenedDamage.map(marker => `Worse: ${describeMarker(marker)}`)
+  ]
+  if (odometerDelta < 0) {
+    flags.push(`Odometer reads ${Math.abs(odometerDelta).toLocaleString('en-IN')} km less than at pickup`)
+  } else if (odometerDelta > odometerToleranceKm) {
+    flags.push(`Odometer went up ${odometerDelta.toLocaleString('en-IN')} km in transport`)
+  }
+  if (fuelDrop > 0) {
+    flags.push(`Fuel dropped from ${FUEL_LEVELS[pickup.fuel_level]} to ${FUEL_LEVELS[delivery.fuel_level]}`)
+  }
+
+  return {
+    new_damage: newDamage,
+    worsened_damage: worsenedDamage,
+    odometer_delta_km: odometerDelta,
+    fuel_drop: Math.max(0, fuelDrop),
+    flags
+  }
+}
+
+function validateInput({ photos, damage, odometerKm, fuelLevel }: ConditionReportInput) {
+  const missing = REQUIRED_PHOTO_ANGLES.filter(angle => !photos.some(photo => photo.angle === angle && photo.url))
+  if (missing.length > 0) {
+    throw new ConditionReportError(`Photos are still needed for: ${missing.map(angle => PHOTO_ANGLE_LABELS[angle]).join(', ')}`)
+  }
+  if (!Number.isInteger(odometerKm) || odometerKm < 0) {
+    throw new ConditionReportError('Enter the odometer reading in whole kilometres')
+  }
+  if (!Number.isInteger(fuelLevel) || fuelLevel < 0 || fuelLevel >= FUEL_LEVELS.length) {
+    throw new ConditionReportError('Select the fuel level')
+  }
+  if (damage.some(marker => !marker.panel || !marker.type || !marker.severity)) {
+    throw new ConditionReportError('Every damage marker needs a type and severity')
+  }
+}
+
+export async function listConditionReports(transactionId: string) {
+  return ConditionReport.filter({ transaction_id: transactionId }, 'created_at')
+}
+
+/**
+ * Saves the seller's pickup report or the buyer's delivery report. The
+ * delivery report is compared against pickup straight away; anything found
+ * is posted to the deal room and sent to both parties.
+ */
+export async function recordConditionReport(
+  transactionId: string,
+  stage: ConditionStage,
+  actorDealerId: string,
+  input: ConditionReportInput
+) {
+  const transaction = await Transaction.get(transactionId)
+  const party = getParty(transaction, actorDealerId)
+  if (stage === 'pickup') {
+    if (party !== 'seller') throw new ConditionReportError('The pickup report is recorded by the seller')
+    if (!['pending', 'picked_up'].includes(transaction.transport_status || '')) {
+      throw new ConditionReportError('The pickup report is recorded when the vehicle is collected')
+    }
+  } else {
+    if (party !== 'buyer') throw new ConditionReportError('The delivery report is recorded by the buyer')
+    if (!['picked_up', 'in_transit', 'delivered'].includes(transaction.transport_status || '') || transaction.status !== 'in_escrow') {
+      throw new ConditionReportError('The delivery report is recorded when the vehicle arrives, before escrow is released')
+    }
+  }
+  validateInput(input)
+
+  const reports = await listConditionReports(transactionId)
+  const pickup = reports.find(report => report.stage === 'pickup')
+  const draft = {
+    damage: input.damage,
+    odometer_km: input.odometerKm,
+    fuel_level: input.fuelLevel
+  }
+  const comparison = stage === 'delivery' && pickup
+    ? compareConditionReports(pickup, draft, await getNumericConfig(ODOMETER_TOLERANCE_CONFIG_KEY, DEFAULT_ODOMETER_TOLERANCE_KM))
+    : null
+
+  let report: ConditionReportRecord
+  try {
+    report = await ConditionReport.create({
+      transaction_id: transactionId,
+      stage,
+      recorded_by_dealer_id: actorDealerId,
+      photos: input.photos,
+      ...draft,
+      notes: input.notes?.trim() || null,
+      comparison,
+      flagged: !!comparison && comparison.flags.length > 0
+    })
+  } catch (error) {
+    if ((error as { code?: string }).code === '23505') {
+      throw new ConditionReportError(`The ${stage} report has already been recorded`)
+    }
+    throw error
+  }
+
+  if (report.flagged && comparison) {
+    const message = `The delivery condition report differs from pickup: ${comparison.flags.join('; ')}.`
+    await postSystemMessage(transactionId, actorDealerId, message)
+    for (const dealerId of [transaction.buyer_id, transaction.seller_id]) {
+      try {
+        await notifyDealer(dealerId, {
+          type: 'deal_update',
+          title: 'Condition report flagged',
+          message,
+          link: createPageUrl(`DealRoom?transactionId=${transactionId}`),
+          linkLabel: 'Open the Deal Room'
+        })
+      } catch (notifyError) {
+        console.error('Failed to notify dealer about condition report:', notifyError)
+      }
+    }
+  }
+  return report
+}
+
+/**
+ * Raises a partial refund request from a flagged delivery report. The open
+ * request holds escrow release until the seller responds or an admin steps in.
+ */
+export async function openConditionDispute(transactionId: string, { amount, actorDealerId }: { amount: number, actorDealerId: string }) {
+  const reports = await listConditionReports(transactionId)
+  const delivery = reports.find(report => report.stage === 'delivery')
+  if (!delivery?.flagged || !delivery.comparison) {
+    throw new ConditionReportError('Only a flagged delivery report can be disputed')
+  }
+  if (delivery.dispute_opened_at) throw new ConditionReportError('A dispute has already been opened for this report')
+  if (delivery.dispute_waived_at) throw new ConditionReportError('The vehicle has already been accepted as it arrived')
+
+  const notices = collectNotificationErrors()
+  const updated = await requestPartialRefund(transactionId, {
+    amount,
+    actorDealerId,
+    reason: `Condition at delivery: ${delivery.comparison.flags.join('; ')}`,
+    conditionReportId: delivery.id,
+    onNotifyError: notices.onNotifyError
+  })
+  await ConditionReport.update(delivery.id, { dispute_opened_at: new Date().toISOString() })
+  notices.settle()
+  return updated
+}
+
+/**
+ * The buyer's decision not to dispute a flagged delivery report. Lifts the
+ * hold the report places on confirming delivery and releasing escrow.
+ */
+export async function acceptDeliveredCondition(transactionId: string, actorDealerId: string) {
+  const transaction = await Transaction.get(transactionId)
+  if (getParty(transaction, actorDealerId) !== 'buyer') {
+    throw new ConditionReportError('Only the buyer can accept the vehicle as it arrived')
+  }
+  const reports = await listConditionReports(transactionId)
+  const delivery = reports.find(report => report.stage === 'delivery')
+  if (!delivery?.flagged) throw new ConditionReportError('Only a flagged delivery report needs to be accepted')
+  if (delivery.dispute_opened_at) throw new ConditionReportError('A dispute has already been opened for this report')
+  if (delivery.dispute_waived_at) return delivery
+
+  const updated = await ConditionReport.update(delivery.id, { dispute_waived_at: new Date().toISOString() })
+  await postSystemMessage(transactionId, actorDealerId,
+    'The buyer accepted the vehicle as it arrived, despite the differences found at delivery, and will not dispute them.')
+  return updated
+}
@@ -0,0 +1,245 @@
+import { PdfDocument, A4_WIDTH, A4_HEIGHT, fitText, drawQrCode } from '@/utils/pdf'
+import { fillTemplate, resolvePath } from '@/api/documentTemplates'
+import type { DocumentTemplate, TemplateColumn } from '@/api/documentTemplates'
+import type { DocumentSignature as DocumentSignatureRecord } from '@/api/types'
+
+const MARGIN = 40
+const RIGHT = A4_WIDTH - MARGIN
+const CONTENT_WIDTH = RIGHT - MARGIN
+// Room kept clear for the footer
+const BOTTOM = A4_HEIGHT - 70
+const LABEL_WIDTH = 150
+// The verification QR code sits at the top right of the first page
+const QR_SIZE = 52
+const LETTERHEAD_WIDTH = CONTENT_WIDTH - QR_SIZE - 16
+
+export interface DocumentParty {
+  businessName?: string
+  address?: string
+  city?: string
+  state?: string
+  pincode?: string
+  gstin?: string
+  pan?: string
+  phone?: string
+  email?: string
+}
+
+export interface DealDocumentData {
+  documentNumber: string
+  generatedAt: string
+  seller: DocumentParty
+  buyer: DocumentParty
+  [key: string]: unknown
+}
+
+const join = (parts: (string | undefined | null)[], separator: string) => parts.filter(Boolean).join(separator)
+
+// The issuing dealer's name and contact details across the top of each page
+function letterhead(pdf: PdfDocument, dealer: DocumentParty) {
+  pdf.text(MARGIN, 48, fitText(dealer.businessName || '', LETTERHEAD_WIDTH, 16, 'bold'), { size: 16, font: 'bold' })
+  pdf.text(MARGIN, 64, fitText(join([dealer.address, dealer.city, join([dealer.state, dealer.pincode], ' - ')], ', '), LETTERHEAD_WIDTH, 8), { size: 8 })
+  pdf.text(MARGIN, 76, fitText(join([
+    dealer.gstin && `GSTIN: ${dealer.gstin}`,
+    dealer.pan && `PAN: ${dealer.pan}`,
+    dealer.phone && `Phone: ${dealer.phone}`,
+    dealer.email
+  ], '   '), LETTERHEAD_WIDTH, 8), { size: 8 })
+  pdf.line(MARGIN, 86, RIGHT, 86, 1)
+  return 108
+}
+
+function partyBlock(pdf: PdfDocument, x: number, y: number, heading: string, party: DocumentParty) {
+  pdf.text(x, y, heading, { size: 8, font: 'bold' })
+  pdf.text(x, y + 14, party.businessName, { size: 10, font: 'bold' })
+  let next = pdf.paragraph(x, y + 28, join([party.address, party.city, join([party.state, party.pincode], ' - ')], ', '), 240, { size: 9 })
+  for (const line of [party.gstin && `GSTIN: ${party.gstin}`, party.pan && `PAN: ${party.pan}`, party.phone && `Phone: ${party.phone}`]) {
+    if (!line) continue
+    pdf.text(x, next, line, { size: 9 })
+    next += 12
+  }
+  return next
+}
+
+/**
+ * Lays out a deal document from a template and the data snapshot stored
+ * with it. Pages break between blocks and each page repeats the seller's
+ * letterhead; the caller numbers the pages once nothing more is appended.
+ */
+export function renderDealDocument(template: DocumentTemplate, data: DealDocumentData) {
+  const pdf = new PdfDocument()
+  const fill = (text: string, scope: unknown = data) => fillTemplate(text, scope)
+  let y = letterhead(pdf, data.seller)
+
+  const newPage = () => {
+    pdf.addPage()
+    y = letterhead(pdf, data.seller)
+  }
+  const ensureSpace = (height: number) => {
+    if (y + height > BOTTOM) newPage()
+  }
+
+  const heading = (text?: string) => {
+    if (!text) return
+    ensureSpace(40)
+    pdf.text(MARGIN, y, text.toUpperCase(), { size: 9, font: 'bold' })
+    pdf.line(MARGIN, y + 4, RIGHT, y + 4)
+    y += 18
+  }
+
+  const tableRow = (columns: TemplateColumn[], values: string[], options: { font?: 'bold' } = {}) => {
+    let x = MARGIN + 6
+    columns.forEach((column, index) => {
+      const value = fitText(values[index], column.width - 12, 9, options.font)
+      pdf.text(column.align === 'right' ? x + column.width - 12 : x, y, value, { size: 9, align: column.align, ...options })
+      x += column.width
+    })
+  }
+
+  pdf.text(A4_WIDTH / 2, y, fill(template.title), { size: 14, font: 'bold', align: 'center' })
+  y += 14
+  if (template.subtitle) {
+    pdf.text(A4_WIDTH / 2, y, fill(template.subtitle), { size: 8, align: 'center' })
+    y += 12
+  }
+  y += 6
+  pdf.text(MARGIN, y, `No: ${data.documentNumber}`, { size: 9, font: 'bold' })
+  pdf.text(RIGHT, y, `Date: ${fill('{{generatedAt | date}}')}`, { size: 9, align: 'right' })
+  y += 24
+
+  for (const section of template.sections) {
+    heading(section.heading)
+    switch (section.kind) {
+      case 'parties':
+        ensureSpace(90)
+        y = Math.max(
+          partyBlock(pdf, MARGIN, y, 'SELLER', data.seller),
+          partyBlock(pdf, A4_WIDTH / 2 + 10, y, 'BUYER', data.buyer)
+        ) + 12
+        break
+      case 'fields':
+        for (const field of section.fields) {
+          ensureSpace(14)
+          pdf.text(MARGIN, y, field.label, { size: 9 })
+          y = pdf.paragraph(MARGIN + LABEL_WIDTH, y, fill(field.value), CONTENT_WIDTH - LABEL_WIDTH, { size: 9, font: 'bold' }) + 3
+        }
+        y += 10
+        break
+      case 'text':
+        for (const paragraph of fill(section.body).split('\n')) {
+          ensureSpace(26)
+          y = pdf.paragraph(MARGIN, y, paragraph, CONTENT_WIDTH, { size: 9 }) + 5
+        }
+        y += 8
+        break
+      case 'table': {
+        const rows = resolvePath(data, section.source)
+        const items = Array.isArray(rows) ? rows : []
+        const header = () => {
+          pdf.rect(MARGIN, y - 12, CONTENT_WIDTH, 18, { fill: 0.9 })
+          tableRow(section.columns, section.columns.map(column => column.label), { font: 'bold' })
+          y += 18
+        }
+        ensureSpace(40)
+        header()
+        if (items.length === 0 && section.empty) {
+          pdf.text(MARGIN + 6, y, section.empty, { size: 9 })
+          y += 14
+        }
+        for (const item of items) {
+          if (y + 14 > BOTTOM) {
+            newPage()
+            header()
+          }
+          tableRow(section.columns, section.columns.map(column => fill(column.value, item)))
+          y += 14
+        }
+        y += 10
+        break
+      }
+    }
+  }
+
+  // Signature blocks side by side, kept together on one page
+  if (template.signatories.length > 0) {
+    ensureSpace(90)
+    y += 10
+    const width = CONTENT_WIDTH / template.signatories.length
+    template.signatories.forEach((signatory, index) => {
+      const x = MARGIN + index * width
+      const party = data[signatory.party]
+      pdf.text(x, y, signatory.label, { size: 8, font: 'bold' })
+      pdf.line(x, y + 44, x + width - 30, y + 44)
+      pdf.text(x, y + 56, `For ${party.businessName || ''}`, { size: 9 })
+      pdf.text(x, y + 68, 'Authorised signatory', { size: 8 })
+    })
+  }
+
+  for (let index = 0; index < pdf.pageCount; index++) {
+    pdf.goToPage(index)
+    pdf.line(MARGIN, A4_HEIGHT - 42, RIGHT, A4_HEIGHT - 42)
+    pdf.text(MARGIN, A4_HEIGHT - 28, fill(template.footer || `${template.title} - ${data.documentNumber}`), { size: 7 })
+  }
+  return pdf
+}
+
+// Both the template layouts and the tax invoice leave this corner free
+export function stampVerificationCode(pdf: PdfDocument, url: string) {
+  pdf.goToPage(0)
+  drawQrCode(pdf, RIGHT - QR_SIZE, 16, QR_SIZE, url)
+  pdf.text(RIGHT - QR_SIZE / 2, 76, 'Scan to verify', { size: 6, align: 'center' })
+  return pdf
+}
+
+export interface SigningCertificate {
+  title: string
+  documentNumber: string
+  documentHash: string
+  signatures: DocumentSignatureRecord[]
+}
+
+const utc = (value: string) => new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')
+
+/**
+ * Adds a page recording who signed, when, and the hash they signed. The
+ * signature hashes let anyone holding the signature records check them.
+ */
+export function appendSigningCertificate(pdf: PdfDocument, certificate: SigningCertificate) {
+  pdf.addPage()
+  let y = 60
+  pdf.text(A4_WIDTH / 2, y, 'SIGNING CERTIFICATE', { size: 14, font: 'bold', align: 'center' })
+  y += 30
+
+  const row = (label: string, value: string, options: { size?: number } = {}) => {
+    pdf.text(MARGIN, y, label, { size: 9 })
+    pdf.text(MARGIN + LABEL_WIDTH, y, value, { size: options.size || 9, font: 'bold' })
+    y += 14
+  }
+  row('Document', certificate.title)
+  row('Document number', certificate.documentNumber)
+  row('Document hash (SHA-256)', certificate.documentHash, { size: 8 })
+  y += 16
+
+  for (const signature of certificate.signatures) {
+    pdf.text(MARGIN, y, signature.party === 'seller' ? 'SIGNED BY THE SELLER' : 'SIGNED BY THE BUYER', { size: 9, font: 'bold' })
+    pdf.line(MARGIN, y + 4, RIGHT, y + 4)
+    y += 18
+    row('Signer', signature.signer_name || '-')
+    row('Email', signature.signer_email)
+    row('Dealer ID', signature.signer_dealer_id)
+    row('Signed at', utc(signature.signed_at))
+    row('Verified by', 'One-time code sent to the signer\'s email')
+    row('Hash signed', signature.document_hash, { size: 8 })
+    row('Signature hash', signature.signature_hash, { size: 8 })
+    y += 16
+  }
+
+  pdf.paragraph(MARGIN, y, [
+    'Each signer confirmed with a one-time code and signed the document data with the hash shown above.',
+    'If the document data is changed in any way its hash changes, and the signatures no longer match it.'
+  ].join(' '), CONTENT_WIDTH, { size: 8 })
+
+  pdf.line(MARGIN, A4_HEIGHT - 42, RIGHT, A4_HEIGHT - 42)
+  pdf.text(MARGIN, A4_HEIGHT - 28, `Signing certificate - ${certificate.documentNumber}`, { size: 7 })
+  return pdf
+}
@@ -0,0 +1,300 @@
+import { DigitalDocument, DocumentSignature, LogisticsPartner, PaymentGateway } from '@/api/entities'
+import { UploadFile } from '@/api/integrations'
+import { issueTaxInvoice, getTaxInvoice } from '@/api/taxInvoices'
+import { renderTaxInvoice } from '@/api/taxInvoicePdf'
+import { renderDealDocument, appendSigningCertificate, stampVerificationCode } from '@/api/dealDocumentPdf'
+import type { DealDocumentData, DocumentParty } from '@/api/dealDocumentPdf'
+import { getActiveTemplate, resolveTemplate } from '@/api/documentTemplates'
+import type { DocumentTemplate, RenderableDocumentType } from '@/api/documentTemplates'
+import { listConditionReports } from '@/api/conditionReports'
+import { getHandoverProof } from '@/api/handoverOtp'
+import { sha256Hex } from '@/api/paymentGateways'
+import { documentVerificationUrl } from '@/api/documentVerification'
+import { numberPages } from '@/utils/pdf'
+import type {
+  DealDocumentType,
+  Dealer as DealerRecord,
+  DigitalDocument as DigitalDocumentRecord,
+  DocumentSignature as DocumentSignatureRecord,
+  TaxInvoice as TaxInvoiceRecord,
+  Transaction as TransactionRecord,
+  Vehicle as VehicleRecord
+} from '@/api/types'
+
+export const DOCUMENT_TYPE_LABELS: Record<DealDocumentType, string> = {
+  sale_agreement: 'Sale Agreement',
+  invoice: 'Tax Invoice',
+  receipt: 'Payment Receipt',
+  delivery_receipt: 'Delivery Note'
+}
+
+export interface DealParties {
+  transaction: TransactionRecord
+  vehicle: VehicleRecord
+  seller: DealerRecord
+  buyer: DealerRecord
+}
+
+export class DocumentError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'DocumentError'
+  }
+}
+
+// JSON with the keys of every object sorted. `document_data` is stored as
+// jsonb, which does not keep key order, so this is what gets hashed.
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${canonicalJson(item)}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+export async function documentHash(data: unknown) {
+  return sha256Hex(canonicalJson(data))
+}
+
+const party = (dealer: DealerRecord): DocumentParty => ({
+  businessName: dealer.business_name,
+  address: dealer.address,
+  city: dealer.city,
+  state: dealer.state,
+  pincode: dealer.pincode,
+  gstin: dealer.gstin,
+  pan: dealer.pan,
+  phone: dealer.phone,
+  email: dealer.email
+})
+
+async function paymentsReceived(transactionId: string) {
+  const payments = await PaymentGateway.filter({ transaction_id: transactionId, status: 'completed' }, 'payment_completed_at')
+  return payments.map(payment => ({
+    paidAt: payment.payment_completed_at,
+    method: payment.payment_method || payment.payment_gateway,
+    reference: payment.gateway_payment_id || payment.gateway_order_id,
+    // Only the part held in escrow counts towards the price
+    amount: payment.escrow_amount ?? payment.amount
+  }))
+}
+
+async function deliveryDetails(transaction: TransactionRecord) {
+  const [reports, proof, partner] = await Promise.all([
+    listConditionReports(transaction.id),
+    getHandoverProof(transaction.id),
+    transaction.logistics_partner ? LogisticsPartner.get(transaction.logistics_partner) : null
+  ])
+  return {
+    partner: partner ? partner.partner_name || partner.name : null,
+    handedOverAt: proof?.handed_over_at || null,
+    confirmedAt: transaction.delivery_confirmed_at || null,
+    pickupOdometer: reports.find(report => report.stage === 'pickup')?.odometer_km ?? null,
+    deliveryOdometer: reports.find(report => report.stage === 'delivery')?.odometer_km ?? null
+  }
+}
+
+/**
+ * The snapshot a document is rendered from. It is stored and hashed with
+ * the document, so the PDF can be rebuilt exactly as issued.
+ */
+export async function buildDocumentData(type: DealDocumentType, { transaction, vehicle, seller, buyer }: DealParties, taxInvoice?: TaxInvoiceRecord | null) {
+  const finalAmount = transaction.final_amount || transaction.offer_amount
+  const data: DealDocumentData = {
+    vehicle: {
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      vin: vehicle.vin,
+      registrationNumber: vehicle.registration_number,
+      engineNumber: vehicle.engine_number,
+      chassisNumber: vehicle.chassis_number || vehicle.vin,
+      kilometers: vehicle.kilometers,
+      fuelType: vehicle.fuel_type
+    },
+    transaction: {
+      id: transaction.id,
+      finalAmount,
+      transactionDate: transaction.created_at
+    },
+    seller: party(seller),
+    buyer: party(buyer),
+    generatedAt: new Date().toISOString(),
+    documentNumber: taxInvoice ? taxInvoice.invoice_number : `${type.toUpperCase()}-${transaction.id.slice(0, 8).toUpperCase()}-${Date.now().toString(36).toUpperCase()}`
+  }
+
+  if (taxInvoice) {
+    data.taxInvoice = {
+      id: taxInvoice.id,
+      invoiceNumber: taxInvoice.invoice_number,
+      supplyType: taxInvoice.supply_type,
+      taxableValue: taxInvoice.taxable_value,
+      cgst: taxInvoice.cgst,
+      sgst: taxInvoice.sgst,
+      igst: taxInvoice.igst,
+      cess: taxInvoice.cess
+    }
+  }
+  if (type === 'receipt') {
+    const payments = await paymentsReceived(transaction.id)
+    const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0)
+    data.payments = payments
+    data.receipt = { totalPaid, balanceDue: Math.max(0, finalAmount - totalPaid) }
+  }
+  if (type === 'delivery_receipt') {
+    data.delivery = await deliveryDetails(transaction)
+  }
+  return data
+}
+
+type RenderSource = Pick<DigitalDocumentRecord, 'transaction_id' | 'document_type' | 'document_data' | 'document_hash'>
+
+// Tax invoices use their statutory layout; the rest come from templates.
+// Every document carries a QR code linking to its public verification page,
+// and signed ones get the signing certificate as their last page.
+export async function renderDocumentPdf(document: RenderSource, signatures: DocumentSignatureRecord[] = []) {
+  const data = document.document_data as DealDocumentData
+  let pdf
+  if (document.document_type === 'invoice') {
+    const invoice = await getTaxInvoice(document.transaction_id)
+    if (!invoice) throw new DocumentError('No tax invoice has been issued for this deal')
+    pdf = renderTaxInvoice(invoice)
+  } else {
+    // Documents made before dealer templates have no `template` and used the default
+    const { versionId } = (data.template || {}) as { versionId?: string | null }
+    const { template } = await resolveTemplate(document.document_type as RenderableDocumentType, versionId)
+    if (!template) throw new DocumentError(`There is no template for ${document.document_type}`)
+    pdf = renderDealDocument(template, data)
+  }
+  stampVerificationCode(pdf, documentVerificationUrl(document.document_hash))
+  if (signatures.length > 0) {
+    appendSigningCertificate(pdf, {
+      title: DOCUMENT_TYPE_LABELS[document.document_type as DealDocumentType] || document.document_type,
+      documentNumber: data.documentNumber,
+      documentHash: document.document_hash,
+      signatures
+    })
+  }
+  return numberPages(pdf, document.document_type === 'invoice' ? { y: 828 } : {})
+}
+
+async function storePdf(document: RenderSource, signatures: DocumentSignatureRecord[] = []) {
+  const content = (await renderDocumentPdf(document, signatures)).toString()
+  const number = String((document.document_data as DealDocumentData).documentNumber).replace(/[^\w-]+/g, '-')
+  const file = new File([content], `${number}.pdf`, { type: 'application/pdf' })
+  const { file_url } = await UploadFile({ file })
+  return { document_url: file_url, file_hash: await sha256Hex(content), rendered_at: new Date().toISOString() }
+}
+
+export async function listDealDocuments(transactionId: string) {
+  return DigitalDocument.filter({ transaction_id: transactionId }, '-created_at')
+}
+
+/**
+ * Builds, renders and stores a document for the deal. Both parties get
+ * signing rights; invoices are issued (or reused) first so the document
+ * carries the invoice number. Other documents use the seller's current
+ * template, and the version is part of the hashed data, so signatures
+ * cover the exact terms printed.
+ */
+export async function generateDealDocument(type: DealDocumentType, deal: DealParties) {
+  const taxInvoice = type === 'invoice' ? await issueTaxInvoice(deal.transaction.id) : null
+  const resolved = type === 'invoice' ? null : await getActiveTemplate(deal.seller.id, type)
+  const documentData = await buildDocumentData(type, deal, taxInvoice)
+  if (resolved) documentData.template = { versionId: resolved.versionId, label: resolved.label }
+  const draft = {
+    transaction_id: deal.transaction.id,
+    document_type: type,
+    document_data: documentData,
+    document_hash: await documentHash(documentData)
+  }
+
+  return DigitalDocument.create({
+    ...draft,
+    ...(await storePdf(draft)),
+    template_used: resolved ? resolved.label : `${type}_template_v1`,
+    template_version_id: resolved?.versionId || null,
+    generated_at: documentData.generatedAt,
+    legal_validity: 'draft',
+    access_permissions: [
+      { user_email: deal.seller.created_by, permission: 'sign' },
+      { user_email: deal.buyer.created_by, permission: 'sign' }
+    ]
+  })
+}
+
+const SAMPLE_BUYER: DocumentParty = {
+  businessName: 'Sample Buyer Motors',
+  address: '45 Residency Road',
+  city: 'Bengaluru',
+  state: 'Karnataka',
+  pincode: '560025',
+  gstin: '29ABCDE1234F1Z5',
+  phone: '+91 80 4000 0000'
+}
+
+// Renders a template against a made-up deal, with the dealer's own details
+// as the seller, for the preview in Settings
+export function renderTemplatePreview(type: RenderableDocumentType, template: DocumentTemplate, dealer: DealerRecord) {
+  const generatedAt = new Date().toISOString()
+  const data: DealDocumentData = {
+    documentNumber: `${type.toUpperCase()}-PREVIEW`,
+    generatedAt,
+    seller: party(dealer),
+    buyer: SAMPLE_BUYER,
+    vehicle: {
+      make: 'Maruti Suzuki',
+      model: 'Swift VXi',
+      year: 2019,
+      vin: 'MA3EWDE1S00123456',
+      registrationNumber: 'MH12AB1234',
+      engineNumber: 'K12MN1234567',
+      chassisNumber: 'MA3EWDE1S00123456',
+      kilometers: 42000,
+      fuelType: 'Petrol'
+    },
+    transaction: { id: 'preview', finalAmount: 550000, transactionDate: generatedAt },
+    payments: [
+      { paidAt: generatedAt, method: 'upi', reference: 'pay_SAMPLE0001', amount: 50000 },
+      { paidAt: generatedAt, method: 'netbanking', reference: 'pay_SAMPLE0002', amount: 500000 }
+    ],
+    receipt: { totalPaid: 550000, balanceDue: 0 },
+    delivery: {
+      partner: 'Sample Transport Co.',
+      handedOverAt: generatedAt,
+      confirmedAt: generatedAt,
+      pickupOdometer: 42000,
+      deliveryOdometer: 42148
+    }
+  }
+  return numberPages(renderDealDocument(template, data))
+}
+
+export async function listDocumentSignatures(documentId: string) {
+  return DocumentSignature.filter({ document_id: documentId }, 'signed_at')
+}
+
+/**
+ * Makes sure the stored PDF is current. Documents generated before PDFs were
+ * rendered point at a file that never existed and were hashed in a form the
+ * database does not preserve, so they are rehashed and rendered here; both
+ * happen before anyone can sign. Executed documents are re-rendered once
+ * with the signing certificate.
+ */
+export async function ensureDocumentFile(document: DigitalDocumentRecord) {
+  if (!document.rendered_at) {
+    const rehashed = { ...document, document_hash: await documentHash(document.document_data) }
+    return DigitalDocument.update(document.id, { document_hash: rehashed.document_hash, ...(await storePdf(rehashed)) })
+  }
+  if (document.legal_validity === 'executed' && !document.certified_at) {
+    const signatures = await listDocumentSignatures(document.id)
+    return DigitalDocument.update(document.id, {
+      ...(await storePdf(document, signatures)),
+      certified_at: new Date().toISOString()
+    })
+  }
+  return document
+}
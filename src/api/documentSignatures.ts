@@ -0,0 +1,154 @@
+import supabase from '@/api/supabaseClient'
+import { postSystemMessage } from '@/api/messages'
+import { sha256Hex } from '@/api/paymentGateways'
+import { documentHash, ensureDocumentFile, listDocumentSignatures, DOCUMENT_TYPE_LABELS } from '@/api/dealDocuments'
+import type {
+  DealDocumentType,
+  DigitalDocument as DigitalDocumentRecord,
+  DocumentSignature as DocumentSignatureRecord
+} from '@/api/types'
+
+// Signing codes are generated, emailed and checked by the `issue_signing_otp`
+// and `sign_document` database functions; see supabase/migrations. A
+// signature binds the signer, the time and the hash of the document data,
+// and the database only marks a document executed once both parties have
+// signed the same hash.
+
+export const SIGNING_CODE_LENGTH = 6
+
+export const REQUIRED_SIGNERS: DocumentSignatureRecord['party'][] = ['seller', 'buyer']
+
+export type SigningStatus = 'signed' | 'invalid' | 'expired' | 'locked' | 'no_active_code' | 'document_changed'
+
+export interface SigningResult {
+  status: SigningStatus
+  attemptsLeft?: number
+  executed?: boolean
+}
+
+export interface SignatureCheck {
+  signature: DocumentSignatureRecord
+  // The signature record is as the database wrote it
+  intact: boolean
+  // It was made over the document data as it is now
+  matchesDocument: boolean
+}
+
+export interface DocumentVerification {
+  dataHash: string
+  // The stored data still hashes to the hash recorded at generation
+  dataIntact: boolean
+  // Null when there is no stored file or it could not be fetched
+  fileIntact: boolean | null
+  signatures: SignatureCheck[]
+  // Every required signer has a signature that is intact and matches
+  fullySigned: boolean
+  altered: boolean
+}
+
+export class SignatureError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'SignatureError'
+  }
+}
+
+// Mirrors `document_signature_payload` in the migration
+export function signaturePayload(signature: Pick<DocumentSignatureRecord,
+  'document_id' | 'party' | 'signer_dealer_id' | 'signer_email' | 'document_hash' | 'signed_at'>) {
+  return [
+    signature.document_id,
+    signature.party,
+    signature.signer_dealer_id,
+    signature.signer_email.toLowerCase(),
+    signature.document_hash,
+    new Date(signature.signed_at).toISOString()
+  ].join('|')
+}
+
+// Emails a new code to the calling signer. Any earlier code stops working.
+export async function requestSigningCode(documentId: string) {
+  const { data, error } = await supabase.rpc('issue_signing_otp', { p_document_id: documentId })
+  if (error) throw new SignatureError(error.message)
+  const [issued] = data as { sent_to: string, expires_at: string }[]
+  return { sentTo: issued.sent_to, expiresAt: issued.expires_at }
+}
+
+/**
+ * Signs the document as the calling dealer. The hash sent with the code is
+ * recomputed here from the data being signed, so a document changed since
+ * it was generated cannot be signed. The second signature executes the
+ * document and its PDF is re-rendered with the signing certificate.
+ */
+export async function signDealDocument(document: DigitalDocumentRecord, code: string, actorDealerId: string): Promise<SigningResult> {
+  if (!new RegExp(`^\\d{${SIGNING_CODE_LENGTH}}$`).test(code)) {
+    throw new SignatureError(`Enter the ${SIGNING_CODE_LENGTH}-digit code from the email`)
+  }
+  const current = await ensureDocumentFile(document)
+  const hash = await documentHash(current.document_data)
+  if (hash !== current.document_hash) {
+    throw new SignatureError('This document was changed after it was generated and cannot be signed')
+  }
+
+  const { data, error } = await supabase.rpc('sign_document', { p_document_id: document.id, p_code: code, p_document_hash: hash })
+  if (error) throw new SignatureError(error.message)
+  const result = data as { status: SigningStatus, attempts_left?: number, party?: string, executed?: boolean }
+
+  if (result.status === 'signed') {
+    const label = DOCUMENT_TYPE_LABELS[current.document_type as DealDocumentType] || current.document_type
+    await postSystemMessage(current.transaction_id, actorDealerId, result.executed
+      ? `${label} signed by the ${result.party}. Both parties have now signed and the document is executed.`
+      : `${label} signed by the ${result.party}.`)
+    if (result.executed) {
+      try {
+        await ensureDocumentFile({ ...current, legal_validity: 'executed' })
+      } catch (renderError) {
+        // Retried by ensureDocumentFile the next time the document is opened
+        console.error('Failed to add the signing certificate:', renderError)
+      }
+    }
+  }
+  return { status: result.status, attemptsLeft: result.attempts_left, executed: result.executed }
+}
+
+async function storedFileHash(url: string) {
+  try {
+    const response = await fetch(url)
+    if (!response.ok) return null
+    return sha256Hex(await response.text())
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Recomputes the document's hash from its data and checks it, and every
+ * signature, against what was recorded. `altered` means something changed
+ * after generation or signing; the PDF is compared too when it can be fetched.
+ */
+export async function verifyDealDocument(document: DigitalDocumentRecord): Promise<DocumentVerification> {
+  const [dataHash, signatures, fileHash] = await Promise.all([
+    documentHash(document.document_data),
+    listDocumentSignatures(document.id),
+    document.file_hash ? storedFileHash(document.document_url) : null
+  ])
+
+  const checks = await Promise.all(signatures.map(async (signature) => ({
+    signature,
+    intact: (await sha256Hex(signaturePayload(signature))) === signature.signature_hash,
+    matchesDocument: signature.document_hash === dataHash
+  })))
+  const dataIntact = dataHash === document.document_hash
+  const fileIntact = fileHash === null ? null : fileHash === document.file_hash
+  const fullySigned = REQUIRED_SIGNERS.every(party =>
+    checks.some(check => check.signature.party === party && check.intact && check.matchesDocument))
+
+  return {
+    dataHash,
+    dataIntact,
+    fileIntact,
+    signatures: checks,
+    fullySigned,
+    altered: !dataIntact || fileIntact === false || checks.some(check => !check.intact || !check.matchesDocument)
+  }
+}
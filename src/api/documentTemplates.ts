@@ -0,0 +1,379 @@
+import { rupeesInWords } from '@/api/taxInvoicePdf'
+import { DocumentTemplateVersion } from '@/api/entities'
+import type { DealDocumentType, DocumentTemplateVersion as DocumentTemplateVersionRecord } from '@/api/types'
+
+// Layouts for the deal documents rendered by `renderDealDocument`. Text can
+// refer to the document data with placeholders such as
+// `{{vehicle.make}}` or `{{transaction.finalAmount | money}}`; the filters
+// are `money`, `words` (rupees in words), `date` and `number`. The tax
+// invoice has a statutory layout of its own in taxInvoicePdf.ts.
+//
+// Dealers can replace these defaults with their own versions, which are
+// kept in "DocumentTemplateVersion" and never changed once saved.
+
+export type TemplateParty = 'seller' | 'buyer'
+
+export interface TemplateField {
+  label: string
+  value: string
+}
+
+export interface TemplateColumn {
+  label: string
+  value: string
+  width: number
+  align?: 'left' | 'right'
+}
+
+export type TemplateSection =
+  | { kind: 'parties', heading?: string }
+  | { kind: 'fields', heading?: string, fields: TemplateField[] }
+  | { kind: 'text', heading?: string, body: string }
+  // One row per item of the array at `source`; column values are resolved
+  // against the item
+  | { kind: 'table', heading?: string, source: string, columns: TemplateColumn[], empty?: string }
+
+export interface TemplateSignatory {
+  party: TemplateParty
+  label: string
+}
+
+export interface DocumentTemplate {
+  title: string
+  subtitle?: string
+  sections: TemplateSection[]
+  signatories: TemplateSignatory[]
+  footer?: string
+}
+
+export type RenderableDocumentType = Exclude<DealDocumentType, 'invoice'>
+
+const VEHICLE_FIELDS: TemplateField[] = [
+  { label: 'Vehicle', value: '{{vehicle.year}} {{vehicle.make}} {{vehicle.model}}' },
+  { label: 'Registration number', value: '{{vehicle.registrationNumber}}' },
+  { label: 'Chassis number / VIN', value: '{{vehicle.chassisNumber}}' },
+  { label: 'Engine number', value: '{{vehicle.engineNumber}}' },
+  { label: 'Odometer', value: '{{vehicle.kilometers | number}} km' },
+  { label: 'Fuel', value: '{{vehicle.fuelType}}' }
+]
+
+export const DEFAULT_DOCUMENT_TEMPLATES: Record<RenderableDocumentType, DocumentTemplate> = {
+  sale_agreement: {
+    title: 'AGREEMENT FOR SALE OF A USED MOTOR VEHICLE',
+    sections: [
+      {
+        kind: 'text',
+        body: 'This agreement is made on {{generatedAt | date}} between the seller and the buyer named below for the sale of the vehicle described in it.'
+      },
+      { kind: 'parties' },
+      { kind: 'fields', heading: 'Vehicle', fields: VEHICLE_FIELDS },
+      {
+        kind: 'fields',
+        heading: 'Consideration',
+        fields: [
+          { label: 'Sale price', value: '{{transaction.finalAmount | money}}' },
+          { label: 'In words', value: '{{transaction.finalAmount | words}}' },
+          { label: 'Mode of payment', value: 'Into the escrow account of the platform' }
+        ]
+      },
+      {
+        kind: 'text',
+        heading: 'Terms',
+        body: [
+          '1. The seller declares that it is the lawful owner of the vehicle and that the vehicle is free from any loan, hypothecation, lien or legal proceedings, except as disclosed in writing to the buyer.',
+          '2. The buyer shall pay the sale price into escrow. It is released to the seller once the buyer confirms delivery and any cooling-off period has ended.',
+          '3. The seller shall hand over the vehicle with its registration certificate, valid insurance, pollution under control certificate, all keys and available service records, and shall sign Forms 29 and 30 for transfer of ownership.',
+          '4. Traffic offences, accidents and claims relating to the vehicle before handover are the responsibility of the seller, and after handover of the buyer.',
+          '5. The parties shall report the transfer of ownership to the registering authority as required by section 50 of the Motor Vehicles Act, 1988.',
+          '6. This agreement is subject to the jurisdiction of the courts at {{seller.city}}.'
+        ].join('\n')
+      }
+    ],
+    signatories: [
+      { party: 'seller', label: 'Seller' },
+      { party: 'buyer', label: 'Buyer' }
+    ]
+  },
+  receipt: {
+    title: 'PAYMENT RECEIPT',
+    sections: [
+      {
+        kind: 'text',
+        body: 'Received from {{buyer.businessName}} the sum of {{receipt.totalPaid | money}} ({{receipt.totalPaid | words}}) towards the purchase of the {{vehicle.year}} {{vehicle.make}} {{vehicle.model}}, registration number {{vehicle.registrationNumber}}. The amount is held in escrow on the platform until the vehicle is delivered.'
+      },
+      {
+        kind: 'table',
+        heading: 'Payments',
+        source: 'payments',
+        empty: 'No payments have been received yet.',
+        columns: [
+          { label: 'Date', value: '{{paidAt | date}}', width: 90 },
+          { label: 'Method', value: '{{method}}', width: 110 },
+          { label: 'Reference', value: '{{reference}}', width: 200 },
+          { label: 'Amount', value: '{{amount | money}}', width: 115, align: 'right' }
+        ]
+      },
+      {
+        kind: 'fields',
+        fields: [
+          { label: 'Agreed price', value: '{{transaction.finalAmount | money}}' },
+          { label: 'Paid to date', value: '{{receipt.totalPaid | money}}' },
+          { label: 'Balance due', value: '{{receipt.balanceDue | money}}' }
+        ]
+      }
+    ],
+    signatories: [{ party: 'seller', label: 'Received by' }]
+  },
+  delivery_receipt: {
+    title: 'DELIVERY NOTE',
+    sections: [
+      {
+        kind: 'text',
+        body: 'The vehicle described below was delivered by {{seller.businessName}} to {{buyer.businessName}}.'
+      },
+      { kind: 'fields', heading: 'Vehicle', fields: VEHICLE_FIELDS.slice(0, 4) },
+      {
+        kind: 'fields',
+        heading: 'Delivery',
+        fields: [
+          { label: 'Transport partner', value: '{{delivery.partner}}' },
+          { label: 'Handed over', value: '{{delivery.handedOverAt | date}}' },
+          { label: 'Delivery confirmed', value: '{{delivery.confirmedAt | date}}' },
+          { label: 'Odometer at pickup', value: '{{delivery.pickupOdometer | number}} km' },
+          { label: 'Odometer at delivery', value: '{{delivery.deliveryOdometer | number}} km' }
+        ]
+      },
+      {
+        kind: 'text',
+        heading: 'Handed over with the vehicle',
+        body: 'Registration certificate, insurance policy, pollution under control certificate, all keys and available service records, unless noted here: ____________________________________________'
+      }
+    ],
+    signatories: [
+      { party: 'seller', label: 'Delivered by' },
+      { party: 'buyer', label: 'Received in good condition by' }
+    ]
+  }
+}
+
+const FILTERS: Record<string, (value: unknown) => string> = {
+  money: (value) => `Rs. ${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+  words: (value) => rupeesInWords(Number(value)),
+  date: (value) => new Date(value as string).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }),
+  number: (value) => Number(value).toLocaleString('en-IN')
+}
+
+export function resolvePath(data: unknown, path: string) {
+  return path.split('.').reduce<unknown>((value, key) => (value as Record<string, unknown> | null | undefined)?.[key], data)
+}
+
+// Missing values print as a dash, so a gap in the data stays visible
+export function fillTemplate(text: string, data: unknown) {
+  return text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, path: string, filter?: string) => {
+    const value = resolvePath(data, path)
+    if (value === undefined || value === null || value === '') return '-'
+    const format = filter ? FILTERS[filter] : undefined
+    return format ? format(value) : String(value)
+  })
+}
+
+export function getDocumentTemplate(type: RenderableDocumentType) {
+  return DEFAULT_DOCUMENT_TEMPLATES[type]
+}
+
+export const RENDERABLE_DOCUMENT_TYPES = Object.keys(DEFAULT_DOCUMENT_TEMPLATES) as RenderableDocumentType[]
+
+// Bump when a default above changes in a way that alters documents
+export const PLATFORM_TEMPLATE_VERSION = 1
+
+export interface TemplateVariable {
+  path: string
+  label: string
+  filter?: string
+}
+
+const partyVariables = (party: TemplateParty, name: string): TemplateVariable[] => [
+  { path: `${party}.businessName`, label: `${name} name` },
+  { path: `${party}.address`, label: `${name} address` },
+  { path: `${party}.city`, label: `${name} city` },
+  { path: `${party}.state`, label: `${name} state` },
+  { path: `${party}.pincode`, label: `${name} PIN code` },
+  { path: `${party}.gstin`, label: `${name} GSTIN` },
+  { path: `${party}.pan`, label: `${name} PAN` },
+  { path: `${party}.phone`, label: `${name} phone` },
+  { path: `${party}.email`, label: `${name} email` }
+]
+
+// The `documentData` fields a template can print, from buildDocumentData
+const COMMON_VARIABLES: TemplateVariable[] = [
+  { path: 'documentNumber', label: 'Document number' },
+  { path: 'generatedAt', label: 'Date issued', filter: 'date' },
+  { path: 'vehicle.make', label: 'Make' },
+  { path: 'vehicle.model', label: 'Model' },
+  { path: 'vehicle.year', label: 'Year' },
+  { path: 'vehicle.registrationNumber', label: 'Registration number' },
+  { path: 'vehicle.chassisNumber', label: 'Chassis number' },
+  { path: 'vehicle.engineNumber', label: 'Engine number' },
+  { path: 'vehicle.vin', label: 'VIN' },
+  { path: 'vehicle.kilometers', label: 'Odometer (km)', filter: 'number' },
+  { path: 'vehicle.fuelType', label: 'Fuel' },
+  { path: 'transaction.finalAmount', label: 'Sale price', filter: 'money' },
+  { path: 'transaction.finalAmount', label: 'Sale price in words', filter: 'words' },
+  { path: 'transaction.transactionDate', label: 'Deal date', filter: 'date' },
+  ...partyVariables('seller', 'Seller'),
+  ...partyVariables('buyer', 'Buyer')
+]
+
+const TYPE_VARIABLES: Record<RenderableDocumentType, TemplateVariable[]> = {
+  sale_agreement: [],
+  receipt: [
+    { path: 'receipt.totalPaid', label: 'Paid to date', filter: 'money' },
+    { path: 'receipt.totalPaid', label: 'Paid to date in words', filter: 'words' },
+    { path: 'receipt.balanceDue', label: 'Balance due', filter: 'money' }
+  ],
+  delivery_receipt: [
+    { path: 'delivery.partner', label: 'Transport partner' },
+    { path: 'delivery.handedOverAt', label: 'Handed over', filter: 'date' },
+    { path: 'delivery.confirmedAt', label: 'Delivery confirmed', filter: 'date' },
+    { path: 'delivery.pickupOdometer', label: 'Odometer at pickup', filter: 'number' },
+    { path: 'delivery.deliveryOdometer', label: 'Odometer at delivery', filter: 'number' }
+  ]
+}
+
+// Lists a table section can repeat over, and the fields of each row
+export const TABLE_SOURCES: Partial<Record<RenderableDocumentType, Record<string, TemplateVariable[]>>> = {
+  receipt: {
+    payments: [
+      { path: 'paidAt', label: 'Payment date', filter: 'date' },
+      { path: 'method', label: 'Method' },
+      { path: 'reference', label: 'Reference' },
+      { path: 'amount', label: 'Amount', filter: 'money' }
+    ]
+  }
+}
+
+export function templateVariables(type: RenderableDocumentType) {
+  return [...COMMON_VARIABLES, ...TYPE_VARIABLES[type]]
+}
+
+export const placeholder = (variable: TemplateVariable) =>
+  `{{${variable.path}${variable.filter ? ` | ${variable.filter}` : ''}}}`
+
+export class TemplateError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TemplateError'
+  }
+}
+
+// Placeholders that would print a dash whatever the deal, e.g. misspelt paths
+function checkPlaceholders(text: string, known: TemplateVariable[], where: string, problems: string[]) {
+  const paths = new Set(known.map(variable => variable.path))
+  for (const [match, path, filter] of text.matchAll(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g)) {
+    if (!paths.has(path)) problems.push(`${where}: ${match} is not a known field`)
+    else if (filter && !FILTERS[filter]) problems.push(`${where}: ${match} uses an unknown filter "${filter}"`)
+  }
+  if (/\{\{(?![^{}]*\}\})/.test(text)) problems.push(`${where}: a placeholder is missing its closing }}`)
+}
+
+/**
+ * Returns what is wrong with a template, as sentences for the editor; an
+ * empty list means it can be saved.
+ */
+export function validateTemplate(template: DocumentTemplate, type: RenderableDocumentType) {
+  const problems: string[] = []
+  const variables = templateVariables(type)
+  if (!template.title?.trim()) problems.push('The title is empty')
+  checkPlaceholders(template.title || '', variables, 'Title', problems)
+  checkPlaceholders(template.subtitle || '', variables, 'Subtitle', problems)
+  checkPlaceholders(template.footer || '', variables, 'Footer', problems)
+
+  template.sections.forEach((section, index) => {
+    const where = `Section ${index + 1}${section.heading ? ` (${section.heading})` : ''}`
+    switch (section.kind) {
+      case 'text':
+        if (!section.body.trim()) problems.push(`${where}: the text is empty`)
+        checkPlaceholders(section.body, variables, where, problems)
+        break
+      case 'fields':
+        section.fields.forEach(field => {
+          if (!field.label.trim()) problems.push(`${where}: a row has no label`)
+          checkPlaceholders(field.value, variables, where, problems)
+        })
+        break
+      case 'table': {
+        const rowFields = TABLE_SOURCES[type]?.[section.source]
+        if (!rowFields) {
+          problems.push(`${where}: there is no list called "${section.source}" in this document`)
+          break
+        }
+        section.columns.forEach(column => checkPlaceholders(column.value, rowFields, where, problems))
+        break
+      }
+    }
+  })
+
+  for (const signatory of template.signatories) {
+    if (signatory.party !== 'seller' && signatory.party !== 'buyer') problems.push(`Signatory "${signatory.label}" must be the seller or the buyer`)
+  }
+  return problems
+}
+
+export interface ResolvedTemplate {
+  template: DocumentTemplate
+  // Null for the platform default
+  versionId: string | null
+  // Recorded on each document as `template_used`
+  label: string
+}
+
+const platformTemplate = (type: RenderableDocumentType): ResolvedTemplate => ({
+  template: DEFAULT_DOCUMENT_TEMPLATES[type],
+  versionId: null,
+  label: `${type}_template_v${PLATFORM_TEMPLATE_VERSION}`
+})
+
+const dealerTemplate = (record: DocumentTemplateVersionRecord): ResolvedTemplate => ({
+  template: record.template as unknown as DocumentTemplate,
+  versionId: record.id,
+  label: `${record.document_type}_dealer_v${record.version}`
+})
+
+export async function listTemplateVersions(dealerId: string, type: RenderableDocumentType) {
+  return DocumentTemplateVersion.filter({ dealer_id: dealerId, document_type: type }, '-version')
+}
+
+// The dealer's latest version, or the platform default if they have none
+export async function getActiveTemplate(dealerId: string, type: RenderableDocumentType) {
+  const [latest] = await DocumentTemplateVersion.filter({ dealer_id: dealerId, document_type: type }, '-version', 1)
+  return latest ? dealerTemplate(latest) : platformTemplate(type)
+}
+
+// The exact template a document was rendered with
+export async function resolveTemplate(type: RenderableDocumentType, versionId?: string | null) {
+  return versionId ? dealerTemplate(await DocumentTemplateVersion.get(versionId)) : platformTemplate(type)
+}
+
+/**
+ * Saves the template as the dealer's next version. Going back to an older
+ * version, or to the platform default, is done by saving it again.
+ */
+export async function saveTemplateVersion(dealerId: string, type: RenderableDocumentType, template: DocumentTemplate, note?: string) {
+  const problems = validateTemplate(template, type)
+  if (problems.length > 0) throw new TemplateError(problems[0])
+  const [latest] = await listTemplateVersions(dealerId, type)
+  try {
+    return await DocumentTemplateVersion.create({
+      dealer_id: dealerId,
+      document_type: type,
+      version: (latest?.version || 0) + 1,
+      template: template as unknown as Record<string, unknown>,
+      note: note?.trim() || null
+    })
+  } catch (error) {
+    if ((error as { code?: string }).code === '23505') {
+      throw new TemplateError('Another version was saved in the meantime. Reload the templates and try again.')
+    }
+    throw error
+  }
+}
@@ -0,0 +1,55 @@
+import supabase from '@/api/supabaseClient'
+import { createPageUrl } from '@/utils'
+import type { DealDocumentType, DocumentSignature as DocumentSignatureRecord } from '@/api/types'
+
+// Public, read-only checks of deal documents by the `verify_public_document`
+// database function. It needs no login and returns party details masked.
+
+export interface PublicDocumentParty {
+  name: string | null
+  city: string | null
+  gstin: string | null
+}
+
+export interface PublicDocumentSignature {
+  party: DocumentSignatureRecord['party']
+  signer_name: string | null
+  signed_at: string
+  valid: boolean
+}
+
+export interface PublicDocumentVerification {
+  found: boolean
+  document_type?: DealDocumentType
+  document_number?: string
+  generated_at?: string
+  legal_validity?: 'draft' | 'executed'
+  amount?: number | null
+  vehicle?: string | null
+  registration_number?: string | null
+  seller?: PublicDocumentParty
+  buyer?: PublicDocumentParty
+  recorded_hash?: string
+  // The stored data still hashes to the hash recorded when it was generated
+  hash_matches?: boolean
+  signatures?: PublicDocumentSignature[]
+}
+
+export class VerificationError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'VerificationError'
+  }
+}
+
+// The link printed as a QR code on each document
+export function documentVerificationUrl(documentHash: string) {
+  return `${window.location.origin}${createPageUrl(`VerifyDocument?ref=${documentHash}`)}`
+}
+
+// Looks a document up by its number, the hash of its data or of its PDF
+export async function verifyPublicDocument(reference: string): Promise<PublicDocumentVerification> {
+  const { data, error } = await supabase.rpc('verify_public_document', { p_reference: reference.trim() })
+  if (error) throw new VerificationError(error.message)
+  return data as PublicDocumentVerification
+}
@@ -0,0 +1,279 @@
+import supabase from '@/api/supabaseClient'
+import type {
+  Dealer as DealerRecord,
+  Vehicle as VehicleRecord,
+  Transaction as TransactionRecord,
+  Notification as NotificationRecord,
+  Offer as OfferRecord,
+  Message as MessageRecord,
+  AuctionBid as AuctionBidRecord,
+  LedgerEntry as LedgerEntryRecord,
+  EscrowEvent as EscrowEventRecord,
+  MarketingAsset as MarketingAssetRecord,
+  RTOApplication as RTOApplicationRecord,
+  SocialMediaAccount as SocialMediaAccountRecord,
+  PaymentGateway as PaymentGatewayRecord,
+  DigitalDocument as DigitalDocumentRecord,
+  TaxInvoice as TaxInvoiceRecord,
+  LogisticsPartner as LogisticsPartnerRecord,
+  TransportBooking as TransportBookingRecord,
+  TrackingEvent as TrackingEventRecord,
+  HandoverProof as HandoverProofRecord,
+  ConditionReport as ConditionReportRecord,
+  DocumentSignature as DocumentSignatureRecord,
+  DocumentTemplateVersion as DocumentTemplateVersionRecord,
+  Feedback as FeedbackRecord,
+  SystemConfig as SystemConfigRecord,
+  SystemLog as SystemLogRecord,
+  User as UserRecord
+} from '@/api/types'
+
+// Base44 exposes `created_date`/`updated_date`; our tables store `created_at`/`updated_at`.
+const FIELD_ALIASES: Record<string, string> = {
+  created_date: 'created_at',
+  updated_date: 'updated_at'
+}
+
+type Row = { id: string; [key: string]: unknown }
+type Query = Record<string, unknown>
+type WithDates<T> = T & { created_date?: string; updated_date?: string }
+
+export class ConcurrencyError extends Error {
+  table: string
+  id: string
+
+  constructor(table: string, id: string, message?: string) {
+    super(message || `${table} ${id} was modified by someone else. Please reload and try again.`)
+    this.name = 'ConcurrencyError'
+    this.table = table
+    this.id = id
+  }
+}
+
+export interface MutateOptions {
+  maxAttempts?: number
+}
+
+export interface Entity<T extends Row> {
+  list(sort?: string, limit?: number): Promise<WithDates<T>[]>
+  filter(query: Query, sort?: string, limit?: number): Promise<WithDates<T>[]>
+  get(id: string): Promise<WithDates<T>>
+  create(record: Partial<T>): Promise<WithDates<T>>
+  update(id: string, update: Partial<T>): Promise<WithDates<T>>
+  delete(id: string): Promise<void>
+  mutate(
+    id: string,
+    change: (current: WithDates<T>) => Partial<T> | Promise<Partial<T>>,
+    options?: MutateOptions
+  ): Promise<WithDates<T>>
+}
+
+function toColumn(field: string) {
+  return FIELD_ALIASES[field] || field
+}
+
+// Parses Base44 sort strings: 'price' is ascending, '-created_date' is descending.
+function parseSort(sort: string) {
+  const descending = sort.startsWith('-')
+  const field = descending ? sort.slice(1) : sort
+  return { column: toColumn(field), ascending: !descending }
+}
+
+function withBase44Fields<T extends Row>(row: T): WithDates<T> {
+  return {
+    ...row,
+    created_date: (row.created_date ?? row.created_at) as string | undefined,
+    updated_date: (row.updated_date ?? row.updated_at) as string | undefined
+  }
+}
+
+// Callers often spread a loaded record back into `update`, so strip the
+// read-only aliases and primary key before writing.
+function toWritable(record: Query) {
+  const { id: _id, created_date: _created, updated_date: _updated, ...rest } = record
+  return rest
+}
+
+export function createEntity<T extends Row>(table: string): Entity<T> {
+  const select = (query: Query = {}, sort?: string, limit?: number) => {
+    let request = supabase.from(table).select('*')
+    for (const [field, value] of Object.entries(query)) {
+      const column = toColumn(field)
+      if (value === null) {
+        request = request.is(column, null)
+      } else if (Array.isArray(value)) {
+        request = request.in(column, value)
+      } else {
+        request = request.eq(column, value)
+      }
+    }
+    if (sort) {
+      const { column, ascending } = parseSort(sort)
+      request = request.order(column, { ascending })
+    }
+    if (limit) {
+      request = request.limit(limit)
+    }
+    return request
+  }
+
+  const get = async (id: string) => {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', id)
+      .single()
+    if (error) throw error
+    return withBase44Fields(data as T)
+  }
+
+  return {
+    async list(sort, limit) {
+      const { data, error } = await select({}, sort, limit)
+      if (error) throw error
+      return (data as T[]).map(withBase44Fields)
+    },
+
+    async filter(query, sort, limit) {
+      const { data, error } = await select(query, sort, limit)
+      if (error) throw error
+      return (data as T[]).map(withBase44Fields)
+    },
+
+    get,
+
+    async create(record) {
+      const { data, error } = await supabase
+        .from(table)
+        .insert(toWritable(record))
+        .select()
+        .single()
+      if (error) throw error
+      return withBase44Fields(data as T)
+    },
+
+    async update(id, update) {
+      const { data, error } = await supabase
+        .from(table)
+        .update(toWritable(update))
+        .eq('id', id)
+        .select()
+        .single()
+      if (error) throw error
+      return withBase44Fields(data as T)
+    },
+
+    async delete(id) {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('id', id)
+      if (error) throw error
+    },
+
+    /**
+     * Optimistic read-modify-write against the row's `version` column.
+     * `change` receives the latest row and returns the fields to write; if
+     * another writer bumped the version in between, the row is re-read and
+     * `change` runs again, so appends such as chat messages are never lost.
+     * Throw from `change` to abort.
+     */
+    async mutate(id, change, { maxAttempts = 5 } = {}) {
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const current = await get(id)
+        const patch = await change(current)
+        const version = (current.version as number | null | undefined) ?? null
+
+        let request = supabase
+          .from(table)
+          .update({ ...toWritable(patch), version: (version || 0) + 1 })
+          .eq('id', id)
+        request = version === null ? request.is('version', null) : request.eq('version', version)
+
+        const { data, error } = await request.select()
+        if (error) throw error
+        if (data && data.length > 0) return withBase44Fields(data[0] as T)
+      }
+      throw new ConcurrencyError(table, id)
+    }
+  }
+}
+
+export const Dealer = createEntity<DealerRecord & Row>('Dealer')
+export const Vehicle = createEntity<VehicleRecord & Row>('Vehicle')
+export const Transaction = createEntity<TransactionRecord & Row>('Transaction')
+export const Offer = createEntity<OfferRecord & Row>('Offer')
+export const Message = createEntity<MessageRecord & Row>('Message')
+export const AuctionBid = createEntity<AuctionBidRecord & Row>('AuctionBid')
+export const LedgerEntry = createEntity<LedgerEntryRecord & Row>('LedgerEntry')
+export const EscrowEvent = createEntity<EscrowEventRecord & Row>('EscrowEvent')
+export const Notification = createEntity<NotificationRecord & Row>('Notification')
+export const MarketingAsset = createEntity<MarketingAssetRecord & Row>('MarketingAsset')
+export const RTOApplication = createEntity<RTOApplicationRecord & Row>('RTOApplication')
+export const SocialMediaAccount = createEntity<SocialMediaAccountRecord & Row>('SocialMediaAccount')
+export const PaymentGateway = createEntity<PaymentGatewayRecord & Row>('PaymentGateway')
+export const DigitalDocument = createEntity<DigitalDocumentRecord & Row>('DigitalDocument')
+export const TaxInvoice = createEntity<TaxInvoiceRecord & Row>('TaxInvoice')
+export const LogisticsPartner = createEntity<LogisticsPartnerRecord & Row>('LogisticsPartner')
+export const TransportBooking = createEntity<TransportBookingRecord & Row>('TransportBooking')
+export const TrackingEvent = createEntity<TrackingEventRecord & Row>('TrackingEvent')
+export const HandoverProof = createEntity<HandoverProofRecord & Row>('HandoverProof')
+export const ConditionReport = createEntity<ConditionReportRecord & Row>('ConditionReport')
+export const DocumentSignature = createEntity<DocumentSignatureRecord & Row>('DocumentSignature')
+export const DocumentTemplateVersion = createEntity<DocumentTemplateVersionRecord & Row>('DocumentTemplateVersion')
+export const Feedback = createEntity<FeedbackRecord & Row>('Feedback')
+export const SystemConfig = createEntity<SystemConfigRecord & Row>('SystemConfig')
+export const SystemLog = createEntity<SystemLogRecord & Row>('SystemLog')
+
+const userEntity = createEntity<UserRecord & Row>('User')
+
+// The User entity combines the Supabase auth session with the profile row
+// in the `User` table (role, permissions, etc.), keyed by email.
+export const User = {
+  ...userEntity,
+
+  async me(): Promise<WithDates<UserRecord & Row>> {
+    const { data, error } = await supabase.auth.getUser()
+    if (error) throw error
+    if (!data.user) throw new Error('Not authenticated')
+
+    const authUser = data.user
+    const [profile] = await userEntity.filter({ email: authUser.email })
+    return {
+      id: authUser.id,
+      email: authUser.email as string,
+      full_name: (authUser.user_metadata?.full_name as string) || '',
+      role: 'user',
+      ...profile
+    }
+  },
+
+  // Kept for call sites written against the older SDK name.
+  async getCurrentUser() {
+    return User.me()
+  },
+
+  async login() {
+    return User.loginWithRedirect(window.location.href)
+  },
+
+  async loginWithRedirect(redirectTo: string) {
+    const { data, error } = await supabase.auth.signInWithOAuth({
+      provider: 'google',
+      options: { redirectTo }
+    })
+    if (error) throw error
+    return data
+  },
+
+  async logout(redirectTo = '/') {
+    const { error } = await supabase.auth.signOut()
+    if (error) throw error
+    window.location.assign(redirectTo)
+  },
+
+  async updateMyUserData(update: Partial<UserRecord>) {
+    const me = await User.me()
+    return userEntity.update(me.id, update)
+  }
+}
@@ -0,0 +1,26 @@
+import { EscrowEvent } from '@/api/entities'
+import type { EscrowEvent as EscrowEventRecord, EscrowEventType } from '@/api/types'
+
+export interface EscrowEventInput {
+  type: EscrowEventType
+  reason: string
+  actor: EscrowEventRecord['actor']
+  actorDealerId?: string | null
+  amount?: number | null
+}
+
+// Every decision that moves or holds escrow funds is kept with its reason.
+export async function recordEscrowEvent(transactionId: string, { type, reason, actor, actorDealerId = null, amount = null }: EscrowEventInput) {
+  return EscrowEvent.create({
+    transaction_id: transactionId,
+    event_type: type,
+    reason,
+    actor,
+    actor_dealer_id: actorDealerId,
+    amount
+  })
+}
+
+export async function listEscrowEvents(transactionId: string) {
+  return EscrowEvent.filter({ transaction_id: transactionId }, 'created_date')
+}
@@ -0,0 +1,258 @@
+import supabase from '@/api/supabaseClient'
+import { LedgerEntry } from '@/api/entities'
+import { getNumericConfig } from '@/api/systemConfig'
+import type {
+  LedgerAccount,
+  LedgerEntry as LedgerEntryRecord,
+  LedgerEntryType,
+  RefundRequest,
+  Transaction as TransactionRecord
+} from '@/api/types'
+
+export const PLATFORM_FEE_CONFIG_KEY = 'platform_fee_percent'
+export const DEFAULT_PLATFORM_FEE_PERCENT = 1
+export const CANCELLATION_FEE_CONFIG_KEY = 'cancellation_fee_percent'
+export const DEFAULT_CANCELLATION_FEE_PERCENT = 2
+
+export const LEDGER_ACCOUNTS: LedgerAccount[] = ['buyer', 'escrow', 'seller', 'platform_fee', 'logistics']
+
+export class LedgerError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'LedgerError'
+  }
+}
+
+export interface JournalLine {
+  account: LedgerAccount
+  debit?: number
+  credit?: number
+}
+
+export interface JournalOptions {
+  memo?: string
+  // Identifies the journal so it is only ever posted once per transaction
+  reference: string
+}
+
+export type AccountBalances = Record<LedgerAccount, number>
+
+const formatRupees = (amount: number) => `₹${amount.toLocaleString('en-IN')}`
+
+/**
+ * Writes one balanced journal through the `post_ledger_journal` function,
+ * which checks it against the deal (see 20261019210000_ledger_journals.sql)
+ * and inserts every line at once so a journal is never half-written.
+ * Amounts are whole rupees. A journal whose reference is already on the
+ * ledger is not posted again; the recorded lines are returned instead.
+ */
+export async function postJournal(
+  transactionId: string,
+  entryType: LedgerEntryType,
+  lines: JournalLine[],
+  { memo, reference }: JournalOptions
+): Promise<LedgerEntryRecord[]> {
+  if (lines.length < 2) throw new LedgerError('A journal needs at least two lines')
+
+  let debits = 0
+  let credits = 0
+  for (const { account, debit = 0, credit = 0 } of lines) {
+    if (!LEDGER_ACCOUNTS.includes(account)) throw new LedgerError(`Unknown ledger account: ${account}`)
+    if (![debit, credit].every(amount => Number.isInteger(amount) && amount >= 0) || (debit > 0) === (credit > 0)) {
+      throw new LedgerError(`Each line needs either a debit or a credit in whole rupees (${account})`)
+    }
+    debits += debit
+    credits += credit
+  }
+  if (debits !== credits) {
+    throw new LedgerError(`Journal does not balance: debits ${formatRupees(debits)}, credits ${formatRupees(credits)}`)
+  }
+
+  const { data, error } = await supabase.rpc('post_ledger_journal', {
+    p_transaction_id: transactionId,
+    p_entry_type: entryType,
+    p_lines: lines.map(({ account, debit = 0, credit = 0 }) => ({ account, debit, credit })),
+    p_memo: memo || null,
+    p_reference: reference
+  })
+  if (error) {
+    // Already recorded, e.g. a gateway reporting the same payment twice
+    if (error.code === '23505') {
+      return LedgerEntry.filter({ transaction_id: transactionId, entry_type: entryType, reference })
+    }
+    throw new LedgerError(error.message)
+  }
+  return data as LedgerEntryRecord[]
+}
+
+export async function listLedgerEntries(transactionId: string) {
+  return LedgerEntry.filter({ transaction_id: transactionId }, 'created_date')
+}
+
+// Net debits per account. Escrow's balance is what the platform still holds;
+// the buyer's goes negative by whatever they paid in and have not had back.
+export function accountBalances(entries: LedgerEntryRecord[]): AccountBalances {
+  const balances = Object.fromEntries(LEDGER_ACCOUNTS.map(account => [account, 0])) as AccountBalances
+  for (const entry of entries) {
+    balances[entry.account] += entry.debit - entry.credit
+  }
+  return balances
+}
+
+/**
+ * The ledger invariant: every journal nets to zero, so the whole ledger for
+ * a transaction does too, and escrow never pays out more than it received.
+ * Returns a description of each violation; an empty list means healthy.
+ */
+export function checkLedger(entries: LedgerEntryRecord[]) {
+  const issues: string[] = []
+
+  const journals = new Map<string, number>()
+  for (const entry of entries) {
+    journals.set(entry.journal_id, (journals.get(entry.journal_id) || 0) + entry.debit - entry.credit)
+  }
+  for (const [journalId, net] of journals) {
+    if (net !== 0) issues.push(`Journal ${journalId} is out of balance by ${formatRupees(Math.abs(net))}`)
+  }
+
+  const { escrow } = accountBalances(entries)
+  if (escrow < 0) issues.push(`Escrow has paid out ${formatRupees(-escrow)} more than it received`)
+
+  return issues
+}
+
+export async function getEscrowSummary(transactionId: string) {
+  const entries = await listLedgerEntries(transactionId)
+  const balances = accountBalances(entries)
+  const sum = (account: LedgerAccount, side: 'debit' | 'credit') =>
+    entries.filter(entry => entry.account === account).reduce((total, entry) => total + entry[side], 0)
+
+  return {
+    entries,
+    balances,
+    funded: sum('escrow', 'debit'),
+    held: balances.escrow,
+    releasedToSeller: balances.seller,
+    platformFee: balances.platform_fee,
+    logistics: balances.logistics,
+    refunded: sum('buyer', 'debit'),
+    issues: checkLedger(entries)
+  }
+}
+
+export async function platformFeeFor(amount: number) {
+  const percent = await getNumericConfig(PLATFORM_FEE_CONFIG_KEY, DEFAULT_PLATFORM_FEE_PERCENT)
+  return Math.round(amount * percent / 100)
+}
+
+// Charged on what is held when a paid deal is cancelled.
+export async function cancellationFeeFor(amount: number) {
+  const percent = await getNumericConfig(CANCELLATION_FEE_CONFIG_KEY, DEFAULT_CANCELLATION_FEE_PERCENT)
+  return Math.round(amount * percent / 100)
+}
+
+/**
+ * Records the buyer's payment landing in escrow, keyed by the gateway's
+ * payment id. Gateways can report the same payment twice; the repeat is
+ * ignored.
+ */
+export async function recordFunding(transactionId: string, amount: number, reference: string) {
+  // Deals agreed before amounts were rounded can carry paise
+  const rupees = Math.round(amount)
+  return postJournal(transactionId, 'funding', [
+    { account: 'escrow', debit: rupees },
+    { account: 'buyer', credit: rupees }
+  ], { memo: 'Buyer payment received into escrow', reference })
+}
+
+/**
+ * Pays out everything held for a deal being completed: the platform fee and any
+ * logistics booked through the platform are withheld, the rest goes to the
+ * seller. The fee is the transaction's `platform_fee` when set, otherwise
+ * the admin-configured percentage.
+ */
+export async function recordRelease(transaction: TransactionRecord) {
+  const entries = await listLedgerEntries(transaction.id)
+  // Paid out by an earlier attempt whose completion did not go through
+  const released = entries.filter(entry => entry.entry_type === 'release')
+  if (released.length > 0) return released
+
+  const { escrow: held } = accountBalances(entries)
+  if (held <= 0) throw new LedgerError('There are no funds in escrow to release')
+
+  const platformFee = Math.round(transaction.platform_fee ?? await platformFeeFor(held))
+  const logisticsCost = Math.round(transaction.estimated_logistics_cost || 0)
+  const payout = held - platformFee - logisticsCost
+  if (payout < 0) {
+    throw new LedgerError(`Fees of ${formatRupees(platformFee + logisticsCost)} exceed the ${formatRupees(held)} held in escrow`)
+  }
+
+  const lines: JournalLine[] = [{ account: 'escrow', credit: held }]
+  if (platformFee > 0) lines.push({ account: 'platform_fee', debit: platformFee })
+  if (logisticsCost > 0) lines.push({ account: 'logistics', debit: logisticsCost })
+  if (payout > 0) lines.push({ account: 'seller', debit: payout })
+
+  return postJournal(transaction.id, 'release', lines, { memo: 'Escrow released on deal completion', reference: 'release' })
+}
+
+export interface RefundOptions {
+  // 'cancellation', or `partialRefundReference` for an agreed request
+  reference: string
+  amount?: number
+  memo?: string
+  // Withheld from the refund as a platform fee, e.g. for a cancellation
+  fee?: number
+}
+
+// Journal reference of the refund for an agreed partial refund request
+export function partialRefundReference(request: Pick<RefundRequest, 'requested_at'>) {
+  return `refund:${request.requested_at}`
+}
+
+// Returns funds to the buyer: the whole escrow balance unless `amount` is given.
+export async function recordRefund(transactionId: string, { reference, amount, memo = 'Refund to buyer', fee = 0 }: RefundOptions) {
+  const { escrow: held } = accountBalances(await listLedgerEntries(transactionId))
+  const refund = amount ?? held
+  if (refund <= 0) return []
+  if (refund > held) {
+    throw new LedgerError(`Cannot refund ${formatRupees(refund)}; only ${formatRupees(held)} is held in escrow`)
+  }
+  if (fee < 0 || fee > refund) {
+    throw new LedgerError(`A fee of ${formatRupees(fee)} cannot be withheld from a ${formatRupees(refund)} refund`)
+  }
+
+  const lines: JournalLine[] = [{ account: 'escrow', credit: refund }]
+  if (refund > fee) lines.push({ account: 'buyer', debit: refund - fee })
+  if (fee > 0) lines.push({ account: 'platform_fee', debit: fee })
+  return postJournal(transactionId, 'refund', lines, { memo, reference })
+}
+
+// What escrow still holds for a transaction.
+export async function heldInEscrow(transactionId: string) {
+  return accountBalances(await listLedgerEntries(transactionId)).escrow
+}
+
+/**
+ * Runs the invariant check across every transaction with ledger entries and
+ * returns the ones that fail it, for the platform admin to investigate.
+ */
+export async function findLedgerDiscrepancies() {
+  const { data, error } = await supabase
+    .from('LedgerEntry')
+    .select('transaction_id, journal_id, account, debit, credit')
+  if (error) throw error
+
+  const byTransaction = new Map<string, LedgerEntryRecord[]>()
+  for (const entry of data as LedgerEntryRecord[]) {
+    const entries = byTransaction.get(entry.transaction_id) || []
+    entries.push(entry)
+    byTransaction.set(entry.transaction_id, entries)
+  }
+
+  const discrepancies: { transactionId: string, issues: string[] }[] = []
+  for (const [transactionId, entries] of byTransaction) {
+    const issues = checkLedger(entries)
+    if (issues.length > 0) discrepancies.push({ transactionId, issues })
+  }
+  return discrepancies
+}
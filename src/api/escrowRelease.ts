@@ -0,0 +1,275 @@
+import supabase from '@/api/supabaseClient'
+import { ConditionReport, Transaction } from '@/api/entities'
+import { getNumericConfig } from '@/api/systemConfig'
+import { recordRelease, recordRefund, heldInEscrow, partialRefundReference, LedgerError } from '@/api/escrowLedger'
+import { recordEscrowEvent } from '@/api/escrowEvents'
+import { collectNotificationErrors } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { releaseBackups } from '@/api/offerQueue'
+import { transitionTransaction, assertCanPerform, getParty, TransitionError } from '@/api/transactionWorkflow'
+import type { Party } from '@/api/transactionWorkflow'
+import type { ConditionReport as ConditionReportRecord, Transaction as TransactionRecord, RefundRequest } from '@/api/types'
+
+// Hours the buyer has after confirming delivery to raise a problem before
+// the seller is paid. Setting it to zero releases escrow as soon as delivery
+// is confirmed.
+export const ESCROW_COOLING_OFF_CONFIG_KEY = 'escrow_cooling_off_hours'
+export const DEFAULT_ESCROW_COOLING_OFF_HOURS = 24
+
+const HOUR = 60 * 60 * 1000
+
+const formatRupees = (amount: number) => `₹${amount.toLocaleString('en-IN')}`
+
+export interface EscrowActor {
+  actorDealerId?: string | null
+  // Set for admins and system sweeps, who are not a party to the deal
+  party?: Party
+  // See `TransitionOptions.onNotifyError`
+  onNotifyError?: NotificationErrorHandler
+}
+
+async function actingParty(transactionId: string, { actorDealerId, party }: EscrowActor) {
+  const transaction = await Transaction.get(transactionId)
+  const resolved = party || getParty(transaction, actorDealerId)
+  if (!resolved) throw new Error('You are not a party to this transaction')
+  return { transaction, party: resolved }
+}
+
+// A flagged delivery report holds the money until the buyer either opens a
+// dispute from it or accepts the vehicle as it arrived
+export function conditionHoldsRelease(report?: Pick<ConditionReportRecord, 'flagged' | 'dispute_opened_at' | 'dispute_waived_at'> | null) {
+  return !!report?.flagged && !report.dispute_opened_at && !report.dispute_waived_at
+}
+
+async function heldByConditionReport(transactionId: string) {
+  const [delivery] = await ConditionReport.filter({ transaction_id: transactionId, stage: 'delivery' }, undefined, 1)
+  return conditionHoldsRelease(delivery)
+}
+
+export function isReleaseDue(transaction: TransactionRecord) {
+  return transaction.status === 'in_escrow' &&
+    transaction.escrow_status === 'paid' &&
+    transaction.transport_status === 'delivered' &&
+    (!transaction.escrow_release_at || new Date(transaction.escrow_release_at) <= new Date())
+}
+
+/**
+ * Pays the seller out of escrow and completes the deal. The platform fee
+ * and logistics are withheld as described in `recordRelease`. The payout is
+ * posted first and the deal only completes once it is on the ledger; if the
+ * completion then fails, calling this again completes it without paying out
+ * twice.
+ */
+export async function releaseEscrow(transactionId: string, { reason, ...actor }: EscrowActor & { reason: string }) {
+  const { transaction, party } = await actingParty(transactionId, actor)
+  assertCanPerform(transaction, 'complete_deal', party)
+  const entries = await recordRelease(transaction)
+  const notices = collectNotificationErrors()
+  const completed = await transitionTransaction(transactionId, 'complete_deal', {
+    actorDealerId: actor.actorDealerId,
+    party,
+    patch: { escrow_status: 'released', escrow_released_at: new Date().toISOString() },
+    onNotifyError: notices.onNotifyError
+  })
+  await releaseBackups(completed.vehicle_id, { onNotifyError: notices.onNotifyError })
+
+  await recordEscrowEvent(transactionId, {
+    type: 'released',
+    reason,
+    actor: party,
+    actorDealerId: actor.actorDealerId,
+    amount: entries.find(entry => entry.account === 'seller')?.debit ?? 0
+  })
+  notices.settle(actor.onNotifyError)
+  return completed
+}
+
+// Releases once the cooling-off window has passed; a no-op otherwise or if
+// someone else got there first.
+export async function releaseIfDue(transaction: TransactionRecord, { onNotifyError }: Pick<EscrowActor, 'onNotifyError'> = {}) {
+  if (!isReleaseDue(transaction) || await heldByConditionReport(transaction.id)) return null
+  try {
+    return await releaseEscrow(transaction.id, {
+      party: 'system',
+      onNotifyError,
+      reason: transaction.escrow_release_at
+        ? 'Cooling-off period ended without an open refund request'
+        : 'Released on confirmed delivery'
+    })
+  } catch (error) {
+    if (error instanceof TransitionError) return null
+    throw error
+  }
+}
+
+/**
+ * Releases every delivered deal whose cooling-off window has ended. There is
+ * no scheduler, so pages that list transactions call this on load. Pass
+ * `dealerId` to limit the sweep to one dealer's deals. A deal that fails
+ * does not stop the sweep; the errors are thrown together once every due
+ * deal has been tried.
+ */
+export async function releaseDueEscrows(dealerId?: string) {
+  let query = supabase
+    .from('Transaction')
+    .select('*')
+    .eq('status', 'in_escrow')
+    .eq('escrow_status', 'paid')
+    .eq('transport_status', 'delivered')
+    // No release time means there was no cooling-off window to wait for
+    .or(`escrow_release_at.is.null,escrow_release_at.lt.${new Date().toISOString()}`)
+  if (dealerId) {
+    query = query.or(`buyer_id.eq.${dealerId},seller_id.eq.${dealerId}`)
+  }
+  const { data, error } = await query
+  if (error) throw error
+
+  const released = []
+  const errors: unknown[] = []
+  for (const transaction of data as TransactionRecord[]) {
+    try {
+      if (await releaseIfDue(transaction, { onNotifyError: error => errors.push(error) })) released.push(transaction.id)
+    } catch (err) {
+      errors.push(err)
+    }
+  }
+  if (errors.length > 0) {
+    throw new AggregateError(errors, `Releasing due escrow ran into ${errors.length} problem(s); ${released.length} deal(s) were released`)
+  }
+  return released
+}
+
+/**
+ * The buyer's confirmation that the vehicle arrived. Starts the cooling-off
+ * window, or releases escrow straight away when there is none. Refused while
+ * a flagged delivery report has been neither disputed nor accepted.
+ */
+export async function confirmDelivery(transactionId: string, buyerId: string, { onNotifyError }: Pick<EscrowActor, 'onNotifyError'> = {}) {
+  if (await heldByConditionReport(transactionId)) {
+    const { status } = await Transaction.get(transactionId)
+    throw new TransitionError('confirm_delivery', status, 'the delivery condition report found changes; open a dispute or accept the vehicle as it arrived first')
+  }
+  const hours = await getNumericConfig(ESCROW_COOLING_OFF_CONFIG_KEY, DEFAULT_ESCROW_COOLING_OFF_HOURS)
+  const now = Date.now()
+  const releaseAt = hours > 0 ? new Date(now + hours * HOUR).toISOString() : null
+
+  const notices = collectNotificationErrors()
+  const delivered = await transitionTransaction(transactionId, 'confirm_delivery', {
+    actorDealerId: buyerId,
+    patch: { delivery_confirmed_at: new Date(now).toISOString(), escrow_release_at: releaseAt },
+    onNotifyError: notices.onNotifyError
+  })
+  await recordEscrowEvent(transactionId, {
+    type: 'delivery_confirmed',
+    reason: 'Buyer confirmed the vehicle was delivered',
+    actor: 'buyer',
+    actorDealerId: buyerId
+  })
+
+  if (releaseAt) {
+    await recordEscrowEvent(transactionId, {
+      type: 'release_scheduled',
+      reason: `Funds release to the seller on ${new Date(releaseAt).toLocaleString()} unless a refund is requested`,
+      actor: 'system'
+    })
+    notices.settle(onNotifyError)
+    return delivered
+  }
+  const released = await releaseIfDue(delivered, { onNotifyError: notices.onNotifyError })
+  notices.settle(onNotifyError)
+  return released || delivered
+}
+
+/**
+ * Proposes returning part of the escrowed amount to the buyer, e.g. for
+ * damage found on delivery. Release is held until the other party agrees
+ * or declines. An admin's request takes effect immediately.
+ */
+export async function requestPartialRefund(
+  transactionId: string,
+  { amount, reason, conditionReportId, ...actor }: EscrowActor & { amount: number, reason: string, conditionReportId?: string }
+) {
+  if (!reason?.trim()) throw new Error('A reason is required for a refund request')
+  const held = await heldInEscrow(transactionId)
+  if (!Number.isInteger(amount) || amount <= 0 || amount >= held) {
+    throw new LedgerError(`A partial refund must be a whole-rupee amount below the ${formatRupees(held)} held in escrow`)
+  }
+
+  const { party } = await actingParty(transactionId, actor)
+  const request: RefundRequest = {
+    amount,
+    reason: reason.trim(),
+    requested_by: party === 'admin' ? 'admin' : party === 'seller' ? 'seller' : 'buyer',
+    requested_at: new Date().toISOString(),
+    status: 'open',
+    condition_report_id: conditionReportId || null
+  }
+  const notices = collectNotificationErrors()
+  const updated = await transitionTransaction(transactionId, 'request_refund', {
+    actorDealerId: actor.actorDealerId,
+    party,
+    patch: { refund_request: request },
+    onNotifyError: notices.onNotifyError
+  })
+  await recordEscrowEvent(transactionId, {
+    type: 'refund_requested',
+    reason: request.reason,
+    actor: party,
+    actorDealerId: actor.actorDealerId,
+    amount
+  })
+
+  if (party === 'admin') {
+    const applied = await respondToRefundRequest(transactionId, { agree: true, note: 'Applied by admin', ...actor, onNotifyError: notices.onNotifyError })
+    notices.settle(actor.onNotifyError)
+    return applied
+  }
+  notices.settle(actor.onNotifyError)
+  return updated
+}
+
+/**
+ * Settles the open refund request. Agreeing returns the amount to the buyer;
+ * either way escrow can be released again afterwards.
+ */
+export async function respondToRefundRequest(
+  transactionId: string,
+  { agree, note = '', ...actor }: EscrowActor & { agree: boolean, note?: string }
+) {
+  const { transaction, party } = await actingParty(transactionId, actor)
+  const request = transaction.refund_request
+  if (!request || transaction.escrow_status !== 'disputed') {
+    throw new TransitionError(agree ? 'agree_refund' : 'decline_refund', transaction.escrow_status || null, 'there is no open refund request')
+  }
+
+  const notices = collectNotificationErrors()
+  const updated = await transitionTransaction(transactionId, agree ? 'agree_refund' : 'decline_refund', {
+    actorDealerId: actor.actorDealerId,
+    party,
+    onNotifyError: notices.onNotifyError,
+    expect: { escrow_status: 'disputed' },
+    patch: {
+      refund_request: { ...request, status: agree ? 'agreed' : 'declined', resolved_at: new Date().toISOString(), resolution_note: note || null },
+      ...(agree ? { refunded_amount: (transaction.refunded_amount || 0) + request.amount } : {})
+    }
+  })
+
+  if (agree) {
+    await recordRefund(transactionId, {
+      reference: partialRefundReference(request),
+      amount: request.amount,
+      memo: `Partial refund: ${request.reason}`
+    })
+  }
+  await recordEscrowEvent(transactionId, {
+    type: agree ? 'refund_agreed' : 'refund_declined',
+    reason: note || request.reason,
+    actor: party,
+    actorDealerId: actor.actorDealerId,
+    amount: request.amount
+  })
+
+  const released = await releaseIfDue(updated, { onNotifyError: notices.onNotifyError })
+  notices.settle(actor.onNotifyError)
+  return released || updated
+}
@@ -0,0 +1,380 @@
+import {
+  PaymentGatewayError,
+  hmacSha256,
+  sha512Hex,
+  timingSafeEqual,
+  headerValue,
+  loadScript
+} from '@/api/paymentGateways'
+import type {
+  PaymentGatewayAdapter,
+  GatewayPayment,
+  GatewayPaymentStatus
+} from '@/api/paymentGateways'
+
+// Adapters for hosted providers. Order creation, capture and status calls
+// need the provider secret, so register these where that secret is
+// available (an edge function or server) with `registerPaymentGateway`.
+
+type Json = Record<string, any>
+
+async function requestJson(gateway: string, url: string, init: RequestInit) {
+  const response = await fetch(url, init)
+  const text = await response.text()
+  const body = text ? JSON.parse(text) : {}
+  if (!response.ok) {
+    const reason = body?.error?.description || body?.message || `HTTP ${response.status}`
+    throw new PaymentGatewayError(gateway, reason)
+  }
+  return body
+}
+
+function requireSecret(gateway: string, secret: string | undefined): string {
+  if (!secret) throw new PaymentGatewayError(gateway, `${gateway} is not configured with its API secret`)
+  return secret
+}
+
+export interface RazorpayConfig {
+  keyId: string
+  keySecret?: string
+  webhookSecret?: string
+  baseUrl?: string
+}
+
+const RAZORPAY_STATUSES: Record<string, GatewayPaymentStatus> = {
+  created: 'created',
+  authorized: 'authorized',
+  captured: 'captured',
+  refunded: 'captured',
+  failed: 'failed'
+}
+
+export function createRazorpayAdapter({
+  keyId,
+  keySecret,
+  webhookSecret,
+  baseUrl = 'https://api.razorpay.com/v1'
+}: RazorpayConfig): PaymentGatewayAdapter {
+  const request = (path: string, init: RequestInit = {}) => requestJson('razorpay', `${baseUrl}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${btoa(`${keyId}:${requireSecret('razorpay', keySecret)}`)}`
+    }
+  })
+
+  // Razorpay works in paise
+  const toPayment = (entity: Json): GatewayPayment => ({
+    orderId: entity.order_id,
+    paymentId: entity.id,
+    status: RAZORPAY_STATUSES[entity.status] || 'pending',
+    amount: entity.amount / 100,
+    method: entity.method,
+    failureReason: entity.error_description || undefined
+  })
+
+  return {
+    name: 'razorpay',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes }) {
+      const order = await request('/orders', {
+        method: 'POST',
+        body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt, notes })
+      })
+      return { gateway: 'razorpay', orderId: order.id, amount, currency, checkout: { key: keyId } }
+    },
+
+    async openCheckout(order, { customer } = {}) {
+      await loadScript('https://checkout.razorpay.com/v1/checkout.js')
+      return new Promise((resolve, reject) => {
+        const checkout = new (window as any).Razorpay({
+          key: keyId,
+          order_id: order.orderId,
+          amount: Math.round(order.amount * 100),
+          currency: order.currency,
+          prefill: { name: customer?.name, email: customer?.email, contact: customer?.phone },
+          handler: (response: Json) => resolve({
+            orderId: order.orderId,
+            paymentId: response.razorpay_payment_id,
+            status: 'pending',
+            amount: order.amount
+          }),
+          modal: {
+            ondismiss: () => reject(new PaymentGatewayError('razorpay', 'Checkout was closed before paying'))
+          }
+        })
+        checkout.on('payment.failed', (response: Json) => {
+          reject(new PaymentGatewayError('razorpay', response.error?.description || 'Payment failed'))
+        })
+        checkout.open()
+      })
+    },
+
+    async capturePayment(payment) {
+      const entity = await request(`/payments/${payment.paymentId}/capture`, {
+        method: 'POST',
+        body: JSON.stringify({ amount: Math.round(payment.amount * 100), currency: 'INR' })
+      })
+      return toPayment(entity)
+    },
+
+    async fetchPaymentStatus(orderId) {
+      const { items = [] } = await request(`/orders/${orderId}/payments`)
+      // An order can have several attempts; a captured one settles it
+      const attempt = items.find((item: Json) => item.status === 'captured') || items[0]
+      return attempt ? toPayment(attempt) : { orderId, paymentId: null, status: 'created', amount: 0 }
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      const signature = headerValue(headers, 'x-razorpay-signature')
+      if (!webhookSecret || !signature) return false
+      return timingSafeEqual(await hmacSha256(webhookSecret, rawBody), signature)
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = JSON.parse(rawBody)
+      const entity = body.payload?.payment?.entity
+      if (!entity) throw new PaymentGatewayError('razorpay', `Unsupported webhook event: ${body.event}`)
+      return {
+        eventId: headerValue(headers, 'x-razorpay-event-id') || `${body.event}:${entity.id}`,
+        type: body.event,
+        payment: toPayment(entity)
+      }
+    }
+  }
+}
+
+export interface CashfreeConfig {
+  clientId: string
+  clientSecret?: string
+  mode?: 'sandbox' | 'production'
+  apiVersion?: string
+}
+
+const CASHFREE_STATUSES: Record<string, GatewayPaymentStatus> = {
+  NOT_ATTEMPTED: 'created',
+  PENDING: 'pending',
+  SUCCESS: 'captured',
+  FAILED: 'failed',
+  USER_DROPPED: 'failed',
+  CANCELLED: 'failed'
+}
+
+export function createCashfreeAdapter({
+  clientId,
+  clientSecret,
+  mode = 'sandbox',
+  apiVersion = '2023-08-01'
+}: CashfreeConfig): PaymentGatewayAdapter {
+  const baseUrl = mode === 'production' ? 'https://api.cashfree.com/pg' : 'https://sandbox.cashfree.com/pg'
+  const request = (path: string, init: RequestInit = {}) => requestJson('cashfree', `${baseUrl}${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-version': apiVersion,
+      'x-client-id': clientId,
+      'x-client-secret': requireSecret('cashfree', clientSecret)
+    }
+  })
+
+  const toPayment = (orderId: string, payment: Json): GatewayPayment => ({
+    orderId,
+    paymentId: payment.cf_payment_id ? String(payment.cf_payment_id) : null,
+    status: CASHFREE_STATUSES[payment.payment_status] || 'pending',
+    amount: payment.payment_amount,
+    method: payment.payment_group,
+    failureReason: payment.payment_status === 'SUCCESS' ? undefined : payment.payment_message
+  })
+
+  return {
+    name: 'cashfree',
+
+    async createOrder({ amount, currency = 'INR', receipt, customer, notes }) {
+      const order = await request('/orders', {
+        method: 'POST',
+        body: JSON.stringify({
+          // Cashfree order ids must be unique per attempt
+          order_id: `${receipt}_${Date.now()}`,
+          order_amount: amount,
+          order_currency: currency,
+          customer_details: {
+            customer_id: customer?.id || receipt,
+            customer_name: customer?.name,
+            customer_email: customer?.email,
+            customer_phone: customer?.phone
+          },
+          order_tags: notes
+        })
+      })
+      return {
+        gateway: 'cashfree',
+        orderId: order.order_id,
+        amount,
+        currency,
+        checkout: { paymentSessionId: order.payment_session_id, mode }
+      }
+    },
+
+    async openCheckout(order) {
+      await loadScript('https://sdk.cashfree.com/js/v3/cashfree.js')
+      const cashfree = (window as any).Cashfree({ mode })
+      const result = await cashfree.checkout({
+        paymentSessionId: order.checkout?.paymentSessionId,
+        redirectTarget: '_modal'
+      })
+      if (result.error) throw new PaymentGatewayError('cashfree', result.error.message || 'Payment failed')
+      return { orderId: order.orderId, paymentId: null, status: 'pending', amount: order.amount }
+    },
+
+    // Cashfree captures automatically unless the order was a pre-authorisation
+    async capturePayment(payment) {
+      await request(`/orders/${payment.orderId}/authorization`, {
+        method: 'POST',
+        body: JSON.stringify({ action: 'CAPTURE', amount: payment.amount })
+      })
+      return this.fetchPaymentStatus(payment.orderId)
+    },
+
+    async fetchPaymentStatus(orderId) {
+      const payments: Json[] = await request(`/orders/${orderId}/payments`)
+      const attempt = payments.find(payment => payment.payment_status === 'SUCCESS') || payments[0]
+      return attempt ? toPayment(orderId, attempt) : { orderId, paymentId: null, status: 'created', amount: 0 }
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      const signature = headerValue(headers, 'x-webhook-signature')
+      const timestamp = headerValue(headers, 'x-webhook-timestamp')
+      if (!clientSecret || !signature || !timestamp) return false
+      return timingSafeEqual(await hmacSha256(clientSecret, `${timestamp}${rawBody}`, 'base64'), signature)
+    },
+
+    parseWebhook(rawBody, headers) {
+      const body = JSON.parse(rawBody)
+      const { order, payment } = body.data || {}
+      if (!order || !payment) throw new PaymentGatewayError('cashfree', `Unsupported webhook event: ${body.type}`)
+      return {
+        eventId: headerValue(headers, 'x-idempotency-key') || `${body.type}:${payment.cf_payment_id}`,
+        type: body.type,
+        payment: toPayment(order.order_id, payment)
+      }
+    }
+  }
+}
+
+export interface PayUConfig {
+  key: string
+  salt?: string
+  mode?: 'test' | 'production'
+  // Where PayU sends the buyer back after success or failure
+  successUrl: string
+  failureUrl: string
+}
+
+const PAYU_STATUSES: Record<string, GatewayPaymentStatus> = {
+  success: 'captured',
+  failure: 'failed',
+  pending: 'pending'
+}
+
+// PayU signs requests and callbacks with a salted SHA-512 hash rather than
+// an HMAC; the field order is fixed by PayU.
+export function createPayUAdapter({ key, salt, mode = 'test', successUrl, failureUrl }: PayUConfig): PaymentGatewayAdapter {
+  const host = mode === 'production' ? 'https://secure.payu.in' : 'https://test.payu.in'
+  const infoHost = mode === 'production' ? 'https://info.payu.in' : 'https://test.payu.in'
+
+  const responseHash = (fields: Json) => sha512Hex([
+    requireSecret('payu', salt), fields.status, '', '', '', '', '',
+    fields.udf5 || '', fields.udf4 || '', fields.udf3 || '', fields.udf2 || '', fields.udf1 || '',
+    fields.email, fields.firstname, fields.productinfo, fields.amount, fields.txnid, key
+  ].join('|'))
+
+  const toPayment = (fields: Json): GatewayPayment => ({
+    orderId: fields.txnid,
+    paymentId: fields.mihpayid || null,
+    status: PAYU_STATUSES[fields.status] || 'pending',
+    amount: Number(fields.amount ?? fields.amt),
+    method: fields.mode,
+    failureReason: fields.status === 'success' ? undefined : fields.error_Message || fields.field9
+  })
+
+  return {
+    name: 'payu',
+
+    async createOrder({ amount, currency = 'INR', receipt, customer }) {
+      const fields: Json = {
+        key,
+        txnid: `txn${Date.now()}`,
+        amount: amount.toFixed(2),
+        productinfo: 'Vehicle purchase',
+        firstname: customer?.name || 'Dealer',
+        email: customer?.email || '',
+        phone: customer?.phone || '',
+        udf1: receipt,
+        surl: successUrl,
+        furl: failureUrl
+      }
+      fields.hash = await sha512Hex([
+        key, fields.txnid, fields.amount, fields.productinfo, fields.firstname, fields.email,
+        fields.udf1, '', '', '', '', '', '', '', '', '', requireSecret('payu', salt)
+      ].join('|'))
+      return { gateway: 'payu', orderId: fields.txnid, amount, currency, checkout: { action: `${host}/_payment`, fields } }
+    },
+
+    // PayU checkout is a full-page form post; the buyer comes back via the
+    // success or failure URL, so this never resolves.
+    async openCheckout(order) {
+      const form = document.createElement('form')
+      form.method = 'POST'
+      form.action = order.checkout?.action as string
+      for (const [name, value] of Object.entries(order.checkout?.fields as Json)) {
+        const input = document.createElement('input')
+        input.type = 'hidden'
+        input.name = name
+        input.value = String(value)
+        form.appendChild(input)
+      }
+      document.body.appendChild(form)
+      form.submit()
+      return new Promise<GatewayPayment>(() => {})
+    },
+
+    // Successful PayU payments are already captured
+    async capturePayment(payment) {
+      return this.fetchPaymentStatus(payment.orderId)
+    },
+
+    async fetchPaymentStatus(orderId) {
+      const command = 'verify_payment'
+      const body = new URLSearchParams({
+        key,
+        command,
+        var1: orderId,
+        hash: await sha512Hex([key, command, orderId, requireSecret('payu', salt)].join('|'))
+      })
+      const result = await requestJson('payu', `${infoHost}/merchant/postservice.php?form=2`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+      })
+      const details = result.transaction_details?.[orderId]
+      return details && details.status !== 'Not Found'
+        ? toPayment({ ...details, txnid: orderId })
+        : { orderId, paymentId: null, status: 'created', amount: 0 }
+    },
+
+    async verifyWebhook(rawBody) {
+      const fields = Object.fromEntries(new URLSearchParams(rawBody))
+      if (!salt || !fields.hash) return false
+      return timingSafeEqual(await responseHash(fields), fields.hash)
+    },
+
+    parseWebhook(rawBody) {
+      const fields = Object.fromEntries(new URLSearchParams(rawBody))
+      return {
+        eventId: `${fields.mihpayid}:${fields.status}`,
+        type: `payment.${fields.status}`,
+        payment: toPayment(fields)
+      }
+    }
+  }
+}
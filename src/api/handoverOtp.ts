@@ -0,0 +1,75 @@
+import supabase from '@/api/supabaseClient'
+import { HandoverProof } from '@/api/entities'
+import { postSystemMessage } from '@/api/messages'
+import { notifyDealer, NotificationError } from '@/api/notifications'
+import { createPageUrl } from '@/utils'
+import type { Transaction as TransactionRecord } from '@/api/types'
+
+// Handover codes are generated, stored (hashed) and checked by the
+// `issue_handover_otp` and `verify_handover_otp` database functions; see
+// supabase/migrations. The browser only ever sees a code when it is issued
+// to the buyer, and nothing here can read one back.
+
+export const HANDOVER_CODE_LENGTH = 6
+
+export type HandoverVerificationStatus = 'verified' | 'invalid' | 'expired' | 'locked' | 'no_active_code'
+
+export interface HandoverVerification {
+  status: HandoverVerificationStatus
+  attemptsLeft?: number
+  proofId?: string
+  // Set when the handover was recorded but the buyer could not be told
+  notifyError?: NotificationError
+}
+
+export class HandoverError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'HandoverError'
+  }
+}
+
+// Issues a new code to the calling buyer. Any earlier code stops working.
+export async function issueHandoverCode(transactionId: string) {
+  const { data, error } = await supabase.rpc('issue_handover_otp', { p_transaction_id: transactionId })
+  if (error) throw new HandoverError(error.message)
+  const [issued] = data as { code: string, expires_at: string }[]
+  return { code: issued.code, expiresAt: issued.expires_at }
+}
+
+/**
+ * Checks the code the driver entered at drop-off. A match records proof of
+ * delivery and tells the buyer; wrong guesses count towards the code's
+ * limit, after which the buyer has to request a new one.
+ */
+export async function verifyHandoverCode(transaction: TransactionRecord, code: string, actorDealerId: string): Promise<HandoverVerification> {
+  if (!new RegExp(`^\\d{${HANDOVER_CODE_LENGTH}}$`).test(code)) {
+    throw new HandoverError(`Enter the ${HANDOVER_CODE_LENGTH}-digit code from the buyer`)
+  }
+  const { data, error } = await supabase.rpc('verify_handover_otp', { p_transaction_id: transaction.id, p_code: code })
+  if (error) throw new HandoverError(error.message)
+  const result = data as { status: HandoverVerificationStatus, attempts_left?: number, proof_id?: string }
+
+  let notifyError: NotificationError | undefined
+  if (result.status === 'verified') {
+    const message = 'Vehicle handed over to the buyer. The buyer\'s handover code was verified at drop-off.'
+    await postSystemMessage(transaction.id, actorDealerId, message)
+    try {
+      await notifyDealer(transaction.buyer_id, {
+        type: 'deal_update',
+        title: 'Vehicle handed over',
+        message: `${message} Please inspect the vehicle and confirm delivery.`,
+        link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
+        linkLabel: 'Open the Deal Room'
+      })
+    } catch (error) {
+      notifyError = new NotificationError([{ dealerId: transaction.buyer_id, title: 'Notifying the buyer about the handover', error }])
+    }
+  }
+  return { status: result.status, attemptsLeft: result.attempts_left, proofId: result.proof_id, notifyError }
+}
+
+export async function getHandoverProof(transactionId: string) {
+  const [proof] = await HandoverProof.filter({ transaction_id: transactionId }, undefined, 1)
+  return proof || null
+}
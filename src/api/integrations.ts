@@ -0,0 +1,212 @@
+import supabase from '@/api/supabaseClient'
+
+// Each integration delegates to a provider selected by configuration, so
+// environments can swap in real services without touching call sites.
+
+export interface UploadFileParams {
+  file: File
+}
+
+export interface UploadFileResult {
+  file_url: string
+}
+
+export interface SendEmailParams {
+  to: string
+  subject: string
+  body: string
+  from_name?: string
+}
+
+export interface InvokeLLMParams {
+  prompt: string
+  add_context_from_internet?: boolean
+  response_json_schema?: JSONSchema
+  file_urls?: string[]
+}
+
+export interface JSONSchema {
+  type?: string
+  properties?: Record<string, JSONSchema>
+  items?: JSONSchema
+  enum?: unknown[]
+  default?: unknown
+  minimum?: number
+  maximum?: number
+  minItems?: number
+}
+
+export interface UploadFileProvider {
+  uploadFile(params: UploadFileParams): Promise<UploadFileResult>
+}
+
+export interface SendEmailProvider {
+  sendEmail(params: SendEmailParams): Promise<void>
+}
+
+export interface InvokeLLMProvider {
+  invoke(params: InvokeLLMParams): Promise<unknown>
+}
+
+export function createSupabaseStorageUploadProvider(bucket: string): UploadFileProvider {
+  return {
+    async uploadFile({ file }) {
+      const extension = file.name.includes('.') ? file.name.split('.').pop() : 'bin'
+      const path = `${new Date().toISOString().slice(0, 10)}/${crypto.randomUUID()}.${extension}`
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(path, file, { contentType: file.type, upsert: false })
+      if (error) throw error
+      const { data } = supabase.storage.from(bucket).getPublicUrl(path)
+      return { file_url: data.publicUrl }
+    }
+  }
+}
+
+// Queues emails in a table; a mail worker (or a person, in development)
+// drains the outbox and marks rows as sent.
+export function createEmailOutboxProvider(table: string): SendEmailProvider {
+  return {
+    async sendEmail({ to, subject, body, from_name }) {
+      const { error } = await supabase
+        .from(table)
+        .insert({
+          to,
+          subject,
+          body,
+          from_name: from_name || null,
+          status: 'queued',
+          queued_at: new Date().toISOString()
+        })
+      if (error) throw error
+    }
+  }
+}
+
+function hashString(value: string) {
+  let hash = 2166136261
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return hash >>> 0
+}
+
+function sampleFromSchema(schema: JSONSchema, seed: string): unknown {
+  if (schema.default !== undefined) return schema.default
+  if (schema.enum && schema.enum.length > 0) return schema.enum[0]
+
+  switch (schema.type) {
+    case 'object': {
+      const result: Record<string, unknown> = {}
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        result[key] = sampleFromSchema(property, `${seed}.${key}`)
+      }
+      return result
+    }
+    case 'array': {
+      const count = schema.minItems || 0
+      return Array.from({ length: count }, (_, i) => sampleFromSchema(schema.items || {}, `${seed}[${i}]`))
+    }
+    case 'number':
+    case 'integer': {
+      const min = schema.minimum ?? 0
+      const max = schema.maximum ?? min + 1000
+      return min + (hashString(seed) % (Math.floor(max - min) + 1))
+    }
+    case 'boolean':
+      return false
+    default:
+      return `Offline response for ${seed.split('.').pop()}`
+  }
+}
+
+// Returns the same output for the same prompt and schema, so development
+// and tests behave predictably without calling a hosted model.
+export function createOfflineLLMProvider(): InvokeLLMProvider {
+  return {
+    async invoke({ prompt, response_json_schema }) {
+      if (!response_json_schema) {
+        return `Offline response (${hashString(prompt).toString(16)})`
+      }
+      return sampleFromSchema(response_json_schema, String(hashString(prompt)))
+    }
+  }
+}
+
+const uploadProviders: Record<string, () => UploadFileProvider> = {
+  'supabase-storage': () => createSupabaseStorageUploadProvider(import.meta.env.VITE_UPLOAD_BUCKET || 'uploads')
+}
+
+const emailProviders: Record<string, () => SendEmailProvider> = {
+  outbox: () => createEmailOutboxProvider(import.meta.env.VITE_EMAIL_OUTBOX_TABLE || 'EmailOutbox')
+}
+
+const llmProviders: Record<string, () => InvokeLLMProvider> = {
+  offline: () => createOfflineLLMProvider()
+}
+
+let activeUploadProvider: UploadFileProvider | null = null
+let activeEmailProvider: SendEmailProvider | null = null
+let activeLLMProvider: InvokeLLMProvider | null = null
+
+function resolveProvider<T>(registry: Record<string, () => T>, name: string, kind: string): T {
+  const factory = registry[name]
+  if (!factory) throw new Error(`Unknown ${kind} provider: ${name}`)
+  return factory()
+}
+
+export function registerUploadProvider(name: string, factory: () => UploadFileProvider) {
+  uploadProviders[name] = factory
+}
+
+export function registerEmailProvider(name: string, factory: () => SendEmailProvider) {
+  emailProviders[name] = factory
+}
+
+export function registerLLMProvider(name: string, factory: () => InvokeLLMProvider) {
+  llmProviders[name] = factory
+}
+
+export function configureIntegrations(providers: {
+  upload?: UploadFileProvider
+  email?: SendEmailProvider
+  llm?: InvokeLLMProvider
+}) {
+  if (providers.upload) activeUploadProvider = providers.upload
+  if (providers.email) activeEmailProvider = providers.email
+  if (providers.llm) activeLLMProvider = providers.llm
+}
+
+function getUploadProvider() {
+  if (!activeUploadProvider) {
+    activeUploadProvider = resolveProvider(uploadProviders, import.meta.env.VITE_UPLOAD_PROVIDER || 'supabase-storage', 'upload')
+  }
+  return activeUploadProvider
+}
+
+function getEmailProvider() {
+  if (!activeEmailProvider) {
+    activeEmailProvider = resolveProvider(emailProviders, import.meta.env.VITE_EMAIL_PROVIDER || 'outbox', 'email')
+  }
+  return activeEmailProvider
+}
+
+function getLLMProvider() {
+  if (!activeLLMProvider) {
+    activeLLMProvider = resolveProvider(llmProviders, import.meta.env.VITE_LLM_PROVIDER || 'offline', 'LLM')
+  }
+  return activeLLMProvider
+}
+
+export async function UploadFile(params: UploadFileParams): Promise<UploadFileResult> {
+  return getUploadProvider().uploadFile(params)
+}
+
+export async function SendEmail(params: SendEmailParams): Promise<void> {
+  return getEmailProvider().sendEmail(params)
+}
+
+export async function InvokeLLM(params: InvokeLLMParams): Promise<any> {
+  return getLLMProvider().invoke(params)
+}
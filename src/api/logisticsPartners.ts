@@ -0,0 +1,75 @@
+import type { TrackingEventType } from '@/api/types'
+import type { WebhookHeaders } from '@/api/paymentGateways'
+
+// Provider-neutral contract for transport partners, in the same shape as
+// the payment gateway adapters: calls that need the partner's credentials
+// run wherever those live, and webhooks are verified before they are read.
+
+export interface TransportStop {
+  pincode: string
+  place?: string
+  address?: string
+  contactName?: string
+  contactPhone?: string
+}
+
+export interface BookTransportParams {
+  // Our reference for the job, usually the transaction id
+  reference: string
+  pickup: TransportStop
+  drop: TransportStop
+  pickupAt: string
+  deliverBy: string
+  distanceKm: number
+  vehicle: { description: string, registrationNumber?: string | null, value?: number }
+  instructions?: string
+}
+
+export interface PartnerTrackingEvent {
+  // Stable across redeliveries and polls, used to log each event once
+  eventId: string
+  type: TrackingEventType
+  occurredAt: string
+  location?: string
+  note?: string
+}
+
+export interface PartnerDriver {
+  name: string
+  phone: string
+  truckNumber?: string
+}
+
+export interface PartnerBooking {
+  bookingId: string
+  pickupAt: string
+  deliverBy: string
+  driver?: PartnerDriver
+  // Everything the partner has reported so far, oldest first
+  events: PartnerTrackingEvent[]
+}
+
+export interface PartnerWebhookEvent {
+  bookingId: string
+  event: PartnerTrackingEvent
+  driver?: PartnerDriver
+}
+
+export interface LogisticsPartnerAdapter {
+  name: string
+  book(params: BookTransportParams): Promise<PartnerBooking>
+  cancel(bookingId: string, reason: string): Promise<void>
+  fetchStatus(bookingId: string): Promise<PartnerBooking>
+  verifyWebhook(rawBody: string, headers: WebhookHeaders): Promise<boolean>
+  parseWebhook(rawBody: string, headers: WebhookHeaders): PartnerWebhookEvent
+}
+
+export class LogisticsPartnerError extends Error {
+  partner: string
+
+  constructor(partner: string, message: string) {
+    super(message)
+    this.name = 'LogisticsPartnerError'
+    this.partner = partner
+  }
+}
@@ -0,0 +1,228 @@
+import supabase from '@/api/supabaseClient'
+import { Message, Transaction } from '@/api/entities'
+import type {
+  Message as MessageRecord,
+  MessageAttachment,
+  MessageType,
+  Offer as OfferRecord,
+  Transaction as TransactionRecord
+} from '@/api/types'
+import type { RealtimeChannel } from '@supabase/supabase-js'
+
+export const MESSAGE_PAGE_SIZE = 30
+
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+
+/**
+ * Returns one page of chat history, oldest first. Pass the `created_at` of
+ * the oldest loaded message as `before` to page further back.
+ */
+export async function listMessages(
+  transactionId: string,
+  { before, limit = MESSAGE_PAGE_SIZE }: { before?: string; limit?: number } = {}
+) {
+  let query = supabase
+    .from('Message')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+  if (before) {
+    query = query.lt('created_at', before)
+  }
+  const { data, error } = await query
+  if (error) throw error
+  const page = (data as MessageRecord[]).reverse()
+  return { messages: page, hasMore: page.length === limit }
+}
+
+// Messages are append-only rows, so two parties posting at once never
+// overwrite each other.
+export async function postMessage(
+  transactionId: string,
+  senderId: string,
+  body: string,
+  type: MessageType = 'text',
+  attachments: MessageAttachment[] = []
+) {
+  return Message.create({
+    transaction_id: transactionId,
+    sender_id: senderId,
+    type,
+    body,
+    attachments
+  })
+}
+
+export async function postSystemMessage(transactionId: string, senderId: string, body: string) {
+  return postMessage(transactionId, senderId, body, 'system')
+}
+
+// Receipt for messages that have reached the recipient's client, whether or
+// not the chat was on screen.
+export async function markDelivered(messageIds: string[]) {
+  if (messageIds.length === 0) return
+  const { error } = await supabase
+    .from('Message')
+    .update({ delivered_at: new Date().toISOString() })
+    .in('id', messageIds)
+    .is('delivered_at', null)
+  if (error) throw error
+}
+
+// Marks everything the other party sent as read by `readerId`. Messages read
+// without a delivery receipt are delivered now too; earlier receipts stand.
+export async function markRead(transactionId: string, readerId: string) {
+  const now = new Date().toISOString()
+  const delivered = await supabase
+    .from('Message')
+    .update({ delivered_at: now })
+    .eq('transaction_id', transactionId)
+    .neq('sender_id', readerId)
+    .is('delivered_at', null)
+  if (delivered.error) throw delivered.error
+
+  const { error } = await supabase
+    .from('Message')
+    .update({ read_at: now })
+    .eq('transaction_id', transactionId)
+    .neq('sender_id', readerId)
+    .is('read_at', null)
+  if (error) throw error
+}
+
+/**
+ * Copies chat stored in the legacy `Transaction.messages` array into the
+ * Message table, once per transaction. The transaction is claimed through
+ * `messages_migrated_at` before copying, so concurrent loads do not copy
+ * twice and system messages posted before the chat opens do not hide the
+ * history.
+ */
+export async function migrateLegacyMessages(transactionId: string) {
+  const transaction = await Transaction.get(transactionId)
+  if (transaction.messages_migrated_at) return
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('Transaction')
+    .update({ messages_migrated_at: new Date().toISOString() })
+    .eq('id', transactionId)
+    .is('messages_migrated_at', null)
+    .select('id')
+  if (claimError) throw claimError
+  if (!claimed || claimed.length === 0) return
+
+  const legacy = transaction.messages || []
+  if (legacy.length === 0) return
+
+  const { error } = await supabase
+    .from('Message')
+    .insert(legacy.map(message => ({
+      transaction_id: transactionId,
+      sender_id: message.sender_id,
+      type: message.type === 'system' ? 'system' : 'text',
+      body: message.message,
+      delivered_at: message.timestamp,
+      read_at: message.timestamp,
+      created_at: message.timestamp
+    })))
+  if (error) {
+    // Let the next load try again
+    await supabase.from('Transaction').update({ messages_migrated_at: null }).eq('id', transactionId)
+    throw error
+  }
+}
+
+export type ConnectionStatus = 'connecting' | 'connected' | 'reconnecting'
+
+export interface DealRoomHandlers {
+  onMessage?: (message: MessageRecord) => void
+  onMessageUpdate?: (message: MessageRecord) => void
+  onOffer?: (offer: OfferRecord) => void
+  onTransaction?: (transaction: TransactionRecord) => void
+  onTyping?: (senderId: string, isTyping: boolean) => void
+  onStatusChange?: (status: ConnectionStatus) => void
+  // Called after a dropped connection is re-established, so callers can
+  // refetch anything broadcast while they were offline.
+  onReconnect?: () => void
+}
+
+/**
+ * Subscribes to a deal room's messages, offers and transaction changes, plus
+ * typing broadcasts. Dropped connections are retried with exponential backoff.
+ */
+export function subscribeToDealRoom(transactionId: string, dealerId: string, handlers: DealRoomHandlers) {
+  let channel: RealtimeChannel | null = null
+  let attempts = 0
+  let retryTimer: ReturnType<typeof setTimeout> | null = null
+  let closed = false
+  let hasConnected = false
+
+  const connect = () => {
+    handlers.onStatusChange?.(hasConnected ? 'reconnecting' : 'connecting')
+    const byTransaction = `transaction_id=eq.${transactionId}`
+
+    const current = supabase
+      .channel(`deal-room:${transactionId}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'Message', filter: byTransaction },
+        payload => handlers.onMessage?.(payload.new as MessageRecord))
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'Message', filter: byTransaction },
+        payload => handlers.onMessageUpdate?.(payload.new as MessageRecord))
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'Offer', filter: byTransaction },
+        payload => handlers.onOffer?.(payload.new as OfferRecord))
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'Transaction', filter: `id=eq.${transactionId}` },
+        payload => handlers.onTransaction?.(payload.new as TransactionRecord))
+      .on('broadcast', { event: 'typing' }, ({ payload }) => {
+        if (payload.sender_id !== dealerId) {
+          handlers.onTyping?.(payload.sender_id, payload.is_typing)
+        }
+      })
+    channel = current
+
+    current.subscribe(status => {
+      // Ignore late events from a channel we have already replaced
+      if (closed || channel !== current) return
+      if (status === 'SUBSCRIBED') {
+        const reconnected = hasConnected
+        attempts = 0
+        hasConnected = true
+        handlers.onStatusChange?.('connected')
+        if (reconnected) handlers.onReconnect?.()
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        scheduleReconnect()
+      }
+    })
+  }
+
+  const scheduleReconnect = () => {
+    if (retryTimer || closed) return
+    handlers.onStatusChange?.('reconnecting')
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** attempts, RECONNECT_MAX_DELAY)
+    attempts += 1
+    retryTimer = setTimeout(() => {
+      retryTimer = null
+      const stale = channel
+      channel = null
+      if (stale) supabase.removeChannel(stale)
+      connect()
+    }, delay)
+  }
+
+  connect()
+
+  return {
+    sendTyping(isTyping: boolean) {
+      channel?.send({
+        type: 'broadcast',
+        event: 'typing',
+        payload: { sender_id: dealerId, is_typing: isTyping }
+      })
+    },
+
+    unsubscribe() {
+      closed = true
+      if (retryTimer) clearTimeout(retryTimer)
+      if (channel) supabase.removeChannel(channel)
+    }
+  }
+}
@@ -0,0 +1,155 @@
+import { PaymentGatewayError, hmacSha256, timingSafeEqual, headerValue } from '@/api/paymentGateways'
+import type { PaymentGatewayAdapter, GatewayOrder, GatewayPayment, WebhookHeaders } from '@/api/paymentGateways'
+
+/**
+ * A local gateway for exercising escrow flows end to end. Each order follows
+ * a scripted scenario and webhooks are HMAC-signed exactly as a real
+ * provider would send them. Ids are random, so orders and webhook events
+ * from earlier sessions are never mistaken for new ones.
+ *
+ *   success  the payment captures and a `payment.captured` webhook is sent
+ *   failure  the payment is declined and a `payment.failed` webhook is sent
+ *   timeout  the payment stays pending and no webhook ever arrives
+ */
+export type MockScenario = 'success' | 'failure' | 'timeout'
+
+export const MOCK_SCENARIOS: MockScenario[] = ['success', 'failure', 'timeout']
+export const MOCK_SIGNATURE_HEADER = 'x-mock-signature'
+
+export interface MockGatewayOptions {
+  // Scenario for orders that do not pick one through `notes.scenario`
+  scenario?: MockScenario
+  // Defaults to a fresh secret per instance; the mock signs and checks its own webhooks
+  webhookSecret?: string
+  // Simulated network delay per call
+  latencyMs?: number
+  // Receives each signed webhook, as a provider would POST it to us
+  onWebhook?: (rawBody: string, headers: WebhookHeaders) => Promise<unknown> | void
+}
+
+export interface MockGatewayAdapter extends PaymentGatewayAdapter {
+  // Sends the last webhook for an order again, to exercise idempotency
+  redeliverWebhook(orderId: string): Promise<void>
+}
+
+// A webhook our receiver rejected. As with a real provider the payment
+// itself stands, so status polling still sees the outcome.
+export class MockWebhookError extends PaymentGatewayError {
+  constructor(error: unknown) {
+    super('mock', `Webhook delivery failed: ${error instanceof Error ? error.message : String(error)}`)
+    this.name = 'MockWebhookError'
+  }
+}
+
+interface MockOrderState {
+  order: GatewayOrder
+  scenario: MockScenario
+  payment: GatewayPayment
+  lastWebhook?: string
+}
+
+export function createMockGateway({
+  scenario = 'success',
+  webhookSecret = crypto.randomUUID(),
+  latencyMs = 0,
+  onWebhook
+}: MockGatewayOptions = {}): MockGatewayAdapter {
+  const orders = new Map<string, MockOrderState>()
+
+  const nextId = (prefix: string) => `${prefix}_mock_${crypto.randomUUID().replace(/-/g, '')}`
+  const delay = () => (latencyMs > 0 ? new Promise(resolve => setTimeout(resolve, latencyMs)) : Promise.resolve())
+
+  const orderState = (orderId: string) => {
+    const state = orders.get(orderId)
+    if (!state) throw new PaymentGatewayError('mock', `Unknown order ${orderId}`)
+    return state
+  }
+
+  // A rejected webhook is thrown to whoever triggered the delivery, after
+  // the payment's outcome is already set
+  const deliver = async (rawBody: string) => {
+    const headers = { [MOCK_SIGNATURE_HEADER]: await hmacSha256(webhookSecret, rawBody) }
+    try {
+      await onWebhook?.(rawBody, headers)
+    } catch (error) {
+      throw new MockWebhookError(error)
+    }
+  }
+
+  const emit = async (state: MockOrderState, type: string) => {
+    state.lastWebhook = JSON.stringify({ id: nextId('evt'), type, payment: state.payment })
+    await deliver(state.lastWebhook)
+  }
+
+  return {
+    name: 'mock',
+
+    async createOrder({ amount, currency = 'INR', notes }) {
+      await delay()
+      const chosen = (notes?.scenario as MockScenario) || scenario
+      if (!MOCK_SCENARIOS.includes(chosen)) {
+        throw new PaymentGatewayError('mock', `Unknown mock scenario: ${chosen}`)
+      }
+
+      const order: GatewayOrder = { gateway: 'mock', orderId: nextId('order'), amount, currency, checkout: { scenario: chosen } }
+      orders.set(order.orderId, {
+        order,
+        scenario: chosen,
+        payment: { orderId: order.orderId, paymentId: null, status: 'created', amount }
+      })
+      return order
+    },
+
+    async openCheckout(order, { method = 'card' } = {}) {
+      const state = orderState(order.orderId)
+      await delay()
+
+      const paymentId = nextId('pay')
+      if (state.scenario === 'success') {
+        state.payment = { orderId: order.orderId, paymentId, status: 'captured', amount: order.amount, method }
+        await emit(state, 'payment.captured')
+      } else if (state.scenario === 'failure') {
+        state.payment = {
+          orderId: order.orderId,
+          paymentId,
+          status: 'failed',
+          amount: order.amount,
+          method,
+          failureReason: 'Declined by issuing bank (mock)'
+        }
+        await emit(state, 'payment.failed')
+      } else {
+        state.payment = { orderId: order.orderId, paymentId, status: 'pending', amount: order.amount, method }
+      }
+      return { ...state.payment }
+    },
+
+    // Mock payments capture on success, so there is nothing left to do
+    async capturePayment(payment) {
+      await delay()
+      return { ...orderState(payment.orderId).payment }
+    },
+
+    async fetchPaymentStatus(orderId) {
+      await delay()
+      return { ...orderState(orderId).payment }
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      const signature = headerValue(headers, MOCK_SIGNATURE_HEADER)
+      if (!signature) return false
+      return timingSafeEqual(await hmacSha256(webhookSecret, rawBody), signature)
+    },
+
+    parseWebhook(rawBody) {
+      const body = JSON.parse(rawBody)
+      return { eventId: body.id, type: body.type, payment: body.payment }
+    },
+
+    async redeliverWebhook(orderId) {
+      const { lastWebhook } = orderState(orderId)
+      if (!lastWebhook) throw new PaymentGatewayError('mock', `No webhook has been sent for order ${orderId}`)
+      await deliver(lastWebhook)
+    }
+  }
+}
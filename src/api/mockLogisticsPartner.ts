@@ -0,0 +1,212 @@
+import { hmacSha256, timingSafeEqual, headerValue } from '@/api/paymentGateways'
+import type { WebhookHeaders } from '@/api/paymentGateways'
+import { LogisticsPartnerError } from '@/api/logisticsPartners'
+import type {
+  LogisticsPartnerAdapter,
+  PartnerBooking,
+  PartnerDriver,
+  PartnerTrackingEvent
+} from '@/api/logisticsPartners'
+import { locatePincode, haversineKm } from '@/api/routeDistance'
+import { SORTING_DISTRICTS } from '@/api/pincodeCentroids'
+
+/**
+ * A local transport partner for exercising bookings end to end. A job runs
+ * on a fixed script between the pickup and delivery times: a driver is
+ * assigned halfway to pickup, checkpoints are the postal districts nearest
+ * the straight line between the two ends, and the truck goes out for
+ * delivery at 90% of the way. The booking id carries the pincodes and
+ * times, so status survives page reloads without any stored state.
+ */
+export const MOCK_LOGISTICS_WEBHOOK_SECRET = 'mock_logistics_webhook_secret'
+export const MOCK_LOGISTICS_SIGNATURE_HEADER = 'x-mock-logistics-signature'
+
+const SECOND = 1000
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1
+
+const DRIVERS: PartnerDriver[] = [
+  { name: 'Suresh Yadav', phone: '+91 98110 42317', truckNumber: 'HR 55 AK 4821' },
+  { name: 'Manoj Patil', phone: '+91 98220 61584', truckNumber: 'MH 12 QW 7390' },
+  { name: 'Ramesh Gowda', phone: '+91 98450 17263', truckNumber: 'KA 01 MT 5512' },
+  { name: 'Karthik Subramanian', phone: '+91 98400 88125', truckNumber: 'TN 09 CE 2047' },
+  { name: 'Imran Sheikh', phone: '+91 98300 35906', truckNumber: 'WB 19 K 6634' }
+]
+
+export interface MockLogisticsOptions {
+  webhookSecret?: string
+  // Runs the schedule faster than real time, e.g. 60 turns a day into 24 minutes
+  timeScale?: number
+  // Receives each signed webhook as it falls due while the page is open
+  onWebhook?: (rawBody: string, headers: WebhookHeaders) => Promise<unknown> | void
+}
+
+interface MockJob {
+  bookingId: string
+  pickupPincode: string
+  dropPincode: string
+  bookedAt: number
+  pickupAt: number
+  deliverBy: number
+}
+
+const toSeconds = (time: number) => Math.floor(time / SECOND).toString(36)
+
+function parseBookingId(bookingId: string): MockJob {
+  const match = /^MOCK-(\d{6})-(\d{6})-([0-9a-z]+)-([0-9a-z]+)-([0-9a-z]+)$/.exec(bookingId)
+  if (!match) throw new LogisticsPartnerError('mock', `Unknown booking ${bookingId}`)
+  const [, pickupPincode, dropPincode, booked, pickup, deliver] = match
+  return {
+    bookingId,
+    pickupPincode,
+    dropPincode,
+    bookedAt: parseInt(booked, 36) * SECOND,
+    pickupAt: parseInt(pickup, 36) * SECOND,
+    deliverBy: parseInt(deliver, 36) * SECOND
+  }
+}
+
+function driverFor(bookingId: string) {
+  const hash = [...bookingId].reduce((total, char) => (total * 31 + char.charCodeAt(0)) % 1000003, 7)
+  return DRIVERS[hash % DRIVERS.length]
+}
+
+// Districts the route passes closest to, skipping both ends
+function checkpointsBetween(job: MockJob) {
+  const origin = locatePincode(job.pickupPincode)
+  const destination = locatePincode(job.dropPincode)
+  const count = Math.min(4, Math.round(haversineKm(origin, destination) / 250))
+  const places: string[] = []
+  for (let index = 1; index <= count; index++) {
+    const fraction = index / (count + 1)
+    const point = {
+      lat: origin.lat + (destination.lat - origin.lat) * fraction,
+      lng: origin.lng + (destination.lng - origin.lng) * fraction
+    }
+    let nearest = ''
+    let nearestKm = Infinity
+    for (const [lat, lng, place] of Object.values(SORTING_DISTRICTS)) {
+      const km = haversineKm(point, { lat, lng })
+      if (km < nearestKm) {
+        nearest = place
+        nearestKm = km
+      }
+    }
+    if (![origin.place, destination.place, ...places].includes(nearest)) places.push(nearest)
+  }
+  return { origin, destination, places }
+}
+
+function scriptFor(job: MockJob): PartnerTrackingEvent[] {
+  const { origin, destination, places } = checkpointsBetween(job)
+  const driver = driverFor(job.bookingId)
+  const travel = job.deliverBy - job.pickupAt
+  const outForDeliveryAt = job.pickupAt + travel * 0.9
+  const at = (time: number) => new Date(time).toISOString()
+
+  const script: Omit<PartnerTrackingEvent, 'eventId'>[] = [
+    { type: 'booked', occurredAt: at(job.bookedAt), location: origin.place, note: 'Booking confirmed' },
+    {
+      type: 'driver_assigned',
+      occurredAt: at(job.bookedAt + (job.pickupAt - job.bookedAt) / 2),
+      note: `${driver.name} (${driver.truckNumber}) assigned`
+    },
+    { type: 'picked_up', occurredAt: at(job.pickupAt), location: origin.place, note: 'Vehicle loaded on carrier' },
+    ...places.map((place, index) => ({
+      type: 'checkpoint' as const,
+      occurredAt: at(job.pickupAt + (outForDeliveryAt - job.pickupAt) * (index + 1) / (places.length + 1)),
+      location: place,
+      note: `Reached ${place}`
+    })),
+    { type: 'out_for_delivery', occurredAt: at(outForDeliveryAt), location: destination.place, note: 'Out for delivery' },
+    { type: 'delivered', occurredAt: at(job.deliverBy), location: destination.place, note: 'Vehicle unloaded at the buyer' }
+  ]
+  return script.map((event, index) => ({ ...event, eventId: `${job.bookingId}:${index}` }))
+}
+
+export function createMockLogisticsPartner({
+  webhookSecret = MOCK_LOGISTICS_WEBHOOK_SECRET,
+  timeScale = 1,
+  onWebhook
+}: MockLogisticsOptions = {}): LogisticsPartnerAdapter {
+  const timers = new Map<string, ReturnType<typeof setTimeout>[]>()
+  const cancelled = new Set<string>()
+
+  const deliver = async (bookingId: string, event: PartnerTrackingEvent) => {
+    const rawBody = JSON.stringify({ booking_id: bookingId, event, driver: driverFor(bookingId) })
+    const headers = { [MOCK_LOGISTICS_SIGNATURE_HEADER]: await hmacSha256(webhookSecret, rawBody) }
+    try {
+      await onWebhook?.(rawBody, headers)
+    } catch (error) {
+      console.error('Mock logistics webhook delivery failed:', error)
+    }
+  }
+
+  const scheduleWebhooks = (job: MockJob) => {
+    if (!onWebhook) return
+    const pending = scriptFor(job)
+      .map(event => ({ event, wait: new Date(event.occurredAt).getTime() - Date.now() }))
+      .filter(({ wait }) => wait > 0 && wait < MAX_TIMER_MS)
+      .map(({ event, wait }) => setTimeout(() => deliver(job.bookingId, event), wait))
+    timers.set(job.bookingId, pending)
+  }
+
+  const status = (job: MockJob): PartnerBooking => {
+    const now = Date.now()
+    const events = scriptFor(job).filter(event => new Date(event.occurredAt).getTime() <= now)
+    return {
+      bookingId: job.bookingId,
+      pickupAt: new Date(job.pickupAt).toISOString(),
+      deliverBy: new Date(job.deliverBy).toISOString(),
+      driver: events.some(event => event.type === 'driver_assigned') ? driverFor(job.bookingId) : undefined,
+      events
+    }
+  }
+
+  return {
+    name: 'mock',
+
+    async book({ pickup, drop, pickupAt, deliverBy }) {
+      const bookedAt = Math.floor(Date.now() / SECOND) * SECOND
+      const compress = (time: string) => bookedAt + Math.max(0, new Date(time).getTime() - bookedAt) / timeScale
+      const pickupTime = compress(pickupAt)
+      const deliveryTime = Math.max(compress(deliverBy), pickupTime + SECOND)
+
+      const bookingId = ['MOCK', pickup.pincode, drop.pincode, toSeconds(bookedAt), toSeconds(pickupTime), toSeconds(deliveryTime)].join('-')
+      const job = parseBookingId(bookingId)
+      // Resolves both pincodes, so an unroutable job fails here
+      scriptFor(job)
+      scheduleWebhooks(job)
+      return status(job)
+    },
+
+    async cancel(bookingId) {
+      const job = parseBookingId(bookingId)
+      if (Date.now() >= job.pickupAt) {
+        throw new LogisticsPartnerError('mock', 'The vehicle has already been picked up and the booking can no longer be cancelled')
+      }
+      for (const timer of timers.get(bookingId) || []) clearTimeout(timer)
+      timers.delete(bookingId)
+      cancelled.add(bookingId)
+    },
+
+    async fetchStatus(bookingId) {
+      const job = parseBookingId(bookingId)
+      if (cancelled.has(bookingId)) {
+        throw new LogisticsPartnerError('mock', `Booking ${bookingId} was cancelled`)
+      }
+      return status(job)
+    },
+
+    async verifyWebhook(rawBody, headers) {
+      const signature = headerValue(headers, MOCK_LOGISTICS_SIGNATURE_HEADER)
+      if (!signature) return false
+      return timingSafeEqual(await hmacSha256(webhookSecret, rawBody), signature)
+    },
+
+    parseWebhook(rawBody) {
+      const body = JSON.parse(rawBody)
+      return { bookingId: body.booking_id, event: body.event, driver: body.driver }
+    }
+  }
+}
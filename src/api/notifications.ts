@@ -0,0 +1,77 @@
+import { Dealer, Notification } from '@/api/entities'
+import { SendEmail } from '@/api/integrations'
+
+export interface DealerNotification {
+  type: string
+  title: string
+  message: string
+  link: string
+  linkLabel?: string
+}
+
+// In-app notification plus email to the user who owns a dealer profile.
+export async function notifyDealer(dealerId: string, { type, title, message, link, linkLabel = 'View details' }: DealerNotification) {
+  const dealer = await Dealer.get(dealerId)
+  if (!dealer?.created_by) return
+
+  await Notification.create({
+    user_email: dealer.created_by,
+    type,
+    title,
+    message,
+    link
+  })
+  await SendEmail({
+    to: dealer.created_by,
+    subject: message,
+    body: `<p>${message}</p><p><a href="${window.location.origin}${link}">${linkLabel}</a></p>`
+  })
+}
+
+export interface NotificationFailure {
+  dealerId: string
+  title: string
+  error: unknown
+}
+
+/**
+ * Notifications that could not be sent about a change that was saved
+ * anyway. Repeating the change would not send them again, so callers show
+ * this as a warning rather than as the change failing.
+ */
+export class NotificationError extends Error {
+  failures: NotificationFailure[]
+
+  constructor(failures: NotificationFailure[]) {
+    const reasons = failures.map(({ title, error }) => `${title}: ${error instanceof Error ? error.message : String(error)}`)
+    super(`The change was saved, but ${failures.length === 1 ? 'a notification' : `${failures.length} notifications`} could not be sent (${reasons.join('; ')})`)
+    this.name = 'NotificationError'
+    this.failures = failures
+  }
+}
+
+export type NotificationErrorHandler = (error: NotificationError) => void
+
+/**
+ * Gathers the notification failures of an operation's steps, so one that
+ * fails does not stop the steps after it. Once every step has run,
+ * `settle` hands them to the caller's `onNotifyError`, or throws them as a
+ * NotificationError if the caller gave none.
+ */
+export function collectNotificationErrors() {
+  const failures: NotificationFailure[] = []
+  return {
+    add(failure: NotificationFailure) {
+      failures.push(failure)
+    },
+    onNotifyError(error: NotificationError) {
+      failures.push(...error.failures)
+    },
+    settle(onNotifyError?: NotificationErrorHandler) {
+      if (failures.length === 0) return
+      const error = new NotificationError(failures)
+      if (!onNotifyError) throw error
+      onNotifyError(error)
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import supabase from '@/api/supabaseClient'
+import { getNumericConfig } from '@/api/systemConfig'
+import { transitionTransaction, TransitionError } from '@/api/transactionWorkflow'
+import type { TransitionOptions } from '@/api/transactionWorkflow'
+import type { Transaction as TransactionRecord } from '@/api/types'
+
+export const OFFER_EXPIRY_CONFIG_KEY = 'offer_expiry_hours'
+export const DEFAULT_OFFER_EXPIRY_HOURS = 48
+
+const HOUR = 60 * 60 * 1000
+
+export function isOfferExpired(transaction: TransactionRecord) {
+  return ['offer_made', 'negotiating'].includes(transaction.status) &&
+    !!transaction.offer_expires_at &&
+    new Date(transaction.offer_expires_at) <= new Date()
+}
+
+// Deadline for a new offer or counter-offer, from the admin-configured window.
+export async function nextOfferExpiry(from = new Date()) {
+  const hours = await getNumericConfig(OFFER_EXPIRY_CONFIG_KEY, DEFAULT_OFFER_EXPIRY_HOURS)
+  return new Date(from.getTime() + hours * HOUR).toISOString()
+}
+
+/**
+ * Pushes the response deadline back by `hours` from whichever is later:
+ * now or the current deadline. Only the seller can extend.
+ */
+export async function extendOfferExpiry(transaction: TransactionRecord, sellerId: string, hours: number) {
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new Error(`Invalid extension: ${hours} hours`)
+  }
+  const current = transaction.offer_expires_at ? new Date(transaction.offer_expires_at).getTime() : 0
+  const base = Math.max(current, Date.now())
+
+  return transitionTransaction(transaction.id, 'extend_offer', {
+    actorDealerId: sellerId,
+    patch: { offer_expires_at: new Date(base + hours * HOUR).toISOString() }
+  })
+}
+
+// Cancels one lapsed negotiation; a no-op if someone else got there first.
+export async function expireOffer(transactionId: string, { onNotifyError }: Pick<TransitionOptions, 'onNotifyError'> = {}) {
+  try {
+    return await transitionTransaction(transactionId, 'expire_offer', { party: 'system', onNotifyError })
+  } catch (error) {
+    if (error instanceof TransitionError) return null
+    throw error
+  }
+}
+
+/**
+ * Lapses every open negotiation whose deadline has passed, freeing the
+ * vehicles for other buyers. There is no scheduler, so pages that list
+ * vehicles or transactions call this on load. Pass `dealerId` to limit the
+ * sweep to one dealer's deals. An offer that fails to lapse does not stop
+ * the sweep; the errors are thrown together once every offer has been tried.
+ */
+export async function expireStaleOffers(dealerId?: string) {
+  let query = supabase
+    .from('Transaction')
+    .select('id')
+    .in('status', ['offer_made', 'negotiating'])
+    .lt('offer_expires_at', new Date().toISOString())
+  if (dealerId) {
+    query = query.or(`buyer_id.eq.${dealerId},seller_id.eq.${dealerId}`)
+  }
+  const { data, error } = await query
+  if (error) throw error
+
+  const expired = []
+  const errors: unknown[] = []
+  for (const { id } of data as { id: string }[]) {
+    try {
+      if (await expireOffer(id, { onNotifyError: error => errors.push(error) })) expired.push(id)
+    } catch (err) {
+      errors.push(err)
+    }
+  }
+  if (errors.length > 0) {
+    throw new AggregateError(errors, `Expiring stale offers ran into ${errors.length} problem(s); ${expired.length} offer(s) lapsed`)
+  }
+  return expired
+}
@@ -0,0 +1,183 @@
+import { Transaction, Vehicle } from '@/api/entities'
+import { recordRefund, heldInEscrow, cancellationFeeFor } from '@/api/escrowLedger'
+import { recordEscrowEvent } from '@/api/escrowEvents'
+import { collectNotificationErrors } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { transitionTransaction, getParty, TransitionError } from '@/api/transactionWorkflow'
+import type { TransitionOptions } from '@/api/transactionWorkflow'
+import type { Transaction as TransactionRecord } from '@/api/types'
+
+export const OPEN_OFFER_STATUSES = ['offer_made', 'negotiating']
+const ACTIVE_DEAL_STATUSES = ['accepted', 'payment_pending', 'in_escrow']
+
+// Highest offer first; ties go to whoever offered earlier.
+export function rankOffers<T extends TransactionRecord>(transactions: T[]) {
+  return [...transactions].sort((a, b) =>
+    (b.offer_amount - a.offer_amount) || (new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+  )
+}
+
+// Every live offer, backup and active deal on a vehicle, for side-by-side comparison.
+export async function listVehicleOffers(vehicleId: string) {
+  return Transaction.filter({
+    vehicle_id: vehicleId,
+    status: [...OPEN_OFFER_STATUSES, 'backup', ...ACTIVE_DEAL_STATUSES]
+  }, '-created_date')
+}
+
+// The buyer's existing open offer on a vehicle, so they are sent back to it
+// instead of starting a second negotiation.
+export async function findOpenOffer(vehicleId: string, buyerId: string) {
+  const [existing] = await Transaction.filter({
+    vehicle_id: vehicleId,
+    buyer_id: buyerId,
+    status: [...OPEN_OFFER_STATUSES, 'backup', ...ACTIVE_DEAL_STATUSES]
+  }, '-created_date', 1)
+  return existing || null
+}
+
+/**
+ * Accepts one offer and moves every other open offer on the vehicle into
+ * the backup queue, ranked by amount. The vehicle is claimed first with a
+ * version-checked `live` -> `in_transaction` write, so of two accepts on the
+ * same vehicle at once only one goes through.
+ */
+export async function acceptOffer(transactionId: string, options: TransitionOptions) {
+  const transaction = await Transaction.get(transactionId)
+  await Vehicle.mutate(transaction.vehicle_id, (vehicle) => {
+    if (vehicle.status !== 'live') {
+      throw new TransitionError('accept_offer', transaction.status, 'the vehicle is no longer available')
+    }
+    return { status: 'in_transaction' }
+  })
+
+  const notices = collectNotificationErrors()
+  let accepted
+  try {
+    accepted = await transitionTransaction(transactionId, 'accept_offer', { ...options, onNotifyError: notices.onNotifyError })
+  } catch (error) {
+    // Put the vehicle back on the marketplace; nothing else can have claimed it
+    await Vehicle.update(transaction.vehicle_id, { status: 'live' })
+    throw error
+  }
+
+  const others = await Transaction.filter({ vehicle_id: accepted.vehicle_id, status: OPEN_OFFER_STATUSES })
+  const ranked = rankOffers(others.filter(other => other.id !== transactionId))
+  for (const [index, other] of ranked.entries()) {
+    try {
+      await transitionTransaction(other.id, 'hold_as_backup', {
+        party: 'system',
+        patch: { backup_rank: index + 1 },
+        onNotifyError: notices.onNotifyError
+      })
+    } catch (error) {
+      // The offer may have been withdrawn or lapsed in the meantime.
+      if (!(error instanceof TransitionError)) throw error
+    }
+  }
+  notices.settle(options.onNotifyError)
+  return accepted
+}
+
+/**
+ * Promotes the best-ranked backup on a vehicle to an accepted deal at its
+ * offered amount. Returns the promoted transaction, or null if the queue
+ * is empty.
+ */
+export async function promoteNextBackup(vehicleId: string, { onNotifyError }: { onNotifyError?: NotificationErrorHandler } = {}) {
+  const backups = await Transaction.filter({ vehicle_id: vehicleId, status: 'backup' }, 'backup_rank')
+  for (const backup of backups) {
+    try {
+      return await transitionTransaction(backup.id, 'promote_backup', {
+        party: 'system',
+        patch: { final_amount: backup.offer_amount, backup_rank: null },
+        onNotifyError
+      })
+    } catch (error) {
+      if (!(error instanceof TransitionError)) throw error
+    }
+  }
+  return null
+}
+
+export interface CancellationOptions {
+  reason?: string
+  // Admins may let a buyer off the cancellation fee
+  waiveFee?: boolean
+}
+
+/**
+ * Cancels an accepted deal, refunds anything the buyer had paid into escrow
+ * and hands the vehicle to the next backup, if any. Once paid, a buyer who
+ * backs out forfeits the configured cancellation fee; sellers backing out
+ * cost the buyer nothing, and admins decide case by case.
+ */
+export async function cancelAcceptedDeal(
+  transactionId: string,
+  options: TransitionOptions,
+  { reason = '', waiveFee = false }: CancellationOptions = {}
+) {
+  const held = await heldInEscrow(transactionId)
+  let party = options.party
+  if (!party && held > 0) {
+    party = getParty(await Transaction.get(transactionId), options.actorDealerId) || undefined
+  }
+  const chargeFee = held > 0 && !waiveFee && (party === 'buyer' || party === 'admin')
+  const fee = chargeFee ? await cancellationFeeFor(held) : 0
+
+  const notices = collectNotificationErrors()
+  const cancelled = await transitionTransaction(transactionId, 'cancel_deal', {
+    ...options,
+    patch: { ...options.patch, cancellation_reason: reason || null, cancellation_fee: fee },
+    onNotifyError: notices.onNotifyError
+  })
+  await recordRefund(transactionId, {
+    reference: 'cancellation',
+    memo: fee > 0 ? 'Deal cancelled; refund less cancellation fee' : 'Deal cancelled; funds returned to buyer',
+    fee
+  })
+  if (held > 0) {
+    await recordEscrowEvent(transactionId, {
+      type: 'cancelled',
+      reason: reason || 'Deal cancelled after payment',
+      actor: party || 'system',
+      actorDealerId: options.actorDealerId,
+      amount: fee
+    })
+  }
+
+  const promoted = await promoteNextBackup(cancelled.vehicle_id, { onNotifyError: notices.onNotifyError })
+  notices.settle(options.onNotifyError)
+  return { cancelled, promoted }
+}
+
+/**
+ * Records a failed payment. A buyer with no one waiting behind them may
+ * retry; if backups are queued the deal is cancelled and the next backup
+ * promoted instead.
+ */
+export async function failPayment(transactionId: string, options: TransitionOptions) {
+  const notices = collectNotificationErrors()
+  const failed = await transitionTransaction(transactionId, 'fail_payment', { ...options, onNotifyError: notices.onNotifyError })
+  const backups = await Transaction.filter({ vehicle_id: failed.vehicle_id, status: 'backup' }, undefined, 1)
+  let promoted = null
+  if (backups.length > 0) {
+    ({ promoted } = await cancelAcceptedDeal(transactionId, { party: 'system', onNotifyError: notices.onNotifyError }))
+  }
+  notices.settle(options.onNotifyError)
+  return { failed, promoted }
+}
+
+// Lets every backup buyer go once the vehicle is sold.
+export async function releaseBackups(vehicleId: string, { onNotifyError }: { onNotifyError?: NotificationErrorHandler } = {}) {
+  const notices = collectNotificationErrors()
+  const backups = await Transaction.filter({ vehicle_id: vehicleId, status: 'backup' })
+  for (const backup of backups) {
+    try {
+      await transitionTransaction(backup.id, 'release_backup', { party: 'system', onNotifyError: notices.onNotifyError })
+    } catch (error) {
+      if (!(error instanceof TransitionError)) throw error
+    }
+  }
+  notices.settle(onNotifyError)
+}
@@ -0,0 +1,110 @@
+import supabase from '@/api/supabaseClient'
+import { Offer, Transaction } from '@/api/entities'
+import type { Offer as OfferRecord, OfferType } from '@/api/types'
+
+export interface RecordOfferParams {
+  transactionId: string
+  proposerId: string
+  type: OfferType
+  amount: number
+  conditions?: string[]
+  expiresAt?: string | null
+}
+
+// Negotiation history, oldest first. Amounts are stored in rupees.
+export async function listOffers(transactionId: string) {
+  return Offer.filter({ transaction_id: transactionId }, 'created_date')
+}
+
+export async function recordOffer({
+  transactionId,
+  proposerId,
+  type,
+  amount,
+  conditions = [],
+  expiresAt = null
+}: RecordOfferParams) {
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Invalid offer amount: ${amount}`)
+  }
+  return Offer.create({
+    transaction_id: transactionId,
+    proposer_id: proposerId,
+    type,
+    amount,
+    conditions,
+    expires_at: expiresAt
+  })
+}
+
+// Legacy chat wording, e.g. "Counter-offer: ₹9.5L" or "Offer of ₹10.0L has been accepted!".
+function classifyLegacyMessage(text: string): OfferType | null {
+  const lower = text.toLowerCase()
+  if (lower.includes('initial offer')) return 'initial'
+  if (lower.includes('counter-offer') || lower.includes('counter offer')) return 'counter'
+  if (lower.startsWith('offer of ₹') && lower.includes('has been accepted')) return 'accept'
+  if (lower.startsWith('offer of ₹') && lower.includes('has been rejected')) return 'reject'
+  return null
+}
+
+function parseLegacyAmount(text: string) {
+  const match = text.match(/₹([\d.]+)L/)
+  return match ? Math.round(parseFloat(match[1]) * 100000) : null
+}
+
+/**
+ * One-off migration for transactions negotiated before Offer records existed.
+ * Rebuilds offers from the system-generated chat messages; does nothing if the
+ * transaction already has offers, so it is safe to call on every load. Each
+ * rebuilt offer carries its position in the legacy chat, which is unique per
+ * transaction, so when both parties open the deal room at once only one
+ * migration is written and the other sees a unique violation.
+ */
+export async function migrateLegacyOffers(transactionId: string): Promise<OfferRecord[]> {
+  const existing = await listOffers(transactionId)
+  if (existing.length > 0) return existing
+
+  const transaction = await Transaction.get(transactionId)
+  const messages = (transaction.messages || [])
+    .filter(message => message.type !== 'system')
+
+  const rows = []
+  for (const message of messages) {
+    const type = classifyLegacyMessage(message.message)
+    const amount = parseLegacyAmount(message.message)
+    if (!type || !amount) continue
+
+    rows.push({
+      transaction_id: transactionId,
+      proposer_id: message.sender_id,
+      type,
+      amount,
+      conditions: [],
+      legacy_message: message.message,
+      legacy_index: rows.length,
+      created_at: message.timestamp
+    })
+  }
+
+  // Transactions created without chat messages still have their opening offer.
+  if (rows.length === 0 && transaction.offer_amount > 0) {
+    rows.push({
+      transaction_id: transactionId,
+      proposer_id: transaction.buyer_id,
+      type: 'initial',
+      amount: transaction.offer_amount,
+      conditions: [],
+      legacy_index: 0,
+      created_at: transaction.created_at
+    })
+  }
+  if (rows.length === 0) return []
+
+  // One insert, so a migration is either all there or not at all
+  const { data, error } = await supabase.from('Offer').insert(rows).select()
+  if (error) {
+    if (error.code === '23505') return listOffers(transactionId)
+    throw error
+  }
+  return data as OfferRecord[]
+}
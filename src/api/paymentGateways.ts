@@ -0,0 +1,126 @@
+// Provider-neutral contract for payment gateways. Amounts are in rupees at
+// this boundary; adapters convert to whatever unit their provider expects.
+
+export type GatewayPaymentStatus = 'created' | 'pending' | 'authorized' | 'captured' | 'failed'
+
+export interface GatewayCustomer {
+  id: string
+  name?: string
+  email?: string
+  phone?: string
+}
+
+export interface CreateOrderParams {
+  amount: number
+  currency?: string
+  // Our reference for the order, usually the transaction id
+  receipt: string
+  customer?: GatewayCustomer
+  notes?: Record<string, string>
+}
+
+export interface GatewayOrder {
+  gateway: string
+  orderId: string
+  amount: number
+  currency: string
+  // Whatever the provider's checkout needs: public keys, session ids, form fields
+  checkout?: Record<string, unknown>
+}
+
+export interface GatewayPayment {
+  orderId: string
+  paymentId: string | null
+  status: GatewayPaymentStatus
+  amount: number
+  method?: string
+  failureReason?: string
+}
+
+export interface GatewayWebhookEvent {
+  // Stable across redeliveries, used to process each event once
+  eventId: string
+  type: string
+  payment: GatewayPayment
+}
+
+export interface CheckoutOptions {
+  method?: string
+  customer?: GatewayCustomer
+}
+
+export type WebhookHeaders = Record<string, string | undefined>
+
+export interface PaymentGatewayAdapter {
+  name: string
+  createOrder(params: CreateOrderParams): Promise<GatewayOrder>
+  // Browser-side checkout. Resolves once the buyer finishes; the outcome
+  // is only trusted after `fetchPaymentStatus` or a verified webhook.
+  openCheckout?(order: GatewayOrder, options?: CheckoutOptions): Promise<GatewayPayment>
+  capturePayment(payment: GatewayPayment): Promise<GatewayPayment>
+  fetchPaymentStatus(orderId: string): Promise<GatewayPayment>
+  verifyWebhook(rawBody: string, headers: WebhookHeaders): Promise<boolean>
+  parseWebhook(rawBody: string, headers: WebhookHeaders): GatewayWebhookEvent
+}
+
+export class PaymentGatewayError extends Error {
+  gateway: string
+
+  constructor(gateway: string, message: string) {
+    super(message)
+    this.name = 'PaymentGatewayError'
+    this.gateway = gateway
+  }
+}
+
+const encoder = new TextEncoder()
+
+function toHex(buffer: ArrayBuffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function toBase64(buffer: ArrayBuffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+}
+
+export async function hmacSha256(secret: string, message: string, encoding: 'hex' | 'base64' = 'hex') {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return encoding === 'hex' ? toHex(signature) : toBase64(signature)
+}
+
+export async function sha256Hex(message: string) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(message)))
+}
+
+export async function sha512Hex(message: string) {
+  return toHex(await crypto.subtle.digest('SHA-512', encoder.encode(message)))
+}
+
+// Compares signatures without leaking where they first differ.
+export function timingSafeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return difference === 0
+}
+
+// Header names are case-insensitive and arrive however the host framework spells them.
+export function headerValue(headers: WebhookHeaders, name: string) {
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase())
+  return match ? headers[match] : undefined
+}
+
+export function loadScript(src: string) {
+  if (document.querySelector(`script[src="${src}"]`)) return Promise.resolve()
+  return new Promise<void>((resolve, reject) => {
+    const script = document.createElement('script')
+    script.src = src
+    script.async = true
+    script.onload = () => resolve()
+    script.onerror = () => reject(new Error(`Failed to load ${src}`))
+    document.body.appendChild(script)
+  })
+}
@@ -0,0 +1,271 @@
+import supabase from '@/api/supabaseClient'
+import { Transaction, ConcurrencyError } from '@/api/entities'
+import { getNumericConfig } from '@/api/systemConfig'
+import { notifyDealer } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { transitionTransaction } from '@/api/transactionWorkflow'
+import { createPageUrl } from '@/utils'
+import type { Transaction as TransactionRecord, PaymentMilestone, MilestoneStage } from '@/api/types'
+
+// Deals at or above this amount are paid in stages: a token advance to lock
+// the vehicle and the balance before dispatch. All values are admin-configurable.
+export const STAGED_PAYMENT_THRESHOLD_CONFIG_KEY = 'staged_payment_threshold'
+export const DEFAULT_STAGED_PAYMENT_THRESHOLD = 2000000
+export const TOKEN_ADVANCE_PERCENT_CONFIG_KEY = 'token_advance_percent'
+export const DEFAULT_TOKEN_ADVANCE_PERCENT = 10
+export const TOKEN_ADVANCE_DUE_HOURS_CONFIG_KEY = 'token_advance_due_hours'
+export const DEFAULT_TOKEN_ADVANCE_DUE_HOURS = 48
+export const BALANCE_DUE_DAYS_CONFIG_KEY = 'balance_due_days'
+export const DEFAULT_BALANCE_DUE_DAYS = 7
+
+export const MILESTONE_STAGES: MilestoneStage[] = ['acceptance', 'dispatch', 'delivery']
+
+// Buyers are reminded once a day from this long before a milestone is due
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000
+const HOUR = 60 * 60 * 1000
+
+export interface MilestoneInput {
+  label: string
+  percent: number
+  stage: MilestoneStage
+  due_at: string
+}
+
+const agreedAmount = (transaction: TransactionRecord) => transaction.final_amount || transaction.offer_amount
+
+export const isPaymentScheduled = (transaction: TransactionRecord) => (transaction.payment_schedule || []).length > 0
+
+export function nextDueMilestone(transaction: TransactionRecord) {
+  return (transaction.payment_schedule || []).find(milestone => milestone.status !== 'paid') || null
+}
+
+export function amountPaid(transaction: TransactionRecord) {
+  return (transaction.payment_schedule || [])
+    .filter(milestone => milestone.status === 'paid')
+    .reduce((total, milestone) => total + milestone.amount, 0)
+}
+
+export function isMilestoneOverdue(milestone: PaymentMilestone) {
+  return milestone.status !== 'paid' && new Date(milestone.due_at) < new Date()
+}
+
+/**
+ * Turns percentages into whole-rupee amounts that add up exactly to the
+ * deal amount; the last milestone absorbs any rounding. Milestones must be
+ * in stage order, sum to 100% and have due dates that do not go backwards.
+ */
+export function buildSchedule(dealAmount: number, inputs: MilestoneInput[]): PaymentMilestone[] {
+  const total = Math.round(dealAmount)
+  if (inputs.length === 0) throw new Error('A payment schedule needs at least one milestone')
+  const percentTotal = inputs.reduce((sum, input) => sum + input.percent, 0)
+  if (Math.abs(percentTotal - 100) > 0.001) {
+    throw new Error(`Milestones must add up to 100% (currently ${percentTotal}%)`)
+  }
+
+  let allocated = 0
+  return inputs.map((input, index) => {
+    if (!input.label?.trim()) throw new Error(`Milestone ${index + 1} needs a label`)
+    if (!(input.percent > 0)) throw new Error(`${input.label} must be more than 0%`)
+    if (!MILESTONE_STAGES.includes(input.stage)) throw new Error(`Unknown stage for ${input.label}: ${input.stage}`)
+    if (Number.isNaN(new Date(input.due_at).getTime())) throw new Error(`${input.label} needs a due date`)
+    const previous = inputs[index - 1]
+    if (previous) {
+      if (MILESTONE_STAGES.indexOf(input.stage) < MILESTONE_STAGES.indexOf(previous.stage)) {
+        throw new Error(`${input.label} cannot be due at an earlier stage than ${previous.label}`)
+      }
+      if (new Date(input.due_at) < new Date(previous.due_at)) {
+        throw new Error(`${input.label} cannot be due before ${previous.label}`)
+      }
+    }
+
+    const amount = index === inputs.length - 1 ? total - allocated : Math.round(total * input.percent / 100)
+    allocated += amount
+    return {
+      id: `m${index + 1}`,
+      label: input.label.trim(),
+      percent: input.percent,
+      amount,
+      stage: input.stage,
+      due_at: new Date(input.due_at).toISOString(),
+      status: 'due' as const
+    }
+  })
+}
+
+export async function defaultScheduleInputs(from = new Date()): Promise<MilestoneInput[]> {
+  const [tokenPercent, tokenHours, balanceDays] = await Promise.all([
+    getNumericConfig(TOKEN_ADVANCE_PERCENT_CONFIG_KEY, DEFAULT_TOKEN_ADVANCE_PERCENT),
+    getNumericConfig(TOKEN_ADVANCE_DUE_HOURS_CONFIG_KEY, DEFAULT_TOKEN_ADVANCE_DUE_HOURS),
+    getNumericConfig(BALANCE_DUE_DAYS_CONFIG_KEY, DEFAULT_BALANCE_DUE_DAYS)
+  ])
+  return [
+    {
+      label: 'Token advance',
+      percent: tokenPercent,
+      stage: 'acceptance',
+      due_at: new Date(from.getTime() + tokenHours * HOUR).toISOString()
+    },
+    {
+      label: 'Balance',
+      percent: 100 - tokenPercent,
+      stage: 'dispatch',
+      due_at: new Date(from.getTime() + balanceDays * 24 * HOUR).toISOString()
+    }
+  ]
+}
+
+/**
+ * Gives an accepted high-value deal its default schedule if it has none yet.
+ * Deals reach `accepted` several ways (an accepted offer, a promoted backup,
+ * a settled auction), so the deal room calls this on load rather than each
+ * of those paths.
+ */
+export async function ensurePaymentSchedule(transaction: TransactionRecord) {
+  if (transaction.status !== 'accepted' || transaction.payment_schedule) return transaction
+  const threshold = await getNumericConfig(STAGED_PAYMENT_THRESHOLD_CONFIG_KEY, DEFAULT_STAGED_PAYMENT_THRESHOLD)
+  if (agreedAmount(transaction) < threshold) return transaction
+
+  const inputs = await defaultScheduleInputs()
+  return Transaction.mutate(transaction.id, (current) => {
+    // Someone else set it up meanwhile; keep theirs
+    if (current.payment_schedule || current.status !== 'accepted') return {}
+    return { payment_schedule: buildSchedule(agreedAmount(current), inputs) }
+  })
+}
+
+// The seller may reshape the schedule until the first payment is made.
+export async function setPaymentSchedule(transactionId: string, sellerId: string, inputs: MilestoneInput[]) {
+  const transaction = await Transaction.get(transactionId)
+  return transitionTransaction(transactionId, 'set_payment_schedule', {
+    actorDealerId: sellerId,
+    patch: { payment_schedule: buildSchedule(agreedAmount(transaction), inputs) }
+  })
+}
+
+/**
+ * Marks a milestone paid once its payment is captured. The first payment
+ * moves the deal into escrow; the deal's escrow_status stays
+ * `partially_paid` until the last milestone is in. Repeat reports of the
+ * same payment are ignored.
+ */
+export async function markMilestonePaid(
+  transactionId: string,
+  milestoneId: string,
+  paymentReference: string | null,
+  { onNotifyError, attempts = 3 }: { onNotifyError?: NotificationErrorHandler, attempts?: number } = {}
+): Promise<TransactionRecord> {
+  try {
+    return await applyMilestonePayment(transactionId, milestoneId, paymentReference, onNotifyError)
+  } catch (error) {
+    // Another milestone or a repeat report landed first; start from the new schedule
+    if (error instanceof ConcurrencyError && attempts > 1) {
+      return markMilestonePaid(transactionId, milestoneId, paymentReference, { onNotifyError, attempts: attempts - 1 })
+    }
+    throw error
+  }
+}
+
+async function applyMilestonePayment(
+  transactionId: string,
+  milestoneId: string,
+  paymentReference: string | null,
+  onNotifyError?: NotificationErrorHandler
+) {
+  const transaction = await Transaction.get(transactionId)
+  const schedule = transaction.payment_schedule || []
+  const milestone = schedule.find(item => item.id === milestoneId)
+  if (!milestone) throw new Error(`Milestone ${milestoneId} not found on transaction ${transactionId}`)
+  if (milestone.status === 'paid') return transaction
+
+  const updatedSchedule = schedule.map(item => item.id === milestoneId
+    ? { ...item, status: 'paid' as const, paid_at: new Date().toISOString(), payment_reference: paymentReference }
+    : item)
+  const escrowStatus = updatedSchedule.every(item => item.status === 'paid') ? 'paid' : 'partially_paid'
+  const patch = { payment_schedule: updatedSchedule, escrow_status: escrowStatus }
+
+  if (['accepted', 'payment_pending'].includes(transaction.status)) {
+    return transitionTransaction(transactionId, 'confirm_payment', {
+      party: 'system',
+      patch: { ...patch, payment_confirmed_at: new Date().toISOString() },
+      expect: { payment_schedule: transaction.payment_schedule },
+      onNotifyError
+    })
+  }
+  return transitionTransaction(transactionId, 'pay_milestone', {
+    party: 'system',
+    patch,
+    expect: { payment_schedule: transaction.payment_schedule },
+    onNotifyError
+  })
+}
+
+/**
+ * Reminds the buyer about milestones due within a day or already overdue,
+ * at most once a day per milestone. Returns true if a reminder went out.
+ */
+export async function remindIfDue(transaction: TransactionRecord) {
+  if (!['accepted', 'payment_pending', 'in_escrow'].includes(transaction.status)) return false
+  const now = Date.now()
+  const due = (transaction.payment_schedule || []).filter(milestone =>
+    milestone.status !== 'paid' &&
+    new Date(milestone.due_at).getTime() - now <= REMINDER_WINDOW_MS &&
+    (!milestone.reminded_at || now - new Date(milestone.reminded_at).getTime() >= REMINDER_WINDOW_MS))
+  if (due.length === 0) return false
+
+  // Claim the reminders before sending so two sweeps do not both send them
+  const remindedAt = new Date(now).toISOString()
+  let claimed = [] as PaymentMilestone[]
+  await Transaction.mutate(transaction.id, (current) => {
+    const schedule = current.payment_schedule || []
+    claimed = due.filter(item => schedule.some(milestone =>
+      milestone.id === item.id && milestone.status !== 'paid' && milestone.reminded_at === item.reminded_at))
+    return {
+      payment_schedule: schedule.map(milestone =>
+        claimed.some(item => item.id === milestone.id) ? { ...milestone, reminded_at: remindedAt } : milestone)
+    }
+  })
+
+  for (const milestone of claimed) {
+    const overdue = isMilestoneOverdue(milestone)
+    try {
+      await notifyDealer(transaction.buyer_id, {
+        type: 'payment_reminder',
+        title: overdue ? 'Payment overdue' : 'Payment due soon',
+        message: `${milestone.label} of ₹${milestone.amount.toLocaleString('en-IN')} ${overdue ? 'was' : 'is'} due on ${new Date(milestone.due_at).toLocaleString()}.`,
+        link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
+        linkLabel: 'Pay now'
+      })
+    } catch (error) {
+      console.error(`Failed to send payment reminder for ${transaction.id}:`, error)
+    }
+  }
+  return claimed.length > 0
+}
+
+/**
+ * Sends any reminders that are due across open deals with a schedule. There
+ * is no scheduler, so pages that list transactions call this on load. Pass
+ * `dealerId` to limit the sweep to one dealer's deals.
+ */
+export async function sendPaymentReminders(dealerId?: string) {
+  let query = supabase
+    .from('Transaction')
+    .select('*')
+    .in('status', ['accepted', 'payment_pending', 'in_escrow'])
+    .not('payment_schedule', 'is', null)
+  if (dealerId) {
+    query = query.or(`buyer_id.eq.${dealerId},seller_id.eq.${dealerId}`)
+  }
+  const { data, error } = await query
+  if (error) throw error
+
+  let sent = 0
+  for (const transaction of data as TransactionRecord[]) {
+    try {
+      if (await remindIfDue(transaction)) sent++
+    } catch (err) {
+      console.error(`Failed to send payment reminders for transaction ${transaction.id}:`, err)
+    }
+  }
+  return sent
+}
@@ -0,0 +1,263 @@
+import supabase from '@/api/supabaseClient'
+import { PaymentGateway } from '@/api/entities'
+import { recordFunding } from '@/api/escrowLedger'
+import { failPayment } from '@/api/offerQueue'
+import { collectNotificationErrors } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { transitionTransaction, TransitionError } from '@/api/transactionWorkflow'
+import { markMilestonePaid } from '@/api/paymentSchedule'
+import { createMockGateway } from '@/api/mockGateway'
+import type { MockScenario } from '@/api/mockGateway'
+import { PaymentGatewayError } from '@/api/paymentGateways'
+import type {
+  PaymentGatewayAdapter,
+  GatewayCustomer,
+  GatewayPayment,
+  WebhookHeaders
+} from '@/api/paymentGateways'
+import type { PaymentGateway as PaymentRecord, Transaction as TransactionRecord } from '@/api/types'
+
+// Gateways are chosen by name at checkout. Hosted providers are registered
+// where their secrets live:
+//
+//   registerPaymentGateway('razorpay', () => createRazorpayAdapter({ keyId, keySecret, webhookSecret }))
+//
+// Nothing registers one yet. The adapters in gatewayAdapters.ts need the
+// provider's key secret and a signed webhook endpoint, so they have to run
+// on a server, and this app has none. Until then online payment is not
+// available in production: the checkout asks buyers to contact support,
+// and only the mock below can take a payment.
+
+const gatewayFactories: Record<string, () => PaymentGatewayAdapter> = {}
+
+// The mock settles payments without any money moving, so it is only offered
+// in development or when a deployment opts in for demos
+export const MOCK_GATEWAY_ENABLED = import.meta.env.DEV || import.meta.env.VITE_ENABLE_MOCK_GATEWAY === 'true'
+
+if (MOCK_GATEWAY_ENABLED) {
+  gatewayFactories.mock = () => createMockGateway({
+    scenario: (import.meta.env.VITE_MOCK_GATEWAY_SCENARIO as MockScenario) || 'success',
+    latencyMs: 800,
+    // Webhooks loop straight back into our handler, signature checks included
+    onWebhook: (rawBody, headers) => handleGatewayWebhook('mock', rawBody, headers)
+  })
+}
+
+const activeGateways = new Map<string, PaymentGatewayAdapter>()
+
+export function registerPaymentGateway(name: string, factory: () => PaymentGatewayAdapter) {
+  gatewayFactories[name] = factory
+  activeGateways.delete(name)
+}
+
+export function listPaymentGateways() {
+  return Object.keys(gatewayFactories)
+}
+
+export function getPaymentGateway(name: string) {
+  let adapter = activeGateways.get(name)
+  if (!adapter) {
+    const factory = gatewayFactories[name]
+    if (!factory) throw new PaymentGatewayError(name, `Unknown payment gateway: ${name}`)
+    adapter = factory()
+    activeGateways.set(name, adapter)
+  }
+  return adapter
+}
+
+export interface StartPaymentOptions {
+  gateway: string
+  method: string
+  // Charged to the buyer, including any processing fee
+  amount: number
+  // The part that is held in escrow
+  escrowAmount: number
+  customer?: GatewayCustomer
+  // Extra order notes, e.g. `{ scenario: 'failure' }` for the mock gateway
+  notes?: Record<string, string>
+  // The payment schedule milestone this pays, for staged payments
+  milestoneId?: string | null
+  // See `TransitionOptions.onNotifyError`
+  onNotifyError?: NotificationErrorHandler
+}
+
+/**
+ * Creates the gateway order and our payment record, and moves an accepted
+ * deal to `payment_pending`; later milestones of a staged payment leave the
+ * deal in escrow. The caller then runs the checkout and waits for the
+ * outcome with `pollPaymentStatus`.
+ */
+export async function startPayment(transaction: TransactionRecord, options: StartPaymentOptions) {
+  const { gateway, method, amount, escrowAmount, customer, notes = {}, milestoneId = null, onNotifyError } = options
+  const adapter = getPaymentGateway(gateway)
+
+  const order = await adapter.createOrder({
+    amount,
+    receipt: transaction.id,
+    customer,
+    notes: { transaction_id: transaction.id, ...notes }
+  })
+  const record = await PaymentGateway.create({
+    transaction_id: transaction.id,
+    payment_gateway: gateway,
+    gateway_order_id: order.orderId,
+    payment_method: method,
+    amount,
+    escrow_amount: escrowAmount,
+    milestone_id: milestoneId,
+    status: 'created',
+    payment_initiated_at: new Date().toISOString(),
+    buyer_details: customer ? { ...customer } : undefined
+  })
+
+  if (transaction.status === 'accepted') {
+    await transitionTransaction(transaction.id, 'start_payment', {
+      actorDealerId: transaction.buyer_id,
+      onNotifyError
+    })
+  }
+
+  return { order, record }
+}
+
+async function findPaymentRecord(gateway: string, orderId: string) {
+  const [record] = await PaymentGateway.filter({ payment_gateway: gateway, gateway_order_id: orderId }, undefined, 1)
+  if (!record) throw new PaymentGatewayError(gateway, `No payment found for order ${orderId}`)
+  return record
+}
+
+async function markPaymentFailed(record: PaymentRecord, reason: string, onNotifyError?: NotificationErrorHandler) {
+  // A late failure for one attempt must never undo a capture
+  if (record.status === 'completed' || record.status === 'failed') return
+  await PaymentGateway.update(record.id, { status: 'failed', failure_reason: reason })
+  try {
+    await failPayment(record.transaction_id, { party: 'system', onNotifyError })
+  } catch (error) {
+    if (!(error instanceof TransitionError)) throw error
+  }
+}
+
+/**
+ * Applies a gateway's verdict to our records: captured payments are funded
+ * into escrow and confirm the deal; failures release it for a retry or a
+ * backup buyer. Safe to call more than once for the same payment, which
+ * happens when a webhook and a status poll both report it.
+ */
+export async function applyPaymentResult(
+  gateway: string,
+  payment: GatewayPayment,
+  { verified = false, onNotifyError }: { verified?: boolean, onNotifyError?: NotificationErrorHandler } = {}
+) {
+  const record = await findPaymentRecord(gateway, payment.orderId)
+
+  if (payment.status === 'captured') {
+    // Funded first, so a failure leaves the payment open for the next report
+    // to retry instead of completed with nothing in escrow
+    await recordFunding(record.transaction_id, record.escrow_amount ?? payment.amount, payment.paymentId || record.gateway_order_id)
+    if (record.status !== 'completed') {
+      await PaymentGateway.update(record.id, {
+        status: 'completed',
+        gateway_payment_id: payment.paymentId,
+        payment_completed_at: new Date().toISOString(),
+        webhook_verified: verified || record.webhook_verified,
+        gateway_response: { ...payment }
+      })
+    }
+    try {
+      if (record.milestone_id) {
+        await markMilestonePaid(record.transaction_id, record.milestone_id, payment.paymentId, { onNotifyError })
+      } else {
+        await transitionTransaction(record.transaction_id, 'confirm_payment', {
+          party: 'system',
+          patch: {
+            escrow_status: 'paid',
+            payment_method: payment.method || record.payment_method,
+            payment_confirmed_at: new Date().toISOString()
+          },
+          onNotifyError
+        })
+      }
+    } catch (error) {
+      // Already confirmed by an earlier report of the same payment
+      if (!(error instanceof TransitionError)) throw error
+    }
+  } else if (payment.status === 'failed') {
+    await markPaymentFailed(record, payment.failureReason || 'Payment failed', onNotifyError)
+  } else if (payment.status === 'pending' && record.status === 'created') {
+    await PaymentGateway.update(record.id, { status: 'pending', gateway_payment_id: payment.paymentId })
+  }
+}
+
+// For attempts the gateway never reports on, such as a closed checkout.
+export async function abandonPayment(gateway: string, orderId: string, reason: string) {
+  await markPaymentFailed(await findPaymentRecord(gateway, orderId), reason)
+}
+
+/**
+ * Verifies and applies a gateway webhook. Providers retry until they get a
+ * response, so each event id is processed once: the event row is written
+ * first and a duplicate insert means it was already handled.
+ */
+export async function handleGatewayWebhook(gateway: string, rawBody: string, headers: WebhookHeaders) {
+  const adapter = getPaymentGateway(gateway)
+  if (!(await adapter.verifyWebhook(rawBody, headers))) {
+    throw new PaymentGatewayError(gateway, 'Webhook signature verification failed')
+  }
+  const event = adapter.parseWebhook(rawBody, headers)
+
+  const { data, error } = await supabase
+    .from('PaymentWebhookEvent')
+    .insert({
+      gateway,
+      event_id: event.eventId,
+      event_type: event.type,
+      order_id: event.payment.orderId,
+      payload: rawBody,
+      received_at: new Date().toISOString()
+    })
+    .select('id')
+    .single()
+  if (error) {
+    if (error.code === '23505') return { duplicate: true, event }
+    throw error
+  }
+
+  const notices = collectNotificationErrors()
+  try {
+    await applyPaymentResult(gateway, event.payment, { verified: true, onNotifyError: notices.onNotifyError })
+  } catch (err) {
+    // Forget the event so the provider's retry is processed
+    await supabase.from('PaymentWebhookEvent').delete().eq('id', data.id)
+    throw err
+  }
+  // The payment is applied and the event kept; a retry is then a duplicate
+  notices.settle()
+  return { duplicate: false, event }
+}
+
+/**
+ * Asks the gateway for the order's status until it settles or `timeoutMs`
+ * passes, capturing authorised payments along the way. Returns the last
+ * status seen; `pending` means the gateway has not decided yet and a
+ * webhook may still settle it.
+ */
+export async function pollPaymentStatus(
+  gateway: string,
+  orderId: string,
+  { intervalMs = 2000, timeoutMs = 60000, onNotifyError }: { intervalMs?: number, timeoutMs?: number, onNotifyError?: NotificationErrorHandler } = {}
+) {
+  const adapter = getPaymentGateway(gateway)
+  const deadline = Date.now() + timeoutMs
+
+  for (;;) {
+    let payment = await adapter.fetchPaymentStatus(orderId)
+    if (payment.status === 'authorized') {
+      payment = await adapter.capturePayment(payment)
+    }
+    await applyPaymentResult(gateway, payment, { onNotifyError })
+    if (['captured', 'failed'].includes(payment.status) || Date.now() + intervalMs > deadline) {
+      return payment
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+}
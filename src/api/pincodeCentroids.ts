@@ -0,0 +1,323 @@
+// Approximate centres of Indian postal areas, used to estimate transport
+// distances without a maps API. The first three digits of a pincode name a
+// sorting district and the first two a postal region; regions cover any
+// district not listed here. Entries are [latitude, longitude, place].
+
+export type Centroid = [number, number, string]
+
+export const SORTING_DISTRICTS: Record<string, Centroid> = {
+  // Delhi, Haryana, Punjab, Chandigarh
+  '110': [28.63, 77.22, 'Delhi'],
+  '121': [28.41, 77.32, 'Faridabad'],
+  '122': [28.46, 77.03, 'Gurugram'],
+  '123': [28.19, 76.62, 'Rewari'],
+  '124': [28.9, 76.61, 'Rohtak'],
+  '125': [29.15, 75.72, 'Hisar'],
+  '126': [29.32, 76.31, 'Jind'],
+  '127': [28.79, 76.13, 'Bhiwani'],
+  '131': [28.99, 77.02, 'Sonipat'],
+  '132': [29.69, 76.99, 'Karnal'],
+  '133': [30.38, 76.78, 'Ambala'],
+  '134': [30.69, 76.86, 'Panchkula'],
+  '135': [30.13, 77.29, 'Yamunanagar'],
+  '136': [29.97, 76.85, 'Kurukshetra'],
+  '140': [30.7, 76.72, 'Mohali'],
+  '141': [30.9, 75.85, 'Ludhiana'],
+  '143': [31.63, 74.87, 'Amritsar'],
+  '144': [31.33, 75.58, 'Jalandhar'],
+  '145': [32.27, 75.65, 'Pathankot'],
+  '146': [31.53, 75.91, 'Hoshiarpur'],
+  '147': [30.34, 76.39, 'Patiala'],
+  '151': [30.21, 74.95, 'Bathinda'],
+  '152': [30.93, 74.61, 'Ferozepur'],
+  '160': [30.73, 76.78, 'Chandigarh'],
+  // Himachal Pradesh, Jammu & Kashmir, Ladakh
+  '171': [31.1, 77.17, 'Shimla'],
+  '173': [30.91, 77.1, 'Solan'],
+  '175': [31.71, 76.93, 'Mandi'],
+  '176': [32.22, 76.32, 'Dharamshala'],
+  '180': [32.73, 74.86, 'Jammu'],
+  '190': [34.08, 74.8, 'Srinagar'],
+  '194': [34.16, 77.58, 'Leh'],
+  // Uttar Pradesh, Uttarakhand
+  '201': [28.63, 77.43, 'Ghaziabad'],
+  '202': [27.88, 78.08, 'Aligarh'],
+  '203': [28.4, 77.85, 'Bulandshahr'],
+  '206': [26.78, 79.02, 'Etawah'],
+  '208': [26.45, 80.33, 'Kanpur'],
+  '211': [25.44, 81.85, 'Prayagraj'],
+  '221': [25.32, 82.97, 'Varanasi'],
+  '222': [25.75, 82.69, 'Jaunpur'],
+  '223': [26.07, 83.18, 'Azamgarh'],
+  '224': [26.78, 82.13, 'Ayodhya'],
+  '226': [26.85, 80.95, 'Lucknow'],
+  '229': [26.23, 81.23, 'Raebareli'],
+  '231': [25.15, 82.57, 'Mirzapur'],
+  '243': [28.37, 79.43, 'Bareilly'],
+  '244': [28.83, 78.78, 'Moradabad'],
+  '247': [29.96, 77.55, 'Saharanpur'],
+  '248': [30.32, 78.03, 'Dehradun'],
+  '249': [29.95, 78.16, 'Haridwar'],
+  '250': [28.98, 77.71, 'Meerut'],
+  '251': [29.47, 77.7, 'Muzaffarnagar'],
+  '263': [29.22, 79.51, 'Haldwani'],
+  '273': [26.76, 83.37, 'Gorakhpur'],
+  '281': [27.49, 77.67, 'Mathura'],
+  '282': [27.18, 78.01, 'Agra'],
+  '283': [27.15, 78.4, 'Firozabad'],
+  '284': [25.45, 78.57, 'Jhansi'],
+  // Rajasthan
+  '301': [27.55, 76.6, 'Alwar'],
+  '302': [26.91, 75.79, 'Jaipur'],
+  '305': [26.45, 74.64, 'Ajmer'],
+  '306': [25.77, 73.32, 'Pali'],
+  '311': [25.35, 74.63, 'Bhilwara'],
+  '313': [24.58, 73.71, 'Udaipur'],
+  '324': [25.18, 75.83, 'Kota'],
+  '331': [28.3, 74.95, 'Churu'],
+  '333': [28.13, 75.4, 'Jhunjhunu'],
+  '334': [28.02, 73.31, 'Bikaner'],
+  '335': [29.9, 73.88, 'Sri Ganganagar'],
+  '342': [26.24, 73.02, 'Jodhpur'],
+  '345': [26.92, 70.91, 'Jaisalmer'],
+  // Gujarat
+  '360': [22.3, 70.8, 'Rajkot'],
+  '361': [22.47, 70.06, 'Jamnagar'],
+  '362': [21.52, 70.46, 'Junagadh'],
+  '364': [21.76, 72.15, 'Bhavnagar'],
+  '370': [23.25, 69.67, 'Bhuj'],
+  '380': [23.02, 72.57, 'Ahmedabad'],
+  '382': [23.22, 72.65, 'Gandhinagar'],
+  '384': [23.6, 72.38, 'Mehsana'],
+  '388': [22.56, 72.95, 'Anand'],
+  '390': [22.31, 73.18, 'Vadodara'],
+  '392': [21.7, 72.98, 'Bharuch'],
+  '394': [21.2, 72.85, 'Surat'],
+  '395': [21.17, 72.83, 'Surat'],
+  '396': [20.61, 72.93, 'Valsad'],
+  // Maharashtra, Goa
+  '400': [19.08, 72.88, 'Mumbai'],
+  '401': [19.7, 72.77, 'Palghar'],
+  '403': [15.5, 73.83, 'Goa'],
+  '410': [19.03, 73.03, 'Navi Mumbai'],
+  '411': [18.52, 73.86, 'Pune'],
+  '412': [18.65, 74.05, 'Pune'],
+  '413': [17.66, 75.91, 'Solapur'],
+  '414': [19.09, 74.74, 'Ahmednagar'],
+  '415': [17.68, 74.0, 'Satara'],
+  '416': [16.7, 74.24, 'Kolhapur'],
+  '421': [19.24, 73.13, 'Kalyan'],
+  '422': [20.0, 73.79, 'Nashik'],
+  '424': [20.9, 74.77, 'Dhule'],
+  '425': [21.0, 75.56, 'Jalgaon'],
+  '431': [19.88, 75.34, 'Aurangabad'],
+  '440': [21.15, 79.09, 'Nagpur'],
+  '442': [19.96, 79.3, 'Chandrapur'],
+  '444': [20.93, 77.75, 'Amravati'],
+  // Madhya Pradesh, Chhattisgarh
+  '452': [22.72, 75.86, 'Indore'],
+  '456': [23.18, 75.78, 'Ujjain'],
+  '462': [23.26, 77.41, 'Bhopal'],
+  '470': [23.84, 78.74, 'Sagar'],
+  '474': [26.22, 78.18, 'Gwalior'],
+  '482': [23.18, 79.99, 'Jabalpur'],
+  '486': [24.53, 81.3, 'Rewa'],
+  '490': [21.19, 81.35, 'Durg-Bhilai'],
+  '492': [21.25, 81.63, 'Raipur'],
+  '495': [22.08, 82.15, 'Bilaspur'],
+  // Telangana, Andhra Pradesh
+  '500': [17.39, 78.49, 'Hyderabad'],
+  '503': [18.67, 78.09, 'Nizamabad'],
+  '505': [18.44, 79.13, 'Karimnagar'],
+  '506': [17.97, 79.59, 'Warangal'],
+  '507': [17.25, 80.15, 'Khammam'],
+  '508': [17.05, 79.27, 'Nalgonda'],
+  '509': [16.74, 78.0, 'Mahbubnagar'],
+  '515': [14.68, 77.6, 'Anantapur'],
+  '516': [14.47, 78.82, 'Kadapa'],
+  '517': [13.63, 79.42, 'Tirupati'],
+  '518': [15.83, 78.04, 'Kurnool'],
+  '520': [16.51, 80.65, 'Vijayawada'],
+  '522': [16.31, 80.44, 'Guntur'],
+  '523': [15.5, 80.05, 'Ongole'],
+  '524': [14.44, 79.99, 'Nellore'],
+  '530': [17.69, 83.22, 'Visakhapatnam'],
+  '532': [18.3, 83.9, 'Srikakulam'],
+  '533': [16.99, 82.25, 'Kakinada'],
+  '534': [16.71, 81.1, 'Eluru'],
+  '535': [18.11, 83.4, 'Vizianagaram'],
+  // Karnataka
+  '560': [12.97, 77.59, 'Bengaluru'],
+  '562': [13.1, 77.4, 'Bengaluru Rural'],
+  '563': [13.14, 78.13, 'Kolar'],
+  '570': [12.3, 76.64, 'Mysuru'],
+  '571': [12.52, 76.9, 'Mandya'],
+  '572': [13.34, 77.1, 'Tumakuru'],
+  '573': [13.0, 76.1, 'Hassan'],
+  '575': [12.91, 74.86, 'Mangaluru'],
+  '576': [13.34, 74.75, 'Udupi'],
+  '577': [13.93, 75.57, 'Shivamogga'],
+  '580': [15.36, 75.12, 'Hubballi-Dharwad'],
+  '583': [15.14, 76.92, 'Ballari'],
+  '585': [17.33, 76.83, 'Kalaburagi'],
+  '586': [16.83, 75.71, 'Vijayapura'],
+  '590': [15.85, 74.5, 'Belagavi'],
+  // Tamil Nadu, Puducherry
+  '600': [13.08, 80.27, 'Chennai'],
+  '602': [13.14, 79.91, 'Tiruvallur'],
+  '603': [12.69, 79.98, 'Chengalpattu'],
+  '605': [11.94, 79.81, 'Puducherry'],
+  '606': [12.23, 79.07, 'Tiruvannamalai'],
+  '607': [11.75, 79.75, 'Cuddalore'],
+  '613': [10.79, 79.14, 'Thanjavur'],
+  '620': [10.8, 78.69, 'Tiruchirappalli'],
+  '624': [10.36, 77.98, 'Dindigul'],
+  '625': [9.93, 78.12, 'Madurai'],
+  '627': [8.71, 77.76, 'Tirunelveli'],
+  '628': [8.76, 78.13, 'Thoothukudi'],
+  '629': [8.18, 77.41, 'Nagercoil'],
+  '631': [12.83, 79.7, 'Kanchipuram'],
+  '632': [12.92, 79.13, 'Vellore'],
+  '635': [12.52, 78.21, 'Krishnagiri'],
+  '636': [11.66, 78.15, 'Salem'],
+  '637': [11.22, 78.17, 'Namakkal'],
+  '638': [11.34, 77.72, 'Erode'],
+  '639': [10.96, 78.08, 'Karur'],
+  '641': [11.02, 76.96, 'Coimbatore'],
+  '643': [11.41, 76.7, 'Ooty'],
+  // Kerala
+  '670': [11.87, 75.37, 'Kannur'],
+  '671': [12.5, 75.0, 'Kasaragod'],
+  '673': [11.26, 75.78, 'Kozhikode'],
+  '676': [11.07, 76.07, 'Malappuram'],
+  '678': [10.78, 76.65, 'Palakkad'],
+  '680': [10.53, 76.21, 'Thrissur'],
+  '682': [9.97, 76.28, 'Kochi'],
+  '683': [10.1, 76.35, 'Aluva'],
+  '686': [9.59, 76.52, 'Kottayam'],
+  '688': [9.5, 76.34, 'Alappuzha'],
+  '691': [8.89, 76.61, 'Kollam'],
+  '695': [8.52, 76.94, 'Thiruvananthapuram'],
+  // West Bengal, Sikkim
+  '700': [22.57, 88.36, 'Kolkata'],
+  '711': [22.59, 88.31, 'Howrah'],
+  '712': [22.9, 88.39, 'Hooghly'],
+  '713': [23.23, 87.86, 'Bardhaman'],
+  '721': [22.42, 87.32, 'Medinipur'],
+  '722': [23.23, 87.07, 'Bankura'],
+  '732': [25.01, 88.14, 'Malda'],
+  '734': [26.73, 88.4, 'Siliguri'],
+  '736': [26.32, 89.45, 'Cooch Behar'],
+  '737': [27.33, 88.61, 'Gangtok'],
+  '741': [23.4, 88.5, 'Krishnanagar'],
+  '742': [24.18, 88.27, 'Murshidabad'],
+  '743': [22.75, 88.5, 'North 24 Parganas'],
+  // Odisha
+  '751': [20.3, 85.82, 'Bhubaneswar'],
+  '752': [19.81, 85.83, 'Puri'],
+  '753': [20.46, 85.88, 'Cuttack'],
+  '756': [21.49, 86.93, 'Balasore'],
+  '760': [19.31, 84.79, 'Berhampur'],
+  '768': [21.47, 83.97, 'Sambalpur'],
+  '769': [22.26, 84.85, 'Rourkela'],
+  // North East
+  '781': [26.14, 91.74, 'Guwahati'],
+  '784': [26.63, 92.8, 'Tezpur'],
+  '785': [26.75, 94.22, 'Jorhat'],
+  '786': [27.47, 94.91, 'Dibrugarh'],
+  '788': [24.83, 92.78, 'Silchar'],
+  '791': [27.08, 93.61, 'Itanagar'],
+  '793': [25.58, 91.89, 'Shillong'],
+  '795': [24.82, 93.94, 'Imphal'],
+  '796': [23.73, 92.72, 'Aizawl'],
+  '797': [25.9, 93.73, 'Dimapur'],
+  '799': [23.83, 91.28, 'Agartala'],
+  // Bihar, Jharkhand
+  '800': [25.59, 85.14, 'Patna'],
+  '802': [25.56, 84.66, 'Arrah'],
+  '812': [25.24, 86.97, 'Bhagalpur'],
+  '814': [24.48, 86.7, 'Deoghar'],
+  '823': [24.8, 85.0, 'Gaya'],
+  '825': [23.99, 85.36, 'Hazaribagh'],
+  '826': [23.8, 86.43, 'Dhanbad'],
+  '827': [23.67, 86.15, 'Bokaro'],
+  '831': [22.8, 86.2, 'Jamshedpur'],
+  '834': [23.34, 85.31, 'Ranchi'],
+  '841': [25.78, 84.73, 'Chapra'],
+  '842': [26.12, 85.39, 'Muzaffarpur'],
+  '845': [26.65, 84.92, 'Motihari'],
+  '846': [26.15, 85.9, 'Darbhanga'],
+  '854': [25.78, 87.47, 'Purnia']
+}
+
+export const POSTAL_REGIONS: Record<string, Centroid> = {
+  '11': [28.63, 77.22, 'Delhi'],
+  '12': [28.7, 76.6, 'Southern Haryana'],
+  '13': [29.9, 76.9, 'Northern Haryana'],
+  '14': [31.1, 75.6, 'Punjab'],
+  '15': [30.4, 74.9, 'Southern Punjab'],
+  '16': [30.73, 76.78, 'Chandigarh'],
+  '17': [31.6, 76.9, 'Himachal Pradesh'],
+  '18': [32.9, 75.0, 'Jammu'],
+  '19': [34.1, 75.0, 'Kashmir'],
+  '20': [27.8, 78.4, 'Western Uttar Pradesh'],
+  '21': [25.6, 81.3, 'Southern Uttar Pradesh'],
+  '22': [26.3, 82.0, 'Central Uttar Pradesh'],
+  '23': [25.4, 82.6, 'Eastern Uttar Pradesh'],
+  '24': [29.0, 79.0, 'Rohilkhand and Uttarakhand'],
+  '25': [29.2, 77.7, 'Meerut Division'],
+  '26': [28.3, 80.3, 'Northern Uttar Pradesh'],
+  '27': [26.8, 82.9, 'Eastern Uttar Pradesh'],
+  '28': [26.8, 78.3, 'Agra Division'],
+  '30': [26.9, 75.8, 'Eastern Rajasthan'],
+  '31': [24.9, 74.2, 'Southern Rajasthan'],
+  '32': [25.4, 76.0, 'Hadoti'],
+  '33': [28.3, 74.5, 'Northern Rajasthan'],
+  '34': [26.2, 72.5, 'Western Rajasthan'],
+  '36': [22.0, 70.8, 'Saurashtra'],
+  '37': [23.2, 69.7, 'Kutch'],
+  '38': [23.1, 72.6, 'Northern Gujarat'],
+  '39': [21.8, 73.0, 'Southern Gujarat'],
+  '40': [19.0, 73.1, 'Konkan'],
+  '41': [18.3, 74.3, 'Western Maharashtra'],
+  '42': [20.3, 74.3, 'Northern Maharashtra'],
+  '43': [19.2, 76.2, 'Marathwada'],
+  '44': [20.9, 78.5, 'Vidarbha'],
+  '45': [23.0, 75.9, 'Western Madhya Pradesh'],
+  '46': [23.5, 77.6, 'Central Madhya Pradesh'],
+  '47': [25.2, 78.6, 'Northern Madhya Pradesh'],
+  '48': [23.4, 80.6, 'Eastern Madhya Pradesh'],
+  '49': [21.5, 81.8, 'Chhattisgarh'],
+  '50': [17.6, 79.0, 'Telangana'],
+  '51': [14.8, 78.4, 'Rayalaseema'],
+  '52': [16.2, 80.4, 'Coastal Andhra'],
+  '53': [17.6, 82.8, 'Northern Andhra'],
+  '56': [13.0, 77.6, 'Southern Karnataka'],
+  '57': [13.0, 75.9, 'Western Karnataka'],
+  '58': [15.5, 76.1, 'Northern Karnataka'],
+  '59': [15.9, 74.7, 'Belagavi Division'],
+  '60': [12.6, 79.7, 'Northern Tamil Nadu'],
+  '61': [10.8, 79.3, 'Cauvery Delta'],
+  '62': [9.5, 78.0, 'Southern Tamil Nadu'],
+  '63': [12.0, 78.6, 'Western Tamil Nadu'],
+  '64': [11.0, 77.0, 'Kongu Nadu'],
+  '67': [11.5, 75.8, 'Northern Kerala'],
+  '68': [9.9, 76.4, 'Central Kerala'],
+  '69': [8.8, 76.7, 'Southern Kerala'],
+  '70': [22.57, 88.36, 'Kolkata'],
+  '71': [22.8, 88.1, 'Southern Bengal'],
+  '72': [22.9, 87.2, 'Western Bengal'],
+  '73': [25.9, 88.4, 'Northern Bengal'],
+  '74': [23.3, 88.4, 'Central Bengal'],
+  '75': [20.6, 85.9, 'Coastal Odisha'],
+  '76': [19.3, 83.9, 'Southern Odisha'],
+  '77': [21.6, 84.0, 'Western Odisha'],
+  '78': [26.3, 92.6, 'Assam'],
+  '79': [25.2, 93.1, 'North Eastern States'],
+  '80': [25.5, 85.2, 'Central Bihar'],
+  '81': [24.9, 86.6, 'Eastern Bihar and Santhal Pargana'],
+  '82': [24.0, 85.4, 'Northern Jharkhand'],
+  '83': [23.0, 85.7, 'Southern Jharkhand'],
+  '84': [26.2, 85.2, 'Northern Bihar'],
+  '85': [25.8, 87.0, 'Kosi and Purnia']
+}
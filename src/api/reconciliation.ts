@@ -0,0 +1,211 @@
+import supabase from '@/api/supabaseClient'
+import { accountBalances, checkLedger } from '@/api/escrowLedger'
+import type {
+  LedgerEntry as LedgerEntryRecord,
+  PaymentGateway as PaymentGatewayRecord,
+  Transaction as TransactionRecord
+} from '@/api/types'
+
+// A checkout normally settles within minutes; older uncaptured orders are
+// worth chasing with the gateway.
+const PENDING_CAPTURE_GRACE_MS = 30 * 60 * 1000
+
+const formatRupees = (amount: number) => `₹${amount.toLocaleString('en-IN')}`
+
+export type ReconciliationIssueType =
+  | 'pending_capture'
+  | 'unfunded_capture'
+  | 'unmatched_funding'
+  | 'amount_mismatch'
+  | 'missing_payout'
+  | 'funds_not_returned'
+  | 'payout_before_completion'
+  | 'ledger_unbalanced'
+
+export interface ReconciliationIssue {
+  type: ReconciliationIssueType
+  message: string
+}
+
+export interface ReconciliationRow {
+  transaction: TransactionRecord
+  payments: PaymentGatewayRecord[]
+  // Escrow amounts of payments the gateway reports as captured
+  captured: number
+  pending: number
+  funded: number
+  refunded: number
+  paidOut: number
+  platformFee: number
+  logistics: number
+  held: number
+  issues: ReconciliationIssue[]
+}
+
+export interface ReconciliationPeriod {
+  from: Date
+  to: Date
+}
+
+const escrowAmountOf = (payment: PaymentGatewayRecord) => payment.escrow_amount ?? payment.amount
+
+const sumWhere = (entries: LedgerEntryRecord[], match: (entry: LedgerEntryRecord) => boolean, side: 'debit' | 'credit') =>
+  entries.filter(match).reduce((total, entry) => total + entry[side], 0)
+
+/**
+ * Matches one transaction's gateway records against its escrow ledger.
+ * Captured payments and funding journals are paired by the gateway payment
+ * id, which `recordFunding` stores as the journal reference.
+ */
+export function reconcileTransaction(
+  transaction: TransactionRecord,
+  payments: PaymentGatewayRecord[],
+  entries: LedgerEntryRecord[],
+  now = new Date()
+): ReconciliationRow {
+  const issues: ReconciliationIssue[] = []
+  const balances = accountBalances(entries)
+  const captures = payments.filter(payment => payment.status === 'completed')
+  const fundings = entries.filter(entry => entry.entry_type === 'funding' && entry.account === 'escrow')
+
+  for (const payment of payments) {
+    const startedAt = new Date(payment.payment_initiated_at || payment.created_at)
+    if (['created', 'pending'].includes(payment.status) && now.getTime() - startedAt.getTime() > PENDING_CAPTURE_GRACE_MS) {
+      issues.push({
+        type: 'pending_capture',
+        message: `${payment.payment_gateway} order ${payment.gateway_order_id} has been awaiting capture since ${startedAt.toLocaleString()}`
+      })
+    }
+  }
+
+  for (const payment of captures) {
+    const funding = fundings.filter(entry => entry.reference && entry.reference === payment.gateway_payment_id)
+    const fundedAmount = funding.reduce((total, entry) => total + entry.debit, 0)
+    if (funding.length === 0) {
+      issues.push({
+        type: 'unfunded_capture',
+        message: `Captured payment ${payment.gateway_payment_id || payment.gateway_order_id} of ${formatRupees(escrowAmountOf(payment))} has no escrow funding entry`
+      })
+    } else if (fundedAmount !== escrowAmountOf(payment)) {
+      issues.push({
+        type: 'amount_mismatch',
+        message: `Payment ${payment.gateway_payment_id} captured ${formatRupees(escrowAmountOf(payment))} but escrow recorded ${formatRupees(fundedAmount)}`
+      })
+    }
+  }
+
+  const capturedIds = new Set(captures.map(payment => payment.gateway_payment_id).filter(Boolean))
+  for (const entry of fundings) {
+    if (!entry.reference || !capturedIds.has(entry.reference)) {
+      issues.push({
+        type: 'unmatched_funding',
+        message: `Escrow funding of ${formatRupees(entry.debit)}${entry.reference ? ` (ref ${entry.reference})` : ''} has no captured gateway payment`
+      })
+    }
+  }
+
+  const paidOut = balances.seller
+  if (transaction.status === 'completed' && paidOut <= 0) {
+    issues.push({ type: 'missing_payout', message: 'Deal is completed but no payout to the seller is recorded' })
+  }
+  if (paidOut > 0 && transaction.status !== 'completed') {
+    issues.push({ type: 'payout_before_completion', message: `Seller was paid ${formatRupees(paidOut)} but the deal is ${transaction.status}` })
+  }
+  if (['completed', 'cancelled'].includes(transaction.status) && balances.escrow > 0) {
+    issues.push({ type: 'funds_not_returned', message: `${formatRupees(balances.escrow)} is still held in escrow after the deal was ${transaction.status}` })
+  }
+  for (const message of checkLedger(entries)) {
+    issues.push({ type: 'ledger_unbalanced', message })
+  }
+
+  return {
+    transaction,
+    payments,
+    captured: captures.reduce((total, payment) => total + escrowAmountOf(payment), 0),
+    pending: payments
+      .filter(payment => ['created', 'pending'].includes(payment.status))
+      .reduce((total, payment) => total + escrowAmountOf(payment), 0),
+    funded: sumWhere(entries, entry => entry.entry_type === 'funding' && entry.account === 'escrow', 'debit'),
+    refunded: sumWhere(entries, entry => entry.account === 'buyer', 'debit'),
+    paidOut,
+    platformFee: balances.platform_fee,
+    logistics: balances.logistics,
+    held: balances.escrow,
+    issues
+  }
+}
+
+async function transactionsTouchedIn(table: string, column: string, { from, to }: ReconciliationPeriod) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('transaction_id')
+    .gte(column, from.toISOString())
+    .lt(column, to.toISOString())
+  if (error) throw error
+  return (data as { transaction_id: string }[]).map(row => row.transaction_id)
+}
+
+async function byTransaction<T extends { transaction_id: string }>(table: string, transactionIds: string[]) {
+  const { data, error } = await supabase.from(table).select('*').in('transaction_id', transactionIds)
+  if (error) throw error
+  const grouped = new Map<string, T[]>()
+  for (const row of data as T[]) {
+    grouped.set(row.transaction_id, [...(grouped.get(row.transaction_id) || []), row])
+  }
+  return grouped
+}
+
+/**
+ * Reconciles every transaction with a payment attempt or ledger movement in
+ * the period. Each one is checked against its full history, since a payment
+ * captured in one period is often paid out in the next. Pass `dealerId` to
+ * limit it to one dealer's deals. Row level security shows platform admins
+ * every deal and anyone else only their own.
+ */
+export async function reconcilePayments(period: ReconciliationPeriod, { dealerId }: { dealerId?: string } = {}) {
+  const ids = [...new Set([
+    ...await transactionsTouchedIn('PaymentGateway', 'created_at', period),
+    ...await transactionsTouchedIn('LedgerEntry', 'created_at', period)
+  ])]
+  if (ids.length === 0) return []
+
+  let query = supabase.from('Transaction').select('*').in('id', ids)
+  if (dealerId) {
+    query = query.or(`buyer_id.eq.${dealerId},seller_id.eq.${dealerId}`)
+  }
+  const { data, error } = await query
+  if (error) throw error
+  const transactions = data as TransactionRecord[]
+  if (transactions.length === 0) return []
+
+  const transactionIds = transactions.map(transaction => transaction.id)
+  const [payments, entries] = await Promise.all([
+    byTransaction<PaymentGatewayRecord>('PaymentGateway', transactionIds),
+    byTransaction<LedgerEntryRecord>('LedgerEntry', transactionIds)
+  ])
+
+  return transactions
+    .map(transaction => reconcileTransaction(
+      transaction,
+      payments.get(transaction.id) || [],
+      entries.get(transaction.id) || []
+    ))
+    .sort((a, b) => b.issues.length - a.issues.length)
+}
+
+export function summarizeReconciliation(rows: ReconciliationRow[]) {
+  const total = (field: 'captured' | 'pending' | 'funded' | 'refunded' | 'paidOut' | 'platformFee' | 'logistics' | 'held') =>
+    rows.reduce((sum, row) => sum + row[field], 0)
+  return {
+    transactions: rows.length,
+    withIssues: rows.filter(row => row.issues.length > 0).length,
+    captured: total('captured'),
+    pending: total('pending'),
+    funded: total('funded'),
+    refunded: total('refunded'),
+    paidOut: total('paidOut'),
+    platformFee: total('platformFee'),
+    logistics: total('logistics'),
+    held: total('held')
+  }
+}
@@ -0,0 +1,84 @@
+import { getNumericConfig } from '@/api/systemConfig'
+import { SecurityValidator } from '@/components/shared/SecurityValidator'
+import { SORTING_DISTRICTS, POSTAL_REGIONS } from '@/api/pincodeCentroids'
+
+// Roads in India run roughly 1.2-1.4x the straight-line distance
+export const ROAD_FACTOR_CONFIG_KEY = 'road_distance_factor'
+export const DEFAULT_ROAD_FACTOR = 1.3
+// Pickup and drop within one postal area still mean some city driving
+export const MIN_ROUTE_KM = 15
+
+const EARTH_RADIUS_KM = 6371
+
+export class DistanceError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'DistanceError'
+  }
+}
+
+export interface PincodeLocation {
+  pincode: string
+  place: string
+  lat: number
+  lng: number
+  // 'district' when the sorting district is known, 'region' for the wider postal region
+  precision: 'district' | 'region'
+}
+
+export interface RouteEstimate {
+  origin: PincodeLocation
+  destination: PincodeLocation
+  straightLineKm: number
+  roadFactor: number
+  distanceKm: number
+}
+
+export function locatePincode(pincode: string | null | undefined): PincodeLocation {
+  const value = String(pincode ?? '').trim()
+  if (!SecurityValidator.validatePincode(value)) {
+    throw new DistanceError(value ? `${value} is not a valid pincode` : 'Pincode is missing')
+  }
+  const district = SORTING_DISTRICTS[value.slice(0, 3)]
+  if (district) {
+    const [lat, lng, place] = district
+    return { pincode: value, place, lat, lng, precision: 'district' }
+  }
+  const region = POSTAL_REGIONS[value.slice(0, 2)]
+  if (region) {
+    const [lat, lng, place] = region
+    return { pincode: value, place, lat, lng, precision: 'region' }
+  }
+  throw new DistanceError(`Pincode ${value} is outside the areas we can route`)
+}
+
+export function haversineKm(from: { lat: number, lng: number }, to: { lat: number, lng: number }) {
+  const radians = (degrees: number) => degrees * Math.PI / 180
+  const dLat = radians(to.lat - from.lat)
+  const dLng = radians(to.lng - from.lng)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Road distance between two pincodes: the straight line between their area
+ * centres stretched by the road factor. The same inputs always give the
+ * same answer, so quotes can be explained and reproduced.
+ */
+export function estimateRoute(originPincode: string, destinationPincode: string, roadFactor = DEFAULT_ROAD_FACTOR): RouteEstimate {
+  const origin = locatePincode(originPincode)
+  const destination = locatePincode(destinationPincode)
+  const straightLineKm = Math.round(haversineKm(origin, destination))
+  return {
+    origin,
+    destination,
+    straightLineKm,
+    roadFactor,
+    distanceKm: Math.max(MIN_ROUTE_KM, Math.round(straightLineKm * roadFactor))
+  }
+}
+
+export async function getRouteEstimate(originPincode: string, destinationPincode: string) {
+  const roadFactor = await getNumericConfig(ROAD_FACTOR_CONFIG_KEY, DEFAULT_ROAD_FACTOR)
+  return estimateRoute(originPincode, destinationPincode, roadFactor > 1 ? roadFactor : DEFAULT_ROAD_FACTOR)
+}
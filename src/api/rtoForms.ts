@@ -0,0 +1,86 @@
+import { UploadFile } from '@/api/integrations'
+import { gstStateCode } from '@/api/taxInvoices'
+import { renderRtoForm } from '@/api/rtoFormsPdf'
+import type { RtoFormData, RtoFormParty, RtoFormType } from '@/api/rtoFormsPdf'
+import { DocumentError } from '@/api/dealDocuments'
+import type { DealParties } from '@/api/dealDocuments'
+import type { Dealer as DealerRecord, RTODocument, Vehicle as VehicleRecord } from '@/api/types'
+
+export const RTO_FORM_LABELS: Record<RtoFormType, { title: string, description: string }> = {
+  form_29: { title: 'Form 29', description: 'Notice of ownership transfer, signed by the seller' },
+  form_30: { title: 'Form 30', description: 'Report of ownership transfer, signed by both parties' },
+  form_28: { title: 'Form 28', description: 'Application for a no objection certificate, for a move to another state' }
+}
+
+// Details the forms need from the vehicle; they are left blank when missing
+const VEHICLE_DETAILS: [keyof VehicleRecord, string][] = [
+  ['registration_number', 'registration number'],
+  ['chassis_number', 'chassis number'],
+  ['engine_number', 'engine number']
+]
+
+const normalise = (value?: string | null) => (value || '').trim().toLowerCase()
+
+// GSTINs start with the state code, which is more reliable than the typed state name
+export function isInterStateTransfer(seller: DealerRecord, buyer: DealerRecord) {
+  if (seller.gstin && buyer.gstin) return gstStateCode(seller.gstin) !== gstStateCode(buyer.gstin)
+  return normalise(seller.state) !== normalise(buyer.state)
+}
+
+// Forms 29 and 30 are always needed; Form 28 only when the buyer will register the vehicle in another state
+export function requiredRtoForms(interState: boolean): RtoFormType[] {
+  return interState ? ['form_29', 'form_30', 'form_28'] : ['form_29', 'form_30']
+}
+
+export function missingVehicleDetails(vehicle: VehicleRecord) {
+  return VEHICLE_DETAILS.filter(([field]) => !vehicle[field]).map(([, label]) => label)
+}
+
+// "MH12AB1234" and "MH-12-AB-1234" are both registered with MH-12
+export function registeringAuthority(registrationNumber?: string | null) {
+  const match = (registrationNumber || '').toUpperCase().match(/^([A-Z]{2})[\s-]*(\d{1,2})/)
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}` : null
+}
+
+const formParty = (dealer: DealerRecord): RtoFormParty => ({
+  name: dealer.business_name,
+  address: [dealer.address, dealer.city, [dealer.state, dealer.pincode].filter(Boolean).join(' - ')].filter(Boolean).join(', '),
+  state: dealer.state
+})
+
+// Ownership passes when escrow is paid out, so the forms cannot be dated before then
+export function buildRtoFormData({ transaction, vehicle, seller, buyer }: DealParties): RtoFormData {
+  if (!transaction.escrow_released_at) {
+    throw new DocumentError('The transfer forms can be prepared once escrow has been released to the seller')
+  }
+  return {
+    registrationNumber: vehicle.registration_number,
+    chassisNumber: vehicle.chassis_number || vehicle.vin,
+    engineNumber: vehicle.engine_number,
+    makerAndModel: [vehicle.make, vehicle.model].filter(Boolean).join(' '),
+    yearOfManufacture: vehicle.year,
+    registeringAuthority: registeringAuthority(vehicle.registration_number),
+    transferDate: transaction.escrow_released_at,
+    transferor: formParty(seller),
+    transferee: formParty(buyer)
+  }
+}
+
+export function rtoFormFileName(type: RtoFormType, { transaction, vehicle }: Pick<DealParties, 'transaction' | 'vehicle'>) {
+  const reference = (vehicle.registration_number || transaction.id.slice(0, 8)).replace(/[^\w-]+/g, '').toUpperCase()
+  return `${RTO_FORM_LABELS[type].title.replace(' ', '-')}-${reference}.pdf`
+}
+
+/**
+ * Renders the forms for the deal and uploads them, returning entries for the
+ * application's `document_urls`.
+ */
+export async function generateRtoForms(types: RtoFormType[], deal: DealParties): Promise<RTODocument[]> {
+  const data = buildRtoFormData(deal)
+  return Promise.all(types.map(async type => {
+    const name = rtoFormFileName(type, deal)
+    const file = new File([renderRtoForm(type, data).toString()], name, { type: 'application/pdf' })
+    const { file_url } = await UploadFile({ file })
+    return { type, url: file_url, name, generated: true }
+  }))
+}
@@ -0,0 +1,210 @@
+import { PdfDocument, A4_WIDTH, fitText, toPdfText, wrapText } from '@/utils/pdf'
+
+const MARGIN = 50
+const RIGHT = A4_WIDTH - MARGIN
+const VALUE_X = 270
+// Where a signature block starts when it sits on the right half of the page
+const HALF = A4_WIDTH / 2 + 20
+
+export type RtoFormType = 'form_29' | 'form_30' | 'form_28'
+
+export interface RtoFormParty {
+  name: string
+  address: string
+  state?: string
+}
+
+// What the forms are filled in with. Anything missing is printed as a blank
+// line to be completed by hand.
+export interface RtoFormData {
+  registrationNumber?: string | null
+  chassisNumber?: string | null
+  engineNumber?: string | null
+  makerAndModel: string
+  yearOfManufacture?: number | null
+  // The office the vehicle is registered with, e.g. "MH-12"
+  registeringAuthority?: string | null
+  transferDate: string
+  transferor: RtoFormParty
+  transferee: RtoFormParty
+}
+
+const date = (value: string) => new Date(value).toLocaleDateString('en-IN')
+
+function heading(pdf: PdfDocument, form: string, rule: string, title: string, note?: string) {
+  pdf.text(A4_WIDTH / 2, 50, form, { size: 14, font: 'bold', align: 'center' })
+  pdf.text(A4_WIDTH / 2, 64, `[See ${rule} of the Central Motor Vehicles Rules, 1989]`, { size: 8, align: 'center' })
+  let y = pdf.paragraph(MARGIN, 86, title, RIGHT - MARGIN, { size: 11, font: 'bold' })
+  if (note) y = pdf.paragraph(MARGIN, y, note, RIGHT - MARGIN, { size: 8 })
+  return y + 10
+}
+
+function addressee(pdf: PdfDocument, y: number, authority?: string | null) {
+  pdf.text(MARGIN, y, 'To,', { size: 10 })
+  pdf.text(MARGIN, y + 14, 'The Registering Authority,', { size: 10 })
+  blank(pdf, MARGIN, y + 28, 200, authority)
+  return y + 48
+}
+
+// A value on a line, or just the line when there is nothing to fill in
+function blank(pdf: PdfDocument, x: number, y: number, width: number, value?: string | number | null) {
+  if (value != null && value !== '') pdf.text(x + 2, y - 2, fitText(String(value), width - 4, 10, 'bold'), { size: 10, font: 'bold' })
+  pdf.line(x, y + 1, x + width, y + 1, 0.3)
+}
+
+// Numbered "label ... value" rows as laid out on the printed forms
+function items(pdf: PdfDocument, y: number, rows: [string, string | number | null | undefined][]) {
+  const width = RIGHT - VALUE_X
+  rows.forEach(([label, value], index) => {
+    pdf.text(MARGIN, y, `${index + 1}.`, { size: 9 })
+    const labelBottom = pdf.paragraph(MARGIN + 18, y, label, VALUE_X - MARGIN - 28, { size: 9 })
+    const lines = wrapText(toPdfText(value ?? ''), width - 4, 10, 'bold')
+    if (lines.length > 1) {
+      lines.forEach((line, row) => blank(pdf, VALUE_X, y + row * 13, width, line))
+    } else {
+      blank(pdf, VALUE_X, y, width, value)
+    }
+    y = Math.max(labelBottom, y + lines.length * 13) + 6
+  })
+  return y
+}
+
+function signature(pdf: PdfDocument, x: number, y: number, label: string, name?: string) {
+  pdf.line(x, y, x + 200, y, 0.5)
+  pdf.text(x, y + 12, label, { size: 9 })
+  if (name) pdf.text(x, y + 24, fitText(name, 200, 9, 'bold'), { size: 9, font: 'bold' })
+  return y + 36
+}
+
+function officeUse(pdf: PdfDocument, y: number, title: string, lines: string[]) {
+  pdf.line(MARGIN, y, RIGHT, y, 1)
+  pdf.text(A4_WIDTH / 2, y + 16, title, { size: 10, font: 'bold', align: 'center' })
+  y += 34
+  for (const line of lines) y = pdf.paragraph(MARGIN, y, line, RIGHT - MARGIN, { size: 9 }) + 4
+  signature(pdf, HALF, y + 30, 'Signature of the Registering Authority')
+  return y + 70
+}
+
+const vehicleSentence = (data: RtoFormData) =>
+  `bearing registration No. ${data.registrationNumber || '______________'}, chassis No. ${data.chassisNumber || '____________________'} and engine No. ${data.engineNumber || '____________________'}`
+
+// Notice of ownership transfer, given by the seller
+function form29(pdf: PdfDocument, data: RtoFormData) {
+  let y = heading(pdf, 'FORM 29', 'Rule 55(1)', 'NOTICE OF OWNERSHIP TRANSFER OF A MOTOR VEHICLE',
+    '(To be made in duplicate, and in triplicate where the vehicle is held under an agreement of hire-purchase, lease or hypothecation. The duplicate copy, with the office endorsement, is returned to the transferor.)')
+  y = addressee(pdf, y, data.registeringAuthority)
+  y = pdf.paragraph(MARGIN, y,
+    `I/We ${data.transferor.name}, of ${data.transferor.address}, hereby give notice that I/We have sold my/our motor vehicle ` +
+    `(${data.makerAndModel}) ${vehicleSentence(data)} to ${data.transferee.name}, residing at ${data.transferee.address}, ` +
+    `on ${date(data.transferDate)}.`,
+    RIGHT - MARGIN, { size: 10 }) + 30
+  pdf.text(MARGIN, y, `Date: ${date(data.transferDate)}`, { size: 10 })
+  y = signature(pdf, HALF, y, 'Signature or thumb impression of the transferor', data.transferor.name) + 10
+
+  y = pdf.paragraph(MARGIN, y,
+    'The above transfer is subject to an agreement of hire-purchase, lease or hypothecation with the financier named below, ' +
+    'who has no objection to it. (Strike out if not applicable.)',
+    RIGHT - MARGIN, { size: 9 }) + 4
+  pdf.text(MARGIN, y, 'Name and address of the financier:', { size: 9 })
+  blank(pdf, VALUE_X, y, RIGHT - VALUE_X)
+  y = signature(pdf, HALF, y + 40, 'Signature of the financier with seal') + 10
+
+  officeUse(pdf, y, 'OFFICE ENDORSEMENT', [
+    `Ref. No. ______________   Office of the Registering Authority ______________`,
+    `Received the notice of transfer of the motor vehicle bearing registration No. ${data.registrationNumber || '______________'} from the transferor named above.`
+  ])
+}
+
+// Report of the transfer, made jointly by both parties
+function form30(pdf: PdfDocument, data: RtoFormData) {
+  let y = heading(pdf, 'FORM 30', 'Rule 55(1) and (2)', 'REPORT OF TRANSFER OF OWNERSHIP OF A MOTOR VEHICLE',
+    '(To be made in duplicate, and in triplicate where the vehicle is held under an agreement of hire-purchase, lease or hypothecation.)')
+  y = addressee(pdf, y, data.registeringAuthority)
+  y = pdf.paragraph(MARGIN, y,
+    `We, the transferor and the transferee, hereby report the transfer of ownership of the motor vehicle ${vehicleSentence(data)}, particulars of which are given below.`,
+    RIGHT - MARGIN, { size: 10 }) + 10
+  y = items(pdf, y, [
+    ['Full name of the transferor', data.transferor.name],
+    ['Son / wife / daughter of (for individuals)', null],
+    ['Full address of the transferor', data.transferor.address],
+    ['Registration number of the vehicle', data.registrationNumber],
+    ['Maker and model', data.makerAndModel],
+    ['Year of manufacture', data.yearOfManufacture],
+    ['Chassis number', data.chassisNumber],
+    ['Engine number', data.engineNumber],
+    ['Date of transfer', date(data.transferDate)],
+    ['Full name of the transferee', data.transferee.name],
+    ['Son / wife / daughter of (for individuals)', null],
+    ['Full address of the transferee', data.transferee.address],
+    ['Name and address of the financier, if any', null],
+    ['Insurance certificate or cover note number, insurer and validity', null]
+  ]) + 10
+  y = pdf.paragraph(MARGIN, y,
+    'I, the transferee, declare that the particulars above are true, and that the vehicle will be used in accordance with the ' +
+    'certificate of registration and the law. The certificate of registration, the insurance certificate and the fee are enclosed.',
+    RIGHT - MARGIN, { size: 9 }) + 30
+  pdf.text(MARGIN, y, `Date: ${date(data.transferDate)}`, { size: 10 })
+  signature(pdf, MARGIN, y + 40, 'Signature of the transferor', data.transferor.name)
+  y = signature(pdf, HALF, y + 40, 'Signature of the transferee', data.transferee.name) + 10
+
+  officeUse(pdf, y, 'OFFICE ENDORSEMENT', [
+    `Ref. No. ______________   The transfer of ownership has been recorded in the certificate of registration and the register of motor vehicles on ______________.`
+  ])
+}
+
+// Application for the no objection certificate needed to register the vehicle in another state
+function form28(pdf: PdfDocument, data: RtoFormData) {
+  let y = heading(pdf, 'FORM 28', 'Rule 48', 'APPLICATION FOR AND GRANT OF NO OBJECTION CERTIFICATE',
+    '(To be made in quadruplicate. The copies are returned to the owner, sent to the registering authority of the new jurisdiction and kept on record.)')
+  y = addressee(pdf, y, data.registeringAuthority)
+  y = pdf.paragraph(MARGIN, y,
+    `I/We hereby apply for a certificate under section 48 of the Motor Vehicles Act, 1988, declaring that there is no objection ` +
+    `to the transfer of ownership of the motor vehicle described below to ${data.transferee.name}, and to its registration in ` +
+    `the state of ${data.transferee.state || '______________'}.`,
+    RIGHT - MARGIN, { size: 10 }) + 10
+  y = items(pdf, y, [
+    ['Name of the registered owner', data.transferor.name],
+    ['Son / wife / daughter of (for individuals)', null],
+    ['Full address of the registered owner', data.transferor.address],
+    ['Registration number', data.registrationNumber],
+    ['Chassis number', data.chassisNumber],
+    ['Engine number', data.engineNumber],
+    ['Period up to which motor vehicle tax has been paid', null],
+    ['Whether any demand for tax is pending', null],
+    ['Whether any proceedings for an offence under the Act are pending', null],
+    ['Whether the vehicle has been reported stolen', null],
+    ['Whether the vehicle is held under hire-purchase, lease or hypothecation (if so, the financier\'s no objection is attached)', null],
+    ['Name and address of the transferee', `${data.transferee.name}, ${data.transferee.address}`],
+    ['Registering authority of the new jurisdiction', null]
+  ]) + 10
+  y = pdf.paragraph(MARGIN, y,
+    'I/We declare that the particulars above are true to the best of my/our knowledge and belief.',
+    RIGHT - MARGIN, { size: 9 }) + 30
+  pdf.text(MARGIN, y, `Date: ${date(data.transferDate)}`, { size: 10 })
+  y = signature(pdf, HALF, y, 'Signature of the registered owner', data.transferor.name) + 10
+
+  pdf.addPage()
+  y = officeUse(pdf, 50, 'CERTIFICATE OF THE POLICE', [
+    'Certified that the motor vehicle described overleaf has not been reported stolen and no case concerning it is pending or under investigation in this jurisdiction.',
+    'Name, designation and seal of the officer: ______________________________'
+  ])
+  officeUse(pdf, y, 'NO OBJECTION CERTIFICATE', [
+    `Ref. No. ______________   The registering authority has no objection to the transfer of ownership and the registration in another state of the motor vehicle bearing registration No. ${data.registrationNumber || '______________'}. This certificate is valid for six months from the date of issue.`
+  ])
+}
+
+const LAYOUTS: Record<RtoFormType, (pdf: PdfDocument, data: RtoFormData) => void> = {
+  form_29: form29,
+  form_30: form30,
+  form_28: form28
+}
+
+/**
+ * Lays out one of the transfer forms prescribed by the Central Motor
+ * Vehicles Rules, filled in from the deal and ready to print and sign.
+ */
+export function renderRtoForm(type: RtoFormType, data: RtoFormData) {
+  const pdf = new PdfDocument()
+  LAYOUTS[type](pdf, data)
+  return pdf
+}
@@ -0,0 +1,242 @@
+import supabase from '@/api/supabaseClient'
+import { Dealer } from '@/api/entities'
+import { PdfDocument, A4_WIDTH, A4_HEIGHT, fitText } from '@/utils/pdf'
+import type { ReconciliationPeriod } from '@/api/reconciliation'
+import type {
+  LedgerEntry as LedgerEntryRecord,
+  LedgerEntryType,
+  Transaction as TransactionRecord,
+  Vehicle as VehicleRecord
+} from '@/api/types'
+
+export interface SettlementLine {
+  date: string
+  transactionId: string
+  vehicle: string
+  role: 'buyer' | 'seller'
+  type: LedgerEntryType
+  description: string
+  // Escrow amount the journal moved
+  gross: number
+  platformFee: number
+  logistics: number
+  // To the dealer when positive, from the dealer when negative
+  net: number
+  reference: string | null
+}
+
+export interface SettlementReport {
+  dealerId: string
+  dealerName: string
+  period: ReconciliationPeriod
+  generatedAt: string
+  lines: SettlementLine[]
+  totals: {
+    paidIn: number
+    paidOut: number
+    refunded: number
+    platformFee: number
+    logistics: number
+    net: number
+  }
+}
+
+const DESCRIPTIONS: Record<string, string> = {
+  'buyer:funding': 'Payment into escrow',
+  'buyer:refund': 'Refund from escrow',
+  'seller:release': 'Payout for completed deal'
+}
+
+const formatDate = (iso: string) => new Date(iso).toLocaleDateString('en-IN')
+
+/**
+ * Money that moved to or from one dealer through escrow in the period: what
+ * they paid in as a buyer, refunds they got back, and payouts they received
+ * as a seller net of the platform fee and logistics.
+ */
+export async function buildSettlementReport(dealerId: string, period: ReconciliationPeriod): Promise<SettlementReport> {
+  const dealer = await Dealer.get(dealerId)
+  const { data: transactions, error } = await supabase
+    .from('Transaction')
+    .select('*')
+    .or(`buyer_id.eq.${dealerId},seller_id.eq.${dealerId}`)
+  if (error) throw error
+  const byId = new Map((transactions as TransactionRecord[]).map(transaction => [transaction.id, transaction]))
+
+  let entries = [] as LedgerEntryRecord[]
+  let vehicles = new Map<string, VehicleRecord>()
+  if (byId.size > 0) {
+    const { data, error: entriesError } = await supabase
+      .from('LedgerEntry')
+      .select('*')
+      .in('transaction_id', [...byId.keys()])
+      .gte('created_at', period.from.toISOString())
+      .lt('created_at', period.to.toISOString())
+      .order('created_at', { ascending: true })
+    if (entriesError) throw entriesError
+    entries = data as LedgerEntryRecord[]
+
+    const vehicleIds = [...new Set(entries.map(entry => byId.get(entry.transaction_id)!.vehicle_id))]
+    const { data: vehicleRows, error: vehiclesError } = await supabase.from('Vehicle').select('*').in('id', vehicleIds)
+    if (vehiclesError) throw vehiclesError
+    vehicles = new Map((vehicleRows as VehicleRecord[]).map(vehicle => [vehicle.id, vehicle]))
+  }
+
+  const journals = new Map<string, LedgerEntryRecord[]>()
+  for (const entry of entries) {
+    journals.set(entry.journal_id, [...(journals.get(entry.journal_id) || []), entry])
+  }
+
+  const lines: SettlementLine[] = []
+  for (const journal of journals.values()) {
+    const [first] = journal
+    const transaction = byId.get(first.transaction_id)!
+    const role = transaction.seller_id === dealerId ? 'seller' : 'buyer'
+    const description = DESCRIPTIONS[`${role}:${first.entry_type}`]
+    // e.g. refunds on a deal the dealer sold do not move their money
+    if (!description) continue
+
+    const amountOn = (account: LedgerEntryRecord['account'], side: 'debit' | 'credit') =>
+      journal.filter(entry => entry.account === account).reduce((total, entry) => total + entry[side], 0)
+    const gross = first.entry_type === 'funding' ? amountOn('escrow', 'debit') : amountOn('escrow', 'credit')
+    const vehicle = vehicles.get(transaction.vehicle_id)
+
+    lines.push({
+      date: first.created_at,
+      transactionId: transaction.id,
+      vehicle: vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : '',
+      role,
+      type: first.entry_type,
+      description,
+      gross,
+      platformFee: amountOn('platform_fee', 'debit'),
+      logistics: amountOn('logistics', 'debit'),
+      net: first.entry_type === 'funding' ? -gross : amountOn(role, 'debit'),
+      reference: first.reference || null
+    })
+  }
+
+  const total = (match: (line: SettlementLine) => boolean, value: (line: SettlementLine) => number) =>
+    lines.filter(match).reduce((sum, line) => sum + value(line), 0)
+
+  return {
+    dealerId,
+    dealerName: dealer.business_name,
+    period,
+    generatedAt: new Date().toISOString(),
+    lines,
+    totals: {
+      paidIn: total(line => line.type === 'funding', line => line.gross),
+      paidOut: total(line => line.type === 'release', line => line.net),
+      refunded: total(line => line.type === 'refund', line => line.net),
+      platformFee: total(() => true, line => line.platformFee),
+      logistics: total(() => true, line => line.logistics),
+      net: total(() => true, line => line.net)
+    }
+  }
+}
+
+const csvField = (value: unknown) => {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function settlementReportCsv(report: SettlementReport) {
+  const rows: unknown[][] = [
+    [`${report.dealerName} - Settlement Report`],
+    [`Period: ${formatDate(report.period.from.toISOString())} to ${formatDate(report.period.to.toISOString())}`],
+    [`Generated: ${new Date(report.generatedAt).toLocaleString('en-IN')}`],
+    [],
+    ['Date', 'Transaction', 'Vehicle', 'Role', 'Description', 'Gross (INR)', 'Platform Fee (INR)', 'Logistics (INR)', 'Net to Dealer (INR)', 'Reference'],
+    ...report.lines.map(line => [
+      formatDate(line.date), line.transactionId, line.vehicle, line.role, line.description,
+      line.gross, line.platformFee, line.logistics, line.net, line.reference
+    ]),
+    [],
+    ['Paid into escrow', report.totals.paidIn],
+    ['Payouts received', report.totals.paidOut],
+    ['Refunds received', report.totals.refunded],
+    ['Platform fees', report.totals.platformFee],
+    ['Logistics', report.totals.logistics],
+    ['Net', report.totals.net]
+  ]
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n'
+}
+
+const money = (amount: number) => amount.toLocaleString('en-IN')
+
+const COLUMNS: { label: string, x: number, align?: 'right' }[] = [
+  { label: 'Date', x: 40 },
+  { label: 'Vehicle', x: 95 },
+  { label: 'Description', x: 215 },
+  { label: 'Gross', x: 390, align: 'right' },
+  { label: 'Fee', x: 445, align: 'right' },
+  { label: 'Logistics', x: 500, align: 'right' },
+  { label: 'Net', x: 555, align: 'right' }
+]
+
+export function renderSettlementReport(report: SettlementReport) {
+  const pdf = new PdfDocument()
+  let y = 50
+
+  const header = () => {
+    pdf.rect(40, y - 12, A4_WIDTH - 80, 18, { fill: 0.9 })
+    for (const column of COLUMNS) pdf.text(column.x, y, column.label, { size: 8, font: 'bold', align: column.align })
+    y += 18
+  }
+
+  pdf.text(40, y, `${report.dealerName} - Settlement Report`, { size: 14, font: 'bold' })
+  y += 18
+  pdf.text(40, y, `Period: ${formatDate(report.period.from.toISOString())} to ${formatDate(report.period.to.toISOString())}`, { size: 9 })
+  pdf.text(A4_WIDTH - 40, y, `Generated ${new Date(report.generatedAt).toLocaleString('en-IN')}`, { size: 8, align: 'right' })
+  y += 12
+  pdf.text(40, y, 'Amounts in INR. Net is paid to the dealer when positive and paid by the dealer when negative.', { size: 8 })
+  y += 26
+  header()
+
+  for (const line of report.lines) {
+    if (y > A4_HEIGHT - 60) {
+      pdf.addPage()
+      y = 50
+      header()
+    }
+    const values = [
+      formatDate(line.date),
+      fitText(line.vehicle, 115, 8),
+      line.description,
+      money(line.gross),
+      money(line.platformFee),
+      money(line.logistics),
+      money(line.net)
+    ]
+    COLUMNS.forEach((column, index) => pdf.text(column.x, y, values[index], { size: 8, align: column.align }))
+    y += 14
+  }
+  if (report.lines.length === 0) {
+    pdf.text(40, y, 'No escrow movements in this period.', { size: 9 })
+    y += 14
+  }
+
+  if (y > A4_HEIGHT - 140) {
+    pdf.addPage()
+    y = 50
+  }
+  y += 10
+  pdf.line(300, y, A4_WIDTH - 40, y)
+  y += 16
+  const totals: [string, number][] = [
+    ['Paid into escrow', report.totals.paidIn],
+    ['Payouts received', report.totals.paidOut],
+    ['Refunds received', report.totals.refunded],
+    ['Platform fees', report.totals.platformFee],
+    ['Logistics', report.totals.logistics]
+  ]
+  for (const [label, amount] of totals) {
+    pdf.text(300, y, label, { size: 9 })
+    pdf.text(A4_WIDTH - 40, y, money(amount), { size: 9, align: 'right' })
+    y += 14
+  }
+  pdf.text(300, y + 4, 'Net', { size: 10, font: 'bold' })
+  pdf.text(A4_WIDTH - 40, y + 4, money(report.totals.net), { size: 10, font: 'bold', align: 'right' })
+  return pdf
+}
@@ -0,0 +1,13 @@
+import { SystemConfig } from '@/api/entities'
+
+// Platform settings editable from the admin panel, stored as strings.
+export async function getConfigValue(key: string, fallback: string | null = null) {
+  const [config] = await SystemConfig.filter({ config_key: key }, undefined, 1)
+  return config ? config.config_value : fallback
+}
+
+export async function getNumericConfig(key: string, fallback: number) {
+  const raw = await getConfigValue(key)
+  const value = raw === null ? NaN : Number(raw)
+  return Number.isFinite(value) ? value : fallback
+}
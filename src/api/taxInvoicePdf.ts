@@ -0,0 +1,137 @@
+import { PdfDocument, A4_WIDTH } from '@/utils/pdf'
+import { GST_SLABS, GST_STATE_CODES, invoiceTaxTotal } from '@/api/taxInvoices'
+import type { InvoiceParty, TaxInvoice as TaxInvoiceRecord } from '@/api/types'
+
+const MARGIN = 40
+const RIGHT = A4_WIDTH - MARGIN
+// Motor cars and other vehicles principally designed to transport persons
+const HSN_MOTOR_CARS = '8703'
+
+const money = (amount: number) =>
+  `Rs. ${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven',
+  'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen']
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety']
+
+function belowHundred(value: number) {
+  return value < 20 ? ONES[value] : `${TENS[Math.floor(value / 10)]} ${ONES[value % 10]}`.trim()
+}
+
+function belowThousand(value: number) {
+  const hundreds = Math.floor(value / 100)
+  const rest = belowHundred(value % 100)
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest].filter(Boolean).join(' ')
+}
+
+// Indian numbering: crore, lakh, thousand
+export function rupeesInWords(amount: number) {
+  let rupees = Math.floor(amount)
+  const paise = Math.round((amount - rupees) * 100)
+  const parts: string[] = []
+  for (const [unit, size] of [['Crore', 10000000], ['Lakh', 100000], ['Thousand', 1000]] as const) {
+    const count = Math.floor(rupees / size)
+    if (count) parts.push(`${belowThousand(count)} ${unit}`)
+    rupees %= size
+  }
+  if (rupees) parts.push(belowThousand(rupees))
+  const words = `Rupees ${parts.join(' ') || 'Zero'}`
+  return `${paise ? `${words} and ${belowHundred(paise)} Paise` : words} Only`
+}
+
+function partyBlock(pdf: PdfDocument, x: number, y: number, heading: string, party: InvoiceParty) {
+  pdf.text(x, y, heading, { size: 8, font: 'bold' })
+  pdf.text(x, y + 14, party.business_name, { size: 10, font: 'bold' })
+  let next = pdf.paragraph(x, y + 28, party.address, 240, { size: 9 })
+  pdf.text(x, next, [party.city, party.pincode].filter(Boolean).join(' - '), { size: 9 })
+  next += 12
+  pdf.text(x, next, `State: ${party.state} (${party.gstin.slice(0, 2)})`, { size: 9 })
+  pdf.text(x, next + 12, `GSTIN: ${party.gstin}`, { size: 9, font: 'bold' })
+  return next + 24
+}
+
+/**
+ * Lays out a tax invoice for a used vehicle sold under the margin scheme.
+ * The tax lines show GST on the margin only; the invoice value is the
+ * agreed sale price, which already includes that tax.
+ */
+export function renderTaxInvoice(invoice: TaxInvoiceRecord) {
+  const pdf = new PdfDocument()
+  const vehicle = invoice.vehicle_details
+
+  pdf.text(A4_WIDTH / 2, 50, 'TAX INVOICE', { size: 16, font: 'bold', align: 'center' })
+  pdf.text(A4_WIDTH / 2, 66, 'Supply of a used motor vehicle under the margin scheme (Rule 32(5), CGST Rules 2017)', { size: 8, align: 'center' })
+
+  pdf.rect(MARGIN, 80, RIGHT - MARGIN, 44)
+  pdf.text(MARGIN + 8, 96, `Invoice No: ${invoice.invoice_number}`, { size: 10, font: 'bold' })
+  pdf.text(MARGIN + 8, 112, `Date: ${new Date(invoice.issued_at).toLocaleDateString('en-IN')}`, { size: 10 })
+  pdf.text(RIGHT - 8, 96, `Place of supply: ${GST_STATE_CODES[invoice.place_of_supply] || ''} (${invoice.place_of_supply})`, { size: 10, align: 'right' })
+  pdf.text(RIGHT - 8, 112, invoice.supply_type === 'intra_state' ? 'Intra-state supply' : 'Inter-state supply', { size: 10, align: 'right' })
+
+  const partiesBottom = Math.max(
+    partyBlock(pdf, MARGIN, 144, 'SUPPLIER', invoice.seller_details),
+    partyBlock(pdf, A4_WIDTH / 2 + 10, 144, 'RECIPIENT', invoice.buyer_details)
+  )
+
+  let y = partiesBottom + 10
+  pdf.rect(MARGIN, y, RIGHT - MARGIN, 18, { fill: 0.9 })
+  pdf.text(MARGIN + 8, y + 12, 'Description of goods', { size: 9, font: 'bold' })
+  pdf.text(360, y + 12, 'HSN', { size: 9, font: 'bold' })
+  pdf.text(RIGHT - 8, y + 12, 'Value', { size: 9, font: 'bold', align: 'right' })
+  y += 32
+  pdf.text(MARGIN + 8, y, `Used ${vehicle.year} ${vehicle.make} ${vehicle.model}`, { size: 10, font: 'bold' })
+  pdf.text(360, y, HSN_MOTOR_CARS, { size: 10 })
+  pdf.text(RIGHT - 8, y, money(invoice.sale_value), { size: 10, align: 'right' })
+  const details = [
+    vehicle.registration_number && `Reg. No: ${vehicle.registration_number}`,
+    vehicle.vin && `VIN/Chassis: ${vehicle.vin}`,
+    vehicle.fuel_type && `Fuel: ${vehicle.fuel_type}`,
+    vehicle.engine_cc && `Engine: ${vehicle.engine_cc} cc`,
+    vehicle.length_mm && `Length: ${vehicle.length_mm} mm`
+  ].filter(Boolean).join('   ')
+  y = pdf.paragraph(MARGIN + 8, y + 14, details, 300, { size: 8 })
+  pdf.text(MARGIN + 8, y, `Rate slab: ${GST_SLABS[invoice.gst_slab].label}`, { size: 8 })
+  y += 16
+  pdf.line(MARGIN, y, RIGHT, y)
+
+  const rows: [string, number, boolean?][] = [
+    ['Sale value', invoice.sale_value],
+    ['Less: purchase value', invoice.purchase_value],
+    ['Margin (inclusive of tax)', Math.max(0, invoice.sale_value - invoice.purchase_value)],
+    ['Taxable value of margin', invoice.taxable_value, true]
+  ]
+  if (invoice.supply_type === 'intra_state') {
+    rows.push([`CGST @ ${invoice.gst_rate / 2}%`, invoice.cgst], [`SGST/UTGST @ ${invoice.gst_rate / 2}%`, invoice.sgst])
+  } else {
+    rows.push([`IGST @ ${invoice.gst_rate}%`, invoice.igst])
+  }
+  if (invoice.cess_rate > 0) rows.push([`Compensation cess @ ${invoice.cess_rate}%`, invoice.cess])
+  rows.push(['Total tax on margin', invoiceTaxTotal(invoice), true])
+
+  y += 18
+  for (const [label, amount, bold] of rows) {
+    pdf.text(300, y, label, { size: 9, font: bold ? 'bold' : 'regular' })
+    pdf.text(RIGHT - 8, y, money(amount), { size: 9, font: bold ? 'bold' : 'regular', align: 'right' })
+    y += 16
+  }
+
+  pdf.rect(MARGIN, y - 4, RIGHT - MARGIN, 22, { fill: 0.9 })
+  pdf.text(300, y + 11, 'Invoice value', { size: 11, font: 'bold' })
+  pdf.text(RIGHT - 8, y + 11, money(invoice.sale_value), { size: 11, font: 'bold', align: 'right' })
+  y += 36
+  y = pdf.paragraph(MARGIN, y, `Amount in words: ${rupeesInWords(invoice.sale_value)}`, RIGHT - MARGIN, { size: 9 })
+
+  y += 16
+  pdf.text(MARGIN, y, 'Declaration', { size: 9, font: 'bold' })
+  y = pdf.paragraph(MARGIN, y + 14,
+    'Tax is paid on the margin under rule 32(5) of the CGST Rules, 2017. The supplier has not availed input tax credit on the purchase of this vehicle. Tax payable on reverse charge: No.',
+    RIGHT - MARGIN, { size: 8 })
+
+  y += 30
+  pdf.text(RIGHT, y, `For ${invoice.seller_details.business_name}`, { size: 9, font: 'bold', align: 'right' })
+  pdf.text(RIGHT, y + 40, 'Authorised Signatory', { size: 9, align: 'right' })
+
+  pdf.line(MARGIN, 800, RIGHT, 800)
+  pdf.text(A4_WIDTH / 2, 814, 'This is a computer-generated invoice.', { size: 7, align: 'center' })
+  return pdf
+}
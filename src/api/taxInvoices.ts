@@ -0,0 +1,257 @@
+import { Transaction, Vehicle, Dealer, TaxInvoice } from '@/api/entities'
+import { getNumericConfig } from '@/api/systemConfig'
+import { SecurityValidator } from '@/components/shared/SecurityValidator'
+import type {
+  Dealer as DealerRecord,
+  Vehicle as VehicleRecord,
+  GstSlab,
+  InvoiceParty,
+  SupplyType,
+  TaxInvoice as TaxInvoiceRecord
+} from '@/api/types'
+
+// GST on used vehicles sold under the margin scheme is due on the margin
+// (sale price less purchase price), not on the full price. Rates are set by
+// notification and have changed over time, so each slab's GST and cess rate
+// is an admin setting, e.g. `gst_margin_rate_large`.
+export const DEFAULT_GST_MARGIN_RATE = 18
+export const DEFAULT_CESS_MARGIN_RATE = 0
+
+export const gstRateConfigKey = (slab: GstSlab) => `gst_margin_rate_${slab}`
+export const cessRateConfigKey = (slab: GstSlab) => `gst_margin_cess_${slab}`
+
+export const GST_SLABS: Record<GstSlab, { label: string, description: string }> = {
+  small: {
+    label: 'Small vehicle',
+    description: 'Up to 4000 mm long with an engine of up to 1200 cc (petrol, CNG, LPG or hybrid) or 1500 cc (diesel)'
+  },
+  large: {
+    label: 'Large vehicle',
+    description: 'Over 4000 mm long, or an engine over 1200 cc (petrol, CNG, LPG or hybrid) or 1500 cc (diesel)'
+  },
+  electric: {
+    label: 'Electric vehicle',
+    description: 'Battery electric vehicles'
+  }
+}
+
+// First two digits of a GSTIN
+export const GST_STATE_CODES: Record<string, string> = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+}
+
+export class InvoiceError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'InvoiceError'
+  }
+}
+
+const INVOICE_PREFIX = 'INV'
+const NUMBERING_ATTEMPTS = 5
+
+const roundPaise = (amount: number) => Math.round(amount * 100) / 100
+
+export const gstStateCode = (gstin: string) => gstin.slice(0, 2)
+
+// Indian financial years run April to March, written as e.g. `25-26`
+export function financialYear(date = new Date()) {
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1
+  return `${String(start % 100).padStart(2, '0')}-${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+export function formatInvoiceNumber(year: string, sequence: number) {
+  return `${INVOICE_PREFIX}/${year}/${String(sequence).padStart(6, '0')}`
+}
+
+/**
+ * Picks the rate slab from fuel, engine size and length as recorded on the
+ * listing. A car is small only when it is at most 4000 mm long and its
+ * engine is at most 1500 cc for diesel or 1200 cc for petrol, CNG and LPG;
+ * anything else is large. Engine size and length are required for anything
+ * not electric.
+ */
+export function classifyVehicle(vehicle: Pick<VehicleRecord, 'fuel_type' | 'engine_cc' | 'length_mm'>): GstSlab {
+  if (vehicle.fuel_type === 'electric') return 'electric'
+  if (!vehicle.engine_cc || !vehicle.length_mm) {
+    throw new InvoiceError('Add the engine capacity (cc) and length (mm) to the vehicle listing before invoicing')
+  }
+  const engineThreshold = vehicle.fuel_type === 'diesel' ? 1500 : 1200
+  return vehicle.engine_cc <= engineThreshold && vehicle.length_mm <= 4000 ? 'small' : 'large'
+}
+
+export async function marginRatesFor(slab: GstSlab) {
+  const [gstRate, cessRate] = await Promise.all([
+    getNumericConfig(gstRateConfigKey(slab), DEFAULT_GST_MARGIN_RATE),
+    getNumericConfig(cessRateConfigKey(slab), DEFAULT_CESS_MARGIN_RATE)
+  ])
+  return { gstRate, cessRate }
+}
+
+export interface MarginTaxInput {
+  salePrice: number
+  purchasePrice: number
+  gstRate: number
+  cessRate: number
+  supplyType: SupplyType
+}
+
+/**
+ * The agreed price is what the buyer pays, so tax on the margin is carved
+ * out of it rather than added on top. No tax is due when the car sells at
+ * or below its purchase price. Amounts are in rupees, rounded to the paisa.
+ */
+export function computeMarginTax({ salePrice, purchasePrice, gstRate, cessRate, supplyType }: MarginTaxInput) {
+  const margin = Math.max(0, salePrice - purchasePrice)
+  const taxableValue = roundPaise(margin * 100 / (100 + gstRate + cessRate))
+  const gst = roundPaise(taxableValue * gstRate / 100)
+  const cess = roundPaise(taxableValue * cessRate / 100)
+  const cgst = supplyType === 'intra_state' ? roundPaise(gst / 2) : 0
+  return {
+    taxable_value: taxableValue,
+    cgst,
+    sgst: supplyType === 'intra_state' ? roundPaise(gst - cgst) : 0,
+    igst: supplyType === 'inter_state' ? gst : 0,
+    cess
+  }
+}
+
+export const invoiceTaxTotal = (invoice: Pick<TaxInvoiceRecord, 'cgst' | 'sgst' | 'igst' | 'cess'>) =>
+  roundPaise(invoice.cgst + invoice.sgst + invoice.igst + invoice.cess)
+
+function invoiceParty(dealer: DealerRecord, role: string): InvoiceParty {
+  const gstin = dealer.gstin?.trim().toUpperCase()
+  if (!gstin) throw new InvoiceError(`The ${role} has no GSTIN on their dealer profile`)
+  if (!SecurityValidator.validateGSTIN(gstin)) throw new InvoiceError(`The ${role}'s GSTIN ${gstin} is not valid`)
+  if (!GST_STATE_CODES[gstStateCode(gstin)]) {
+    throw new InvoiceError(`The ${role}'s GSTIN ${gstin} has an unknown state code`)
+  }
+  return {
+    business_name: dealer.business_name,
+    address: dealer.address,
+    city: dealer.city,
+    state: GST_STATE_CODES[gstStateCode(gstin)],
+    pincode: dealer.pincode || null,
+    gstin
+  }
+}
+
+export async function getTaxInvoice(transactionId: string) {
+  const [invoice] = await TaxInvoice.filter({ transaction_id: transactionId }, undefined, 1)
+  return invoice || null
+}
+
+async function nextSequence(sellerId: string, year: string) {
+  const [latest] = await TaxInvoice.filter({ seller_id: sellerId, financial_year: year }, '-sequence', 1)
+  return (latest?.sequence || 0) + 1
+}
+
+/**
+ * Issues the seller's tax invoice for a completed deal, or returns the one
+ * already issued. Invoice numbers run consecutively per seller within a
+ * financial year; two invoices racing for the same number are resolved by
+ * the unique constraint on (seller_id, invoice_number).
+ */
+export async function issueTaxInvoice(transactionId: string) {
+  const existing = await getTaxInvoice(transactionId)
+  if (existing) return existing
+
+  const transaction = await Transaction.get(transactionId)
+  if (transaction.status !== 'completed') {
+    throw new InvoiceError('A tax invoice can only be issued once the deal is completed')
+  }
+  const [vehicle, seller, buyer] = await Promise.all([
+    Vehicle.get(transaction.vehicle_id),
+    Dealer.get(transaction.seller_id),
+    Dealer.get(transaction.buyer_id)
+  ])
+  if (vehicle.cost_price === null || vehicle.cost_price === undefined) {
+    throw new InvoiceError('Record the purchase price of this vehicle before invoicing; GST is charged on the margin')
+  }
+
+  const sellerDetails = invoiceParty(seller, 'seller')
+  const buyerDetails = invoiceParty(buyer, 'buyer')
+  const slab = classifyVehicle(vehicle)
+  const { gstRate, cessRate } = await marginRatesFor(slab)
+  const placeOfSupply = gstStateCode(buyerDetails.gstin)
+  const supplyType: SupplyType = gstStateCode(sellerDetails.gstin) === placeOfSupply ? 'intra_state' : 'inter_state'
+  const salePrice = transaction.final_amount || transaction.offer_amount
+
+  const issuedAt = new Date()
+  const year = financialYear(issuedAt)
+  const invoice = {
+    financial_year: year,
+    transaction_id: transaction.id,
+    seller_id: transaction.seller_id,
+    buyer_id: transaction.buyer_id,
+    issued_at: issuedAt.toISOString(),
+    seller_details: sellerDetails,
+    buyer_details: buyerDetails,
+    vehicle_details: {
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      fuel_type: vehicle.fuel_type || null,
+      vin: vehicle.vin || null,
+      registration_number: vehicle.registration_number || null,
+      engine_cc: vehicle.engine_cc || null,
+      length_mm: vehicle.length_mm || null
+    },
+    place_of_supply: placeOfSupply,
+    supply_type: supplyType,
+    gst_slab: slab,
+    sale_value: salePrice,
+    purchase_value: vehicle.cost_price,
+    gst_rate: gstRate,
+    cess_rate: cessRate,
+    ...computeMarginTax({ salePrice, purchasePrice: vehicle.cost_price, gstRate, cessRate, supplyType })
+  }
+
+  for (let attempt = 0; attempt < NUMBERING_ATTEMPTS; attempt++) {
+    const sequence = await nextSequence(transaction.seller_id, year)
+    try {
+      return await TaxInvoice.create({ ...invoice, sequence, invoice_number: formatInvoiceNumber(year, sequence) })
+    } catch (error) {
+      if ((error as { code?: string }).code !== '23505') throw error
+      // Either the number was taken or this deal was invoiced meanwhile
+      const issued = await getTaxInvoice(transactionId)
+      if (issued) return issued
+    }
+  }
+  throw new InvoiceError('Could not allocate an invoice number. Please try again.')
+}
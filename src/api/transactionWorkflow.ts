@@ -0,0 +1,546 @@
+import { Transaction, Vehicle, User, ConcurrencyError } from '@/api/entities'
+import { postSystemMessage } from '@/api/messages'
+import { notifyDealer, collectNotificationErrors } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { createPageUrl } from '@/utils'
+import type {
+  Transaction as TransactionRecord,
+  Vehicle as VehicleRecord,
+  RefundRequest,
+  PaymentMilestone
+} from '@/api/types'
+
+export type TransactionStatus =
+  | 'offer_made'
+  | 'negotiating'
+  | 'backup'
+  | 'accepted'
+  | 'payment_pending'
+  | 'in_escrow'
+  | 'completed'
+  | 'cancelled'
+
+export type TransportStatus = 'pending' | 'picked_up' | 'in_transit' | 'delivered'
+
+export type Party = 'buyer' | 'seller' | 'system' | 'admin'
+
+export type TransactionAction =
+  | 'counter_offer'
+  | 'accept_offer'
+  | 'reject_offer'
+  | 'extend_offer'
+  | 'expire_offer'
+  | 'withdraw_offer'
+  | 'hold_as_backup'
+  | 'promote_backup'
+  | 'release_backup'
+  | 'start_payment'
+  | 'confirm_payment'
+  | 'fail_payment'
+  | 'cancel_deal'
+  | 'complete_deal'
+  | 'book_transport'
+  | 'cancel_transport'
+  | 'mark_picked_up'
+  | 'mark_in_transit'
+  | 'confirm_delivery'
+  | 'set_payment_schedule'
+  | 'pay_milestone'
+  | 'request_refund'
+  | 'agree_refund'
+  | 'decline_refund'
+
+interface TransitionContext {
+  transaction: TransactionRecord & Record<string, unknown>
+  vehicle: VehicleRecord | null
+  party: Party
+}
+
+interface TransitionDefinition {
+  // Which field the transition moves; transport and escrow run alongside the deal status.
+  field: 'status' | 'transport_status' | 'escrow_status'
+  from: (string | null)[]
+  // Omitted for actions that only patch fields and keep the current state
+  to?: string
+  parties: Party[]
+  guard?: (context: TransitionContext) => string | null
+  vehicleStatus?: string
+  notify?: ('buyer' | 'seller')[]
+  describe: (context: TransitionContext) => string
+}
+
+export class TransitionError extends Error {
+  action: TransactionAction
+  from: string | null
+
+  constructor(action: TransactionAction, from: string | null, reason: string) {
+    super(`Cannot ${action.replace(/_/g, ' ')} (current state: ${from || 'none'}): ${reason}`)
+    this.name = 'TransitionError'
+    this.action = action
+    this.from = from
+  }
+}
+
+const formatLakhs = (amount?: number) => `₹${((amount || 0) / 100000).toFixed(1)}L`
+
+// Refunds and fees are often too small to read in lakhs
+const formatRupees = (amount?: number) => `₹${(amount || 0).toLocaleString('en-IN')}`
+
+const vehicleName = (vehicle: VehicleRecord | null) =>
+  vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'the vehicle'
+
+const agreedAmount = ({ transaction }: TransitionContext) =>
+  transaction.final_amount || transaction.offer_amount
+
+// The party that made the standing offer cannot accept or reject it;
+// the opening offer always comes from the buyer.
+const respondingToOtherParty = ({ transaction, party }: TransitionContext) => {
+  const lastOfferBy = (transaction.last_offer_by as string) || transaction.buyer_id
+  const actorId = party === 'seller' ? transaction.seller_id : transaction.buyer_id
+  return actorId === lastOfferBy ? 'you cannot respond to your own offer' : null
+}
+
+const isExpired = (transaction: TransactionRecord) =>
+  !!transaction.offer_expires_at && new Date(transaction.offer_expires_at) <= new Date()
+
+const refundRequest = ({ transaction }: TransitionContext) => transaction.refund_request as RefundRequest | null | undefined
+
+// A refund request is settled by the other party or an admin, never by whoever raised it.
+const respondingToRefund = (context: TransitionContext) =>
+  context.party !== 'admin' && refundRequest(context)?.requested_by === context.party
+    ? 'you cannot respond to your own refund request'
+    : null
+
+// Milestones still unpaid that have to be settled before the vehicle ships.
+export function milestonesDueBeforeDispatch(transaction: TransactionRecord) {
+  return (transaction.payment_schedule || []).filter(milestone => milestone.status !== 'paid' && milestone.stage !== 'delivery')
+}
+
+const lastPaidMilestone = ({ transaction }: TransitionContext) =>
+  ((transaction.payment_schedule || []) as PaymentMilestone[])
+    .filter(milestone => milestone.status === 'paid' && milestone.paid_at)
+    .sort((a, b) => (a.paid_at as string).localeCompare(b.paid_at as string))
+    .pop()
+
+// Once the deadline passes the only ways forward are an extension or the lapse.
+const offerStillOpen = ({ transaction }: TransitionContext) =>
+  isExpired(transaction) ? 'the offer has expired' : null
+
+export const TRANSITIONS: Record<TransactionAction, TransitionDefinition> = {
+  counter_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    to: 'negotiating',
+    parties: ['buyer', 'seller'],
+    guard: offerStillOpen,
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) =>
+      `Counter-offer of ${formatLakhs(transaction.offer_amount)} sent for ${vehicleName(vehicle)}.`
+  },
+  accept_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    to: 'accepted',
+    parties: ['buyer', 'seller'],
+    guard: (context) => offerStillOpen(context) || respondingToOtherParty(context),
+    vehicleStatus: 'in_transaction',
+    notify: ['buyer', 'seller'],
+    describe: (context) =>
+      `Offer of ${formatLakhs(agreedAmount(context))} for ${vehicleName(context.vehicle)} has been accepted.`
+  },
+  reject_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    to: 'cancelled',
+    parties: ['buyer', 'seller'],
+    guard: respondingToOtherParty,
+    vehicleStatus: 'live',
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) =>
+      `Offer of ${formatLakhs(transaction.offer_amount)} for ${vehicleName(vehicle)} has been rejected.`
+  },
+  extend_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    parties: ['seller'],
+    notify: ['buyer'],
+    describe: ({ transaction }) =>
+      `Offer deadline extended to ${new Date(transaction.offer_expires_at as string).toLocaleString()}.`
+  },
+  expire_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    to: 'cancelled',
+    parties: ['system'],
+    guard: ({ transaction }) => (isExpired(transaction) ? null : 'the offer has not expired yet'),
+    vehicleStatus: 'live',
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) =>
+      `Offer of ${formatLakhs(transaction.offer_amount)} for ${vehicleName(vehicle)} expired without a response. The vehicle is back on the marketplace.`
+  },
+  withdraw_offer: {
+    field: 'status',
+    from: ['offer_made', 'negotiating', 'backup'],
+    to: 'cancelled',
+    parties: ['buyer'],
+    notify: ['seller'],
+    describe: ({ transaction, vehicle }) =>
+      `The buyer withdrew their offer of ${formatLakhs(transaction.offer_amount)} for ${vehicleName(vehicle)}.`
+  },
+  // Other offers on a vehicle are kept in line when the seller accepts one
+  hold_as_backup: {
+    field: 'status',
+    from: ['offer_made', 'negotiating'],
+    to: 'backup',
+    parties: ['system'],
+    notify: ['buyer'],
+    describe: ({ transaction, vehicle }) =>
+      `The seller accepted another offer for ${vehicleName(vehicle)}. Your offer of ${formatLakhs(transaction.offer_amount)} is held as backup #${transaction.backup_rank}.`
+  },
+  promote_backup: {
+    field: 'status',
+    from: ['backup'],
+    to: 'accepted',
+    parties: ['system'],
+    vehicleStatus: 'in_transaction',
+    notify: ['buyer', 'seller'],
+    describe: (context) =>
+      `The previous deal for ${vehicleName(context.vehicle)} fell through. Backup offer of ${formatLakhs(agreedAmount(context))} is now accepted.`
+  },
+  release_backup: {
+    field: 'status',
+    from: ['backup'],
+    to: 'cancelled',
+    parties: ['seller', 'system'],
+    notify: ['buyer'],
+    describe: ({ vehicle }) => `${vehicleName(vehicle)} is no longer available. Your backup offer has been released.`
+  },
+  start_payment: {
+    field: 'status',
+    from: ['accepted'],
+    to: 'payment_pending',
+    parties: ['buyer'],
+    describe: (context) => `Payment of ${formatLakhs(agreedAmount(context))} initiated.`
+  },
+  confirm_payment: {
+    field: 'status',
+    from: ['accepted', 'payment_pending'],
+    to: 'in_escrow',
+    parties: ['buyer', 'system'],
+    notify: ['seller'],
+    describe: (context) => {
+      const milestone = lastPaidMilestone(context)
+      return milestone && context.transaction.escrow_status === 'partially_paid'
+        ? `${milestone.label} of ${formatLakhs(milestone.amount)} received and secured in escrow. ${vehicleName(context.vehicle)} is now locked for this deal.`
+        : `Payment of ${formatLakhs(agreedAmount(context))} completed successfully. Funds secured in escrow.`
+    }
+  },
+  set_payment_schedule: {
+    field: 'status',
+    from: ['accepted'],
+    parties: ['seller'],
+    guard: ({ transaction }) =>
+      (transaction.payment_schedule || []).some(milestone => milestone.status === 'paid')
+        ? 'payments have already been made against the schedule'
+        : null,
+    notify: ['buyer'],
+    describe: ({ transaction }) =>
+      `Payment schedule updated: ${((transaction.payment_schedule || []) as PaymentMilestone[])
+        .map(milestone => `${milestone.label} ${formatLakhs(milestone.amount)} by ${new Date(milestone.due_at).toLocaleDateString()}`)
+        .join('; ')}.`
+  },
+  // Later milestones once the first has put the deal in escrow
+  pay_milestone: {
+    field: 'escrow_status',
+    from: ['partially_paid'],
+    parties: ['system'],
+    notify: ['buyer', 'seller'],
+    describe: (context) => {
+      const milestone = lastPaidMilestone(context)
+      const received = `${milestone?.label || 'Scheduled payment'} of ${formatLakhs(milestone?.amount)} received into escrow.`
+      return context.transaction.escrow_status === 'paid'
+        ? `${received} All scheduled payments are complete.`
+        : received
+    }
+  },
+  fail_payment: {
+    field: 'status',
+    from: ['payment_pending'],
+    to: 'accepted',
+    parties: ['buyer', 'system'],
+    describe: () => 'Payment attempt failed. The deal remains accepted and awaiting payment.'
+  },
+  cancel_deal: {
+    field: 'status',
+    from: ['accepted', 'payment_pending', 'in_escrow'],
+    to: 'cancelled',
+    parties: ['buyer', 'seller', 'admin', 'system'],
+    // After payment either party may still back out until the vehicle ships
+    guard: ({ transaction, party }) =>
+      transaction.status === 'in_escrow' && transaction.transport_status && party !== 'admin'
+        ? 'the vehicle is already in transport; only an admin can cancel this deal'
+        : null,
+    vehicleStatus: 'live',
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) => {
+      const reason = transaction.cancellation_reason ? ` Reason: ${transaction.cancellation_reason}.` : ''
+      const fee = transaction.cancellation_fee
+        ? ` A cancellation fee of ${formatRupees(transaction.cancellation_fee as number)} was withheld from the buyer's refund.`
+        : ''
+      return `The deal for ${vehicleName(vehicle)} has been cancelled.${reason}${fee}`
+    }
+  },
+  complete_deal: {
+    field: 'status',
+    from: ['in_escrow'],
+    to: 'completed',
+    parties: ['seller', 'admin', 'system'],
+    guard: ({ transaction, party }) => {
+      if (transaction.escrow_status === 'disputed') return 'a refund request is still open'
+      if (transaction.escrow_status !== 'paid') return 'payment has not been received into escrow'
+      if (transaction.transport_status !== 'delivered') return 'vehicle delivery has not been confirmed'
+      const releaseAt = transaction.escrow_release_at as string | null | undefined
+      if (party !== 'admin' && releaseAt && new Date(releaseAt) > new Date()) {
+        return `the buyer's cooling-off period runs until ${new Date(releaseAt).toLocaleString()}`
+      }
+      return null
+    },
+    vehicleStatus: 'sold',
+    notify: ['buyer', 'seller'],
+    describe: (context) =>
+      `Funds have been released. Deal completed successfully! ${formatLakhs(agreedAmount(context))} transferred to seller.`
+  },
+  book_transport: {
+    field: 'transport_status',
+    from: [null],
+    to: 'pending',
+    parties: ['buyer', 'seller'],
+    guard: ({ transaction }) => {
+      if (transaction.status !== 'in_escrow') return 'transport can only be booked once payment is in escrow'
+      const unpaid = milestonesDueBeforeDispatch(transaction)
+      return unpaid.length > 0 ? `${unpaid.map(milestone => milestone.label).join(', ')} must be paid before dispatch` : null
+    },
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) =>
+      transaction.pickup_eta
+        ? `Transport booked for ${vehicleName(vehicle)}. Pickup scheduled for ${new Date(transaction.pickup_eta as string).toLocaleDateString()}.`
+        : `Transport booked for ${vehicleName(vehicle)}.`
+  },
+  // Clears the booking so another partner can be booked; only before pickup
+  cancel_transport: {
+    field: 'transport_status',
+    from: ['pending'],
+    parties: ['buyer', 'seller', 'admin', 'system'],
+    notify: ['buyer', 'seller'],
+    describe: ({ transaction, vehicle }) => {
+      const reason = transaction.transport_cancellation_reason ? ` Reason: ${transaction.transport_cancellation_reason}.` : ''
+      return `The transport booking for ${vehicleName(vehicle)} was cancelled.${reason}`
+    }
+  },
+  mark_picked_up: {
+    field: 'transport_status',
+    from: ['pending'],
+    to: 'picked_up',
+    parties: ['seller', 'system'],
+    notify: ['buyer'],
+    describe: ({ vehicle }) => `${vehicleName(vehicle)} has been picked up by the transport partner.`
+  },
+  mark_in_transit: {
+    field: 'transport_status',
+    from: ['picked_up'],
+    to: 'in_transit',
+    parties: ['seller', 'system'],
+    notify: ['buyer'],
+    describe: ({ vehicle }) => `${vehicleName(vehicle)} is en route to the buyer.`
+  },
+  confirm_delivery: {
+    field: 'transport_status',
+    from: ['pending', 'picked_up', 'in_transit'],
+    to: 'delivered',
+    parties: ['buyer'],
+    notify: ['seller'],
+    describe: () => 'Vehicle delivery confirmed by buyer. Transport completed successfully.'
+  },
+  // Partial refunds for problems found on delivery, agreed before release
+  request_refund: {
+    field: 'escrow_status',
+    from: ['paid'],
+    to: 'disputed',
+    parties: ['buyer', 'seller', 'admin'],
+    guard: ({ transaction }) =>
+      transaction.status !== 'in_escrow' ? 'refunds can only be requested while funds are in escrow' : null,
+    notify: ['buyer', 'seller'],
+    describe: (context) => {
+      const request = refundRequest(context)
+      return `A partial refund of ${formatRupees(request?.amount)} was requested by the ${request?.requested_by}: ${request?.reason}. Escrow release is on hold until it is settled.`
+    }
+  },
+  agree_refund: {
+    field: 'escrow_status',
+    from: ['disputed'],
+    to: 'paid',
+    parties: ['buyer', 'seller', 'admin'],
+    guard: respondingToRefund,
+    notify: ['buyer', 'seller'],
+    describe: (context) =>
+      `Partial refund of ${formatRupees(refundRequest(context)?.amount)} agreed and returned to the buyer from escrow.`
+  },
+  decline_refund: {
+    field: 'escrow_status',
+    from: ['disputed'],
+    to: 'paid',
+    parties: ['buyer', 'seller', 'admin'],
+    guard: respondingToRefund,
+    notify: ['buyer', 'seller'],
+    describe: (context) => {
+      const note = refundRequest(context)?.resolution_note
+      return `The partial refund of ${formatRupees(refundRequest(context)?.amount)} was declined${note ? `: ${note}` : ''}.`
+    }
+  }
+}
+
+export function getParty(transaction: TransactionRecord, dealerId?: string | null): Party | null {
+  if (!dealerId) return null
+  if (dealerId === transaction.seller_id) return 'seller'
+  if (dealerId === transaction.buyer_id) return 'buyer'
+  return null
+}
+
+function currentState(transaction: TransactionRecord, definition: TransitionDefinition) {
+  return (transaction[definition.field] as string | undefined) || null
+}
+
+function validate(action: TransactionAction, context: TransitionContext) {
+  const definition = TRANSITIONS[action]
+  if (!definition) throw new Error(`Unknown transaction action: ${action}`)
+
+  const from = currentState(context.transaction, definition)
+  if (!definition.from.includes(from)) {
+    throw new TransitionError(action, from, `allowed from ${definition.from.map(state => state || 'none').join(', ')}`)
+  }
+  if (!definition.parties.includes(context.party)) {
+    throw new TransitionError(action, from, `only the ${definition.parties.join(' or ')} may do this`)
+  }
+  const reason = definition.guard?.(context)
+  if (reason) throw new TransitionError(action, from, reason)
+  return definition
+}
+
+// Throws what `transitionTransaction` would for `action` right now, without
+// writing anything; for work that has to happen before the transition.
+export function assertCanPerform(transaction: TransactionRecord, action: TransactionAction, party: Party) {
+  validate(action, { transaction, vehicle: null, party })
+}
+
+// For UI: whether the given dealer may trigger `action` right now.
+export function canPerform(transaction: TransactionRecord, action: TransactionAction, dealerId?: string | null) {
+  const party = getParty(transaction, dealerId)
+  if (!party) return false
+  try {
+    validate(action, { transaction, vehicle: null, party })
+    return true
+  } catch {
+    return false
+  }
+}
+
+async function notifyParty(transaction: TransactionRecord, dealerId: string, message: string, action: TransactionAction) {
+  await notifyDealer(dealerId, {
+    type: 'deal_update',
+    title: action.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()),
+    message,
+    link: createPageUrl(`DealRoom?transactionId=${transaction.id}`),
+    linkLabel: 'Open the Deal Room'
+  })
+}
+
+// JSON fields such as a payment schedule are compared by content.
+const sameValue = (a: unknown, b: unknown) =>
+  a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b))
+
+export interface TransitionOptions {
+  actorDealerId?: string | null
+  party?: Party
+  patch?: Record<string, unknown>
+  // Field values the actor saw when deciding, e.g. the offer amount being
+  // accepted. If the stored row no longer matches, the transition is refused.
+  expect?: Record<string, unknown>
+  // Receives the parties that could not be notified once the transition is
+  // saved. Without it they are thrown as a NotificationError instead.
+  onNotifyError?: NotificationErrorHandler
+}
+
+/**
+ * Moves a transaction through the workflow. Checks the transition and acting
+ * party against the latest stored row and writes the new state as one
+ * version-checked update, then posts a system message to the deal room chat,
+ * updates the vehicle and notifies the other party. A failed notification
+ * does not undo the transition; it is reported through `onNotifyError`.
+ *
+ * `party: 'admin'` is refused unless the signed-in user is a platform admin.
+ * 'system' steps can be run by any party's client; the database trigger in
+ * 20261019220000_transaction_guard.sql checks what they rely on, such as the
+ * payment being on the ledger before the deal is marked funded.
+ */
+export async function transitionTransaction(
+  transactionId: string,
+  action: TransactionAction,
+  { actorDealerId, party, patch = {}, expect = {}, onNotifyError }: TransitionOptions = {}
+) {
+  // Filled in by the last (successful) attempt inside `mutate`
+  let context!: TransitionContext
+  let definition!: TransitionDefinition
+  let message = ''
+  let vehicle: VehicleRecord | null = null
+
+  if (party === 'admin' && !(await User.me()).platform_admin) {
+    throw new TransitionError(action, null, 'only a platform admin may act as admin')
+  }
+
+  const updated = await Transaction.mutate(transactionId, async (transaction) => {
+    const actingParty = party || getParty(transaction, actorDealerId)
+    if (!actingParty) {
+      throw new TransitionError(action, transaction.status, 'you are not a party to this transaction')
+    }
+    for (const [field, value] of Object.entries(expect)) {
+      if (!sameValue(transaction[field as keyof TransactionRecord], value)) {
+        throw new ConcurrencyError('Transaction', transactionId,
+          `The deal changed while you were responding (${field} is now ${transaction[field as keyof TransactionRecord]}). Please review and try again.`)
+      }
+    }
+
+    if (!vehicle && transaction.vehicle_id) {
+      vehicle = await Vehicle.get(transaction.vehicle_id)
+    }
+    context = { transaction, vehicle, party: actingParty }
+    definition = validate(action, context)
+    message = definition.describe({ ...context, transaction: { ...transaction, ...patch } })
+
+    return definition.to
+      ? { ...patch, [definition.field]: definition.to }
+      : patch
+  })
+
+  const { transaction, party: actingParty } = context
+  await postSystemMessage(transactionId, actorDealerId || actingParty, message)
+  const { vehicleStatus, notify = [] } = definition
+
+  if (vehicleStatus && context.vehicle) {
+    await Vehicle.update(context.vehicle.id, { status: vehicleStatus })
+  }
+
+  const notices = collectNotificationErrors()
+  for (const recipient of notify) {
+    const dealerId = recipient === 'seller' ? transaction.seller_id : transaction.buyer_id
+    if (dealerId && dealerId !== actorDealerId) {
+      try {
+        await notifyParty(transaction, dealerId, message, action)
+      } catch (error) {
+        notices.add({ dealerId, title: `Notifying the ${recipient} about ${action.replace(/_/g, ' ')}`, error })
+      }
+    }
+  }
+  notices.settle(onNotifyError)
+
+  return updated
+}
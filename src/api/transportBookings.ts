@@ -0,0 +1,296 @@
+import { Transaction, TransportBooking, TrackingEvent } from '@/api/entities'
+import { transitionTransaction, canPerform, TransitionError } from '@/api/transactionWorkflow'
+import type { TransactionAction, Party } from '@/api/transactionWorkflow'
+import { collectNotificationErrors } from '@/api/notifications'
+import type { NotificationErrorHandler } from '@/api/notifications'
+import { createMockLogisticsPartner } from '@/api/mockLogisticsPartner'
+import { LogisticsPartnerError } from '@/api/logisticsPartners'
+import type { LogisticsPartnerAdapter, PartnerDriver, PartnerTrackingEvent } from '@/api/logisticsPartners'
+import type { WebhookHeaders } from '@/api/paymentGateways'
+import type {
+  Dealer as DealerRecord,
+  Transaction as TransactionRecord,
+  TransportBooking as TransportBookingRecord,
+  TrackingEvent as TrackingEventRecord,
+  TransportBookingStatus,
+  Vehicle as VehicleRecord
+} from '@/api/types'
+
+// Partners are chosen by the LogisticsPartner row's `adapter`. Only the
+// mock is available out of the box; real integrations are registered where
+// their credentials live:
+//
+//   registerLogisticsPartner('vahak', () => createVahakAdapter({ apiKey, webhookSecret }))
+
+const partnerFactories: Record<string, () => LogisticsPartnerAdapter> = {
+  mock: () => createMockLogisticsPartner({
+    timeScale: Number(import.meta.env.VITE_MOCK_LOGISTICS_TIME_SCALE) || 1,
+    // Webhooks loop straight back into our handler, signature checks included
+    onWebhook: (rawBody, headers) => handleLogisticsWebhook('mock', rawBody, headers)
+  })
+}
+
+const activePartners = new Map<string, LogisticsPartnerAdapter>()
+
+export function registerLogisticsPartner(name: string, factory: () => LogisticsPartnerAdapter) {
+  partnerFactories[name] = factory
+  activePartners.delete(name)
+}
+
+export function getLogisticsPartner(name: string) {
+  let adapter = activePartners.get(name)
+  if (!adapter) {
+    const factory = partnerFactories[name]
+    if (!factory) throw new LogisticsPartnerError(name, `Unknown logistics partner integration: ${name}`)
+    adapter = factory()
+    activePartners.set(name, adapter)
+  }
+  return adapter
+}
+
+// Steps a partner event implies, in order, so a late first sync catches up
+const EVENT_TRANSITIONS: Partial<Record<PartnerTrackingEvent['type'], { from: string, action: TransactionAction }[]>> = {
+  picked_up: [{ from: 'pending', action: 'mark_picked_up' }],
+  checkpoint: [{ from: 'pending', action: 'mark_picked_up' }, { from: 'picked_up', action: 'mark_in_transit' }],
+  out_for_delivery: [{ from: 'pending', action: 'mark_picked_up' }, { from: 'picked_up', action: 'mark_in_transit' }],
+  delivered: [{ from: 'pending', action: 'mark_picked_up' }, { from: 'picked_up', action: 'mark_in_transit' }]
+}
+
+export interface TransportQuote {
+  partnerId: string
+  // Registered integration for the partner; defaults to the mock
+  adapter?: string
+  totalCost: number
+  distance: number
+  estimatedDays: number
+}
+
+export interface BookTransportOptions {
+  quote: TransportQuote
+  seller: DealerRecord
+  buyer: DealerRecord
+  vehicle: VehicleRecord | null
+  actorDealerId: string
+  pickupAt: Date
+  // See `TransitionOptions.onNotifyError`
+  onNotifyError?: NotificationErrorHandler
+}
+
+function bookingStatus(events: { event_type: string }[], current: TransportBookingStatus): TransportBookingStatus {
+  if (current === 'cancelled') return current
+  if (events.some(event => event.event_type === 'delivered')) return 'delivered'
+  if (events.some(event => event.event_type === 'picked_up')) return 'in_progress'
+  return current
+}
+
+async function logEvent(booking: TransportBookingRecord, event: PartnerTrackingEvent) {
+  try {
+    return await TrackingEvent.create({
+      booking_id: booking.id,
+      transaction_id: booking.transaction_id,
+      partner_event_id: event.eventId,
+      event_type: event.type,
+      occurred_at: event.occurredAt,
+      location: event.location || null,
+      note: event.note || null
+    })
+  } catch (error) {
+    // Already logged from an earlier webhook or poll
+    if ((error as { code?: string }).code === '23505') return null
+    throw error
+  }
+}
+
+async function advanceTransport(transactionId: string, type: PartnerTrackingEvent['type'], onNotifyError: NotificationErrorHandler) {
+  for (const step of EVENT_TRANSITIONS[type] || []) {
+    const transaction = await Transaction.get(transactionId)
+    if (transaction.transport_status !== step.from) continue
+    try {
+      await transitionTransaction(transactionId, step.action, { party: 'system', onNotifyError })
+    } catch (error) {
+      // Someone else moved it first
+      if (!(error instanceof TransitionError)) throw error
+    }
+  }
+}
+
+/**
+ * Appends what the partner reported to the booking's tracking log and moves
+ * the deal's transport status along with it. Events already logged are
+ * skipped, so overlapping webhooks and polls are harmless. Delivery is
+ * only logged: the buyer still confirms it, which starts escrow release.
+ */
+export async function applyTrackingEvents(
+  booking: TransportBookingRecord,
+  events: PartnerTrackingEvent[],
+  driver?: PartnerDriver,
+  { onNotifyError }: { onNotifyError?: NotificationErrorHandler } = {}
+) {
+  const notices = collectNotificationErrors()
+  const logged: TrackingEventRecord[] = []
+  for (const event of [...events].sort((a, b) => a.occurredAt.localeCompare(b.occurredAt))) {
+    const record = await logEvent(booking, event)
+    if (!record) continue
+    logged.push(record)
+    await advanceTransport(booking.transaction_id, event.type, notices.onNotifyError)
+  }
+
+  const history = await listTrackingEvents(booking.id)
+  await TransportBooking.update(booking.id, {
+    status: bookingStatus(history, booking.status),
+    last_synced_at: new Date().toISOString(),
+    ...(driver ? { driver_name: driver.name, driver_phone: driver.phone, truck_number: driver.truckNumber || null } : {})
+  })
+  notices.settle(onNotifyError)
+  return logged
+}
+
+/**
+ * Places the job with the quoted partner and attaches it to the deal. If
+ * the deal cannot take the booking (say the other party booked first), the
+ * partner booking is cancelled again.
+ */
+export async function bookTransport(transaction: TransactionRecord, options: BookTransportOptions) {
+  const { quote, seller, buyer, vehicle, actorDealerId, pickupAt, onNotifyError } = options
+  const adapterName = quote.adapter || 'mock'
+  const adapter = getLogisticsPartner(adapterName)
+  const deliverBy = new Date(pickupAt.getTime() + quote.estimatedDays * 24 * 60 * 60 * 1000)
+
+  const placed = await adapter.book({
+    reference: transaction.id,
+    pickup: { pincode: seller.pincode as string, address: seller.address, contactName: seller.business_name, contactPhone: seller.phone },
+    drop: { pincode: buyer.pincode as string, address: buyer.address, contactName: buyer.business_name, contactPhone: buyer.phone },
+    pickupAt: pickupAt.toISOString(),
+    deliverBy: deliverBy.toISOString(),
+    distanceKm: quote.distance,
+    vehicle: {
+      description: vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'Vehicle',
+      registrationNumber: vehicle?.registration_number,
+      value: vehicle?.price
+    }
+  })
+
+  const booking = await TransportBooking.create({
+    transaction_id: transaction.id,
+    logistics_partner_id: quote.partnerId,
+    adapter: adapterName,
+    partner_booking_id: placed.bookingId,
+    status: 'booked',
+    pickup_pincode: seller.pincode as string,
+    drop_pincode: buyer.pincode as string,
+    distance_km: quote.distance,
+    quoted_cost: quote.totalCost,
+    pickup_eta: placed.pickupAt,
+    delivery_eta: placed.deliverBy
+  })
+
+  const notices = collectNotificationErrors()
+  try {
+    await transitionTransaction(transaction.id, 'book_transport', {
+      actorDealerId,
+      onNotifyError: notices.onNotifyError,
+      patch: {
+        transport_booking_id: booking.id,
+        logistics_partner: quote.partnerId,
+        estimated_logistics_cost: quote.totalCost,
+        pickup_eta: placed.pickupAt,
+        delivery_eta: placed.deliverBy,
+        transport_cancellation_reason: null
+      }
+    })
+  } catch (error) {
+    try {
+      await adapter.cancel(placed.bookingId, 'Booking could not be attached to the deal')
+    } catch (cancelError) {
+      console.error('Failed to cancel orphaned transport booking:', cancelError)
+    }
+    await TransportBooking.update(booking.id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: 'Booking could not be attached to the deal'
+    })
+    throw error
+  }
+
+  await applyTrackingEvents(booking, placed.events, placed.driver, { onNotifyError: notices.onNotifyError })
+  notices.settle(onNotifyError)
+  return booking
+}
+
+export interface CancelTransportOptions {
+  actorDealerId?: string | null
+  // Set for admins and system sweeps, who are not a party to the deal
+  party?: Party
+  reason: string
+}
+
+// Cancels with the partner first, which refuses once the vehicle is loaded.
+export async function cancelTransportBooking(transactionId: string, { actorDealerId, party, reason }: CancelTransportOptions) {
+  const transaction = await Transaction.get(transactionId)
+  if (!party && !canPerform(transaction, 'cancel_transport', actorDealerId)) {
+    throw new TransitionError('cancel_transport', transaction.transport_status || null, 'transport can only be cancelled before pickup')
+  }
+  if (!transaction.transport_booking_id) throw new Error('This deal has no transport booking')
+  const booking = await TransportBooking.get(transaction.transport_booking_id)
+
+  await getLogisticsPartner(booking.adapter).cancel(booking.partner_booking_id, reason)
+  const cancelledAt = new Date().toISOString()
+  await TransportBooking.update(booking.id, { status: 'cancelled', cancelled_at: cancelledAt, cancellation_reason: reason })
+  await logEvent(booking, { eventId: 'cancelled', type: 'cancelled', occurredAt: cancelledAt, note: reason })
+
+  return transitionTransaction(transactionId, 'cancel_transport', {
+    actorDealerId,
+    party,
+    patch: {
+      transport_status: null,
+      transport_booking_id: null,
+      logistics_partner: null,
+      estimated_logistics_cost: null,
+      pickup_eta: null,
+      delivery_eta: null,
+      transport_cancellation_reason: reason
+    }
+  })
+}
+
+export async function getTransportBooking(bookingId: string) {
+  return TransportBooking.get(bookingId)
+}
+
+export async function listTrackingEvents(bookingId: string) {
+  return TrackingEvent.filter({ booking_id: bookingId }, 'occurred_at')
+}
+
+/**
+ * Pulls the partner's latest status for a deal's active booking. Webhooks
+ * are the fast path; this catches anything they missed and runs whenever
+ * the deal room is opened. Returns the refreshed transaction when
+ * something new was logged, otherwise null.
+ */
+export async function syncTransportBooking(transaction: TransactionRecord) {
+  if (!transaction.transport_booking_id || transaction.transport_status === 'delivered') return null
+  const booking = await TransportBooking.get(transaction.transport_booking_id)
+  if (booking.status === 'cancelled' || booking.status === 'delivered') return null
+
+  const status = await getLogisticsPartner(booking.adapter).fetchStatus(booking.partner_booking_id)
+  const logged = await applyTrackingEvents(booking, status.events, status.driver)
+  return logged.length > 0 ? Transaction.get(transaction.id) : null
+}
+
+/**
+ * Verifies and applies a partner webhook. Redeliveries are absorbed by the
+ * tracking log's unique (booking, event) key.
+ */
+export async function handleLogisticsWebhook(partner: string, rawBody: string, headers: WebhookHeaders) {
+  const adapter = getLogisticsPartner(partner)
+  if (!(await adapter.verifyWebhook(rawBody, headers))) {
+    throw new LogisticsPartnerError(partner, 'Webhook signature verification failed')
+  }
+  const { bookingId, event, driver } = adapter.parseWebhook(rawBody, headers)
+
+  const [booking] = await TransportBooking.filter({ adapter: partner, partner_booking_id: bookingId }, undefined, 1)
+  if (!booking) throw new LogisticsPartnerError(partner, `No transport booking found for ${bookingId}`)
+  if (booking.status === 'cancelled') return { ignored: true, logged: [] }
+
+  return { ignored: false, logged: await applyTrackingEvents(booking, [event], driver) }
+}
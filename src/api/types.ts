@@ -4,6 +4,9 @@ export interface Dealer {
   address: string
   city: string
   state: string
+  pincode?: string
+  gstin?: string
+  pan?: string
   phone: string
   email: string
   created_by: string
@@ -22,13 +25,65 @@ export interface Vehicle {
   model: string
   year: number
   price: number
+  // What the dealer paid for the car; GST under the margin scheme is due on
+  // the difference. Not shown to buyers; column access should be limited
+  // to the owning dealer.
+  cost_price?: number | null
   description?: string
   status: string
   kilometers?: number
   fuel_type?: string
   transmission?: string
+  vin?: string
+  registration_number?: string
+  engine_number?: string | null
+  chassis_number?: string | null
+  // Cubic capacity as on the RC, e.g. 1197
+  engine_cc?: number | null
+  length_mm?: number | null
   date_listed?: string
   date_sold?: string
+  image_urls?: string[]
+  document_urls?: VehicleDocument[]
+  listing_mode?: ListingMode
+  auction_status?: AuctionStatus | null
+  auction_start_price?: number | null
+  auction_reserve_price?: number | null
+  auction_min_increment?: number | null
+  auction_start_at?: string | null
+  auction_end_at?: string | null
+  auction_current_bid?: number | null
+  auction_leader_id?: string | null
+  auction_bid_count?: number
+  auction_transaction_id?: string | null
+  version?: number
+}
+
+export type ListingMode = 'fixed' | 'auction'
+
+export type AuctionStatus = 'active' | 'settled' | 'unsold' | 'cancelled'
+
+export interface AuctionBid {
+  id: string
+  vehicle_id: string
+  bidder_id: string
+  // Visible price after this bid was resolved against the other proxies
+  bid_amount: number
+  leading: boolean
+  created_at: string
+}
+
+export interface VehicleDocument {
+  type: string
+  url: string
+  name: string
+}
+
+export interface TransactionMessage {
+  sender_id: string
+  message: string
+  timestamp: string
+  type?: string
 }
 
 export interface Transaction {
@@ -37,12 +92,161 @@ export interface Transaction {
   seller_id: string
   buyer_id: string
   offer_amount: number
+  final_amount?: number
   status: string
   escrow_status?: string
+  transport_status?: string
+  platform_fee?: number
+  estimated_logistics_cost?: number
+  // Our TransportBooking id for the active booking, if any
+  transport_booking_id?: string | null
+  logistics_partner?: string | null
+  pickup_eta?: string | null
+  delivery_eta?: string | null
+  transport_cancellation_reason?: string | null
+  delivery_confirmed_at?: string | null
+  // End of the buyer's cooling-off window; escrow is released after it
+  escrow_release_at?: string | null
+  escrow_released_at?: string | null
+  refund_request?: RefundRequest | null
+  refunded_amount?: number
+  cancellation_reason?: string | null
+  cancellation_fee?: number
+  // Staged payments for high-value deals; absent when paid in one go
+  payment_schedule?: PaymentMilestone[] | null
+  last_offer_by?: string
+  offer_expires_at?: string | null
+  backup_rank?: number | null
+  // Set once legacy `messages` have been copied into the Message table
+  messages_migrated_at?: string | null
+  version?: number
+  messages?: TransactionMessage[]
   created_at: string
   updated_at: string
 }
 
+export type MessageType = 'text' | 'system' | 'attachment'
+
+export type AttachmentKind = 'image' | 'video' | 'document'
+
+export type PromotionTarget = 'image_urls' | 'document_urls'
+
+export interface MessageAttachment {
+  url: string
+  name: string
+  mime_type: string
+  size: number
+  kind: AttachmentKind
+  // Set when a party asks for the file to be added to the vehicle listing;
+  // only the seller can approve.
+  promotion_target?: PromotionTarget | null
+  promotion_status?: 'requested' | 'approved' | null
+  promotion_requested_by?: string | null
+  promoted_at?: string | null
+}
+
+export interface Message {
+  id: string
+  transaction_id: string
+  sender_id: string
+  type: MessageType
+  body: string
+  attachments?: MessageAttachment[]
+  delivered_at?: string | null
+  read_at?: string | null
+  created_at: string
+}
+
+export type OfferType = 'initial' | 'counter' | 'accept' | 'reject' | 'withdraw'
+
+export interface Offer {
+  id: string
+  transaction_id: string
+  proposer_id: string
+  type: OfferType
+  amount: number
+  conditions?: string[]
+  expires_at?: string | null
+  legacy_message?: string
+  // Position among the offers rebuilt from legacy chat; unique per transaction
+  legacy_index?: number | null
+  created_at: string
+  updated_at?: string
+}
+
+// Money is tracked per deal as movements between these accounts. Escrow is
+// the platform-held balance; the others are where funds came from or went.
+// When a milestone has to be paid by: on acceptance to lock the vehicle,
+// before the transport is booked, or on delivery before escrow is released.
+export type MilestoneStage = 'acceptance' | 'dispatch' | 'delivery'
+
+export interface PaymentMilestone {
+  id: string
+  label: string
+  percent: number
+  amount: number
+  stage: MilestoneStage
+  due_at: string
+  status: 'due' | 'paid'
+  paid_at?: string | null
+  // Gateway payment id of the payment that settled it
+  payment_reference?: string | null
+  reminded_at?: string | null
+}
+
+// The latest partial refund proposed against escrow. While one is open the
+// transaction's escrow_status is 'disputed' and nothing can be released.
+export interface RefundRequest {
+  amount: number
+  reason: string
+  requested_by: 'buyer' | 'seller' | 'admin'
+  requested_at: string
+  status: 'open' | 'agreed' | 'declined'
+  resolved_at?: string | null
+  resolution_note?: string | null
+  // Set when the request was raised from a flagged delivery condition report
+  condition_report_id?: string | null
+}
+
+export type EscrowEventType =
+  | 'delivery_confirmed'
+  | 'release_scheduled'
+  | 'released'
+  | 'refund_requested'
+  | 'refund_agreed'
+  | 'refund_declined'
+  | 'cancelled'
+
+// Audit trail of money decisions on a deal, shown in the deal room timeline.
+export interface EscrowEvent {
+  id: string
+  transaction_id: string
+  event_type: EscrowEventType
+  amount?: number | null
+  reason: string
+  actor: 'buyer' | 'seller' | 'admin' | 'system'
+  actor_dealer_id?: string | null
+  created_at: string
+}
+
+export type LedgerAccount = 'buyer' | 'escrow' | 'seller' | 'platform_fee' | 'logistics'
+
+export type LedgerEntryType = 'funding' | 'release' | 'refund'
+
+// One line of a journal. Every journal's debits equal its credits.
+export interface LedgerEntry {
+  id: string
+  transaction_id: string
+  journal_id: string
+  entry_type: LedgerEntryType
+  account: LedgerAccount
+  debit: number
+  credit: number
+  memo?: string
+  reference?: string | null
+  created_at: string
+}
+
 export interface Notification {
   id: string
   user_email: string
@@ -63,10 +267,20 @@ export interface MarketingAsset {
   performance_metrics?: Record<string, unknown>
 }
 
+// A file attached to an RTO application; `generated` marks the statutory
+// forms filled in from the deal rather than uploaded
+export interface RTODocument {
+  type: string
+  url: string
+  name: string
+  generated?: boolean
+}
+
 export interface RTOApplication {
   id: string
   transaction_id: string
   status: string
+  document_urls?: RTODocument[]
   submitted_at: string
 }
 
@@ -78,26 +292,285 @@ export interface SocialMediaAccount {
   created_at: string
 }
 
+// One payment attempt against a gateway order.
 export interface PaymentGateway {
   id: string
-  dealer_id: string
-  provider: string
-  connected: boolean
+  transaction_id: string
+  payment_gateway: string
+  gateway_order_id: string
+  gateway_payment_id?: string | null
+  payment_method?: string
+  // Charged to the buyer, including the gateway's processing fee
+  amount: number
+  // The part that lands in escrow
+  escrow_amount?: number
+  // Set when the payment settles one milestone of a payment schedule
+  milestone_id?: string | null
+  status: 'created' | 'pending' | 'completed' | 'failed'
+  failure_reason?: string | null
+  payment_initiated_at?: string
+  payment_completed_at?: string | null
+  webhook_verified?: boolean
+  gateway_response?: Record<string, unknown>
+  buyer_details?: Record<string, unknown>
   created_at: string
 }
 
+// Webhooks already handled, keyed by (gateway, event_id) so retries are ignored.
+export interface PaymentWebhookEvent {
+  id: string
+  gateway: string
+  event_id: string
+  event_type: string
+  order_id: string
+  payload: string
+  received_at: string
+}
+
+export type DealDocumentType = 'sale_agreement' | 'invoice' | 'receipt' | 'delivery_receipt'
+
+export interface DocumentAccess {
+  user_email: string
+  permission: 'view' | 'sign'
+}
+
+// A generated deal document. `document_data` is the snapshot it was rendered
+// from and `document_hash` its SHA-256; `file_hash` covers the stored PDF.
 export interface DigitalDocument {
+  id: string
+  transaction_id: string
+  document_type: DealDocumentType | string
+  template_used: string
+  // The dealer's template version it was rendered with; unset for the
+  // platform default
+  template_version_id?: string | null
+  document_url: string
+  document_hash: string
+  file_hash?: string | null
+  document_data: Record<string, unknown>
+  generated_at: string
+  // Unset on documents created before PDFs were rendered
+  rendered_at?: string | null
+  legal_validity: 'draft' | 'executed'
+  access_permissions: DocumentAccess[]
+  version?: number
+  signed_by_seller?: boolean
+  seller_signature_timestamp?: string | null
+  signed_by_buyer?: boolean
+  buyer_signature_timestamp?: string | null
+  // When the signing certificate was appended to the stored PDF
+  certified_at?: string | null
+  created_at: string
+}
+
+// One saved version of a dealer's layout for a deal document. Versions are
+// never changed once written; the latest one is used for new documents.
+export interface DocumentTemplateVersion {
   id: string
   dealer_id: string
-  type: string
-  url: string
+  document_type: Exclude<DealDocumentType, 'invoice'>
+  version: number
+  // A `DocumentTemplate` from src/api/documentTemplates.ts
+  template: Record<string, unknown>
+  note?: string | null
+  created_by?: string
+  created_at: string
+}
+
+// Written by `sign_document` once the signer's one-time code checks out.
+// `signature_hash` covers every other field, see `signaturePayload`.
+export interface DocumentSignature {
+  id: string
+  document_id: string
+  transaction_id: string
+  party: 'seller' | 'buyer'
+  signer_dealer_id: string
+  signer_name?: string | null
+  signer_email: string
+  document_hash: string
+  otp_id: string
+  signed_at: string
+  signature_hash: string
+  created_at: string
+}
+
+// Rate slabs for used vehicles sold under the GST margin scheme
+export type GstSlab = 'small' | 'large' | 'electric'
+
+export type SupplyType = 'intra_state' | 'inter_state'
+
+export interface InvoiceParty {
+  business_name: string
+  address: string
+  city: string
+  state: string
+  pincode?: string | null
+  gstin: string
+}
+
+export interface InvoiceVehicle {
+  make: string
+  model: string
+  year: number
+  fuel_type?: string | null
+  vin?: string | null
+  registration_number?: string | null
+  engine_cc?: number | null
+  length_mm?: number | null
+}
+
+export interface TaxInvoice {
+  id: string
+  // Serial per seller and financial year, e.g. INV/25-26/000042
+  invoice_number: string
+  financial_year: string
+  sequence: number
+  transaction_id: string
+  seller_id: string
+  buyer_id: string
+  issued_at: string
+  // Seller, buyer and vehicle as they were when the invoice was issued
+  seller_details: InvoiceParty
+  buyer_details: InvoiceParty
+  vehicle_details: InvoiceVehicle
+  // Two-digit GST state code of the buyer
+  place_of_supply: string
+  supply_type: SupplyType
+  gst_slab: GstSlab
+  sale_value: number
+  purchase_value: number
+  // Margin net of the tax included in it; zero when sold at a loss
+  taxable_value: number
+  gst_rate: number
+  cess_rate: number
+  cgst: number
+  sgst: number
+  igst: number
+  cess: number
   created_at: string
 }
 
 export interface LogisticsPartner {
   id: string
   name: string
+  partner_name?: string
   contact: string
+  // Registered partner integration that takes bookings; 'mock' when unset
+  adapter?: string | null
+  created_at: string
+}
+
+export type TransportBookingStatus = 'booked' | 'in_progress' | 'delivered' | 'cancelled'
+
+// A transport job placed with a logistics partner for one deal.
+export interface TransportBooking {
+  id: string
+  transaction_id: string
+  logistics_partner_id: string
+  // Partner integration the booking was placed through
+  adapter: string
+  partner_booking_id: string
+  status: TransportBookingStatus
+  pickup_pincode: string
+  drop_pincode: string
+  distance_km: number
+  quoted_cost: number
+  pickup_eta: string
+  delivery_eta: string
+  driver_name?: string | null
+  driver_phone?: string | null
+  truck_number?: string | null
+  cancelled_at?: string | null
+  cancellation_reason?: string | null
+  last_synced_at?: string | null
+  created_at: string
+}
+
+export type TrackingEventType =
+  | 'booked'
+  | 'driver_assigned'
+  | 'picked_up'
+  | 'checkpoint'
+  | 'out_for_delivery'
+  | 'delivered'
+  | 'cancelled'
+
+// Append-only log of what the partner reported for a booking, keyed by
+// (booking_id, partner_event_id) so webhook retries and polls add nothing.
+export interface TrackingEvent {
+  id: string
+  booking_id: string
+  transaction_id: string
+  partner_event_id: string
+  event_type: TrackingEventType
+  occurred_at: string
+  location?: string | null
+  note?: string | null
+  created_at: string
+}
+
+export type ConditionStage = 'pickup' | 'delivery'
+
+export type PhotoAngle = 'front' | 'rear' | 'left' | 'right' | 'dashboard' | 'interior'
+
+export interface ConditionPhoto {
+  angle: PhotoAngle
+  url: string
+}
+
+export type DamageType = 'scratch' | 'dent' | 'crack' | 'chip' | 'missing_part'
+export type DamageSeverity = 'minor' | 'moderate' | 'major'
+
+// A marker on the top-down vehicle diagram; x/y are in diagram units
+export interface DamageMarker {
+  id: string
+  panel: string
+  x: number
+  y: number
+  type: DamageType
+  severity: DamageSeverity
+  note?: string | null
+}
+
+export interface ConditionComparison {
+  new_damage: DamageMarker[]
+  // Delivery markers matching a pickup marker but rated more severe
+  worsened_damage: DamageMarker[]
+  odometer_delta_km: number
+  fuel_drop: number
+  flags: string[]
+}
+
+// Recorded by the seller at pickup and the buyer at delivery. Reports are
+// not edited once saved; the delivery report carries the comparison.
+export interface ConditionReport {
+  id: string
+  transaction_id: string
+  stage: ConditionStage
+  recorded_by_dealer_id: string
+  photos: ConditionPhoto[]
+  damage: DamageMarker[]
+  odometer_km: number
+  // Index into FUEL_LEVELS, from empty to full
+  fuel_level: number
+  notes?: string | null
+  comparison?: ConditionComparison | null
+  flagged?: boolean
+  dispute_opened_at?: string | null
+  // The buyer accepted the vehicle despite the flags, releasing the hold on escrow
+  dispute_waived_at?: string | null
+  created_at: string
+}
+
+// Proof of delivery, written by `verify_handover_otp` when the seller's
+// driver enters the buyer's handover code. One per transaction.
+export interface HandoverProof {
+  id: string
+  transaction_id: string
+  booking_id?: string | null
+  otp_id: string
+  verified_by_dealer_id: string
+  handed_over_at: string
   created_at: string
 }
 
@@ -111,8 +584,12 @@ export interface Feedback {
 
 export interface SystemConfig {
   id: string
-  key: string
-  value: string
+  config_key: string
+  config_value: string
+  description?: string
+  category?: string
+  last_modified_by?: string
+  last_modified_at?: string
   created_at: string
 }
 
@@ -122,3 +599,14 @@ export interface SystemLog {
   message: string
   created_at: string
 }
+
+export interface User {
+  id: string
+  email: string
+  full_name: string
+  role: string
+  custom_margin_enabled?: boolean
+  // Grants the admin panel and acting as 'admin' on deals; only admins can set it
+  platform_admin?: boolean
+  created_at?: string
+}
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Dealer } from '@/api/entities';
+import {
+  auctionPhase,
+  minimumNextBid,
+  reserveMet,
+  placeBid,
+  getMyMaximum,
+  listBids,
+  cancelAuction,
+  settleAuction,
+  subscribeToAuctions
+} from '@/api/auctions';
+import { createPageUrl } from '@/utils';
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Gavel, Loader2, Crown, ExternalLink, XCircle } from 'lucide-react';
+import AuctionTimer from './AuctionTimer';
+
+const formatLakhs = (amount) => `₹${((amount || 0) / 100000).toFixed(1)}L`;
+
+export default function AuctionBidPanel({ vehicle: initialVehicle, currentDealer, onVehicleChange }) {
+  const [vehicle, setVehicle] = useState(initialVehicle);
+  const [bids, setBids] = useState([]);
+  const [bidders, setBidders] = useState({});
+  const [myMaximum, setMyMaximum] = useState(null);
+  const [maxBid, setMaxBid] = useState('');
+  const [placing, setPlacing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  // Kept in a ref so a new callback from the parent does not resubscribe
+  const onVehicleChangeRef = useRef(onVehicleChange);
+  onVehicleChangeRef.current = onVehicleChange;
+
+  const isSeller = currentDealer?.id === vehicle.dealer_id;
+  const isLeader = currentDealer?.id === vehicle.auction_leader_id;
+  const phase = auctionPhase(vehicle);
+
+  useEffect(() => {
+    setVehicle(initialVehicle);
+  }, [initialVehicle]);
+
+  const loadBids = useCallback(async () => {
+    try {
+      const history = await listBids(vehicle.id);
+      setBids(history);
+
+      const bidderIds = [...new Set(history.map(bid => bid.bidder_id))];
+      if (bidderIds.length > 0) {
+        const dealers = await Dealer.filter({ id: bidderIds });
+        setBidders(Object.fromEntries(dealers.map(dealer => [dealer.id, dealer])));
+      }
+    } catch (error) {
+      console.error('Error loading bid history:', error);
+    }
+  }, [vehicle.id]);
+
+  useEffect(() => {
+    loadBids();
+    return subscribeToAuctions({
+      vehicleId: vehicle.id,
+      onVehicle: (updated) => {
+        setVehicle(updated);
+        onVehicleChangeRef.current?.(updated);
+      },
+      onBid: () => loadBids()
+    });
+  }, [vehicle.id, loadBids]);
+
+  // Only the leader's own maximum is readable, and only by them
+  useEffect(() => {
+    if (!isLeader || phase !== 'live') return;
+    getMyMaximum(vehicle.id)
+      .then(setMyMaximum)
+      .catch(error => console.error('Error loading your maximum bid:', error));
+  }, [vehicle.id, isLeader, phase, vehicle.auction_bid_count]);
+
+  const handleEnded = useCallback(async () => {
+    try {
+      await settleAuction(vehicle.id);
+    } catch (error) {
+      console.error('Error settling auction:', error);
+    }
+  }, [vehicle.id]);
+
+  const handlePlaceBid = async () => {
+    const amount = Math.round(parseFloat(maxBid) * 100000);
+    if (!amount || amount <= 0) {
+      alert('Please enter a valid maximum bid');
+      return;
+    }
+
+    setPlacing(true);
+    try {
+      const { vehicle: updated, leading } = await placeBid(vehicle.id, currentDealer.id, amount);
+      setVehicle(updated);
+      onVehicleChange?.(updated);
+      setMaxBid('');
+      if (!leading) {
+        alert(`Another dealer's maximum is higher. The current bid is now ${formatLakhs(updated.auction_current_bid)}.`);
+      }
+    } catch (error) {
+      console.error('Error placing bid:', error);
+      alert(`Failed to place bid. ${error.message}`);
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this auction and return the vehicle to a fixed-price listing?')) return;
+
+    setCancelling(true);
+    try {
+      const updated = await cancelAuction(vehicle.id, currentDealer.id);
+      setVehicle(updated);
+      onVehicleChange?.(updated);
+    } catch (error) {
+      console.error('Error cancelling auction:', error);
+      alert(`Failed to cancel auction. ${error.message}`);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  if (!phase) return null;
+
+  const hasBids = vehicle.auction_current_bid != null;
+
+  return (
+    <Card className="mb-4 border-amber-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <Gavel className="w-5 h-5 text-amber-600" />
+            Auction
+          </span>
+          <AuctionTimer vehicle={vehicle} onEnded={handleEnded} className="text-sm font-normal text-gray-600" />
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <div className="text-xs text-gray-500">{hasBids ? 'Current bid' : 'Starting price'}</div>
+            <div className="text-2xl font-bold text-amber-700">
+              {formatLakhs(hasBids ? vehicle.auction_current_bid : vehicle.auction_start_price)}
+            </div>
+          </div>
+          <div className="text-right">
+            <div className="text-xs text-gray-500">{vehicle.auction_bid_count || 0} bids</div>
+            <Badge className={reserveMet(vehicle) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}>
+              {reserveMet(vehicle) ? 'Reserve met' : 'Reserve not met'}
+            </Badge>
+          </div>
+        </div>
+
+        {isSeller && (
+          <div className="text-xs text-gray-600">
+            Reserve {formatLakhs(vehicle.auction_reserve_price)} · increments of {formatLakhs(vehicle.auction_min_increment)}
+          </div>
+        )}
+
+        {isLeader && phase === 'live' && (
+          <div className="flex items-center gap-2 text-sm text-green-700 bg-green-50 rounded-lg p-2">
+            <Crown className="w-4 h-4" />
+            You are leading.{myMaximum != null && ` Your maximum is ${formatLakhs(myMaximum)}.`}
+          </div>
+        )}
+
+        {!isSeller && phase === 'live' && (
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <Input
+                type="number"
+                step="0.1"
+                placeholder={`Max bid in lakhs (min ${(minimumNextBid(vehicle) / 100000).toFixed(1)})`}
+                value={maxBid}
+                onChange={(e) => setMaxBid(e.target.value)}
+              />
+              <Button onClick={handlePlaceBid} disabled={placing || !maxBid} className="momentum-btn-accent">
+                {placing ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Bid'}
+              </Button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Enter the most you are willing to pay. We bid for you one increment at a time, only as high as needed to keep you in the lead.
+            </p>
+          </div>
+        )}
+
+        {isSeller && vehicle.auction_status === 'active' && !(vehicle.auction_bid_count > 0) && (
+          <Button variant="outline" className="w-full" onClick={handleCancel} disabled={cancelling}>
+            {cancelling ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <XCircle className="w-4 h-4 mr-2" />}
+            Cancel Auction
+          </Button>
+        )}
+
+        {phase === 'settled' && vehicle.auction_transaction_id && (isSeller || isLeader) && (
+          <Link to={createPageUrl(`DealRoom?transactionId=${vehicle.auction_transaction_id}`)}>
+            <Button className="w-full bg-green-600 hover:bg-green-700 text-white">
+              <ExternalLink className="w-4 h-4 mr-2" />
+              Open Deal Room
+            </Button>
+          </Link>
+        )}
+
+        {bids.length > 0 && (
+          <div>
+            <div className="text-sm font-medium mb-2">Bid history</div>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {bids.map(bid => (
+                <div key={bid.id} className="flex justify-between text-sm">
+                  <span className={bid.bidder_id === currentDealer?.id ? 'font-medium' : 'text-gray-600'}>
+                    {bid.bidder_id === currentDealer?.id ? 'You' : (bidders[bid.bidder_id]?.business_name || 'Dealer')}
+                  </span>
+                  <span className="text-gray-500">
+                    {formatLakhs(bid.bid_amount)} · {new Date(bid.created_date || bid.created_at).toLocaleTimeString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Gavel, AlertTriangle, Loader2 } from 'lucide-react';
+import { startAuction } from '@/api/auctions';
+
+// datetime-local inputs want local time without a zone suffix
+const toLocalInput = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+export default function AuctionSetupDialog({ vehicle, currentDealer, isOpen, onClose, onStarted }) {
+  const [startPrice, setStartPrice] = useState('');
+  const [reservePrice, setReservePrice] = useState('');
+  const [minIncrement, setMinIncrement] = useState('0.1');
+  const [startAt, setStartAt] = useState('');
+  const [endAt, setEndAt] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && vehicle) {
+      const now = new Date();
+      const lakhs = vehicle.price ? (vehicle.price / 100000).toFixed(1) : '';
+      setStartPrice(vehicle.price ? (vehicle.price * 0.8 / 100000).toFixed(1) : '');
+      setReservePrice(lakhs);
+      setMinIncrement('0.1');
+      setStartAt(toLocalInput(now));
+      setEndAt(toLocalInput(new Date(now.getTime() + 24 * 60 * 60 * 1000)));
+      setError(null);
+    }
+  }, [isOpen, vehicle]);
+
+  const handleStart = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await startAuction(vehicle.id, currentDealer.id, {
+        startPrice: Math.round(parseFloat(startPrice) * 100000),
+        reservePrice: Math.round(parseFloat(reservePrice) * 100000),
+        minIncrement: Math.round(parseFloat(minIncrement) * 100000),
+        startAt: new Date(startAt).toISOString(),
+        endAt: new Date(endAt).toISOString()
+      });
+      onStarted?.(updated);
+      onClose();
+    } catch (err) {
+      console.error('Error starting auction:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!vehicle) return null;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Gavel className="w-5 h-5 text-amber-600" />
+            Auction {vehicle.year} {vehicle.make} {vehicle.model}
+          </DialogTitle>
+          <DialogDescription>
+            Dealers bid against each other until the end time. If the reserve is met, the highest bidder goes straight to payment in a Deal Room.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <Label htmlFor="auction-start-price">Starting (₹L)</Label>
+              <Input id="auction-start-price" type="number" step="0.1" value={startPrice} onChange={(e) => setStartPrice(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="auction-reserve">Reserve (₹L)</Label>
+              <Input id="auction-reserve" type="number" step="0.1" value={reservePrice} onChange={(e) => setReservePrice(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="auction-increment">Increment (₹L)</Label>
+              <Input id="auction-increment" type="number" step="0.05" value={minIncrement} onChange={(e) => setMinIncrement(e.target.value)} />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Bidders never see the reserve, only whether it has been met.
+          </p>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <Label htmlFor="auction-start-at">Starts</Label>
+              <Input id="auction-start-at" type="datetime-local" value={startAt} onChange={(e) => setStartAt(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="auction-end-at">Ends</Label>
+              <Input id="auction-end-at" type="datetime-local" value={endAt} onChange={(e) => setEndAt(e.target.value)} />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Bids in the final minutes extend the end time so every dealer gets a fair chance to respond.
+          </p>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={saving}>Cancel</Button>
+          <Button
+            onClick={handleStart}
+            disabled={saving || !startPrice || !reservePrice || !minIncrement || !startAt || !endAt}
+            className="momentum-btn-accent"
+          >
+            {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Gavel className="w-4 h-4 mr-2" />}
+            Start Auction
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
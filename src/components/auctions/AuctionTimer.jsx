@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Timer } from 'lucide-react';
+import { auctionPhase } from '@/api/auctions';
+
+const formatRemaining = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+};
+
+export default function AuctionTimer({ vehicle, onEnded, className = '' }) {
+  const [now, setNow] = useState(Date.now());
+  const endedFiredRef = useRef(false);
+
+  const phase = auctionPhase(vehicle, now);
+  const target = phase === 'scheduled' ? vehicle.auction_start_at : vehicle.auction_end_at;
+  const remaining = target ? new Date(target).getTime() - now : 0;
+  // Tick every second in the closing hour, otherwise every half minute
+  const tickMs = remaining < 60 * 60 * 1000 ? 1000 : 30000;
+
+  useEffect(() => {
+    if (phase !== 'scheduled' && phase !== 'live') return undefined;
+    const interval = setInterval(() => setNow(Date.now()), tickMs);
+    return () => clearInterval(interval);
+  }, [phase, tickMs]);
+
+  // Anti-sniping extensions move the end time, so re-arm when it changes
+  useEffect(() => {
+    endedFiredRef.current = false;
+  }, [vehicle.auction_end_at]);
+
+  useEffect(() => {
+    if (phase === 'ended' && !endedFiredRef.current) {
+      endedFiredRef.current = true;
+      onEnded?.();
+    }
+  }, [phase, onEnded]);
+
+  if (!phase) return null;
+
+  const urgent = phase === 'live' && remaining < 5 * 60 * 1000;
+  const label = {
+    scheduled: `Starts in ${formatRemaining(remaining)}`,
+    live: `Ends in ${formatRemaining(remaining)}`,
+    ended: 'Auction ended',
+    settled: 'Sold at auction',
+    unsold: 'Ended unsold',
+    cancelled: 'Auction cancelled'
+  }[phase];
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${urgent ? 'text-red-600 font-semibold' : ''} ${className}`}>
+      <Timer className="w-3 h-3" />
+      {label}
+    </span>
+  );
+}
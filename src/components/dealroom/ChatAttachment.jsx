@@ -0,0 +1,88 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { FileText, Download, CheckCircle } from 'lucide-react';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+export default function ChatAttachment({ attachment, compact = false }) {
+  const isPdf = attachment.mime_type === 'application/pdf';
+
+  const preview = () => {
+    if (attachment.kind === 'image') {
+      return (
+        <a href={attachment.url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={attachment.url}
+            alt={attachment.name}
+            className={`rounded-md object-cover w-full ${compact ? 'h-32' : 'max-h-60'}`}
+            loading="lazy"
+          />
+        </a>
+      );
+    }
+
+    if (attachment.kind === 'video') {
+      return (
+        <video
+          src={attachment.url}
+          controls
+          preload="metadata"
+          className={`rounded-md w-full bg-black ${compact ? 'h-32' : 'max-h-60'}`}
+        />
+      );
+    }
+
+    if (isPdf) {
+      return (
+        <object
+          data={`${attachment.url}#toolbar=0&view=FitH`}
+          type="application/pdf"
+          className={`rounded-md w-full bg-white ${compact ? 'h-32' : 'h-60'}`}
+        >
+          <div className="flex items-center justify-center h-full text-gray-500 text-sm">
+            <FileText className="w-6 h-6 mr-2" />
+            Preview unavailable
+          </div>
+        </object>
+      );
+    }
+
+    return (
+      <div className="flex items-center justify-center h-20 rounded-md bg-gray-50 text-gray-500">
+        <FileText className="w-8 h-8" />
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-1">
+      {preview()}
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <a
+          href={attachment.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-1 truncate hover:underline"
+          download={attachment.name}
+        >
+          <Download className="w-3 h-3 flex-shrink-0" />
+          <span className="truncate">{attachment.name}</span>
+        </a>
+        <span className="flex-shrink-0 opacity-75">{formatSize(attachment.size)}</span>
+      </div>
+      {attachment.promotion_status === 'approved' && (
+        <Badge className="bg-green-100 text-green-800 text-xs">
+          <CheckCircle className="w-3 h-3 mr-1" />
+          On listing
+        </Badge>
+      )}
+      {attachment.promotion_status === 'requested' && (
+        <Badge className="bg-amber-100 text-amber-800 text-xs">Suggested for listing</Badge>
+      )}
+    </div>
+  );
+}
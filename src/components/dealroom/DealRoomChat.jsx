@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  MessageSquare,
+  Send,
+  Check,
+  CheckCheck,
+  Loader2,
+  WifiOff,
+  Paperclip
+} from 'lucide-react';
+import {
+  listMessages,
+  postMessage,
+  markDelivered,
+  markRead,
+  migrateLegacyMessages,
+  subscribeToDealRoom
+} from '@/api/messages';
+import { attachmentKind, sendAttachment } from '@/api/attachments';
+import FileUploader from '@/components/shared/FileUploader';
+import { SecurityValidator } from '@/components/shared/SecurityValidator';
+import ChatAttachment from '@/components/dealroom/ChatAttachment';
+
+const TYPING_IDLE_MS = 3000;
+const TYPING_DISPLAY_MS = 4000;
+
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/webp,application/pdf,video/mp4,video/webm,video/quicktime';
+
+// Messages only count as read while the chat is on screen; until then the
+// sender sees them as delivered.
+const chatVisible = () => document.visibilityState === 'visible';
+
+const validateAttachment = (file) => {
+  switch (attachmentKind(file.type)) {
+    case 'image':
+      return SecurityValidator.validateImageFile(file);
+    case 'video':
+      return SecurityValidator.validateVideoFile(file);
+    default:
+      return SecurityValidator.validateDocumentFile(file);
+  }
+};
+
+export default function DealRoomChat({ transaction, currentDealer, otherParty, onTransactionChange, onOfferReceived }) {
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMessages, setLoadingMessages] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [newMessage, setNewMessage] = useState('');
+  const [sendingMessage, setSendingMessage] = useState(false);
+  const [showUploader, setShowUploader] = useState(false);
+  const [otherPartyTyping, setOtherPartyTyping] = useState(false);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+
+  const subscriptionRef = useRef(null);
+  const typingSentRef = useRef(false);
+  const typingIdleTimerRef = useRef(null);
+  const typingDisplayTimerRef = useRef(null);
+  // Keep the latest callbacks without resubscribing on every parent render
+  const callbacksRef = useRef({ onTransactionChange, onOfferReceived });
+  callbacksRef.current = { onTransactionChange, onOfferReceived };
+
+  const transactionId = transaction.id;
+  const dealerId = currentDealer?.id;
+
+  const mergeMessages = (existing, incoming) => {
+    const byId = new Map(existing.map(message => [message.id, message]));
+    incoming.forEach(message => byId.set(message.id, { ...byId.get(message.id), ...message }));
+    return Array.from(byId.values()).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  };
+
+  const loadLatestMessages = useCallback(async () => {
+    try {
+      const page = await listMessages(transactionId);
+      setMessages(prev => mergeMessages(prev, page.messages));
+      setHasMore(prev => prev || page.hasMore);
+      if (dealerId) {
+        await markDelivered(page.messages
+          .filter(message => message.sender_id !== dealerId && !message.delivered_at)
+          .map(message => message.id));
+        if (chatVisible()) await markRead(transactionId, dealerId);
+      }
+    } catch (err) {
+      console.error('Error loading messages:', err);
+    }
+  }, [transactionId, dealerId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadInitialMessages = async () => {
+      setLoadingMessages(true);
+      setMessages([]);
+      setHasMore(false);
+      try {
+        await migrateLegacyMessages(transactionId);
+        if (!cancelled) await loadLatestMessages();
+      } catch (err) {
+        console.error('Error migrating legacy messages:', err);
+      } finally {
+        if (!cancelled) setLoadingMessages(false);
+      }
+    };
+
+    loadInitialMessages();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactionId, loadLatestMessages]);
+
+  useEffect(() => {
+    if (!dealerId) return undefined;
+
+    const subscription = subscribeToDealRoom(transactionId, dealerId, {
+      onMessage: (message) => {
+        setMessages(prev => mergeMessages(prev, [message]));
+        if (message.sender_id !== dealerId) {
+          setOtherPartyTyping(false);
+          const receipt = chatVisible() ? markRead(transactionId, dealerId) : markDelivered([message.id]);
+          receipt.catch(err => console.error('Error sending message receipt:', err));
+        }
+      },
+      onMessageUpdate: (message) => setMessages(prev => mergeMessages(prev, [message])),
+      onOffer: (offer) => callbacksRef.current.onOfferReceived?.(offer),
+      onTransaction: (updated) => callbacksRef.current.onTransactionChange?.(updated),
+      onTyping: (_senderId, isTyping) => {
+        setOtherPartyTyping(isTyping);
+        clearTimeout(typingDisplayTimerRef.current);
+        if (isTyping) {
+          typingDisplayTimerRef.current = setTimeout(() => setOtherPartyTyping(false), TYPING_DISPLAY_MS);
+        }
+      },
+      onStatusChange: setConnectionStatus,
+      onReconnect: loadLatestMessages
+    });
+    subscriptionRef.current = subscription;
+
+    return () => {
+      subscription.unsubscribe();
+      subscriptionRef.current = null;
+      clearTimeout(typingIdleTimerRef.current);
+      clearTimeout(typingDisplayTimerRef.current);
+    };
+  }, [transactionId, dealerId, loadLatestMessages]);
+
+  // Messages delivered while the tab was in the background are read on return
+  useEffect(() => {
+    if (!dealerId) return undefined;
+
+    const handleVisibilityChange = () => {
+      if (chatVisible()) {
+        markRead(transactionId, dealerId).catch(err => console.error('Error marking messages read:', err));
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [transactionId, dealerId]);
+
+  const setTyping = (isTyping) => {
+    if (typingSentRef.current === isTyping) return;
+    typingSentRef.current = isTyping;
+    subscriptionRef.current?.sendTyping(isTyping);
+  };
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+    setTyping(true);
+    clearTimeout(typingIdleTimerRef.current);
+    typingIdleTimerRef.current = setTimeout(() => setTyping(false), TYPING_IDLE_MS);
+  };
+
+  const loadOlderMessages = async () => {
+    if (loadingOlder || messages.length === 0) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await listMessages(transactionId, { before: messages[0].created_at });
+      setMessages(prev => mergeMessages(prev, page.messages));
+      setHasMore(page.hasMore);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const sendMessage = async () => {
+    if (!newMessage.trim() || !currentDealer || sendingMessage) return;
+
+    setSendingMessage(true);
+    try {
+      const message = await postMessage(transactionId, currentDealer.id, newMessage.trim());
+      setMessages(prev => mergeMessages(prev, [message]));
+      setNewMessage('');
+      clearTimeout(typingIdleTimerRef.current);
+      setTyping(false);
+    } catch (error) {
+      console.error('Error sending message:', error);
+      alert('Failed to send message. Please try again.');
+    } finally {
+      setSendingMessage(false);
+    }
+  };
+
+  const handleAttachmentUpload = async (file) => {
+    const validation = validateAttachment(file);
+    if (!validation.isValid) {
+      alert(validation.error);
+      return;
+    }
+
+    // Any typed text goes out as the attachment's caption
+    const message = await sendAttachment(transactionId, currentDealer.id, file, newMessage);
+    setMessages(prev => mergeMessages(prev, [message]));
+    setNewMessage('');
+    setShowUploader(false);
+  };
+
+  const getReceiptIcon = (message) => {
+    if (message.read_at) return <CheckCheck className="w-3 h-3 text-sky-200" />;
+    if (message.delivered_at) return <CheckCheck className="w-3 h-3" />;
+    return <Check className="w-3 h-3" />;
+  };
+
+  return (
+    <Card className="flex-1 flex flex-col">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          Messages
+          {connectionStatus !== 'connected' && (
+            <span className="flex items-center gap-1 text-xs font-normal text-amber-600">
+              <WifiOff className="w-3 h-3" />
+              {connectionStatus === 'reconnecting' ? 'Reconnecting...' : 'Connecting...'}
+            </span>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="flex-1 flex flex-col">
+        <div className="flex-1 overflow-y-auto mb-4 space-y-3 max-h-96">
+          {hasMore && (
+            <div className="text-center">
+              <Button variant="ghost" size="sm" onClick={loadOlderMessages} disabled={loadingOlder}>
+                {loadingOlder && <Loader2 className="w-3 h-3 mr-2 animate-spin" />}
+                Load older messages
+              </Button>
+            </div>
+          )}
+
+          {loadingMessages ? (
+            <div className="flex items-center justify-center py-8 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin" />
+            </div>
+          ) : messages.length > 0 ? (
+            messages.map((message) => {
+              if (message.type === 'system') {
+                return (
+                  <div key={message.id} className="text-center text-xs text-gray-500 py-1">
+                    {message.body}
+                  </div>
+                );
+              }
+
+              const isCurrentUser = message.sender_id === currentDealer?.id;
+              const senderName = isCurrentUser ? 'You' : (otherParty?.business_name) || 'Other Party';
+
+              return (
+                <div key={message.id} className={`flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`max-w-[70%] rounded-lg p-3 ${
+                    isCurrentUser
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-900'
+                  }`}>
+                    <div className="font-medium text-sm mb-1">{senderName}</div>
+                    {message.attachments?.length > 0 && (
+                      <div className="space-y-2 mb-2">
+                        {message.attachments.map(attachment => (
+                          <ChatAttachment key={attachment.url} attachment={attachment} />
+                        ))}
+                      </div>
+                    )}
+                    {message.body && <div>{message.body}</div>}
+                    <div className={`flex items-center gap-1 text-xs mt-1 ${isCurrentUser ? 'text-blue-100' : 'text-gray-500'}`}>
+                      {new Date(message.created_at).toLocaleString()}
+                      {isCurrentUser && getReceiptIcon(message)}
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-gray-500">
+              <div className="text-center">
+                <MessageSquare className="w-8 h-8 text-gray-300 mx-auto mb-2" />
+                <p>No messages yet. Start the conversation!</p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {otherPartyTyping && (
+          <div className="text-xs text-gray-500 mb-2">
+            {otherParty?.business_name || 'Other party'} is typing...
+          </div>
+        )}
+
+        {showUploader && currentDealer && (
+          <div className="mb-3">
+            <FileUploader
+              fileTypeLabel="Attach a file"
+              description="Share extra photos, an engine video or service records. Any text you have typed is sent as the caption."
+              accept={ATTACHMENT_ACCEPT}
+              acceptHint="JPG, PNG, WebP up to 10MB · PDF up to 5MB · MP4, WebM, MOV up to 50MB"
+              onUpload={handleAttachmentUpload}
+            />
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() => setShowUploader(prev => !prev)}
+            disabled={!currentDealer}
+            title="Attach a file"
+          >
+            <Paperclip className="w-4 h-4" />
+          </Button>
+          <Input
+            placeholder="Type your message..."
+            value={newMessage}
+            onChange={handleMessageChange}
+            onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
+            disabled={sendingMessage}
+          />
+          <Button
+            onClick={sendMessage}
+            disabled={!newMessage.trim() || sendingMessage}
+            className="momentum-btn-primary"
+          >
+            <Send className="w-4 h-4" />
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Images,
+  Loader2,
+  ImagePlus,
+  FilePlus,
+  Lightbulb,
+  X
+} from 'lucide-react';
+import {
+  listAttachments,
+  promotionTargetFor,
+  requestPromotion,
+  approvePromotion,
+  declinePromotion
+} from '@/api/attachments';
+import ChatAttachment from '@/components/dealroom/ChatAttachment';
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'image', label: 'Photos' },
+  { value: 'video', label: 'Videos' },
+  { value: 'document', label: 'Documents' }
+];
+
+export default function MediaGallery({ transaction, currentDealer, otherParty, isSellerView, onVehicleUpdated }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [busyUrl, setBusyUrl] = useState(null);
+
+  const loadAttachments = useCallback(async () => {
+    try {
+      setItems(await listAttachments(transaction.id));
+    } catch (error) {
+      console.error('Error loading deal room media:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [transaction.id]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  const runAction = async (item, action) => {
+    setBusyUrl(item.url);
+    try {
+      await action();
+      await loadAttachments();
+    } catch (error) {
+      console.error('Error updating attachment:', error);
+      alert(`Could not update ${item.name}: ${error.message}`);
+    } finally {
+      setBusyUrl(null);
+    }
+  };
+
+  const handleApprove = (item) => runAction(item, async () => {
+    await approvePromotion(item.message_id, item.url, currentDealer.id);
+    onVehicleUpdated?.();
+  });
+
+  const handleRequest = (item) => runAction(item, () => requestPromotion(item.message_id, item.url, currentDealer.id));
+
+  const handleDecline = (item) => runAction(item, () => declinePromotion(item.message_id, item.url));
+
+  const renderActions = (item) => {
+    const target = promotionTargetFor(item.kind);
+    if (!target || item.promotion_status === 'approved') return null;
+
+    const busy = busyUrl === item.url;
+    const label = target === 'image_urls' ? 'Add to listing photos' : 'Add to listing documents';
+    const Icon = target === 'image_urls' ? ImagePlus : FilePlus;
+
+    if (isSellerView) {
+      return (
+        <div className="flex gap-2">
+          <Button size="sm" className="flex-1" onClick={() => handleApprove(item)} disabled={busy}>
+            {busy ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Icon className="w-3 h-3 mr-1" />}
+            {label}
+          </Button>
+          {item.promotion_status === 'requested' && (
+            <Button size="sm" variant="outline" onClick={() => handleDecline(item)} disabled={busy}>
+              <X className="w-3 h-3" />
+            </Button>
+          )}
+        </div>
+      );
+    }
+
+    if (item.promotion_status === 'requested') return null;
+
+    return (
+      <Button size="sm" variant="outline" className="w-full" onClick={() => handleRequest(item)} disabled={busy}>
+        {busy ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Lightbulb className="w-3 h-3 mr-1" />}
+        Suggest for listing
+      </Button>
+    );
+  };
+
+  const visibleItems = filter === 'all' ? items : items.filter(item => item.kind === filter);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <Images className="w-5 h-5" />
+            Shared Media
+          </span>
+          <div className="flex gap-1">
+            {FILTERS.map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                variant={filter === option.value ? 'default' : 'ghost'}
+                onClick={() => setFilter(option.value)}
+              >
+                {option.label}
+                <Badge variant="secondary" className="ml-2">
+                  {option.value === 'all' ? items.length : items.filter(item => item.kind === option.value).length}
+                </Badge>
+              </Button>
+            ))}
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="w-6 h-6 animate-spin" />
+          </div>
+        ) : visibleItems.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Images className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+            <p>No files shared yet. Attach photos, videos or documents from the chat.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {visibleItems.map(item => (
+              <div key={`${item.message_id}-${item.url}`} className="border rounded-lg p-3 space-y-2">
+                <ChatAttachment attachment={item} compact />
+                <div className="text-xs text-gray-500">
+                  {item.sender_id === currentDealer?.id ? 'You' : (otherParty?.business_name || 'Other Party')}
+                  {' · '}
+                  {new Date(item.created_at).toLocaleDateString()}
+                </div>
+                {renderActions(item)}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Dealer } from '@/api/entities';
+import { listVehicleOffers, rankOffers, acceptOffer } from '@/api/offerQueue';
+import { recordOffer } from '@/api/offers';
+import { canPerform } from '@/api/transactionWorkflow';
+import { createPageUrl } from '@/utils';
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Users, CheckCircle, ExternalLink, Loader2, Star } from 'lucide-react';
+
+const STATUS_STYLES = {
+  offer_made: { color: 'bg-blue-100 text-blue-800', text: 'Offer Made' },
+  negotiating: { color: 'bg-yellow-100 text-yellow-800', text: 'Negotiating' },
+  backup: { color: 'bg-slate-100 text-slate-800', text: 'Backup' },
+  accepted: { color: 'bg-green-100 text-green-800', text: 'Accepted' },
+  payment_pending: { color: 'bg-orange-100 text-orange-800', text: 'Payment Pending' },
+  in_escrow: { color: 'bg-purple-100 text-purple-800', text: 'In Escrow' }
+};
+
+const formatLakhs = (amount) => `₹${((amount || 0) / 100000).toFixed(1)}L`;
+
+export default function OfferComparison({ vehicle, currentDealer, currentTransactionId, onAccepted }) {
+  const [offers, setOffers] = useState([]);
+  const [buyers, setBuyers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [acceptingId, setAcceptingId] = useState(null);
+
+  const loadOffers = useCallback(async () => {
+    try {
+      const vehicleOffers = await listVehicleOffers(vehicle.id);
+      setOffers(vehicleOffers);
+
+      const buyerIds = [...new Set(vehicleOffers.map(offer => offer.buyer_id))];
+      if (buyerIds.length > 0) {
+        const buyerDealers = await Dealer.filter({ id: buyerIds });
+        setBuyers(Object.fromEntries(buyerDealers.map(dealer => [dealer.id, dealer])));
+      }
+    } catch (error) {
+      console.error('Error loading competing offers:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [vehicle.id]);
+
+  useEffect(() => {
+    loadOffers();
+  }, [loadOffers]);
+
+  const handleAccept = async (offer) => {
+    if (!window.confirm(`Accept ${formatLakhs(offer.offer_amount)} from ${buyers[offer.buyer_id]?.business_name || 'this buyer'}? All other offers will be kept as ranked backups.`)) {
+      return;
+    }
+
+    setAcceptingId(offer.id);
+    try {
+      await acceptOffer(offer.id, {
+        actorDealerId: currentDealer.id,
+        patch: { final_amount: offer.offer_amount },
+        expect: { offer_amount: offer.offer_amount }
+      });
+      await recordOffer({
+        transactionId: offer.id,
+        proposerId: currentDealer.id,
+        type: 'accept',
+        amount: offer.offer_amount
+      });
+      await loadOffers();
+      onAccepted?.(offer.id);
+    } catch (error) {
+      console.error('Error accepting offer:', error);
+      alert(`Failed to accept offer. ${error.message}`);
+    } finally {
+      setAcceptingId(null);
+    }
+  };
+
+  // Nothing to compare while there is a single buyer
+  if (loading || offers.length < 2) return null;
+
+  const ranked = rankOffers(offers);
+  const topAmount = ranked[0].offer_amount;
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Users className="w-5 h-5" />
+          Competing Offers ({offers.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">Buyer</th>
+                <th className="py-2 pr-4 font-medium">Offer</th>
+                <th className="py-2 pr-4 font-medium">vs Asking</th>
+                <th className="py-2 pr-4 font-medium">Buyer Rating</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Expires</th>
+                <th className="py-2 font-medium text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranked.map(offer => {
+                const buyer = buyers[offer.buyer_id];
+                const status = STATUS_STYLES[offer.status] || { color: 'bg-gray-100 text-gray-800', text: offer.status };
+                const difference = offer.offer_amount - vehicle.price;
+                const isCurrent = offer.id === currentTransactionId;
+
+                return (
+                  <tr key={offer.id} className={`border-b last:border-0 ${isCurrent ? 'bg-blue-50' : ''}`}>
+                    <td className="py-3 pr-4">
+                      <div className="font-medium">{buyer?.business_name || 'Unknown dealer'}</div>
+                      {buyer?.city && <div className="text-xs text-gray-500">{buyer.city}</div>}
+                    </td>
+                    <td className="py-3 pr-4 font-semibold">
+                      {formatLakhs(offer.offer_amount)}
+                      {offer.offer_amount === topAmount && (
+                        <Badge className="ml-2 bg-green-100 text-green-800">Highest</Badge>
+                      )}
+                    </td>
+                    <td className={`py-3 pr-4 ${difference < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {difference < 0 ? '-' : '+'}{formatLakhs(Math.abs(difference))}
+                    </td>
+                    <td className="py-3 pr-4">
+                      {buyer?.rating ? (
+                        <span className="flex items-center gap-1">
+                          <Star className="w-3 h-3 text-yellow-500 fill-current" />
+                          {buyer.rating.toFixed(1)}
+                          <span className="text-xs text-gray-500">({buyer.completed_deals || 0} deals)</span>
+                        </span>
+                      ) : (
+                        <span className="text-gray-400">New</span>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4">
+                      <Badge className={status.color}>
+                        {offer.status === 'backup' ? `Backup #${offer.backup_rank}` : status.text}
+                      </Badge>
+                    </td>
+                    <td className="py-3 pr-4 text-gray-600">
+                      {offer.offer_expires_at && ['offer_made', 'negotiating'].includes(offer.status)
+                        ? new Date(offer.offer_expires_at).toLocaleString()
+                        : '—'}
+                    </td>
+                    <td className="py-3 text-right">
+                      <div className="flex justify-end gap-2">
+                        {canPerform(offer, 'accept_offer', currentDealer?.id) && (
+                          <Button
+                            size="sm"
+                            className="bg-green-600 hover:bg-green-700 text-white"
+                            onClick={() => handleAccept(offer)}
+                            disabled={!!acceptingId}
+                          >
+                            {acceptingId === offer.id
+                              ? <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                              : <CheckCircle className="w-3 h-3 mr-1" />}
+                            Accept
+                          </Button>
+                        )}
+                        {!isCurrent && (
+                          <Link to={createPageUrl(`DealRoom?transactionId=${offer.id}`)}>
+                            <Button size="sm" variant="outline">
+                              <ExternalLink className="w-3 h-3 mr-1" />
+                              Open
+                            </Button>
+                          </Link>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
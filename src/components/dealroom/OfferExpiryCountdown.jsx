@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Timer, Loader2, CalendarPlus } from 'lucide-react';
+import { extendOfferExpiry } from '@/api/offerExpiry';
+
+const EXTENSION_OPTIONS = [24, 48, 72];
+
+const formatRemaining = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+};
+
+export default function OfferExpiryCountdown({ transaction, currentDealer, isSellerView, onExpired, onExtended }) {
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+  const expiredFiredRef = useRef(false);
+
+  const expiresAt = transaction.offer_expires_at ? new Date(transaction.offer_expires_at).getTime() : null;
+  const remaining = expiresAt ? expiresAt - now : null;
+  // Tick every second in the last hour, otherwise every half minute
+  const tickMs = remaining !== null && remaining < 60 * 60 * 1000 ? 1000 : 30000;
+
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), tickMs);
+    return () => clearInterval(interval);
+  }, [expiresAt, tickMs]);
+
+  useEffect(() => {
+    expiredFiredRef.current = false;
+  }, [expiresAt]);
+
+  useEffect(() => {
+    if (remaining !== null && remaining <= 0 && !expiredFiredRef.current) {
+      expiredFiredRef.current = true;
+      onExpired?.();
+    }
+  }, [remaining, onExpired]);
+
+  if (!expiresAt) return null;
+
+  const handleExtend = async (hours) => {
+    setExtending(true);
+    try {
+      await extendOfferExpiry(transaction, currentDealer.id, hours);
+      await onExtended?.();
+    } catch (error) {
+      console.error('Error extending offer:', error);
+      alert(`Failed to extend the offer: ${error.message}`);
+    } finally {
+      setExtending(false);
+    }
+  };
+
+  const urgent = remaining < 6 * 60 * 60 * 1000;
+
+  return (
+    <div className={`rounded-lg p-3 border ${urgent ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+      <div className="flex items-center justify-between">
+        <div className={`flex items-center gap-2 text-sm font-medium ${urgent ? 'text-red-700' : 'text-amber-700'}`}>
+          <Timer className="w-4 h-4" />
+          {remaining > 0 ? `Offer expires in ${formatRemaining(remaining)}` : 'Offer has expired'}
+        </div>
+      </div>
+      <div className="text-xs text-gray-600 mt-1">
+        {remaining > 0
+          ? `If nobody responds by ${new Date(expiresAt).toLocaleString()}, the deal lapses and the vehicle returns to the marketplace.`
+          : 'The vehicle is being returned to the marketplace.'}
+      </div>
+
+      {isSellerView && remaining > 0 && (
+        <div className="flex items-center gap-2 mt-3">
+          <CalendarPlus className="w-4 h-4 text-gray-500" />
+          <span className="text-xs text-gray-600">Extend by</span>
+          {EXTENSION_OPTIONS.map(hours => (
+            <Button
+              key={hours}
+              size="sm"
+              variant="outline"
+              className="h-7 px-2"
+              onClick={() => handleExtend(hours)}
+              disabled={extending}
+            >
+              {extending ? <Loader2 className="w-3 h-3 animate-spin" /> : `${hours}h`}
+            </Button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,78 +9,38 @@ import {
   XCircle, 
   DollarSign,
   Clock,
-  Handshake
+  Handshake,
+  Undo2
 } from 'lucide-react';
 
-export default function OfferHistoryTracker({ messages = [], currentUser, seller, buyer }) {
-  // Parse messages to extract only negotiation-related events
-  const parseOfferHistory = () => {
-    const offerEvents = [];
-    
-    messages.forEach((message, index) => {
-      const msg = message.message.toLowerCase();
-      const isCurrentUserSender = message.sender_id === currentUser?.id;
-      const senderName = isCurrentUserSender ? 'You' : 
-        (message.sender_id === seller?.id ? seller?.business_name : buyer?.business_name) || 'Unknown';
-      
-      // Detect different types of negotiation events
-      if (msg.includes('initial offer') || msg.includes('offer of ₹')) {
-        const priceMatch = message.message.match(/₹([\d.]+)L/);
-        const amount = priceMatch ? priceMatch[1] : 'N/A';
-        
-        offerEvents.push({
-          id: `${message.timestamp}-${index}`,
-          type: 'offer_made',
-          amount: amount,
-          sender: senderName,
-          timestamp: message.timestamp,
-          isCurrentUser: isCurrentUserSender,
-          message: message.message
-        });
-      } else if (msg.includes('counter-offer') || msg.includes('counter offer')) {
-        const priceMatch = message.message.match(/₹([\d.]+)L/);
-        const amount = priceMatch ? priceMatch[1] : 'N/A';
-        
-        offerEvents.push({
-          id: `${message.timestamp}-${index}`,
-          type: 'counter_offer',
-          amount: amount,
-          sender: senderName,
-          timestamp: message.timestamp,
-          isCurrentUser: isCurrentUserSender,
-          message: message.message
-        });
-      } else if (msg.includes('accepted') || msg.includes('has been accepted')) {
-        const priceMatch = message.message.match(/₹([\d.]+)L/);
-        const amount = priceMatch ? priceMatch[1] : 'N/A';
-        
-        offerEvents.push({
-          id: `${message.timestamp}-${index}`,
-          type: 'offer_accepted',
-          amount: amount,
-          sender: senderName,
-          timestamp: message.timestamp,
-          isCurrentUser: isCurrentUserSender,
-          message: message.message
-        });
-      } else if (msg.includes('rejected') || msg.includes('has been rejected')) {
-        const priceMatch = message.message.match(/₹([\d.]+)L/);
-        const amount = priceMatch ? priceMatch[1] : 'N/A';
-        
-        offerEvents.push({
-          id: `${message.timestamp}-${index}`,
-          type: 'offer_rejected',
-          amount: amount,
+export default function OfferHistoryTracker({ offers = [], currentUser, seller, buyer }) {
+  const eventTypes = {
+    initial: 'offer_made',
+    counter: 'counter_offer',
+    accept: 'offer_accepted',
+    reject: 'offer_rejected',
+    withdraw: 'offer_withdrawn'
+  };
+
+  // Map structured Offer records to timeline events
+  const buildOfferHistory = () => {
+    return offers
+      .map((offer) => {
+        const isCurrentUserSender = offer.proposer_id === currentUser?.id;
+        const senderName = isCurrentUserSender ? 'You' :
+          (offer.proposer_id === seller?.id ? seller?.business_name : buyer?.business_name) || 'Unknown';
+
+        return {
+          id: offer.id,
+          type: eventTypes[offer.type],
+          amount: (offer.amount / 100000).toFixed(1),
           sender: senderName,
-          timestamp: message.timestamp,
+          timestamp: offer.created_date || offer.created_at,
           isCurrentUser: isCurrentUserSender,
-          message: message.message
-        });
-      }
-    });
-    
-    // Sort by timestamp (oldest first)
-    return offerEvents.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+          conditions: offer.conditions || []
+        };
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   };
 
   const getEventIcon = (type) => {
@@ -93,6 +53,8 @@ export default function OfferHistoryTracker({ messages = [], currentUser, seller
         return <CheckCircle className="w-4 h-4 text-green-600" />;
       case 'offer_rejected':
         return <XCircle className="w-4 h-4 text-red-600" />;
+      case 'offer_withdrawn':
+        return <Undo2 className="w-4 h-4 text-gray-600" />;
       default:
         return <DollarSign className="w-4 h-4 text-gray-600" />;
     }
@@ -103,7 +65,8 @@ export default function OfferHistoryTracker({ messages = [], currentUser, seller
       offer_made: { color: 'bg-blue-100 text-blue-800', text: 'Offer Made' },
       counter_offer: { color: 'bg-orange-100 text-orange-800', text: 'Counter Offer' },
       offer_accepted: { color: 'bg-green-100 text-green-800', text: 'Accepted' },
-      offer_rejected: { color: 'bg-red-100 text-red-800', text: 'Rejected' }
+      offer_rejected: { color: 'bg-red-100 text-red-800', text: 'Rejected' },
+      offer_withdrawn: { color: 'bg-gray-100 text-gray-800', text: 'Withdrawn' }
     };
     
     const config = configs[type] || { color: 'bg-gray-100 text-gray-800', text: 'Unknown' };
@@ -120,7 +83,7 @@ export default function OfferHistoryTracker({ messages = [], currentUser, seller
     });
   };
 
-  const offerHistory = parseOfferHistory();
+  const offerHistory = buildOfferHistory();
 
   if (offerHistory.length === 0) {
     return (
@@ -180,9 +143,13 @@ export default function OfferHistoryTracker({ messages = [], currentUser, seller
                   <div className="text-lg font-bold text-gray-900 mb-1">
                     ₹{event.amount}L
                   </div>
-                  <div className="text-xs text-gray-600">
-                    {event.message}
-                  </div>
+                  {event.conditions.length > 0 && (
+                    <ul className="text-xs text-gray-600 list-disc list-inside">
+                      {event.conditions.map((condition, i) => (
+                        <li key={i}>{condition}</li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               </div>
               {index < offerHistory.length - 1 && (
@@ -15,9 +15,15 @@ import {
   CheckCircle2,
   AlertCircle,
   Users,
-  Stamp
+  Stamp,
+  ShieldCheck,
+  ShieldAlert
 } from 'lucide-react';
-import supabase from '@/api/supabaseClient';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { listDealDocuments, generateDealDocument, ensureDocumentFile, DOCUMENT_TYPE_LABELS } from '@/api/dealDocuments';
+import { verifyDealDocument } from '@/api/documentSignatures';
+import DocumentSigningDialog from '@/components/documents/DocumentSigningDialog';
+import { downloadBlob } from '@/utils/pdf';
 import { DataManager } from '../shared/DataManager';
 
 export default function DigitalDocumentManager({ 
@@ -31,8 +37,10 @@ export default function DigitalDocumentManager({
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
-  const [signing, setSigning] = useState(false);
+  const [signingDocument, setSigningDocument] = useState(null);
+  const [verifications, setVerifications] = useState({});
   const [selectedDocument, setSelectedDocument] = useState(null);
+  const [opening, setOpening] = useState(null);
 
   useEffect(() => {
     loadDocuments();
@@ -41,12 +49,7 @@ export default function DigitalDocumentManager({
   const loadDocuments = async () => {
     setLoading(true);
     try {
-      const { data: docs, error } = await supabase
-        .from('DigitalDocument')
-        .select('*')
-        .eq('transaction_id', transaction.id);
-      if (error) throw error;
-      setDocuments(docs.sort((a, b) => new Date(b.created_date) - new Date(a.created_date)));
+      setDocuments(await listDealDocuments(transaction.id));
     } catch (error) {
       console.error('Failed to load documents:', error);
     } finally {
@@ -57,87 +60,9 @@ export default function DigitalDocumentManager({
   const generateDocument = async (documentType) => {
     setGenerating(true);
     try {
-      const documentData = {
-        // Vehicle Information
-        vehicle: {
-          make: vehicle.make,
-          model: vehicle.model,
-          year: vehicle.year,
-          vin: vehicle.vin,
-          registrationNumber: vehicle.registration_number,
-          engineNumber: vehicle.engine_number,
-          chasisNumber: vehicle.chassis_number,
-          kilometers: vehicle.kilometers,
-          fuelType: vehicle.fuel_type
-        },
-        // Transaction Information
-        transaction: {
-          id: transaction.id,
-          finalAmount: transaction.final_amount || transaction.offer_amount,
-          negotiatedAmount: transaction.negotiated_amount,
-          transactionDate: transaction.created_date
-        },
-        // Seller Information
-        seller: {
-          businessName: seller.business_name,
-          address: seller.address,
-          city: seller.city,
-          state: seller.state,
-          pincode: seller.pincode,
-          gstin: seller.gstin,
-          pan: seller.pan,
-          phone: seller.phone,
-          email: seller.email
-        },
-        // Buyer Information
-        buyer: {
-          businessName: buyer.business_name,
-          address: buyer.address,
-          city: buyer.city,
-          state: buyer.state,
-          pincode: buyer.pincode,
-          gstin: buyer.gstin,
-          pan: buyer.pan,
-          phone: buyer.phone,
-          email: buyer.email
-        },
-        // Generated Document Details
-        generatedAt: new Date().toISOString(),
-        documentNumber: `${documentType.toUpperCase()}-${transaction.id}-${Date.now()}`
-      };
-
-      // Generate document hash for integrity
-      const documentString = JSON.stringify(documentData);
-      const encoder = new TextEncoder();
-      const data = encoder.encode(documentString);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-      const documentHash = Array.from(new Uint8Array(hashBuffer))
-        .map(b => b.toString(16).padStart(2, '0')).join('');
-
-      // Create document record
-      const { data: newDocument, error } = await supabase
-        .from('DigitalDocument')
-        .insert({
-        transaction_id: transaction.id,
-        document_type: documentType,
-        template_used: `${documentType}_template_v1`,
-        document_url: `https://documents.aura.com/generated/${transaction.id}/${documentType}_${Date.now()}.pdf`,
-        document_hash: documentHash,
-        generated_at: new Date().toISOString(),
-        document_data: documentData,
-        legal_validity: 'draft',
-        access_permissions: [
-          { user_email: seller.created_by, permission: 'sign' },
-          { user_email: buyer.created_by, permission: 'sign' }
-        ]
-      })
-        .select()
-        .single();
-      if (error) throw error;
-
+      const newDocument = await generateDealDocument(documentType, { transaction, vehicle, seller, buyer });
       await loadDocuments();
       return newDocument;
-
     } catch (error) {
       console.error('Failed to generate document:', error);
       alert('Failed to generate document: ' + error.message);
@@ -146,62 +71,47 @@ export default function DigitalDocumentManager({
     }
   };
 
-  const signDocument = async (documentId) => {
-    setSigning(true);
+  const verifyDocument = async (document) => {
+    setOpening(document.id);
     try {
-      const document = documents.find(d => d.id === documentId);
-      if (!document) throw new Error('Document not found');
-
-      const updateData = {
-        legal_validity: 'executed'
-      };
-
-      if (isSellerView) {
-        updateData.signed_by_seller = true;
-        updateData.seller_signature_timestamp = new Date().toISOString();
-        updateData.seller_ip_address = '192.168.1.1'; // In real app, get actual IP
-      } else {
-        updateData.signed_by_buyer = true;
-        updateData.buyer_signature_timestamp = new Date().toISOString();
-        updateData.buyer_ip_address = '192.168.1.1';
-      }
-
-      await supabase
-        .from('DigitalDocument')
-        .update(updateData)
-        .eq('id', documentId);
-      await loadDocuments();
-
-      // If both parties have signed, mark as executed
-      const updatedDoc = documents.find(d => d.id === documentId);
-      if (updatedDoc && updatedDoc.signed_by_seller && updatedDoc.signed_by_buyer) {
-        await supabase
-          .from('DigitalDocument')
-          .update({ legal_validity: 'executed' })
-          .eq('id', documentId);
-        await loadDocuments();
-      }
+      const result = await verifyDealDocument(document);
+      setVerifications(current => ({ ...current, [document.id]: result }));
+    } catch (error) {
+      console.error('Failed to verify document:', error);
+      alert('Failed to verify document: ' + error.message);
+    } finally {
+      setOpening(null);
+    }
+  };
 
+  // Older documents are rendered on first open; see ensureDocumentFile
+  const previewDocument = async (document) => {
+    setOpening(document.id);
+    try {
+      setSelectedDocument(await ensureDocumentFile(document));
+      if (!document.rendered_at) await loadDocuments();
     } catch (error) {
-      console.error('Failed to sign document:', error);
-      alert('Failed to sign document: ' + error.message);
+      console.error('Failed to open document:', error);
+      alert('Failed to open document: ' + error.message);
     } finally {
-      setSigning(false);
+      setOpening(null);
     }
   };
 
-  const getDocumentTypeLabel = (type) => {
-    const labels = {
-      sale_agreement: 'Sale Agreement',
-      invoice: 'Tax Invoice',
-      receipt: 'Payment Receipt',
-      rto_form_29: 'RTO Form 29',
-      rto_form_30: 'RTO Form 30',
-      noc: 'No Objection Certificate',
-      delivery_receipt: 'Delivery Receipt',
-      inspection_report: 'Inspection Report'
-    };
-    return labels[type] || type;
+  const downloadDocument = async (document) => {
+    setOpening(document.id);
+    try {
+      const stored = await ensureDocumentFile(document);
+      const response = await fetch(stored.document_url);
+      if (!response.ok) throw new Error(`The file could not be fetched (${response.status})`);
+      const number = String(stored.document_data?.documentNumber || stored.document_type).replace(/[^\w-]+/g, '-');
+      downloadBlob(await response.blob(), `${number}.pdf`);
+    } catch (error) {
+      console.error('Failed to download document:', error);
+      alert('Failed to download document: ' + error.message);
+    } finally {
+      setOpening(null);
+    }
   };
 
   const getStatusBadge = (document) => {
@@ -233,8 +143,9 @@ export default function DigitalDocumentManager({
     { 
       type: 'invoice', 
       label: 'Tax Invoice', 
-      description: 'GST compliant tax invoice',
-      required: true 
+      description: 'GST on the margin, for completed deals',
+      required: true,
+      availableWhen: (tx) => tx.status === 'completed'
     },
     { 
       type: 'receipt', 
@@ -244,7 +155,7 @@ export default function DigitalDocumentManager({
     },
     { 
       type: 'delivery_receipt', 
-      label: 'Delivery Receipt', 
+      label: 'Delivery Note', 
       description: 'Confirmation of vehicle delivery',
       required: false 
     }
@@ -278,7 +189,7 @@ export default function DigitalDocumentManager({
                         <div className="flex-1">
                           <div className="flex items-center gap-3 mb-2">
                             <FileText className="w-5 h-5 text-blue-600" />
-                            <h4 className="font-semibold">{getDocumentTypeLabel(document.document_type)}</h4>
+                            <h4 className="font-semibold">{DOCUMENT_TYPE_LABELS[document.document_type] || document.document_type}</h4>
                             {getStatusBadge(document)}
                           </div>
                           
@@ -331,39 +242,60 @@ export default function DigitalDocumentManager({
                             <Alert className="mb-3">
                               <Shield className="h-4 w-4" />
                               <AlertDescription>
-                                This document is legally executed and binding. Document hash: {document.document_hash?.substring(0, 16)}...
+                                Signed by both parties with one-time codes. Document hash: {document.document_hash?.substring(0, 16)}...
                               </AlertDescription>
                             </Alert>
                           )}
+
+                          {verifications[document.id] && (
+                            verifications[document.id].altered ? (
+                              <Alert variant="destructive" className="mb-3">
+                                <ShieldAlert className="h-4 w-4" />
+                                <AlertDescription>
+                                  {!verifications[document.id].dataIntact
+                                    ? 'The document data no longer matches the hash recorded when it was generated.'
+                                    : verifications[document.id].fileIntact === false
+                                      ? 'The stored PDF does not match the file that was rendered for this document.'
+                                      : 'One or more signatures do not match this document.'}
+                                  {' '}Do not rely on this copy.
+                                </AlertDescription>
+                              </Alert>
+                            ) : (
+                              <Alert className="mb-3">
+                                <ShieldCheck className="h-4 w-4" />
+                                <AlertDescription>
+                                  Not altered since it was generated
+                                  {verifications[document.id].signatures.length > 0 ? ' and signed' : ''}.
+                                  {' '}{verifications[document.id].fullySigned
+                                    ? 'Both signatures are valid.'
+                                    : `${verifications[document.id].signatures.length} of 2 signatures recorded.`}
+                                </AlertDescription>
+                              </Alert>
+                            )
+                          )}
                         </div>
                         
                         <div className="flex gap-2 ml-4">
-                          <Button size="sm" variant="outline">
+                          <Button size="sm" variant="outline" onClick={() => previewDocument(document)} disabled={opening === document.id}>
                             <Eye className="w-4 h-4 mr-1" />
                             Preview
                           </Button>
-                          <Button size="sm" variant="outline">
+                          <Button size="sm" variant="outline" onClick={() => downloadDocument(document)} disabled={opening === document.id}>
                             <Download className="w-4 h-4 mr-1" />
                             Download
                           </Button>
+                          <Button size="sm" variant="outline" onClick={() => verifyDocument(document)} disabled={opening === document.id}>
+                            <ShieldCheck className="w-4 h-4 mr-1" />
+                            Verify
+                          </Button>
                           {canSign(document) && (
                             <Button 
                               size="sm" 
-                              onClick={() => signDocument(document.id)}
-                              disabled={signing}
+                              onClick={() => setSigningDocument(document)}
                               className="momentum-btn-accent"
                             >
-                              {signing ? (
-                                <>
-                                  <Clock className="w-4 h-4 mr-1 animate-spin" />
-                                  Signing...
-                                </>
-                              ) : (
-                                <>
-                                  <PenTool className="w-4 h-4 mr-1" />
-                                  Sign Document
-                                </>
-                              )}
+                              <PenTool className="w-4 h-4 mr-1" />
+                              Sign Document
                             </Button>
                           )}
                         </div>
@@ -384,6 +316,7 @@ export default function DigitalDocumentManager({
               <div className="grid gap-4">
                 {documentTypes.map(docType => {
                   const existingDoc = documents.find(d => d.document_type === docType.type);
+                  const available = !docType.availableWhen || docType.availableWhen(transaction);
                   return (
                     <div key={docType.type} className="border rounded-lg p-4">
                       <div className="flex items-center justify-between">
@@ -401,7 +334,7 @@ export default function DigitalDocumentManager({
                         </div>
                         <Button
                           onClick={() => generateDocument(docType.type)}
-                          disabled={generating || existingDoc}
+                          disabled={generating || existingDoc || !available}
                           variant={existingDoc ? "outline" : "default"}
                           className={!existingDoc ? "momentum-btn-accent" : ""}
                         >
@@ -431,14 +364,42 @@ export default function DigitalDocumentManager({
               <Alert>
                 <Stamp className="h-4 w-4" />
                 <AlertDescription>
-                  All generated documents are legally compliant and use digital signatures for authenticity. 
-                  Documents are automatically timestamped and hashed for integrity verification.
+                  Each party signs with a one-time code sent to their email. Signatures are bound to the document&apos;s
+                  hash, a signing certificate is added once both parties have signed, and Verify shows whether a
+                  document was changed afterwards.
                 </AlertDescription>
               </Alert>
             </TabsContent>
           </Tabs>
         </CardContent>
       </Card>
+
+      <DocumentSigningDialog
+        document={signingDocument}
+        currentDealerId={isSellerView ? seller.id : buyer.id}
+        onOpenChange={(open) => !open && setSigningDocument(null)}
+        onSigned={() => {
+          setVerifications({});
+          loadDocuments();
+        }}
+      />
+
+      <Dialog open={!!selectedDocument} onOpenChange={(open) => !open && setSelectedDocument(null)} maxWidth="lg" fullWidth>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {selectedDocument && (DOCUMENT_TYPE_LABELS[selectedDocument.document_type] || selectedDocument.document_type)}
+            </DialogTitle>
+          </DialogHeader>
+          {selectedDocument && (
+            <iframe
+              src={selectedDocument.document_url}
+              title={selectedDocument.document_data?.documentNumber || 'Document preview'}
+              className="w-full h-[75vh] border rounded"
+            />
+          )}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { requestSigningCode, signDealDocument, SIGNING_CODE_LENGTH } from '@/api/documentSignatures';
+import { DOCUMENT_TYPE_LABELS } from '@/api/dealDocuments';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+import { PenTool, Mail, Loader2, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+const SIGNING_MESSAGES = {
+  no_active_code: 'There is no active code. Send a new one.',
+  expired: 'This code has expired. Send a new one.',
+  locked: 'Too many wrong codes. This code no longer works; send a new one.',
+  document_changed: 'The document changed after you opened it. Close this window and reload the documents before signing.'
+};
+
+// Emails the signer a one-time code and signs the document once it is entered.
+export default function DocumentSigningDialog({ document, currentDealerId, onOpenChange, onSigned }) {
+  const [issued, setIssued] = useState(null);
+  const [code, setCode] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setIssued(null);
+    setCode('');
+    setError('');
+  }, [document?.id]);
+
+  const handleSend = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      setIssued(await requestSigningCode(document.id));
+    } catch (err) {
+      console.error('Failed to send signing code:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSign = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const result = await signDealDocument(document, code, currentDealerId);
+      setCode('');
+      if (result.status === 'signed') {
+        onSigned?.(result);
+        onOpenChange(false);
+      } else if (result.status === 'invalid') {
+        setError(`That code is not right. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`);
+      } else {
+        setError(SIGNING_MESSAGES[result.status]);
+      }
+    } catch (err) {
+      console.error('Failed to sign document:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!document} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[440px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <PenTool className="w-5 h-5" />
+            Sign {document && (DOCUMENT_TYPE_LABELS[document.document_type] || document.document_type)}
+          </DialogTitle>
+          <DialogDescription>
+            Your signature records your identity, the time and the fingerprint of this exact version of the document.
+            Read the document before signing.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {issued ? (
+            <div className="flex flex-col items-center gap-3">
+              <p className="text-sm text-gray-600 text-center">
+                We emailed a {SIGNING_CODE_LENGTH}-digit code to {issued.sentTo}. It is valid until {format(new Date(issued.expiresAt), 'p')}.
+              </p>
+              <InputOTP maxLength={SIGNING_CODE_LENGTH} value={code} onChange={setCode} disabled={working}>
+                <InputOTPGroup>
+                  {Array.from({ length: SIGNING_CODE_LENGTH }, (_, index) => (
+                    <InputOTPSlot key={index} index={index} />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              To confirm it is you, we will email a one-time code to the address you sign in with.
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={handleSend} disabled={working}>
+            <Mail className="w-4 h-4 mr-2" />
+            {issued ? 'Send a New Code' : 'Send Code'}
+          </Button>
+          {issued && (
+            <Button onClick={handleSign} disabled={working || code.length !== SIGNING_CODE_LENGTH} className="momentum-btn-accent">
+              {working ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <PenTool className="w-4 h-4 mr-2" />}
+              Sign Document
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
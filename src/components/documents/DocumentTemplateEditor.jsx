@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  DEFAULT_DOCUMENT_TEMPLATES,
+  RENDERABLE_DOCUMENT_TYPES,
+  TABLE_SOURCES,
+  listTemplateVersions,
+  saveTemplateVersion,
+  templateVariables,
+  validateTemplate,
+  placeholder
+} from '@/api/documentTemplates';
+import { renderTemplatePreview, DOCUMENT_TYPE_LABELS } from '@/api/dealDocuments';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { FileText, Plus, Trash2, ArrowUp, ArrowDown, Save, History, RotateCcw, Loader2, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { format } from 'date-fns';
+
+const SECTION_NAMES = {
+  parties: 'Seller and buyer details',
+  fields: 'Details',
+  text: 'Clause',
+  table: 'Table'
+};
+
+const clone = (template) => JSON.parse(JSON.stringify(template));
+
+function valueAt(object, path) {
+  return path.reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Settings area where a dealer edits their own version of each deal
+ * document. Saving always adds a new version; documents keep pointing at the
+ * version they were made with.
+ */
+export default function DocumentTemplateEditor({ dealer }) {
+  const [type, setType] = useState(RENDERABLE_DOCUMENT_TYPES[0]);
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState(() => clone(DEFAULT_DOCUMENT_TEMPLATES[RENDERABLE_DOCUMENT_TYPES[0]]));
+  const [loadedFrom, setLoadedFrom] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState('');
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [previewError, setPreviewError] = useState('');
+  // The text box a picked field is inserted into
+  const focused = useRef(null);
+  const previewRef = useRef('');
+
+  const problems = validateTemplate(draft, type);
+  const variables = templateVariables(type);
+  const latest = versions[0];
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    setSaved('');
+    focused.current = null;
+    try {
+      const list = await listTemplateVersions(dealer.id, type);
+      setVersions(list);
+      if (list[0]) {
+        setDraft(clone(list[0].template));
+        setLoadedFrom(`version ${list[0].version}`);
+      } else {
+        setDraft(clone(DEFAULT_DOCUMENT_TEMPLATES[type]));
+        setLoadedFrom('the platform default');
+      }
+    } catch (err) {
+      console.error('Failed to load templates:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [dealer.id, type]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  // Re-render the preview shortly after the last edit
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      try {
+        const url = URL.createObjectURL(renderTemplatePreview(type, draft, dealer).toBlob());
+        if (previewRef.current) URL.revokeObjectURL(previewRef.current);
+        previewRef.current = url;
+        setPreviewUrl(url);
+        setPreviewError('');
+      } catch (err) {
+        console.error('Failed to render template preview:', err);
+        setPreviewError(err.message);
+      }
+    }, 600);
+    return () => clearTimeout(timer);
+  }, [draft, type, dealer]);
+
+  useEffect(() => () => {
+    if (previewRef.current) URL.revokeObjectURL(previewRef.current);
+  }, []);
+
+  const update = (path, value) => {
+    setSaved('');
+    setDraft(current => {
+      const next = clone(current);
+      valueAt(next, path.slice(0, -1))[path[path.length - 1]] = value;
+      return next;
+    });
+  };
+
+  // Structural edits shift indexes, so the remembered text box may be stale
+  const restructure = (change) => {
+    focused.current = null;
+    setSaved('');
+    setDraft(current => {
+      const next = clone(current);
+      change(next);
+      return next;
+    });
+  };
+
+  const bind = (path) => ({
+    value: valueAt(draft, path) ?? '',
+    onChange: (e) => update(path, e.target.value),
+    onFocus: (e) => {
+      focused.current = { element: e.target, path };
+    }
+  });
+
+  const insertVariable = (variable) => {
+    if (!focused.current) {
+      setError('Click into a text box first, then pick the field to insert.');
+      return;
+    }
+    setError('');
+    const { element, path } = focused.current;
+    const text = placeholder(variable);
+    const start = element.selectionStart ?? element.value.length;
+    const end = element.selectionEnd ?? start;
+    update(path, element.value.slice(0, start) + text + element.value.slice(end));
+    requestAnimationFrame(() => {
+      element.focus();
+      element.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const moveSection = (index, offset) => restructure(next => {
+    const [section] = next.sections.splice(index, 1);
+    next.sections.splice(index + offset, 0, section);
+  });
+
+  const loadTemplate = (template, label) => {
+    focused.current = null;
+    setDraft(clone(template));
+    setLoadedFrom(label);
+    setSaved('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const record = await saveTemplateVersion(dealer.id, type, draft, note);
+      setNote('');
+      setVersions(current => [record, ...current]);
+      setLoadedFrom(`version ${record.version}`);
+      setSaved(`Saved as version ${record.version}. New ${DOCUMENT_TYPE_LABELS[type]} documents will use it.`);
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="w-5 h-5" />
+          Document Templates
+        </CardTitle>
+        <CardDescription>
+          Add your own terms, warranty clauses and jurisdiction to the documents generated for your deals.
+          Every save is kept as a version, and each document records the version it was made with.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="w-64">
+            <Select value={type} onValueChange={setType}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {RENDERABLE_DOCUMENT_TYPES.map(documentType => (
+                  <SelectItem key={documentType} value={documentType}>{DOCUMENT_TYPE_LABELS[documentType]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {latest
+            ? <Badge className="bg-blue-100 text-blue-800">In use: version {latest.version}</Badge>
+            : <Badge className="bg-gray-100 text-gray-800">In use: platform default</Badge>}
+          {!loading && <span className="text-sm text-gray-500">Editing a copy of {loadedFrom}</span>}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {saved && (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>{saved}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div className="space-y-4">
+              <Input label="Title" {...bind(['title'])} />
+              <Input label="Subtitle (optional)" {...bind(['subtitle'])} />
+
+              {draft.sections.map((section, index) => (
+                <div key={index} className="border rounded-lg p-3 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium">{SECTION_NAMES[section.kind]}</span>
+                    <div className="flex gap-1">
+                      <Button size="sm" variant="ghost" disabled={index === 0} onClick={() => moveSection(index, -1)}>
+                        <ArrowUp className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="ghost" disabled={index === draft.sections.length - 1} onClick={() => moveSection(index, 1)}>
+                        <ArrowDown className="w-4 h-4" />
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => restructure(next => next.sections.splice(index, 1))}>
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                  <Input label="Heading (optional)" size="small" {...bind(['sections', index, 'heading'])} />
+
+                  {section.kind === 'text' && (
+                    <Textarea rows={6} {...bind(['sections', index, 'body'])} />
+                  )}
+
+                  {section.kind === 'fields' && (
+                    <div className="space-y-2">
+                      {section.fields.map((field, fieldIndex) => (
+                        <div key={fieldIndex} className="flex gap-2 items-center">
+                          <Input size="small" placeholder="Label" {...bind(['sections', index, 'fields', fieldIndex, 'label'])} />
+                          <Input size="small" placeholder="Value" {...bind(['sections', index, 'fields', fieldIndex, 'value'])} />
+                          <Button size="sm" variant="ghost" onClick={() => restructure(next => next.sections[index].fields.splice(fieldIndex, 1))}>
+                            <Trash2 className="w-4 h-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      <Button size="sm" variant="outline" onClick={() => restructure(next => next.sections[index].fields.push({ label: '', value: '' }))}>
+                        <Plus className="w-4 h-4 mr-1" />
+                        Add Row
+                      </Button>
+                    </div>
+                  )}
+
+                  {section.kind === 'table' && (
+                    <div className="grid grid-cols-2 gap-2">
+                      {section.columns.map((column, columnIndex) => (
+                        <Input key={columnIndex} size="small" label={`Column ${columnIndex + 1}`} {...bind(['sections', index, 'columns', columnIndex, 'label'])} />
+                      ))}
+                    </div>
+                  )}
+
+                  {section.kind === 'parties' && (
+                    <p className="text-sm text-gray-500">Names, addresses, GSTIN, PAN and phone numbers of both parties.</p>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" onClick={() => restructure(next => next.sections.push({ kind: 'text', heading: '', body: '' }))}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Clause
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => restructure(next => next.sections.push({ kind: 'fields', heading: '', fields: [{ label: '', value: '' }] }))}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Details
+                </Button>
+                {!draft.sections.some(section => section.kind === 'parties') && (
+                  <Button size="sm" variant="outline" onClick={() => restructure(next => next.sections.push({ kind: 'parties' }))}>
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add Party Details
+                  </Button>
+                )}
+                {Object.entries(TABLE_SOURCES[type] || {}).map(([source]) => !draft.sections.some(section => section.kind === 'table' && section.source === source) && (
+                  <Button
+                    key={source}
+                    size="sm"
+                    variant="outline"
+                    onClick={() => restructure(next => {
+                      const table = DEFAULT_DOCUMENT_TEMPLATES[type].sections.find(section => section.kind === 'table' && section.source === source);
+                      next.sections.push(clone(table));
+                    })}
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add Table
+                  </Button>
+                ))}
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium">Signature blocks</div>
+                {draft.signatories.map((signatory, index) => (
+                  <div key={index} className="flex gap-2 items-center">
+                    <Input size="small" placeholder="Label" {...bind(['signatories', index, 'label'])} />
+                    <div className="w-36 shrink-0">
+                      <Select value={signatory.party} onValueChange={(party) => update(['signatories', index, 'party'], party)}>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="seller">Seller</SelectItem>
+                          <SelectItem value="buyer">Buyer</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <Button size="sm" variant="ghost" onClick={() => restructure(next => next.signatories.splice(index, 1))}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                ))}
+                <Button size="sm" variant="outline" onClick={() => restructure(next => next.signatories.push({ party: 'buyer', label: 'Buyer' }))}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Signature Block
+                </Button>
+              </div>
+
+              <Input label="Footer (optional)" {...bind(['footer'])} />
+
+              <div className="space-y-2">
+                <div className="text-sm font-medium">Insert a field</div>
+                <p className="text-xs text-gray-500">Click into a text box, then pick a field. It is filled in from the deal when a document is generated.</p>
+                <div className="flex flex-wrap gap-1">
+                  {variables.map(variable => (
+                    <button
+                      key={`${variable.path}|${variable.filter || ''}`}
+                      type="button"
+                      title={placeholder(variable)}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => insertVariable(variable)}
+                      className="text-xs px-2 py-1 rounded border bg-gray-50 hover:bg-blue-50"
+                    >
+                      {variable.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {problems.length > 0 && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    <ul className="list-disc pl-4">
+                      {problems.map(problem => <li key={problem}>{problem}</li>)}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <div className="flex gap-2 items-center">
+                <Input size="small" placeholder="What changed? (optional)" value={note} onChange={(e) => setNote(e.target.value)} />
+                <Button onClick={handleSave} disabled={saving || problems.length > 0} className="momentum-btn-accent shrink-0">
+                  {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                  Save as Version {(latest?.version || 0) + 1}
+                </Button>
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <div className="text-sm text-gray-500">Preview with a sample deal</div>
+              {previewError ? (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{previewError}</AlertDescription>
+                </Alert>
+              ) : previewUrl && (
+                <iframe src={previewUrl} title="Template preview" className="w-full h-[70vh] border rounded" />
+              )}
+
+              <div className="space-y-2">
+                <div className="flex items-center gap-2 text-sm font-medium">
+                  <History className="w-4 h-4" />
+                  Versions
+                </div>
+                <div className="flex items-center justify-between border rounded p-2 text-sm">
+                  <span>Platform default</span>
+                  <Button size="sm" variant="ghost" onClick={() => loadTemplate(DEFAULT_DOCUMENT_TEMPLATES[type], 'the platform default')}>
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    Edit a Copy
+                  </Button>
+                </div>
+                {versions.map(version => (
+                  <div key={version.id} className="flex items-center justify-between border rounded p-2 text-sm">
+                    <div>
+                      <div className="font-medium">
+                        Version {version.version}
+                        {version.id === latest.id && <Badge className="ml-2 bg-blue-100 text-blue-800">In use</Badge>}
+                      </div>
+                      <div className="text-gray-500">
+                        {format(new Date(version.created_at), 'PPP p')}{version.created_by && ` · ${version.created_by}`}
+                      </div>
+                      {version.note && <div className="text-gray-600">{version.note}</div>}
+                    </div>
+                    <Button size="sm" variant="ghost" onClick={() => loadTemplate(version.template, `version ${version.version}`)}>
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Edit a Copy
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { UploadFile } from '@/api/integrations';
+import { recordConditionReport, panelLabel, REQUIRED_PHOTO_ANGLES, PHOTO_ANGLE_LABELS, FUEL_LEVELS } from '@/api/conditionReports';
+import VehicleDamageDiagram from '@/components/logistics/VehicleDamageDiagram';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Camera, CheckCircle2, Loader2, AlertCircle, Trash2, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const DAMAGE_TYPES = {
+  scratch: 'Scratch',
+  dent: 'Dent',
+  crack: 'Crack',
+  chip: 'Chip',
+  missing_part: 'Missing part'
+};
+
+const STEPS = ['Photos', 'Damage', 'Readings'];
+
+// Guided walk-round: every angle photographed, damage marked, gauges read.
+export default function ConditionReportForm({ transactionId, stage, currentDealerId, onSaved }) {
+  const [step, setStep] = useState(0);
+  const [photos, setPhotos] = useState({});
+  const [uploadingAngle, setUploadingAngle] = useState(null);
+  const [damage, setDamage] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [odometer, setOdometer] = useState('');
+  const [fuelLevel, setFuelLevel] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const missingAngles = REQUIRED_PHOTO_ANGLES.filter(angle => !photos[angle]);
+
+  const handlePhoto = async (angle, file) => {
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setError('Please upload a photo');
+      return;
+    }
+    setUploadingAngle(angle);
+    setError('');
+    try {
+      const { file_url } = await UploadFile({ file });
+      setPhotos(current => ({ ...current, [angle]: file_url }));
+    } catch (err) {
+      console.error('Photo upload failed:', err);
+      setError(`Upload failed for ${file.name}.`);
+    } finally {
+      setUploadingAngle(null);
+    }
+  };
+
+  const addMarker = ({ panel, x, y }) => {
+    const marker = { id: crypto.randomUUID(), panel, x, y, type: 'scratch', severity: 'minor', note: '' };
+    setDamage(current => [...current, marker]);
+    setSelectedId(marker.id);
+  };
+
+  const updateMarker = (id, patch) => {
+    setDamage(current => current.map(marker => marker.id === id ? { ...marker, ...patch } : marker));
+  };
+
+  const removeMarker = (id) => {
+    setDamage(current => current.filter(marker => marker.id !== id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await recordConditionReport(transactionId, stage, currentDealerId, {
+        photos: REQUIRED_PHOTO_ANGLES.map(angle => ({ angle, url: photos[angle] })),
+        damage: damage.map(({ note, ...marker }) => ({ ...marker, note: note.trim() || null })),
+        odometerKm: Number(odometer),
+        fuelLevel: Number(fuelLevel),
+        notes
+      });
+      onSaved?.();
+    } catch (err) {
+      console.error('Failed to save condition report:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canContinue = step === 0 ? missingAngles.length === 0 : true;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 text-sm">
+        {STEPS.map((label, index) => (
+          <span key={label} className={index === step ? 'font-semibold text-blue-700' : 'text-gray-500'}>
+            {index + 1}. {label}{index < STEPS.length - 1 && <ChevronRight className="inline w-3 h-3 mx-1" />}
+          </span>
+        ))}
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {step === 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {REQUIRED_PHOTO_ANGLES.map(angle => (
+            <label
+              key={angle}
+              className="relative flex flex-col items-center justify-center h-32 border-2 border-dashed rounded-lg cursor-pointer overflow-hidden hover:border-blue-400"
+            >
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                className="hidden"
+                disabled={!!uploadingAngle}
+                onChange={(e) => handlePhoto(angle, e.target.files[0])}
+              />
+              {photos[angle] ? (
+                <>
+                  <img src={photos[angle]} alt={PHOTO_ANGLE_LABELS[angle]} className="absolute inset-0 w-full h-full object-cover" />
+                  <CheckCircle2 className="absolute top-2 right-2 w-5 h-5 text-green-600 bg-white rounded-full" />
+                </>
+              ) : uploadingAngle === angle ? (
+                <Loader2 className="w-6 h-6 text-blue-500 animate-spin" />
+              ) : (
+                <Camera className="w-6 h-6 text-gray-400" />
+              )}
+              <span className="relative mt-2 px-2 text-xs text-center bg-white/80 rounded">{PHOTO_ANGLE_LABELS[angle]}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="shrink-0">
+            <p className="text-sm text-gray-600 mb-2">Tap the diagram where there is damage.</p>
+            <VehicleDamageDiagram markers={damage} onAdd={addMarker} selectedId={selectedId} onSelect={setSelectedId} />
+          </div>
+          <div className="flex-1 space-y-3">
+            {damage.length === 0 && (
+              <p className="text-sm text-gray-500">No damage marked. Continue if the bodywork is clean.</p>
+            )}
+            {damage.map((marker, index) => (
+              <div
+                key={marker.id}
+                className={`p-3 border rounded-lg space-y-2 ${marker.id === selectedId ? 'border-blue-500' : ''}`}
+                onClick={() => setSelectedId(marker.id)}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium capitalize">{index + 1}. {panelLabel(marker.panel)}</span>
+                  <Button variant="ghost" size="sm" onClick={() => removeMarker(marker.id)}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <Select value={marker.type} onValueChange={(type) => updateMarker(marker.id, { type })}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(DAMAGE_TYPES).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select value={marker.severity} onValueChange={(severity) => updateMarker(marker.id, { severity })}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="minor">Minor</SelectItem>
+                      <SelectItem value="moderate">Moderate</SelectItem>
+                      <SelectItem value="major">Major</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Input
+                  placeholder="Note (optional)"
+                  value={marker.note}
+                  onChange={(e) => updateMarker(marker.id, { note: e.target.value })}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor={`${stage}-odometer`}>Odometer (km)</Label>
+            <Input
+              id={`${stage}-odometer`}
+              type="number"
+              min="0"
+              value={odometer}
+              onChange={(e) => setOdometer(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label>Fuel level</Label>
+            <Select value={fuelLevel} onValueChange={setFuelLevel} displayEmpty className="w-full">
+              <SelectTrigger><SelectValue placeholder="Select fuel level" /></SelectTrigger>
+              <SelectContent>
+                {FUEL_LEVELS.map((label, index) => (
+                  <SelectItem key={label} value={String(index)}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2 md:col-span-2">
+            <Label htmlFor={`${stage}-notes`}>Other notes</Label>
+            <Textarea id={`${stage}-notes`} value={notes} onChange={(e) => setNotes(e.target.value)} />
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-between">
+        <Button variant="outline" onClick={() => setStep(step - 1)} disabled={step === 0 || saving}>
+          <ChevronLeft className="w-4 h-4 mr-1" />
+          Back
+        </Button>
+        {step < STEPS.length - 1 ? (
+          <Button onClick={() => setStep(step + 1)} disabled={!canContinue}>
+            {step === 0 && missingAngles.length > 0 ? `${missingAngles.length} photos to go` : 'Continue'}
+            <ChevronRight className="w-4 h-4 ml-1" />
+          </Button>
+        ) : (
+          <Button onClick={handleSubmit} disabled={saving || odometer === '' || fuelLevel === ''}>
+            {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle2 className="w-4 h-4 mr-2" />}
+            Save {stage === 'pickup' ? 'Pickup' : 'Delivery'} Report
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import { openConditionDispute, acceptDeliveredCondition, REQUIRED_PHOTO_ANGLES, PHOTO_ANGLE_LABELS, FUEL_LEVELS } from '@/api/conditionReports';
+import ConditionReportForm from '@/components/logistics/ConditionReportForm';
+import VehicleDamageDiagram from '@/components/logistics/VehicleDamageDiagram';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { ClipboardCheck, AlertTriangle, CheckCircle2, Loader2, Gavel, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+function ReportSummary({ report }) {
+  return (
+    <div className="text-sm text-gray-600 space-y-1">
+      <div>Recorded {format(new Date(report.created_at), 'PPP p')}</div>
+      <div>
+        {report.odometer_km.toLocaleString('en-IN')} km · Fuel {FUEL_LEVELS[report.fuel_level]} ·{' '}
+        {report.damage.length === 0 ? 'No damage marked' : `${report.damage.length} damage marker${report.damage.length === 1 ? '' : 's'}`}
+      </div>
+      {report.notes && <div>{report.notes}</div>}
+    </div>
+  );
+}
+
+/**
+ * Pickup and delivery condition reports for a deal, side by side once both
+ * exist. A flagged delivery report holds escrow until the buyer either opens
+ * a dispute from it, which keeps the hold until the dispute is settled, or
+ * accepts the vehicle as it arrived.
+ */
+export default function ConditionReportPanel({ transaction, reports = [], isBuyer, isSeller, currentDealerId, onUpdated }) {
+  const [disputeAmount, setDisputeAmount] = useState('');
+  const [disputing, setDisputing] = useState(false);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  const pickup = reports.find(report => report.stage === 'pickup');
+  const delivery = reports.find(report => report.stage === 'delivery');
+  const comparison = delivery?.comparison;
+  const highlighted = comparison ? [...comparison.new_damage, ...comparison.worsened_damage].map(marker => marker.id) : [];
+
+  const canRecordPickup = !pickup && isSeller && ['pending', 'picked_up'].includes(transaction.transport_status);
+  const canRecordDelivery = !delivery && isBuyer && transaction.status === 'in_escrow' &&
+    ['picked_up', 'in_transit', 'delivered'].includes(transaction.transport_status);
+  const canDispute = delivery?.flagged && !delivery.dispute_opened_at && !delivery.dispute_waived_at && isBuyer &&
+    transaction.status === 'in_escrow' && transaction.escrow_status === 'paid';
+
+  const handleDispute = async () => {
+    setDisputing(true);
+    setError('');
+    try {
+      await openConditionDispute(transaction.id, { amount: Number(disputeAmount), actorDealerId: currentDealerId });
+      setDisputeAmount('');
+      onUpdated?.();
+    } catch (err) {
+      console.error('Failed to open condition dispute:', err);
+      setError(err.message);
+    } finally {
+      setDisputing(false);
+    }
+  };
+
+  const handleAccept = async () => {
+    if (!window.confirm('Accept the vehicle as it arrived? You will not be able to dispute these differences later.')) return;
+
+    setAccepting(true);
+    setError('');
+    try {
+      await acceptDeliveredCondition(transaction.id, currentDealerId);
+      onUpdated?.();
+    } catch (err) {
+      console.error('Failed to accept delivered condition:', err);
+      setError(err.message);
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5" />
+          Vehicle Condition
+          {delivery && (
+            delivery.flagged
+              ? <Badge className="bg-red-100 text-red-800">Changes found</Badge>
+              : comparison && <Badge className="bg-green-100 text-green-800">Matches pickup</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          The seller records the vehicle&apos;s condition at pickup and the buyer at delivery. The two are compared automatically.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="space-y-2">
+          <h4 className="font-medium">Pickup report</h4>
+          {pickup ? (
+            <ReportSummary report={pickup} />
+          ) : canRecordPickup ? (
+            <ConditionReportForm transactionId={transaction.id} stage="pickup" currentDealerId={currentDealerId} onSaved={onUpdated} />
+          ) : (
+            <p className="text-sm text-gray-500">Not recorded. The seller records it when the vehicle is collected.</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="font-medium">Delivery report</h4>
+          {delivery ? (
+            <ReportSummary report={delivery} />
+          ) : canRecordDelivery ? (
+            <>
+              {!pickup && (
+                <Alert>
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    There is no pickup report to compare against, so new damage cannot be flagged automatically.
+                  </AlertDescription>
+                </Alert>
+              )}
+              <ConditionReportForm transactionId={transaction.id} stage="delivery" currentDealerId={currentDealerId} onSaved={onUpdated} />
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Not recorded. The buyer records it when the vehicle arrives.</p>
+          )}
+        </div>
+
+        {pickup && delivery && (
+          <div className="space-y-4 pt-4 border-t">
+            {comparison?.flags.length > 0 ? (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  <ul className="list-disc pl-4">
+                    {comparison.flags.map(flag => <li key={flag}>{flag}</li>)}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            ) : (
+              <div className="flex items-center gap-2 text-sm text-green-700">
+                <CheckCircle2 className="w-4 h-4" />
+                No new damage, odometer and fuel as expected.
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-4 justify-items-center">
+              <div className="text-center">
+                <div className="text-sm font-medium mb-2">Pickup</div>
+                <VehicleDamageDiagram markers={pickup.damage} />
+              </div>
+              <div className="text-center">
+                <div className="text-sm font-medium mb-2">Delivery</div>
+                <VehicleDamageDiagram markers={delivery.damage} highlightIds={highlighted} />
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              {REQUIRED_PHOTO_ANGLES.map(angle => {
+                const before = pickup.photos.find(photo => photo.angle === angle);
+                const after = delivery.photos.find(photo => photo.angle === angle);
+                return (
+                  <div key={angle}>
+                    <div className="text-sm text-gray-600 mb-1">{PHOTO_ANGLE_LABELS[angle]}</div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {[before, after].map((photo, index) => photo ? (
+                        <a key={index} href={photo.url} target="_blank" rel="noopener noreferrer">
+                          <img src={photo.url} alt={`${PHOTO_ANGLE_LABELS[angle]} at ${index === 0 ? 'pickup' : 'delivery'}`} className="w-full h-40 object-cover rounded-lg" />
+                        </a>
+                      ) : (
+                        <div key={index} className="h-40 bg-gray-50 rounded-lg" />
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {delivery?.dispute_opened_at && (
+          <Alert>
+            <Gavel className="h-4 w-4" />
+            <AlertDescription>
+              A dispute was opened from this report on {format(new Date(delivery.dispute_opened_at), 'PPP p')}.
+              Escrow release is on hold until it is settled in the Payments tab.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {delivery?.dispute_waived_at && (
+          <Alert>
+            <CheckCircle2 className="h-4 w-4" />
+            <AlertDescription>
+              The buyer accepted the vehicle as it arrived on {format(new Date(delivery.dispute_waived_at), 'PPP p')}.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {canDispute && (
+          <div className="pt-4 border-t space-y-2">
+            <div className="text-sm text-gray-600">
+              Ask the seller for a partial refund to cover the difference. Escrow is not released while the request is open.
+            </div>
+            <div className="flex gap-2">
+              <Input
+                type="number"
+                min="1"
+                placeholder="Refund amount (₹)"
+                value={disputeAmount}
+                onChange={(e) => setDisputeAmount(e.target.value)}
+              />
+              <Button variant="destructive" onClick={handleDispute} disabled={disputing || !disputeAmount}>
+                {disputing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Gavel className="w-4 h-4 mr-2" />}
+                Open Dispute
+              </Button>
+            </div>
+            <div className="text-sm text-gray-600">
+              Delivery cannot be confirmed until you either open a dispute or accept the vehicle as it arrived.
+            </div>
+            <Button variant="outline" className="w-full" onClick={handleAccept} disabled={accepting}>
+              {accepting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle2 className="w-4 h-4 mr-2" />}
+              Accept As Delivered
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { issueHandoverCode, verifyHandoverCode, getHandoverProof, HANDOVER_CODE_LENGTH } from '@/api/handoverOtp';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+import { Shield, ShieldCheck, KeyRound, Loader2, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+const VERIFY_MESSAGES = {
+  no_active_code: 'There is no active handover code. Ask the buyer to request one from the Deal Room.',
+  expired: 'This code has expired. Ask the buyer to request a new one.',
+  locked: 'Too many wrong codes. This code no longer works; ask the buyer to request a new one.'
+};
+
+// Buyer receives a one-time code; the seller's driver enters it at drop-off.
+export default function HandoverCodeCard({ transaction, isBuyer, isSeller, currentDealerId }) {
+  const [proof, setProof] = useState(null);
+  const [issued, setIssued] = useState(null);
+  const [code, setCode] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const inTransit = transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit';
+
+  useEffect(() => {
+    getHandoverProof(transaction.id)
+      .then(setProof)
+      .catch(err => console.error('Failed to load handover proof:', err));
+  }, [transaction.id, transaction.transport_status]);
+
+  const handleIssue = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      setIssued(await issueHandoverCode(transaction.id));
+    } catch (err) {
+      console.error('Failed to issue handover code:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const result = await verifyHandoverCode(transaction, code, currentDealerId);
+      setCode('');
+      if (result.status === 'verified') {
+        setNotice(result.notifyError?.message || '');
+        setProof(await getHandoverProof(transaction.id));
+      } else if (result.status === 'invalid') {
+        setError(`That code is not right. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`);
+      } else {
+        setError(VERIFY_MESSAGES[result.status]);
+      }
+    } catch (err) {
+      console.error('Failed to verify handover code:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (proof) {
+    return (
+      <Card>
+        <CardContent className="p-6 flex items-center gap-3">
+          <ShieldCheck className="w-8 h-8 text-green-600 shrink-0" />
+          <div>
+            <div className="font-medium text-green-800">Handover verified</div>
+            <div className="text-sm text-gray-600">
+              The buyer&apos;s code was entered at drop-off on {format(new Date(proof.handed_over_at), 'PPP p')}.
+            </div>
+            {notice && <div className="text-sm text-amber-700 mt-1">{notice}</div>}
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!inTransit || (!isBuyer && !isSeller)) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Shield className="w-5 h-5" />
+          Secure Handover
+        </CardTitle>
+        <CardDescription>
+          {isBuyer
+            ? 'Give this one-time code to the driver only when the vehicle is in front of you'
+            : 'The driver enters the code the buyer gives them at drop-off'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {isBuyer && (
+          <>
+            {issued && (
+              <div className="p-6 bg-gray-50 rounded-lg text-center">
+                <div className="text-3xl font-mono font-bold tracking-[0.5em]">{issued.code}</div>
+                <div className="text-xs text-gray-500 mt-2">
+                  Valid until {format(new Date(issued.expiresAt), 'p')}. Requesting a new code cancels this one.
+                </div>
+              </div>
+            )}
+            <Button onClick={handleIssue} disabled={working} variant={issued ? 'outline' : 'default'} className="w-full">
+              {working ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <KeyRound className="w-4 h-4 mr-2" />}
+              {issued ? 'Get a New Code' : 'Get Handover Code'}
+            </Button>
+          </>
+        )}
+
+        {isSeller && (
+          <div className="flex flex-col items-center gap-4">
+            <InputOTP maxLength={HANDOVER_CODE_LENGTH} value={code} onChange={setCode} disabled={working}>
+              <InputOTPGroup>
+                {Array.from({ length: HANDOVER_CODE_LENGTH }, (_, index) => (
+                  <InputOTPSlot key={index} index={index} />
+                ))}
+              </InputOTPGroup>
+            </InputOTP>
+            <Button onClick={handleVerify} disabled={working || code.length !== HANDOVER_CODE_LENGTH} className="w-full">
+              {working ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ShieldCheck className="w-4 h-4 mr-2" />}
+              Verify Handover
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
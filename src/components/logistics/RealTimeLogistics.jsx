@@ -13,9 +13,13 @@ import {
   Star,
   RefreshCw,
   Calculator,
-  AlertCircle
+  AlertCircle,
+  Loader2
 } from 'lucide-react';
 import supabase from '@/api/supabaseClient';
+import { canPerform, milestonesDueBeforeDispatch } from '@/api/transactionWorkflow';
+import { bookTransport } from '@/api/transportBookings';
+import { getRouteEstimate, MIN_ROUTE_KM } from '@/api/routeDistance';
 import { DataManager } from '../shared/DataManager';
 
 export default function RealTimeLogistics({ 
@@ -23,7 +27,9 @@ export default function RealTimeLogistics({
   vehicle, 
   seller, 
   buyer, 
-  onQuoteUpdate 
+  currentDealer,
+  onQuoteUpdate,
+  onStatusUpdate
 }) {
   const [loading, setLoading] = useState(true);
   const [logisticsPartners, setLogisticsPartners] = useState([]);
@@ -31,6 +37,9 @@ export default function RealTimeLogistics({
   const [selectedQuote, setSelectedQuote] = useState(null);
   const [calculating, setCalculating] = useState(false);
   const [error, setError] = useState(null);
+  const [booking, setBooking] = useState(false);
+  const [bookingError, setBookingError] = useState(null);
+  const [route, setRoute] = useState(null);
 
   useEffect(() => {
     loadLogisticsPartners();
@@ -50,23 +59,6 @@ export default function RealTimeLogistics({
     }
   };
 
-  const calculateDistance = (origin, destination) => {
-    // Simulate distance calculation based on city/state
-    // In real implementation, this would use Google Maps Distance Matrix API
-    const originState = origin?.state?.toLowerCase() || '';
-    const destState = destination?.state?.toLowerCase() || '';
-    const originCity = origin?.city?.toLowerCase() || '';
-    const destCity = destination?.city?.toLowerCase() || '';
-
-    if (originState === destState) {
-      if (originCity === destCity) {
-        return 15 + Math.random() * 25; // 15-40 km for same city
-      }
-      return 150 + Math.random() * 200; // 150-350 km for same state
-    }
-    return 400 + Math.random() * 800; // 400-1200 km for different states
-  };
-
   const calculateRealTimeQuotes = async () => {
     setCalculating(true);
     setError(null);
@@ -76,7 +68,14 @@ export default function RealTimeLogistics({
         throw new Error('Seller or buyer information missing');
       }
 
-      const distance = calculateDistance(seller, buyer);
+      const missingPincode = [seller, buyer].filter(dealer => !dealer.pincode);
+      if (missingPincode.length > 0) {
+        throw new Error(`Transport quotes need a pincode for ${missingPincode.map(dealer => dealer.business_name).join(' and ')}. It can be added in Business Verification.`);
+      }
+
+      const routeEstimate = await getRouteEstimate(seller.pincode, buyer.pincode);
+      setRoute(routeEstimate);
+      const distance = routeEstimate.distanceKm;
       const vehicleValue = vehicle?.price || 0;
       const isLuxury = vehicleValue > 2000000; // > 20L considered luxury
       const isInterstate = seller?.state !== buyer?.state;
@@ -103,6 +102,7 @@ export default function RealTimeLogistics({
         return {
           partnerId: partner.id,
           partnerName: partner.partner_name,
+          adapter: partner.adapter || 'mock',
           totalCost: Math.round(finalRate),
           baseCost: Math.round(baseRate),
           insuranceCost: Math.round(insuranceCost),
@@ -150,6 +150,37 @@ export default function RealTimeLogistics({
     }
   };
 
+  // Transport waits for escrow, and for any milestones due before dispatch
+  const getBookingBlocker = () => {
+    if (transaction.status !== 'in_escrow') return 'Transport can be booked once payment is in escrow.';
+    const unpaid = milestonesDueBeforeDispatch(transaction);
+    if (unpaid.length > 0) {
+      return `Booking unlocks once ${unpaid.map(milestone => milestone.label).join(' and ')} ${unpaid.length > 1 ? 'are' : 'is'} paid.`;
+    }
+    return null;
+  };
+
+  const handleBookTransport = async () => {
+    setBooking(true);
+    setBookingError(null);
+    try {
+      await bookTransport(transaction, {
+        quote: selectedQuote,
+        seller,
+        buyer,
+        vehicle,
+        actorDealerId: currentDealer.id,
+        pickupAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+      onStatusUpdate?.();
+    } catch (err) {
+      console.error('Failed to book transport:', err);
+      setBookingError(err.message);
+    } finally {
+      setBooking(false);
+    }
+  };
+
   const getDeliveryTimeText = (days) => {
     if (days <= 2) return `${days} day${days > 1 ? 's' : ''} (Express)`;
     if (days <= 4) return `${days} days (Standard)`;
@@ -213,22 +244,34 @@ export default function RealTimeLogistics({
               <div className="space-y-2">
                 <div>
                   <div className="font-medium">{seller?.city || 'Origin'}, {seller?.state || 'State'}</div>
-                  <div className="text-sm text-gray-600">{seller?.business_name}</div>
+                  <div className="text-sm text-gray-600">
+                    {seller?.business_name}{route && ` · ${route.origin.pincode} (${route.origin.place})`}
+                  </div>
                 </div>
                 <div>
                   <div className="font-medium">{buyer?.city || 'Destination'}, {buyer?.state || 'State'}</div>
-                  <div className="text-sm text-gray-600">{buyer?.business_name}</div>
+                  <div className="text-sm text-gray-600">
+                    {buyer?.business_name}{route && ` · ${route.destination.pincode} (${route.destination.place})`}
+                  </div>
                 </div>
               </div>
             </div>
             <div className="text-right">
               <div className="text-sm text-gray-600">Estimated Distance</div>
-              <div className="font-bold text-lg">{selectedQuote?.distance || 0} km</div>
+              <div className="font-bold text-lg">{route?.distanceKm || 0} km</div>
               <div className="text-sm text-gray-600">
                 {seller?.state !== buyer?.state ? 'Interstate' : 'Intrastate'}
               </div>
             </div>
           </div>
+          {route && (
+            <p className="text-xs text-gray-500 mt-2">
+              {route.straightLineKm} km in a straight line between the pincode areas × {route.roadFactor} road factor
+              {route.straightLineKm * route.roadFactor < MIN_ROUTE_KM && `, with a ${MIN_ROUTE_KM} km minimum for local moves`}.
+              {[route.origin, route.destination].some(end => end.precision === 'region') &&
+                ' One end is placed at its postal region centre, so the figure is approximate.'}
+            </p>
+          )}
         </CardContent>
       </Card>
 
@@ -388,6 +431,27 @@ export default function RealTimeLogistics({
                 </div>
               )}
             </div>
+
+            {bookingError && (
+              <Alert variant="destructive" className="mt-4">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{bookingError}</AlertDescription>
+              </Alert>
+            )}
+            {getBookingBlocker() && (
+              <Alert className="mt-4">
+                <Clock className="h-4 w-4" />
+                <AlertDescription>{getBookingBlocker()}</AlertDescription>
+              </Alert>
+            )}
+            <Button
+              onClick={handleBookTransport}
+              disabled={booking || !canPerform(transaction, 'book_transport', currentDealer?.id)}
+              className="w-full mt-4 momentum-btn-accent"
+            >
+              {booking ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Truck className="w-4 h-4 mr-2" />}
+              Book {selectedQuote.partnerName}
+            </Button>
           </CardContent>
         </Card>
       )}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import supabase from '@/api/supabaseClient';
+import { transitionTransaction } from '@/api/transactionWorkflow';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
@@ -72,29 +72,18 @@ export default function TransportBookingForm({ transaction, vehicle, seller, buy
       const pickupETA = calculatePickupETA();
       const deliveryETA = calculateDeliveryETA();
 
-      await supabase
-        .from('Transaction')
-        .update({
-          ...transaction,
-          transport_status: 'pending',
+      await transitionTransaction(transaction.id, 'book_transport', {
+        actorDealerId: currentUser.id,
+        patch: {
           pickup_eta: pickupETA?.toISOString(),
           delivery_eta: deliveryETA?.toISOString(),
           logistics_partner: formData.transport_partner,
           pickup_address: formData.pickup_address,
           delivery_address: formData.delivery_address,
           transport_instructions: formData.special_instructions,
-          transport_booking_id: `TRK${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
-          messages: [
-            ...transaction.messages,
-            {
-              sender_id: currentUser.id,
-              message: `Transport booked with ${selectedPartner.name}. Pickup scheduled for ${format(pickupETA, 'PPP')} and delivery expected by ${format(deliveryETA, 'PPP')}.`,
-              timestamp: new Date().toISOString(),
-              type: 'system'
-            }
-          ]
-        })
-        .eq('id', transaction.id);
+          transport_booking_id: `TRK${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`
+        }
+      });
 
       onBookingComplete();
     } catch (err) {
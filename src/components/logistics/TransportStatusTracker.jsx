@@ -1,5 +1,11 @@
-import React, { useState } from 'react';
-import supabase from '@/api/supabaseClient';
+import React, { useState, useEffect } from 'react';
+import { confirmDelivery } from '@/api/escrowRelease';
+import { NotificationError } from '@/api/notifications';
+import { getTransportBooking, listTrackingEvents, syncTransportBooking, cancelTransportBooking } from '@/api/transportBookings';
+import { canPerform } from '@/api/transactionWorkflow';
+import { LogisticsPartner } from '@/api/entities';
+import HandoverCodeCard from '@/components/logistics/HandoverCodeCard';
+import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -13,18 +19,88 @@ import {
   CheckCircle2, 
   Package, 
   Route,
-  QrCode,
   Phone,
   AlertCircle,
   Calendar,
-  Shield,
-  Loader2
+  Loader2,
+  UserCheck,
+  Navigation,
+  Flag,
+  XCircle,
+  RefreshCw
 } from 'lucide-react';
 import { format } from 'date-fns';
 
-export default function TransportStatusTracker({ transaction, vehicle, seller, buyer, currentUser, onStatusUpdate }) {
+const TRACKING_EVENTS = {
+  booked: { label: 'Booking confirmed', icon: CheckCircle2 },
+  driver_assigned: { label: 'Driver assigned', icon: UserCheck },
+  picked_up: { label: 'Vehicle picked up', icon: Package },
+  checkpoint: { label: 'Checkpoint reached', icon: Navigation },
+  out_for_delivery: { label: 'Out for delivery', icon: Truck },
+  delivered: { label: 'Delivered by partner', icon: Flag },
+  cancelled: { label: 'Booking cancelled', icon: XCircle }
+};
+
+export default function TransportStatusTracker({ transaction, vehicle, seller, buyer, currentUser, hasDeliveryReport, conditionHold, onStatusUpdate }) {
   const [confirmingDelivery, setConfirmingDelivery] = useState(false);
   const [error, setError] = useState('');
+  const [booking, setBooking] = useState(null);
+  const [partner, setPartner] = useState(null);
+  const [trackingEvents, setTrackingEvents] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+
+  useEffect(() => {
+    loadTracking();
+  }, [transaction.transport_booking_id, transaction.transport_status]);
+
+  const loadTracking = async () => {
+    if (!transaction.transport_booking_id) return;
+    try {
+      const [loadedBooking, events] = await Promise.all([
+        getTransportBooking(transaction.transport_booking_id),
+        listTrackingEvents(transaction.transport_booking_id)
+      ]);
+      setBooking(loadedBooking);
+      setTrackingEvents(events);
+      setPartner(await LogisticsPartner.get(loadedBooking.logistics_partner_id));
+    } catch (err) {
+      console.error('Failed to load transport tracking:', err);
+    }
+  };
+
+  const handleRefreshTracking = async () => {
+    setRefreshing(true);
+    setError('');
+    try {
+      const updated = await syncTransportBooking(transaction);
+      if (updated) {
+        onStatusUpdate();
+      } else {
+        await loadTracking();
+      }
+    } catch (err) {
+      console.error('Failed to refresh tracking:', err);
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleCancelBooking = async () => {
+    setCancelling(true);
+    setError('');
+    try {
+      await cancelTransportBooking(transaction.id, { actorDealerId: currentUser.id, reason: cancelReason.trim() });
+      onStatusUpdate();
+    } catch (err) {
+      console.error('Failed to cancel transport booking:', err);
+      setError(err.message);
+    } finally {
+      setCancelling(false);
+    }
+  };
 
   const isCurrentUserBuyer = currentUser?.id === buyer?.id;
   const isCurrentUserSeller = currentUser?.id === seller?.id;
@@ -43,39 +119,24 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
     setError('');
 
     try {
-      await supabase
-        .from('Transaction')
-        .update({
-          ...transaction,
-          transport_status: 'delivered',
-          delivery_confirmed_at: new Date().toISOString(),
-          messages: [
-            ...transaction.messages,
-            {
-              sender_id: currentUser.id,
-              message: `Vehicle delivery confirmed by ${isCurrentUserBuyer ? 'buyer' : 'seller'}. Transport completed successfully.`,
-              timestamp: new Date().toISOString(),
-              type: 'system'
-            }
-          ]
-        })
-        .eq('id', transaction.id);
+      // Starts the cooling-off window, or releases escrow if there is none
+      await confirmDelivery(transaction.id, currentUser.id);
 
       onStatusUpdate();
     } catch (err) {
       console.error('Failed to confirm delivery:', err);
-      setError('Failed to confirm delivery. Please try again.');
+      if (err instanceof NotificationError) {
+        // Delivery is confirmed; only telling the seller failed
+        setError(err.message);
+        onStatusUpdate();
+      } else {
+        setError(`Failed to confirm delivery. ${err.message}`);
+      }
     } finally {
       setConfirmingDelivery(false);
     }
   };
 
-  const generateSecureHandoverCode = () => {
-    // Generate a secure handover code based on transaction details
-    const baseCode = `${transaction.id.slice(-6)}${vehicle?.vin?.slice(-4) || 'XXXX'}`;
-    return baseCode.toUpperCase();
-  };
-
   const formatDateTime = (dateString) => {
     if (!dateString) return 'Not scheduled';
     try {
@@ -85,16 +146,10 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
     }
   };
 
-  const getTransportPartnerInfo = () => {
-    const partners = {
-      'aura_logistics': { name: 'Aura Express Logistics', phone: '+91-8800-AURA-01', contact: 'Rajesh Kumar' },
-      'swift_transport': { name: 'Swift Vehicle Transport', phone: '+91-9900-SWIFT-2', contact: 'Amit Sharma' },
-      'secure_movers': { name: 'Secure Auto Movers', phone: '+91-7700-SECURE', contact: 'Priya Singh' }
-    };
-    return partners[transaction.logistics_partner] || { name: 'Unknown Partner', phone: 'N/A', contact: 'N/A' };
-  };
-
-  const partnerInfo = getTransportPartnerInfo();
+  const hasEvent = (type) => trackingEvents.some(event => event.event_type === type);
+  const canCancelBooking = canPerform(transaction, 'cancel_transport', currentUser?.id);
+  // The driver once assigned, otherwise the partner's desk
+  const contactPhone = booking?.driver_phone || partner?.contact;
 
   return (
     <div className="space-y-6">
@@ -129,52 +184,55 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
           
           <Progress value={currentStatus.progress} className="h-3" />
 
-          {/* Timeline Steps */}
+          {/* Tracking timeline, from the partner's event log */}
           <div className="space-y-4">
-            <div className={`flex items-center gap-3 ${transaction.transport_status === 'pending' || transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'text-green-600' : 'text-gray-400'}`}>
-              <div className={`w-6 h-6 rounded-full flex items-center justify-center ${transaction.transport_status === 'pending' || transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'bg-green-100' : 'bg-gray-100'}`}>
-                {transaction.transport_status === 'pending' || transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? <CheckCircle2 className="w-4 h-4" /> : <Clock className="w-4 h-4" />}
-              </div>
-              <div>
-                <div className="font-medium">Pickup Scheduled</div>
-                <div className="text-sm text-gray-600">{formatDateTime(transaction.pickup_eta)}</div>
-              </div>
-            </div>
-
-            <div className={`flex items-center gap-3 ${transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'text-green-600' : 'text-gray-400'}`}>
-              <div className={`w-6 h-6 rounded-full flex items-center justify-center ${transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'bg-green-100' : 'bg-gray-100'}`}>
-                {transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? <CheckCircle2 className="w-4 h-4" /> : <Package className="w-4 h-4" />}
-              </div>
-              <div>
-                <div className="font-medium">Vehicle Picked Up</div>
-                <div className="text-sm text-gray-600">
-                  {transaction.transport_status === 'picked_up' || transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'Completed' : 'Pending'}
+            {trackingEvents.map(event => {
+              const { label, icon: Icon } = TRACKING_EVENTS[event.event_type] || TRACKING_EVENTS.checkpoint;
+              return (
+                <div key={event.id} className="flex items-start gap-3 text-green-600">
+                  <div className="w-6 h-6 rounded-full flex items-center justify-center bg-green-100 shrink-0">
+                    <Icon className="w-4 h-4" />
+                  </div>
+                  <div>
+                    <div className="font-medium">{label}{event.location && ` · ${event.location}`}</div>
+                    <div className="text-sm text-gray-600">
+                      {formatDateTime(event.occurred_at)}{event.note && ` · ${event.note}`}
+                    </div>
+                  </div>
                 </div>
-              </div>
-            </div>
+              );
+            })}
 
-            <div className={`flex items-center gap-3 ${transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'text-green-600' : 'text-gray-400'}`}>
-              <div className={`w-6 h-6 rounded-full flex items-center justify-center ${transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'bg-green-100' : 'bg-gray-100'}`}>
-                {transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? <CheckCircle2 className="w-4 h-4" /> : <Route className="w-4 h-4" />}
-              </div>
-              <div>
-                <div className="font-medium">In Transit</div>
-                <div className="text-sm text-gray-600">
-                  {transaction.transport_status === 'in_transit' || transaction.transport_status === 'delivered' ? 'En route to destination' : 'Awaiting pickup'}
+            {!hasEvent('picked_up') && (
+              <div className="flex items-start gap-3 text-gray-400">
+                <div className="w-6 h-6 rounded-full flex items-center justify-center bg-gray-100 shrink-0">
+                  <Calendar className="w-4 h-4" />
+                </div>
+                <div>
+                  <div className="font-medium">Pickup Scheduled</div>
+                  <div className="text-sm text-gray-600">{formatDateTime(transaction.pickup_eta)}</div>
                 </div>
               </div>
-            </div>
-
-            <div className={`flex items-center gap-3 ${transaction.transport_status === 'delivered' ? 'text-green-600' : 'text-gray-400'}`}>
-              <div className={`w-6 h-6 rounded-full flex items-center justify-center ${transaction.transport_status === 'delivered' ? 'bg-green-100' : 'bg-gray-100'}`}>
-                {transaction.transport_status === 'delivered' ? <CheckCircle2 className="w-4 h-4" /> : <MapPin className="w-4 h-4" />}
-              </div>
-              <div>
-                <div className="font-medium">Delivered</div>
-                <div className="text-sm text-gray-600">{formatDateTime(transaction.delivery_eta)}</div>
+            )}
+            {!hasEvent('delivered') && (
+              <div className="flex items-start gap-3 text-gray-400">
+                <div className="w-6 h-6 rounded-full flex items-center justify-center bg-gray-100 shrink-0">
+                  <MapPin className="w-4 h-4" />
+                </div>
+                <div>
+                  <div className="font-medium">Expected Delivery</div>
+                  <div className="text-sm text-gray-600">{formatDateTime(transaction.delivery_eta)}</div>
+                </div>
               </div>
-            </div>
+            )}
           </div>
+
+          {transaction.transport_status !== 'delivered' && (
+            <Button variant="outline" size="sm" onClick={handleRefreshTracking} disabled={refreshing}>
+              <RefreshCw className={`w-4 h-4 mr-2 ${refreshing ? 'animate-spin' : ''}`} />
+              Refresh Tracking
+            </Button>
+          )}
         </CardContent>
       </Card>
 
@@ -189,44 +247,54 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
         <CardContent className="space-y-4">
           <div className="flex items-center justify-between">
             <div>
-              <div className="font-medium">{partnerInfo.name}</div>
-              <div className="text-sm text-gray-600">Driver: {partnerInfo.contact}</div>
+              <div className="font-medium">{partner?.partner_name || 'Transport partner'}</div>
+              <div className="text-sm text-gray-600">
+                {booking?.driver_name
+                  ? `Driver: ${booking.driver_name}${booking.truck_number ? ` (${booking.truck_number})` : ''}`
+                  : 'Driver not assigned yet'}
+              </div>
             </div>
-            <Button variant="outline" size="sm">
-              <Phone className="w-4 h-4 mr-2" />
-              {partnerInfo.phone}
-            </Button>
+            {contactPhone && (
+              <Button variant="outline" size="sm" asChild>
+                <a href={`tel:${contactPhone.replace(/\s/g, '')}`}>
+                  <Phone className="w-4 h-4 mr-2" />
+                  {contactPhone}
+                </a>
+              </Button>
+            )}
           </div>
-        </CardContent>
-      </Card>
 
-      {/* Secure Handover Code */}
-      {(transaction.transport_status === 'pending' || transaction.transport_status === 'picked_up') && (
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <Shield className="w-5 h-5" />
-              Secure Handover
-            </CardTitle>
-            <CardDescription>
-              {isCurrentUserSeller ? 'Show this code to the transport partner during pickup' : 'This code will be verified during pickup'}
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <div className="flex items-center justify-center p-6 bg-gray-50 rounded-lg">
-              <div className="text-center">
-                <QrCode className="w-16 h-16 mx-auto mb-4 text-gray-600" />
-                <div className="text-2xl font-mono font-bold tracking-wider">
-                  {generateSecureHandoverCode()}
-                </div>
-                <div className="text-xs text-gray-500 mt-2">
-                  Secure Handover Code
-                </div>
+          {canCancelBooking && (
+            <div className="pt-4 border-t space-y-2">
+              <div className="text-sm text-gray-600">
+                Plans changed? The booking can be cancelled until the vehicle is picked up.
+              </div>
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Reason for cancelling"
+                  value={cancelReason}
+                  onChange={(e) => setCancelReason(e.target.value)}
+                />
+                <Button
+                  variant="outline"
+                  onClick={handleCancelBooking}
+                  disabled={cancelling || !cancelReason.trim()}
+                >
+                  {cancelling ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <XCircle className="w-4 h-4 mr-2" />}
+                  Cancel Booking
+                </Button>
               </div>
             </div>
-          </CardContent>
-        </Card>
-      )}
+          )}
+        </CardContent>
+      </Card>
+
+      <HandoverCodeCard
+        transaction={transaction}
+        isBuyer={isCurrentUserBuyer}
+        isSeller={isCurrentUserSeller}
+        currentDealerId={currentUser?.id}
+      />
 
       {/* Delivery Confirmation */}
       {transaction.transport_status === 'in_transit' && isCurrentUserBuyer && (
@@ -241,16 +309,27 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
             </CardDescription>
           </CardHeader>
           <CardContent>
+            {hasEvent('delivered') && (
+              <Alert className="mb-4">
+                <Flag className="h-4 w-4" />
+                <AlertDescription>
+                  {partner?.partner_name || 'The transport partner'} reports the vehicle as delivered.
+                </AlertDescription>
+              </Alert>
+            )}
             <Alert className="mb-4">
               <AlertCircle className="h-4 w-4" />
               <AlertDescription>
-                Only confirm delivery after thoroughly inspecting the vehicle. This action cannot be undone.
+                Only confirm delivery after thoroughly inspecting the vehicle. This action cannot be undone
+                and starts the release of escrow funds to the seller.
+                {!hasDeliveryReport && ' Record the delivery condition report below first.'}
+                {conditionHold && ' The delivery report found changes since pickup; open a dispute or accept the vehicle as it arrived below first.'}
               </AlertDescription>
             </Alert>
             
             <Button
               onClick={handleConfirmDelivery}
-              disabled={confirmingDelivery}
+              disabled={confirmingDelivery || !hasDeliveryReport || conditionHold}
               className="w-full momentum-btn-accent"
               size="lg"
             >
@@ -285,6 +364,12 @@ export default function TransportStatusTracker({ transaction, vehicle, seller, b
                   ` Confirmed on ${formatDateTime(transaction.delivery_confirmed_at)}`
                 }
               </p>
+              {transaction.status === 'in_escrow' && transaction.escrow_release_at && (
+                <p className="text-sm text-gray-600 mt-2">
+                  Escrow funds release to the seller on {formatDateTime(transaction.escrow_release_at)}.
+                  {isCurrentUserBuyer && ' Found a problem? Request a partial refund from the Payments tab before then.'}
+                </p>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -0,0 +1,92 @@
+import React from 'react';
+import { panelLabel } from '@/api/conditionReports';
+
+// Top-down outline in a 200 × 400 box, front of the vehicle at the top.
+// Marker coordinates are stored in these units so reports can be compared.
+const PANELS = [
+  { id: 'front_bumper', x: 40, y: 0, width: 120, height: 30 },
+  { id: 'bonnet', x: 40, y: 30, width: 120, height: 80 },
+  { id: 'windscreen', x: 40, y: 110, width: 120, height: 30 },
+  { id: 'roof', x: 40, y: 140, width: 120, height: 110 },
+  { id: 'rear_windscreen', x: 40, y: 250, width: 120, height: 30 },
+  { id: 'boot', x: 40, y: 280, width: 120, height: 80 },
+  { id: 'rear_bumper', x: 40, y: 360, width: 120, height: 40 },
+  { id: 'left_front_fender', x: 0, y: 30, width: 40, height: 80 },
+  { id: 'left_front_door', x: 0, y: 110, width: 40, height: 85 },
+  { id: 'left_rear_door', x: 0, y: 195, width: 40, height: 85 },
+  { id: 'left_rear_quarter', x: 0, y: 280, width: 40, height: 80 },
+  { id: 'right_front_fender', x: 160, y: 30, width: 40, height: 80 },
+  { id: 'right_front_door', x: 160, y: 110, width: 40, height: 85 },
+  { id: 'right_rear_door', x: 160, y: 195, width: 40, height: 85 },
+  { id: 'right_rear_quarter', x: 160, y: 280, width: 40, height: 80 }
+];
+
+const SEVERITY_COLORS = { minor: '#facc15', moderate: '#f97316', major: '#dc2626' };
+
+function panelAt(x, y) {
+  return PANELS.find(panel => x >= panel.x && x < panel.x + panel.width && y >= panel.y && y < panel.y + panel.height);
+}
+
+/**
+ * Clicking a panel calls `onAdd({ panel, x, y })`; without `onAdd` the
+ * diagram is read-only. Markers in `highlightIds` are ringed, e.g. damage
+ * that was not there at pickup.
+ */
+export default function VehicleDamageDiagram({ markers = [], onAdd, selectedId, onSelect, highlightIds = [], className = '' }) {
+  const handleClick = (e) => {
+    if (!onAdd) return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const x = Math.round(((e.clientX - bounds.left) / bounds.width) * 200);
+    const y = Math.round(((e.clientY - bounds.top) / bounds.height) * 400);
+    const panel = panelAt(x, y);
+    if (panel) onAdd({ panel: panel.id, x, y });
+  };
+
+  return (
+    <svg
+      viewBox="0 0 200 400"
+      className={`w-full max-w-[200px] ${onAdd ? 'cursor-crosshair' : ''} ${className}`}
+      onClick={handleClick}
+    >
+      {PANELS.map(panel => (
+        <rect
+          key={panel.id}
+          x={panel.x}
+          y={panel.y}
+          width={panel.width}
+          height={panel.height}
+          rx={6}
+          className="fill-gray-50 stroke-gray-400 hover:fill-blue-50"
+          strokeWidth={1}
+        >
+          <title>{panelLabel(panel.id)}</title>
+        </rect>
+      ))}
+      {markers.map((marker, index) => (
+        <g
+          key={marker.id}
+          onClick={(e) => {
+            e.stopPropagation();
+            onSelect?.(marker.id);
+          }}
+          className={onSelect ? 'cursor-pointer' : ''}
+        >
+          {highlightIds.includes(marker.id) && (
+            <circle cx={marker.x} cy={marker.y} r={13} fill="none" stroke="#dc2626" strokeWidth={2} strokeDasharray="3 2" />
+          )}
+          <circle
+            cx={marker.x}
+            cy={marker.y}
+            r={8}
+            fill={SEVERITY_COLORS[marker.severity] || SEVERITY_COLORS.minor}
+            stroke={marker.id === selectedId ? '#1d4ed8' : '#374151'}
+            strokeWidth={marker.id === selectedId ? 2.5 : 1}
+          />
+          <text x={marker.x} y={marker.y + 3.5} textAnchor="middle" fontSize="10" fontWeight="bold" fill="#111827">
+            {index + 1}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
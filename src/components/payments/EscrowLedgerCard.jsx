@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getEscrowSummary } from '@/api/escrowLedger';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { BookOpen, AlertTriangle, RefreshCw, Loader2 } from 'lucide-react';
+
+const formatRupees = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+const ENTRY_STYLES = {
+  funding: 'bg-blue-100 text-blue-800',
+  release: 'bg-green-100 text-green-800',
+  refund: 'bg-orange-100 text-orange-800'
+};
+
+const ACCOUNT_LABELS = {
+  buyer: 'Buyer',
+  escrow: 'Escrow',
+  seller: 'Seller payout',
+  platform_fee: 'Platform fee',
+  logistics: 'Logistics'
+};
+
+export default function EscrowLedgerCard({ transaction }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadSummary = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSummary(await getEscrowSummary(transaction.id));
+    } catch (error) {
+      console.error('Error loading escrow ledger:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [transaction.id]);
+
+  // Reload whenever the deal moves, since that is when money moves
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary, transaction.status, transaction.escrow_status]);
+
+  if (loading && !summary) {
+    return (
+      <Card>
+        <CardContent className="p-6 flex items-center justify-center text-gray-500">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+          Loading escrow ledger...
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!summary || summary.entries.length === 0) return null;
+
+  const totals = [
+    { label: 'Paid in', value: summary.funded },
+    { label: 'Held in escrow', value: summary.held, highlight: true },
+    { label: 'Released to seller', value: summary.releasedToSeller },
+    { label: 'Platform fee', value: summary.platformFee },
+    { label: 'Logistics', value: summary.logistics },
+    { label: 'Refunded', value: summary.refunded }
+  ];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <BookOpen className="w-5 h-5" />
+            Escrow Ledger
+          </span>
+          <Button size="sm" variant="ghost" onClick={loadSummary} disabled={loading}>
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {summary.issues.length > 0 && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>
+              This ledger does not balance. Please contact support before any further funds are moved.
+              <ul className="list-disc ml-4 mt-1">
+                {summary.issues.map(issue => <li key={issue}>{issue}</li>)}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {totals.map(({ label, value, highlight }) => (
+            <div key={label} className={`rounded-lg p-3 ${highlight ? 'bg-blue-50' : 'bg-gray-50'}`}>
+              <div className="text-xs text-gray-500">{label}</div>
+              <div className={`font-semibold ${highlight ? 'text-blue-700' : ''}`}>{formatRupees(value)}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">Date</th>
+                <th className="py-2 pr-4 font-medium">Type</th>
+                <th className="py-2 pr-4 font-medium">Account</th>
+                <th className="py-2 pr-4 font-medium text-right">Debit</th>
+                <th className="py-2 font-medium text-right">Credit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.entries.map(entry => (
+                <tr key={entry.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4 text-gray-600">
+                    {new Date(entry.created_date || entry.created_at).toLocaleDateString()}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <Badge className={ENTRY_STYLES[entry.entry_type] || 'bg-gray-100 text-gray-800'}>
+                      {entry.entry_type}
+                    </Badge>
+                  </td>
+                  <td className="py-2 pr-4">{ACCOUNT_LABELS[entry.account] || entry.account}</td>
+                  <td className="py-2 pr-4 text-right">{entry.debit ? formatRupees(entry.debit) : ''}</td>
+                  <td className="py-2 text-right">{entry.credit ? formatRupees(entry.credit) : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { heldInEscrow, cancellationFeeFor } from '@/api/escrowLedger';
+import { releaseEscrow, requestPartialRefund, respondToRefundRequest } from '@/api/escrowRelease';
+import { cancelAcceptedDeal } from '@/api/offerQueue';
+import { NotificationError } from '@/api/notifications';
+import { canPerform } from '@/api/transactionWorkflow';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Shield, Clock, AlertTriangle, CheckCircle2, XCircle, Undo2, Loader2 } from 'lucide-react';
+
+const formatRupees = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Everything that can happen to funds held in escrow: release to the seller,
+ * partial refunds agreed between the parties, and cancellation after payment.
+ * Admins (not a party to the deal) can do all of it.
+ */
+export default function EscrowReleasePanel({ transaction, currentDealer, isPlatformAdmin, onUpdated }) {
+  const [held, setHeld] = useState(0);
+  const [cancellationFee, setCancellationFee] = useState(0);
+  const [mode, setMode] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [waiveFee, setWaiveFee] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const dealerId = currentDealer?.id;
+  const actor = isPlatformAdmin ? { party: 'admin' } : { actorDealerId: dealerId };
+  const isBuyer = dealerId === transaction.buyer_id;
+  const request = transaction.refund_request;
+  const releaseAt = transaction.escrow_release_at ? new Date(transaction.escrow_release_at) : null;
+  const coolingOff = transaction.transport_status === 'delivered' && releaseAt && releaseAt > new Date();
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const amountHeld = await heldInEscrow(transaction.id);
+        const fee = await cancellationFeeFor(amountHeld);
+        if (!cancelled) {
+          setHeld(amountHeld);
+          setCancellationFee(fee);
+        }
+      } catch (err) {
+        console.error('Error loading escrow balance:', err);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [transaction.id, transaction.status, transaction.escrow_status]);
+
+  if (transaction.status !== 'in_escrow') return null;
+
+  const isRequester = request?.requested_by === (isBuyer ? 'buyer' : 'seller');
+  const canRespond = transaction.escrow_status === 'disputed' && (isPlatformAdmin || (dealerId && !isRequester));
+  const canRequestRefund = transaction.escrow_status === 'paid' && (isPlatformAdmin || !!dealerId);
+  const canRelease = isPlatformAdmin
+    ? transaction.escrow_status === 'paid' && transaction.transport_status === 'delivered'
+    : canPerform(transaction, 'complete_deal', dealerId);
+  const canCancel = isPlatformAdmin || canPerform(transaction, 'cancel_deal', dealerId);
+  const chargesFee = isPlatformAdmin ? !waiveFee : isBuyer;
+
+  const resetForm = () => {
+    setMode(null);
+    setAmount('');
+    setReason('');
+    setWaiveFee(false);
+  };
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+      resetForm();
+      onUpdated?.();
+    } catch (err) {
+      console.error('Escrow action failed:', err);
+      setError(err.message);
+      // The action itself was saved; only a notification about it failed
+      if (err instanceof NotificationError) {
+        resetForm();
+        onUpdated?.();
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRelease = () => run(() => releaseEscrow(transaction.id, {
+    ...actor,
+    reason: isPlatformAdmin ? 'Released by admin' : 'Released by seller after delivery'
+  }));
+
+  const handleRequestRefund = () => run(() => requestPartialRefund(transaction.id, {
+    ...actor,
+    amount: Math.round(parseFloat(amount)),
+    reason
+  }));
+
+  const handleRespond = (agree) => run(() => respondToRefundRequest(transaction.id, { ...actor, agree, note: reason }));
+
+  const handleCancel = () => run(() => cancelAcceptedDeal(transaction.id, actor, { reason, waiveFee }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Shield className="w-5 h-5" />
+          Escrow Release & Refunds
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex justify-between text-sm">
+          <span className="text-gray-600">Held in escrow</span>
+          <span className="font-semibold">{formatRupees(held)}</span>
+        </div>
+
+        {coolingOff && transaction.escrow_status === 'paid' && (
+          <Alert>
+            <Clock className="h-4 w-4" />
+            <AlertDescription>
+              Cooling-off period: funds release to the seller on {releaseAt.toLocaleString()}.
+              {isBuyer && ' If you found a problem with the vehicle, request a partial refund before then.'}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {transaction.escrow_status === 'disputed' && request && (
+          <div className="border border-amber-200 bg-amber-50 rounded-lg p-3 space-y-3">
+            <div className="text-sm">
+              <div className="font-medium text-amber-900">
+                Partial refund of {formatRupees(request.amount)} requested by the {request.requested_by}
+              </div>
+              <div className="text-amber-800 mt-1">{request.reason}</div>
+              <div className="text-xs text-amber-700 mt-1">Escrow release is on hold until this is settled.</div>
+            </div>
+            {canRespond && (
+              <>
+                <Textarea
+                  placeholder="Note for the other party (optional)"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                />
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" className="flex-1" disabled={working} onClick={() => handleRespond(false)}>
+                    <XCircle className="w-4 h-4 mr-1" />
+                    Decline
+                  </Button>
+                  <Button size="sm" className="flex-1 bg-green-600 hover:bg-green-700 text-white" disabled={working} onClick={() => handleRespond(true)}>
+                    <CheckCircle2 className="w-4 h-4 mr-1" />
+                    Agree & Refund
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {mode === 'refund' && (
+          <div className="space-y-3 border rounded-lg p-3">
+            <div className="space-y-1">
+              <Label htmlFor="refund-amount">Refund amount (₹)</Label>
+              <Input
+                id="refund-amount"
+                type="number"
+                min="1"
+                step="1"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="refund-reason">Reason</Label>
+              <Textarea
+                id="refund-reason"
+                placeholder="e.g. Rear bumper scratch not disclosed in the listing"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={2}
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              {isPlatformAdmin
+                ? 'The refund is applied immediately.'
+                : 'The other party must agree before anything is refunded.'}
+            </p>
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" className="flex-1" onClick={resetForm}>Back</Button>
+              <Button size="sm" className="flex-1" disabled={working || !amount || !reason.trim()} onClick={handleRequestRefund}>
+                {working && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                {isPlatformAdmin ? 'Issue Refund' : 'Send Request'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {mode === 'cancel' && (
+          <div className="space-y-3 border border-red-200 rounded-lg p-3">
+            <div className="space-y-1">
+              <Label htmlFor="cancel-reason">Why is this deal being cancelled?</Label>
+              <Textarea
+                id="cancel-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={2}
+              />
+            </div>
+            {isPlatformAdmin && (
+              <div className="flex items-center gap-2">
+                <Checkbox id="waive-fee" checked={waiveFee} onCheckedChange={(checked) => setWaiveFee(!!checked)} />
+                <Label htmlFor="waive-fee" className="text-sm font-normal">Waive the cancellation fee</Label>
+              </div>
+            )}
+            <p className="text-sm text-gray-600">
+              {chargesFee && cancellationFee > 0
+                ? `A cancellation fee of ${formatRupees(cancellationFee)} is withheld; ${formatRupees(held - cancellationFee)} is refunded to the buyer.`
+                : `The full ${formatRupees(held)} is refunded to the buyer.`}
+            </p>
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" className="flex-1" onClick={resetForm}>Back</Button>
+              <Button size="sm" variant="destructive" className="flex-1" disabled={working || !reason.trim()} onClick={handleCancel}>
+                {working && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                Cancel Deal
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {!mode && (
+          <div className="space-y-2">
+            {canRelease && (
+              <Button className="w-full bg-green-600 hover:bg-green-700 text-white" disabled={working} onClick={handleRelease}>
+                {working ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle2 className="w-4 h-4 mr-2" />}
+                Release {formatRupees(held)} from Escrow
+              </Button>
+            )}
+            {canRequestRefund && (
+              <Button variant="outline" className="w-full" onClick={() => setMode('refund')}>
+                <Undo2 className="w-4 h-4 mr-2" />
+                {isPlatformAdmin ? 'Issue Partial Refund' : 'Request Partial Refund'}
+              </Button>
+            )}
+            {canCancel && (
+              <Button variant="outline" className="w-full text-red-600 hover:text-red-700" onClick={() => setMode('cancel')}>
+                <XCircle className="w-4 h-4 mr-2" />
+                Cancel Deal
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
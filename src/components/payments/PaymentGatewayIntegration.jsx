@@ -14,24 +14,27 @@ import {
   AlertCircle,
   Building2,
   Smartphone,
-  Wallet
+  Wallet,
+  Clock
 } from 'lucide-react';
-import supabase from '@/api/supabaseClient';
-import { DataManager } from '../shared/DataManager';
+import {
+  startPayment,
+  pollPaymentStatus,
+  abandonPayment,
+  listPaymentGateways,
+  getPaymentGateway,
+  MOCK_GATEWAY_ENABLED
+} from '@/api/payments';
+import { MOCK_SCENARIOS, MockWebhookError } from '@/api/mockGateway';
 
 export default function PaymentGatewayIntegration({ 
   transaction, 
+  milestone,
   onPaymentSuccess, 
   onPaymentFailure,
   isOpen,
   onClose
 }) {
-  const [selectedGateway, setSelectedGateway] = useState('razorpay');
-  const [selectedMethod, setSelectedMethod] = useState('');
-  const [processing, setProcessing] = useState(false);
-  const [paymentStatus, setPaymentStatus] = useState(null);
-  const [gatewayOrder, setGatewayOrder] = useState(null);
-
   const paymentGateways = [
     {
       id: 'razorpay',
@@ -40,6 +43,13 @@ export default function PaymentGatewayIntegration({
       methods: ['card', 'upi', 'netbanking', 'wallet'],
       processingFee: 2.0 // percentage
     },
+    {
+      id: 'cashfree',
+      name: 'Cashfree Payments',
+      description: 'UPI, cards and net banking',
+      methods: ['card', 'upi', 'netbanking', 'wallet'],
+      processingFee: 1.95
+    },
     {
       id: 'payu',
       name: 'PayU India',
@@ -54,7 +64,16 @@ export default function PaymentGatewayIntegration({
       methods: ['card', 'upi', 'netbanking'],
       processingFee: 0
     }
-  ];
+  ].filter(gateway => listPaymentGateways().includes(gateway.id));
+
+  const [selectedGateway, setSelectedGateway] = useState(paymentGateways[0]?.id || '');
+  const [selectedMethod, setSelectedMethod] = useState('');
+  const [mockScenario, setMockScenario] = useState('success');
+  const [processing, setProcessing] = useState(false);
+  const [paymentStatus, setPaymentStatus] = useState(null);
+  const [gatewayOrder, setGatewayOrder] = useState(null);
+  // Problems that did not stop the payment, e.g. a notification that failed
+  const [notice, setNotice] = useState('');
 
   const paymentMethods = [
     { id: 'card', name: 'Credit/Debit Card', icon: CreditCard, popular: true },
@@ -69,162 +88,99 @@ export default function PaymentGatewayIntegration({
     selectedGatewayInfo?.methods.includes(m.id)
   );
 
-  const finalAmount = transaction.final_amount || transaction.offer_amount;
+  // A staged payment charges one milestone of the schedule at a time
+  const finalAmount = milestone ? milestone.amount : (transaction.final_amount || transaction.offer_amount);
   const processingFee = Math.round(finalAmount * (selectedGatewayInfo?.processingFee || 0) / 100);
   const totalAmount = finalAmount + processingFee;
 
   const initializePayment = async () => {
     setProcessing(true);
     setPaymentStatus('initializing');
+    setNotice('');
+    const onNotifyError = error => setNotice(error.message);
 
+    let order = null;
     try {
-      // Create payment gateway record
-      const { data: gatewayRecord, error } = await supabase
-        .from('PaymentGateway')
-        .insert({
-          transaction_id: transaction.id,
-          payment_gateway: selectedGateway,
-          gateway_order_id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          payment_method: selectedMethod,
-          amount: totalAmount,
-          status: 'created',
-          payment_initiated_at: new Date().toISOString(),
-          buyer_details: {
-            name: transaction.buyer_name || 'Dealer Purchase',
-            email: transaction.buyer_email || 'dealer@example.com',
-            phone: transaction.buyer_phone || '+91 9999999999'
-          }
-        })
-        .select()
-        .single();
-      if (error) throw error;
-
-      setGatewayOrder(gatewayRecord);
-      setPaymentStatus('gateway_ready');
+      ({ order } = await startPayment(transaction, {
+        gateway: selectedGateway,
+        method: selectedMethod,
+        amount: totalAmount,
+        escrowAmount: finalAmount,
+        customer: {
+          id: transaction.buyer_id,
+          name: transaction.buyer_name,
+          email: transaction.buyer_email,
+          phone: transaction.buyer_phone
+        },
+        notes: MOCK_GATEWAY_ENABLED && selectedGateway === 'mock' ? { scenario: mockScenario } : {},
+        milestoneId: milestone?.id,
+        onNotifyError
+      }));
+      setGatewayOrder(order);
 
-      // Simulate gateway initialization
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Launch payment interface
-      await launchPaymentInterface(gatewayRecord);
-
-    } catch (error) {
-      console.error('Payment initialization failed:', error);
-      setPaymentStatus('failed');
-      if (onPaymentFailure) {
-        onPaymentFailure(error.message);
+      setPaymentStatus('checkout');
+      try {
+        await getPaymentGateway(selectedGateway).openCheckout?.(order, { method: selectedMethod });
+      } catch (error) {
+        // The mock payment stands; polling below applies it instead
+        if (!(error instanceof MockWebhookError)) throw error;
+        setNotice(error.message);
       }
-    } finally {
-      setProcessing(false);
-    }
-  };
 
-  const launchPaymentInterface = async (gatewayRecord) => {
-    setPaymentStatus('processing');
+      // The checkout result is only a hint; the gateway's own status decides
+      setPaymentStatus('verifying');
+      const payment = await pollPaymentStatus(selectedGateway, order.orderId, {
+        intervalMs: 1500,
+        timeoutMs: 30000,
+        onNotifyError
+      });
 
-    try {
-      // Simulate different payment gateway behaviors
-      if (selectedGateway === 'mock') {
-        // Mock gateway - simulate payment flow
-        await simulateMockPayment(gatewayRecord);
+      if (payment.status === 'captured') {
+        setPaymentStatus('completed');
+        if (onPaymentSuccess) {
+          onPaymentSuccess({
+            paymentId: payment.paymentId,
+            amount: totalAmount,
+            method: payment.method || selectedMethod,
+            gatewayOrderId: order.orderId
+          });
+        }
+      } else if (payment.status === 'failed') {
+        setPaymentStatus('failed');
+        if (onPaymentFailure) {
+          onPaymentFailure(payment.failureReason || 'Payment failed');
+        }
       } else {
-        // Real gateway integration would go here
-        await simulateRealGateway(gatewayRecord);
+        setPaymentStatus('timeout');
       }
-
     } catch (error) {
-      console.error('Payment processing failed:', error);
-      await supabase
-        .from('PaymentGateway')
-        .update({
-          status: 'failed',
-          failure_reason: error.message
-        })
-        .eq('id', gatewayRecord.id);
+      console.error('Payment failed:', error);
+      if (order) {
+        await abandonPayment(selectedGateway, order.orderId, error.message).catch(err =>
+          console.error('Failed to release payment attempt:', err)
+        );
+      }
       setPaymentStatus('failed');
       if (onPaymentFailure) {
         onPaymentFailure(error.message);
       }
+    } finally {
+      setProcessing(false);
     }
   };
 
-  const simulateMockPayment = async (gatewayRecord) => {
-    // Simulate payment steps
-    const steps = [
-      { status: 'redirecting', message: 'Redirecting to payment page...', duration: 1500 },
-      { status: 'authenticating', message: 'Authenticating payment...', duration: 2000 },
-      { status: 'processing', message: 'Processing payment...', duration: 2500 },
-      { status: 'confirming', message: 'Confirming transaction...', duration: 1000 }
-    ];
-
-    for (const step of steps) {
-      setPaymentStatus(step.status);
-      await new Promise(resolve => setTimeout(resolve, step.duration));
-    }
-
-    // Simulate 90% success rate
-    const isSuccess = Math.random() > 0.1;
-
-    if (isSuccess) {
-      const paymentId = `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      await supabase
-        .from('PaymentGateway')
-        .update({
-          status: 'completed',
-          gateway_payment_id: paymentId,
-          payment_completed_at: new Date().toISOString(),
-          webhook_verified: true,
-          escrow_reference: `escrow_${paymentId}`,
-          gateway_response: {
-            payment_id: paymentId,
-            status: 'captured',
-            method: selectedMethod,
-            amount: totalAmount,
-            fee: processingFee
-          }
-        })
-        .eq('id', gatewayRecord.id);
-
-      setPaymentStatus('completed');
-      
-      if (onPaymentSuccess) {
-        onPaymentSuccess({
-          paymentId,
-          amount: totalAmount,
-          method: selectedMethod,
-          gatewayOrderId: gatewayRecord.gateway_order_id
-        });
-      }
-    } else {
-      throw new Error('Payment failed due to insufficient funds or bank decline');
-    }
-  };
-
-  const simulateRealGateway = async (gatewayRecord) => {
-    // In a real implementation, this would:
-    // 1. Load the gateway's SDK (Razorpay, PayU, etc.)
-    // 2. Create checkout options
-    // 3. Open payment interface
-    // 4. Handle success/failure callbacks
-    
-    // For now, we'll simulate with mock
-    await simulateMockPayment(gatewayRecord);
-  };
-
   const getStatusIcon = () => {
     switch (paymentStatus) {
       case 'initializing':
-      case 'gateway_ready':
-      case 'redirecting':
-      case 'authenticating':
-      case 'processing':
-      case 'confirming':
+      case 'checkout':
+      case 'verifying':
         return <Loader2 className="w-6 h-6 animate-spin text-blue-500" />;
       case 'completed':
         return <CheckCircle2 className="w-6 h-6 text-green-500" />;
       case 'failed':
         return <AlertCircle className="w-6 h-6 text-red-500" />;
+      case 'timeout':
+        return <Clock className="w-6 h-6 text-amber-500" />;
       default:
         return <CreditCard className="w-6 h-6 text-gray-500" />;
     }
@@ -232,14 +188,12 @@ export default function PaymentGatewayIntegration({
 
   const getStatusMessage = () => {
     const messages = {
-      initializing: 'Setting up payment...',
-      gateway_ready: 'Payment gateway ready',
-      redirecting: 'Redirecting to payment page...',
-      authenticating: 'Authenticating payment details...',
-      processing: 'Processing your payment...',
-      confirming: 'Confirming transaction...',
+      initializing: 'Creating payment order...',
+      checkout: 'Complete the payment in the gateway window...',
+      verifying: 'Confirming payment with the gateway...',
       completed: 'Payment completed successfully!',
-      failed: 'Payment failed. Please try again.'
+      failed: 'Payment failed. Please try again.',
+      timeout: 'The gateway has not confirmed this payment yet.'
     };
     return messages[paymentStatus] || 'Ready to process payment';
   };
@@ -263,7 +217,7 @@ export default function PaymentGatewayIntegration({
             <CardContent className="p-4">
               <div className="space-y-2">
                 <div className="flex justify-between">
-                  <span>Vehicle Amount</span>
+                  <span>{milestone ? `${milestone.label} (${milestone.percent}%)` : 'Vehicle Amount'}</span>
                   <span>₹{(finalAmount / 100000).toFixed(2)}L</span>
                 </div>
                 {processingFee > 0 && (
@@ -290,6 +244,12 @@ export default function PaymentGatewayIntegration({
               </div>
             </Alert>
           )}
+          {notice && (
+            <Alert>
+              <AlertCircle className="w-4 h-4" />
+              <AlertDescription>{notice}</AlertDescription>
+            </Alert>
+          )}
 
           {/* Gateway Selection */}
           {!paymentStatus && (
@@ -313,6 +273,31 @@ export default function PaymentGatewayIntegration({
                 </Select>
               </div>
 
+              {paymentGateways.length === 0 && (
+                <Alert>
+                  <AlertCircle className="w-4 h-4" />
+                  <AlertDescription>Online payment is not available yet. Please contact support to complete this payment.</AlertDescription>
+                </Alert>
+              )}
+
+              {MOCK_GATEWAY_ENABLED && selectedGateway === 'mock' && (
+                <div className="space-y-3">
+                  <label className="text-sm font-medium">Mock Scenario</label>
+                  <Select value={mockScenario} onValueChange={setMockScenario}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {MOCK_SCENARIOS.map(scenario => (
+                        <SelectItem key={scenario} value={scenario} className="capitalize">
+                          {scenario}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
               {/* Payment Method Selection */}
               <div className="space-y-3">
                 <label className="text-sm font-medium">Payment Method</label>
@@ -393,6 +378,21 @@ export default function PaymentGatewayIntegration({
             </div>
           )}
 
+          {/* Payment Not Yet Confirmed */}
+          {paymentStatus === 'timeout' && (
+            <div className="text-center py-4">
+              <Clock className="w-16 h-16 text-amber-500 mx-auto mb-4" />
+              <h3 className="font-semibold text-lg mb-2">Payment Pending</h3>
+              <p className="text-gray-600 mb-4">
+                The gateway is taking longer than usual. The deal room will update as soon as it confirms
+                {gatewayOrder ? ` order ${gatewayOrder.orderId}` : ''}; please don&apos;t pay again in the meantime.
+              </p>
+              <Button onClick={onClose} className="momentum-btn-primary">
+                Back to Deal Room
+              </Button>
+            </div>
+          )}
+
           {/* Payment Failed */}
           {paymentStatus === 'failed' && (
             <div className="text-center py-4">
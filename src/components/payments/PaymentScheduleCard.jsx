@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { setPaymentSchedule, nextDueMilestone, amountPaid, isMilestoneOverdue, MILESTONE_STAGES } from '@/api/paymentSchedule';
+import { canPerform } from '@/api/transactionWorkflow';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { CalendarClock, CreditCard, Pencil, Plus, Trash2, AlertTriangle, Loader2 } from 'lucide-react';
+
+const formatRupees = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+const STAGE_LABELS = {
+  acceptance: 'On acceptance',
+  dispatch: 'Before dispatch',
+  delivery: 'On delivery'
+};
+
+const toDateInput = (iso) => iso.slice(0, 10);
+
+export default function PaymentScheduleCard({ transaction, currentDealer, onPay, onUpdated }) {
+  const [editing, setEditing] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const schedule = transaction.payment_schedule || [];
+  if (schedule.length === 0) return null;
+
+  const total = transaction.final_amount || transaction.offer_amount;
+  const nextDue = nextDueMilestone(transaction);
+  const isBuyer = currentDealer?.id === transaction.buyer_id;
+  const canEdit = canPerform(transaction, 'set_payment_schedule', currentDealer?.id);
+  // The first milestone is paid from an accepted deal, the rest once it is in escrow
+  const canPay = isBuyer && nextDue && (
+    transaction.status === 'accepted' ||
+    (transaction.status === 'in_escrow' && transaction.escrow_status === 'partially_paid')
+  );
+
+  const startEditing = () => {
+    setRows(schedule.map(({ label, percent, stage, due_at }) => ({ label, percent: String(percent), stage, due_at: toDateInput(due_at) })));
+    setError(null);
+    setEditing(true);
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await setPaymentSchedule(transaction.id, currentDealer.id, rows.map(row => ({
+        label: row.label,
+        percent: parseFloat(row.percent),
+        stage: row.stage,
+        // End of the chosen day
+        due_at: new Date(`${row.due_at}T23:59:59`).toISOString()
+      })));
+      setEditing(false);
+      onUpdated?.();
+    } catch (err) {
+      console.error('Error saving payment schedule:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <CalendarClock className="w-5 h-5" />
+            Payment Schedule
+          </span>
+          {canEdit && !editing && (
+            <Button size="sm" variant="ghost" onClick={startEditing}>
+              <Pencil className="w-4 h-4 mr-1" />
+              Edit
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {editing ? (
+          <div className="space-y-3">
+            {rows.map((row, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <Input
+                  className="col-span-4"
+                  value={row.label}
+                  onChange={(e) => updateRow(index, 'label', e.target.value)}
+                  placeholder="Label"
+                />
+                <Input
+                  className="col-span-2"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={row.percent}
+                  onChange={(e) => updateRow(index, 'percent', e.target.value)}
+                  placeholder="%"
+                />
+                <div className="col-span-3">
+                  <Select value={row.stage} onValueChange={(value) => updateRow(index, 'stage', value)}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {MILESTONE_STAGES.map(stage => (
+                        <SelectItem key={stage} value={stage}>{STAGE_LABELS[stage]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Input
+                  className="col-span-2"
+                  type="date"
+                  value={row.due_at}
+                  onChange={(e) => updateRow(index, 'due_at', e.target.value)}
+                />
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="col-span-1"
+                  disabled={rows.length === 1}
+                  onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => setRows([...rows, { label: '', percent: '', stage: 'dispatch', due_at: rows[rows.length - 1]?.due_at || '' }])}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add Milestone
+            </Button>
+            <div className="text-sm text-gray-600">
+              Total: {rows.reduce((sum, row) => sum + (parseFloat(row.percent) || 0), 0)}% of {formatRupees(total)}
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" className="flex-1" onClick={() => setEditing(false)}>Cancel</Button>
+              <Button className="flex-1" disabled={saving} onClick={handleSave}>
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Save Schedule
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2">
+              {schedule.map(milestone => (
+                <div key={milestone.id} className="flex items-center justify-between p-3 border rounded-lg">
+                  <div>
+                    <div className="font-medium">
+                      {milestone.label} <span className="text-gray-500 font-normal">({milestone.percent}%)</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {STAGE_LABELS[milestone.stage]} · due {new Date(milestone.due_at).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className="font-semibold">{formatRupees(milestone.amount)}</div>
+                    {milestone.status === 'paid' ? (
+                      <Badge className="bg-green-100 text-green-800">Paid</Badge>
+                    ) : isMilestoneOverdue(milestone) ? (
+                      <Badge className="bg-red-100 text-red-800">Overdue</Badge>
+                    ) : (
+                      <Badge className="bg-yellow-100 text-yellow-800">Due</Badge>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-600">Paid so far</span>
+              <span className="font-medium">{formatRupees(amountPaid(transaction))} of {formatRupees(total)}</span>
+            </div>
+
+            {canPay && (
+              <Button className="w-full momentum-btn-accent" onClick={() => onPay(nextDue)}>
+                <CreditCard className="w-4 h-4 mr-2" />
+                Pay {nextDue.label}: {formatRupees(nextDue.amount)}
+              </Button>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
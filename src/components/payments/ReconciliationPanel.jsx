@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { reconcilePayments, summarizeReconciliation } from '@/api/reconciliation';
+import { buildSettlementReport, settlementReportCsv, renderSettlementReport } from '@/api/settlementReports';
+import { downloadPdf } from '@/utils/pdf';
+import { createPageUrl } from '@/utils';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Scale, Download, FileText, AlertTriangle, CheckCircle, Loader2 } from 'lucide-react';
+
+const formatRupees = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+const ISSUE_LABELS = {
+  pending_capture: 'Pending capture',
+  unfunded_capture: 'Capture not in escrow',
+  unmatched_funding: 'Unmatched funding',
+  amount_mismatch: 'Amount mismatch',
+  missing_payout: 'Missing payout',
+  funds_not_returned: 'Funds left in escrow',
+  payout_before_completion: 'Early payout',
+  ledger_unbalanced: 'Ledger unbalanced'
+};
+
+const toDateInput = (date) => format(date, 'yyyy-MM-dd');
+
+// The period runs from the start of `from` to the end of `to`, local time
+const toPeriod = (from, to) => {
+  const end = new Date(`${to}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return { from: new Date(`${from}T00:00:00`), to: end };
+};
+
+const saveFile = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Matches gateway captures against escrow ledger entries and seller payouts
+ * for a period, and exports per-dealer settlement reports.
+ */
+export default function ReconciliationPanel({ dealers }) {
+  const now = new Date();
+  const [from, setFrom] = useState(toDateInput(new Date(now.getFullYear(), now.getMonth(), 1)));
+  const [to, setTo] = useState(toDateInput(now));
+  const [rows, setRows] = useState(null);
+  const [onlyIssues, setOnlyIssues] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [settlementDealerId, setSettlementDealerId] = useState('');
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const validPeriod = from && to && from <= to;
+
+  const runReconciliation = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      setRows(await reconcilePayments(toPeriod(from, to)));
+    } catch (err) {
+      console.error('Error reconciling payments:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const exportSettlement = async (fileType) => {
+    setExporting(fileType);
+    setError(null);
+    try {
+      const report = await buildSettlementReport(settlementDealerId, toPeriod(from, to));
+      const filename = `${report.dealerName.replace(/\s+/g, '_')}_Settlement_${from}_to_${to}`;
+      if (fileType === 'csv') {
+        saveFile(new Blob([settlementReportCsv(report)], { type: 'text/csv' }), `${filename}.csv`);
+      } else {
+        downloadPdf(renderSettlementReport(report), `${filename}.pdf`);
+      }
+    } catch (err) {
+      console.error('Error exporting settlement report:', err);
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const summary = rows ? summarizeReconciliation(rows) : null;
+  const visibleRows = rows ? rows.filter(row => !onlyIssues || row.issues.length > 0) : [];
+  const dealerName = (id) => dealers.find(dealer => dealer.id === id)?.business_name || id;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Scale className="w-5 h-5" />
+          Payment Reconciliation
+        </CardTitle>
+        <CardDescription>
+          Matches what the gateways captured against escrow ledger entries and seller payouts.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="reconcile-from">From</Label>
+            <Input id="reconcile-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="reconcile-to">To</Label>
+            <Input id="reconcile-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </div>
+          <Button onClick={runReconciliation} disabled={running || !validPeriod}>
+            {running ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Scale className="w-4 h-4 mr-2" />}
+            Reconcile
+          </Button>
+        </div>
+
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Captured</div>
+              <div className="font-semibold">{formatRupees(summary.captured)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Funded into escrow</div>
+              <div className="font-semibold">{formatRupees(summary.funded)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Paid out to sellers</div>
+              <div className="font-semibold">{formatRupees(summary.paidOut)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Refunded to buyers</div>
+              <div className="font-semibold">{formatRupees(summary.refunded)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Platform fees</div>
+              <div className="font-semibold">{formatRupees(summary.platformFee)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Logistics withheld</div>
+              <div className="font-semibold">{formatRupees(summary.logistics)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Still held</div>
+              <div className="font-semibold">{formatRupees(summary.held)}</div>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <div className="text-gray-600">Awaiting capture</div>
+              <div className="font-semibold">{formatRupees(summary.pending)}</div>
+            </div>
+          </div>
+        )}
+
+        {rows && (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-600">
+                {summary.transactions} transactions, {summary.withIssues} with issues
+              </div>
+              <div className="flex items-center gap-2">
+                <Switch id="only-issues" checked={onlyIssues} onCheckedChange={setOnlyIssues} />
+                <Label htmlFor="only-issues" className="text-sm font-normal">Only show issues</Label>
+              </div>
+            </div>
+
+            {visibleRows.length === 0 && (
+              <Alert>
+                <CheckCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {rows.length === 0 ? 'No payment activity in this period.' : 'Every transaction in this period reconciles.'}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {visibleRows.map(row => (
+              <div key={row.transaction.id} className="border rounded-lg p-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <Link to={createPageUrl(`DealRoom?transactionId=${row.transaction.id}`)} className="font-semibold underline text-sm">
+                    {dealerName(row.transaction.seller_id)} → {dealerName(row.transaction.buyer_id)}
+                  </Link>
+                  <Badge variant="outline">{row.transaction.status}</Badge>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs text-gray-600">
+                  <div>Captured {formatRupees(row.captured)}</div>
+                  <div>Funded {formatRupees(row.funded)}</div>
+                  <div>Paid out {formatRupees(row.paidOut)}</div>
+                  <div>Refunded {formatRupees(row.refunded)}</div>
+                  <div>Held {formatRupees(row.held)}</div>
+                </div>
+                {row.issues.map((issue, index) => (
+                  <div key={index} className="flex items-start gap-2 text-sm">
+                    <Badge className="bg-red-100 text-red-800 shrink-0">{ISSUE_LABELS[issue.type]}</Badge>
+                    <span>{issue.message}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="border-t pt-6 space-y-3">
+          <div>
+            <h4 className="font-semibold">Dealer Settlement Report</h4>
+            <p className="text-sm text-gray-600">
+              Payments in, payouts and refunds for one dealer over the period above.
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <Select value={settlementDealerId} onValueChange={setSettlementDealerId}>
+              <SelectTrigger className="w-64">
+                <SelectValue placeholder="Select dealer" />
+              </SelectTrigger>
+              <SelectContent>
+                {dealers.map(dealer => (
+                  <SelectItem key={dealer.id} value={dealer.id}>{dealer.business_name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              variant="outline"
+              disabled={!settlementDealerId || !validPeriod || !!exporting}
+              onClick={() => exportSettlement('csv')}
+            >
+              {exporting === 'csv' ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+              CSV
+            </Button>
+            <Button
+              variant="outline"
+              disabled={!settlementDealerId || !validPeriod || !!exporting}
+              onClick={() => exportSettlement('pdf')}
+            >
+              {exporting === 'pdf' ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <FileText className="w-4 h-4 mr-2" />}
+              PDF
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
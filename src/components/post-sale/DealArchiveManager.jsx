@@ -13,7 +13,7 @@ import {
   Eye,
   Star
 } from 'lucide-react';
-import supabase from '@/api/supabaseClient';
+import { Transaction } from '@/api/entities';
 
 export default function DealArchiveManager({ 
   transaction, 
@@ -32,14 +32,10 @@ export default function DealArchiveManager({
     try {
       const newArchivedStatus = !transaction.deal_archived;
       
-      await supabase
-        .from('Transaction')
-        .update({
-          ...transaction,
-          deal_archived: newArchivedStatus,
-          archived_at: newArchivedStatus ? new Date().toISOString() : null
-        })
-        .eq('id', transaction.id);
+      await Transaction.mutate(transaction.id, () => ({
+        deal_archived: newArchivedStatus,
+        archived_at: newArchivedStatus ? new Date().toISOString() : null
+      }));
 
       onArchiveStatusChange(newArchivedStatus);
     } catch (err) {
@@ -17,6 +17,8 @@ import {
   Award
 } from 'lucide-react';
 import supabase from '@/api/supabaseClient';
+import { Transaction } from '@/api/entities';
+import { postSystemMessage } from '@/api/messages';
 
 export default function DealCompletionModal({ 
   isOpen, 
@@ -77,12 +79,7 @@ export default function DealCompletionModal({
           .eq('id', currentDealer.id);
       }
 
-      // Update vehicle status to sold
-      if (vehicle) {
-        await supabase.from('Vehicle').update({ status: 'sold' }).eq('id', vehicle.id);
-      }
-
-      // Mark transaction as fully completed with rating
+      // Record the rating; the deal itself was completed through the transaction workflow
       const ratingData = {
         rating: rating,
         review: review,
@@ -90,26 +87,15 @@ export default function DealCompletionModal({
         rated_at: new Date().toISOString()
       };
 
-      const updatedMessages = [
-        ...transaction.messages,
-        {
-          sender_id: currentDealer?.id,
-          message: `Deal completed successfully! ${currentDealer?.business_name} rated ${otherParty?.business_name} ${rating} stars.`,
-          timestamp: new Date().toISOString(),
-          type: 'system'
-        }
-      ];
-
-      await supabase
-        .from('Transaction')
-        .update({
-          ...transaction,
-          status: 'completed',
-          [isSellerView ? 'seller_rating' : 'buyer_rating']: ratingData,
-          deal_archived: false,
-          messages: updatedMessages
-        })
-        .eq('id', transaction.id);
+      await Transaction.mutate(transaction.id, () => ({
+        [isSellerView ? 'seller_rating' : 'buyer_rating']: ratingData,
+        deal_archived: false
+      }));
+      await postSystemMessage(
+        transaction.id,
+        currentDealer?.id,
+        `Deal completed successfully! ${currentDealer?.business_name} rated ${otherParty?.business_name} ${rating} stars.`
+      );
 
       onClose(true); // Pass true to indicate successful completion
     } catch (err) {
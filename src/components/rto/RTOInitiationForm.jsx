@@ -2,20 +2,37 @@ import React, { useState } from 'react';
 import supabase from '@/api/supabaseClient';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Loader2, FileText, AlertCircle } from 'lucide-react';
+import { Loader2, FileText, AlertCircle, Download } from 'lucide-react';
 import FileUploader from '@/components/shared/FileUploader';
 import { UploadFile } from '@/api/integrations';
+import {
+  RTO_FORM_LABELS,
+  buildRtoFormData,
+  generateRtoForms,
+  isInterStateTransfer,
+  missingVehicleDetails,
+  requiredRtoForms,
+  rtoFormFileName
+} from '@/api/rtoForms';
+import { DocumentError } from '@/api/dealDocuments';
+import { renderRtoForm } from '@/api/rtoFormsPdf';
+import { downloadPdf } from '@/utils/pdf';
 
 export default function RTOInitiationForm({ transaction, vehicle, seller, buyer, onApplicationCreated }) {
   const [formData, setFormData] = useState({
     application_fee: '',
     document_urls: [],
   });
+  const [interState, setInterState] = useState(() => Boolean(seller && buyer && isInterStateTransfer(seller, buyer)));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const forms = requiredRtoForms(interState);
+  const missingDetails = vehicle ? missingVehicleDetails(vehicle) : [];
+
   const handleFileUpload = (docType) => async (file) => {
     try {
       const { file_url } = await UploadFile({ file });
@@ -35,6 +52,17 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
   const findDocument = (docType) => {
     return formData.document_urls.find(doc => doc.type === docType);
   };
+
+  const downloadForm = (formType) => {
+    setError('');
+    try {
+      const pdf = renderRtoForm(formType, buildRtoFormData({ transaction, vehicle, seller, buyer }));
+      downloadPdf(pdf, rtoFormFileName(formType, { transaction, vehicle }));
+    } catch (err) {
+      console.error('Failed to prepare RTO form:', err);
+      setError(err.message);
+    }
+  };
   
   const handleSubmit = async () => {
     if (!seller || !buyer) {
@@ -45,6 +73,7 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
     setLoading(true);
     setError('');
     try {
+      const generatedForms = await generateRtoForms(forms, { transaction, vehicle, seller, buyer });
       const { data: newApplication, error } = await supabase
         .from('RTOApplication')
         .insert({
@@ -55,7 +84,7 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
           buyer_name: buyer.business_name,
           buyer_address: buyer.address,
           application_fee: parseFloat(formData.application_fee) || 0,
-          document_urls: formData.document_urls,
+          document_urls: [...generatedForms, ...formData.document_urls],
           status: 'submitted',
         })
         .select()
@@ -64,7 +93,7 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
       onApplicationCreated(newApplication);
     } catch (err) {
       console.error('Failed to submit RTO application:', err);
-      setError('Failed to submit RTO application. Please try again.');
+      setError(err instanceof DocumentError ? err.message : 'Failed to submit RTO application. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -113,7 +142,10 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
           <label className="text-sm font-medium">Vehicle Details</label>
           <div className="p-3 bg-gray-50 rounded-lg">
             <div className="font-medium">{vehicle?.year} {vehicle?.make} {vehicle?.model}</div>
-            <div className="text-sm text-gray-600">VIN: {vehicle?.vin || 'Not provided'}</div>
+            <div className="text-sm text-gray-600">Registration: {vehicle?.registration_number || 'Not provided'}</div>
+            <div className="text-sm text-gray-600">
+              Chassis: {vehicle?.chassis_number || vehicle?.vin || 'Not provided'} · Engine: {vehicle?.engine_number || 'Not provided'}
+            </div>
           </div>
         </div>
 
@@ -128,24 +160,51 @@ export default function RTOInitiationForm({ transaction, vehicle, seller, buyer,
           />
         </div>
 
+        {/* Statutory Forms */}
+        <div className="space-y-4">
+          <div>
+            <h4 className="font-medium">Transfer Forms</h4>
+            <p className="text-sm text-gray-600">
+              Filled in from the vehicle and the details of both dealers, and attached to the application when you submit it.
+              Print them for signing.
+            </p>
+          </div>
+
+          {missingDetails.length > 0 && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                The vehicle has no {missingDetails.join(', ')} on record; those fields are left blank on the forms to be filled in by hand.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+            <div>
+              <div className="text-sm font-medium">Buyer will register the vehicle in another state</div>
+              <div className="text-sm text-gray-600">Adds Form 28 for a no objection certificate</div>
+            </div>
+            <Switch checked={interState} onCheckedChange={setInterState} />
+          </div>
+
+          {forms.map(formType => (
+            <div key={formType} className="flex items-center justify-between p-3 border rounded-lg">
+              <div>
+                <div className="font-medium">{RTO_FORM_LABELS[formType].title}</div>
+                <div className="text-sm text-gray-600">{RTO_FORM_LABELS[formType].description}</div>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => downloadForm(formType)} disabled={!seller || !buyer}>
+                <Download className="w-4 h-4 mr-2" />
+                Download
+              </Button>
+            </div>
+          ))}
+        </div>
+
         {/* Document Uploads */}
         <div className="space-y-4">
-          <h4 className="font-medium">Required Documents</h4>
-          
-          <FileUploader
-            fileTypeLabel="Form 29 (Notice of Transfer)"
-            description="Upload completed Form 29"
-            onUpload={handleFileUpload('form_29')}
-            uploadedFile={findDocument('form_29')}
-          />
-          
-          <FileUploader
-            fileTypeLabel="Form 30 (Application for Transfer)"
-            description="Upload completed Form 30"
-            onUpload={handleFileUpload('form_30')}
-            uploadedFile={findDocument('form_30')}
-          />
-          
+          <h4 className="font-medium">Supporting Documents</h4>
+
           <FileUploader
             fileTypeLabel="NOC (No Objection Certificate)"
             description="Upload NOC from original RTO (if applicable)"
@@ -3,7 +3,14 @@ import { Upload, File as FileIcon, Loader2, CheckCircle } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 
-export default function FileUploader({ onUpload, uploadedFile, fileTypeLabel, description }) {
+export default function FileUploader({
+  onUpload,
+  uploadedFile,
+  fileTypeLabel,
+  description,
+  accept = 'image/*,application/pdf',
+  acceptHint = 'PDF, PNG, JPG accepted'
+}) {
   const [loading, setLoading] = useState(false);
   const [dragActive, setDragActive] = useState(false);
 
@@ -75,7 +82,7 @@ export default function FileUploader({ onUpload, uploadedFile, fileTypeLabel, de
             onChange={handleFileSelect}
             className="hidden"
             id={`file-upload-${fileTypeLabel}`}
-            accept="image/*,application/pdf"
+            accept={accept}
             disabled={loading}
           />
           {loading ? (
@@ -90,7 +97,7 @@ export default function FileUploader({ onUpload, uploadedFile, fileTypeLabel, de
                 <p className="font-semibold text-gray-700">
                   {dragActive ? 'Drop the file here' : 'Drag & drop or click to upload'}
                 </p>
-                <p className="text-xs text-gray-500 mt-1">PDF, PNG, JPG accepted</p>
+                <p className="text-xs text-gray-500 mt-1">{acceptHint}</p>
               </div>
             </label>
           )}
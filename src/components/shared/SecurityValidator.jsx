@@ -398,6 +398,32 @@ export class SecurityValidator {
     return { isValid: true };
   }
 
+  /**
+   * Validates file type for short inspection videos
+   * @param {File} file - File to validate
+   * @returns {object} - Validation result
+   */
+  static validateVideoFile(file) {
+    const allowedTypes = ['video/mp4', 'video/webm', 'video/quicktime'];
+    const maxSize = 50 * 1024 * 1024; // 50MB
+
+    if (!allowedTypes.includes(file.type)) {
+      return {
+        isValid: false,
+        error: 'Only MP4, WebM, and MOV videos are allowed'
+      };
+    }
+
+    if (file.size > maxSize) {
+      return {
+        isValid: false,
+        error: 'Video size must be less than 50MB'
+      };
+    }
+
+    return { isValid: true };
+  }
+
   // =============================================================================
   // DATE & TIME VALIDATION
   // =============================================================================
@@ -26,6 +26,7 @@ export default function TransactionCard({
     const statusColors = {
       offer_made: "bg-blue-100 text-blue-800",
       negotiating: "bg-yellow-100 text-yellow-800",
+      backup: "bg-slate-100 text-slate-800",
       accepted: "bg-green-100 text-green-800",
       payment_pending: "bg-orange-100 text-orange-800",
       in_escrow: "bg-purple-100 text-purple-800",
@@ -37,6 +38,7 @@ export default function TransactionCard({
     const statusLabels = {
       offer_made: "Offer Made",
       negotiating: "Negotiating", 
+      backup: "Backup Offer",
       accepted: "Accepted",
       payment_pending: "Payment Pending",
       in_escrow: "In Escrow",
@@ -19,11 +19,13 @@ import {
   ShieldCheck,
   Sparkles,
   Wand2,
-  RotateCcw
+  RotateCcw,
+  Gavel
 } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import LazyImage from './LazyImage';
 import { SecurityValidator } from './SecurityValidator';
+import AuctionTimer from '../auctions/AuctionTimer';
 
 export default function VehicleCard({ 
   vehicle, 
@@ -58,6 +60,7 @@ export default function VehicleCard({
   };
 
   const isPlatformCertified = vehicle.rc_verified && vehicle.inspection_score >= 85;
+  const isAuction = vehicle.listing_mode === 'auction' && vehicle.auction_status === 'active';
 
   // Check for AI-enhanced features
   const hasProcessedImages = vehicle.processed_image_urls && vehicle.processed_image_urls.length > 0;
@@ -158,6 +161,12 @@ export default function VehicleCard({
               Certified
             </Badge>
           )}
+          {isAuction && (
+            <Badge className="bg-amber-100 text-amber-800">
+              <Gavel className="w-3 h-3 mr-1" />
+              Auction
+            </Badge>
+          )}
         </div>
         
         {/* AI Enhancement Indicators */}
@@ -223,9 +232,22 @@ export default function VehicleCard({
             <h3 className="font-semibold text-lg truncate">
               {sanitizedVehicle.year || 'N/A'} {sanitizedVehicle.make || 'Unknown'} {sanitizedVehicle.model || 'Model'}
             </h3>
-            <div className="text-2xl font-bold text-blue-600">
-              {formatPrice(sanitizedVehicle.price)}
-            </div>
+            {isAuction ? (
+              <div>
+                <div className="text-2xl font-bold text-amber-700">
+                  {formatPrice(vehicle.auction_current_bid ?? vehicle.auction_start_price)}
+                </div>
+                <div className="flex items-center gap-2 text-xs text-gray-600">
+                  <span>{vehicle.auction_bid_count ? `${vehicle.auction_bid_count} bids` : 'Starting bid'}</span>
+                  <span>•</span>
+                  <AuctionTimer vehicle={vehicle} />
+                </div>
+              </div>
+            ) : (
+              <div className="text-2xl font-bold text-blue-600">
+                {formatPrice(sanitizedVehicle.price)}
+              </div>
+            )}
           </div>
           {renderMatchScore()}
         </div>
@@ -29,6 +29,7 @@ import {
 import CustomerModeSetupModal from '../dealshowcase/CustomerModeSetupModal';
 import ImageProcessingControls from './ImageProcessingControls';
 import { DataManager } from './DataManager';
+import AuctionBidPanel from '../auctions/AuctionBidPanel';
 
 export default function VehicleDetailPanel({ 
   vehicleId, 
@@ -131,7 +132,7 @@ export default function VehicleDetailPanel({
       t.buyer_id === currentDealer.id &&
       t.seller_id === vehicle.dealer_id &&
       t.vehicle_id === vehicle.id &&
-      ['offer_made', 'negotiating', 'pending_customer_view', 'accepted'].includes(t.status)
+      ['offer_made', 'negotiating', 'backup', 'pending_customer_view', 'accepted'].includes(t.status)
     );
 
     return hasExistingOffer;
@@ -293,8 +294,13 @@ export default function VehicleDetailPanel({
                 </div>
               )}
 
+              {/* Auction listings take bids instead of offers */}
+              {vehicle.listing_mode === 'auction' && (
+                <AuctionBidPanel vehicle={vehicle} currentDealer={currentDealer} onVehicleChange={setVehicle} />
+              )}
+
               {/* Offer Button */}
-              {viewContext === 'marketplace' && onMakeOffer && vehicle && vehicle.dealer_id !== currentDealer?.id && (
+              {viewContext === 'marketplace' && onMakeOffer && vehicle && vehicle.listing_mode !== 'auction' && vehicle.dealer_id !== currentDealer?.id && (
                   <Button
                       onClick={() => onMakeOffer(vehicle)}
                       className="w-full momentum-btn-accent mb-4"
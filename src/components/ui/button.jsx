@@ -3,9 +3,24 @@ import MuiButton from "@mui/material/Button";
 
 import { cn } from "@/lib/utils";
 
-const Button = React.forwardRef(({ className, variant = "contained", size = "medium", ...props }, ref) => (
-  <MuiButton ref={ref} variant={variant} size={size} className={cn(className)} {...props} />
-));
+// `asChild` renders the single child element (e.g. an <a>) with the button's styling
+const Button = React.forwardRef(({ className, variant = "contained", size = "medium", asChild = false, children, ...props }, ref) => {
+  if (asChild && React.isValidElement(children)) {
+    const { className: childClassName, ...childProps } = children.props;
+    return (
+      <MuiButton
+        ref={ref}
+        component={children.type}
+        variant={variant}
+        size={size}
+        className={cn(className, childClassName)}
+        {...props}
+        {...childProps}
+      />
+    );
+  }
+  return <MuiButton ref={ref} variant={variant} size={size} className={cn(className)} {...props}>{children}</MuiButton>;
+});
 
 Button.displayName = "Button";
 
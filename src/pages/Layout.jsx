@@ -43,7 +43,7 @@ export default function Layout({ children, currentPageName }) {
   const [unreadCount, setUnreadCount] = useState(0);
   const [showFeedbackModal, setShowFeedbackModal] = useState(false);
 
-  const noLayoutPages = ["Welcome", "SplashScreen", "DealerOnboarding", "OnboardingWizard", "ListingWizard"];
+  const noLayoutPages = ["Welcome", "SplashScreen", "DealerOnboarding", "OnboardingWizard", "ListingWizard", "VerifyDocument"];
 
   useEffect(() => {
     fetchUserData();
@@ -0,0 +1,218 @@
+import { encodeQrCode } from '@/utils/qrcode'
+
+// A small PDF writer for the documents we generate (invoices, agreements,
+// forms). It supports the two standard Helvetica faces, lines, boxes and QR
+// codes on A4 pages, which is all those layouts need, without a PDF
+// dependency.
+
+export const A4_WIDTH = 595
+export const A4_HEIGHT = 842
+
+export type PdfFont = 'regular' | 'bold'
+export type PdfAlign = 'left' | 'right' | 'center'
+
+export interface TextOptions {
+  size?: number
+  font?: PdfFont
+  align?: PdfAlign
+}
+
+// Advance widths of ASCII 32-126 in 1/1000 em, from the Adobe core font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+
+const FONT_RESOURCES: Record<PdfFont, string> = { regular: 'F1', bold: 'F2' }
+
+// The core fonts only cover WinAnsi; keep to printable ASCII so byte offsets
+// in the file stay equal to string lengths.
+export function toPdfText(value: unknown) {
+  return String(value ?? '')
+    .replace(/₹\s?/g, 'Rs. ')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7e]/g, '?')
+}
+
+export function textWidth(text: string, size: number, font: PdfFont = 'regular') {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const char of toPdfText(text)) {
+    total += widths[char.charCodeAt(0) - 32] ?? 556
+  }
+  return total * size / 1000
+}
+
+// Breaks text into lines no wider than `maxWidth`; long words are left whole.
+export function wrapText(text: string, maxWidth: number, size: number, font: PdfFont = 'regular') {
+  const lines: string[] = []
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && textWidth(candidate, size, font) > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+// Shortens text with an ellipsis so it fits a table column
+export function fitText(text: string, maxWidth: number, size: number, font: PdfFont = 'regular') {
+  let fitted = toPdfText(text)
+  if (textWidth(fitted, size, font) <= maxWidth) return fitted
+  while (fitted && textWidth(`${fitted}...`, size, font) > maxWidth) fitted = fitted.slice(0, -1)
+  return `${fitted.trimEnd()}...`
+}
+
+const escapeString = (text: string) => text.replace(/([\\()])/g, '\\$1')
+const num = (value: number) => Number(value.toFixed(2)).toString()
+
+/**
+ * Coordinates are in points from the top-left corner of the page, which is
+ * how layouts are written; they are flipped to PDF's bottom-left origin here.
+ */
+export class PdfDocument {
+  private pages: string[][] = []
+  private current: string[] = []
+
+  constructor() {
+    this.addPage()
+  }
+
+  addPage() {
+    this.current = []
+    this.pages.push(this.current)
+    return this
+  }
+
+  get pageCount() {
+    return this.pages.length
+  }
+
+  // Later drawing goes to an earlier page, e.g. to add page numbers at the end
+  goToPage(index: number) {
+    this.current = this.pages[index]
+    return this
+  }
+
+  text(x: number, y: number, value: unknown, { size = 10, font = 'regular', align = 'left' }: TextOptions = {}) {
+    const text = toPdfText(value)
+    const width = textWidth(text, size, font)
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x
+    this.current.push(`BT /${FONT_RESOURCES[font]} ${num(size)} Tf ${num(left)} ${num(A4_HEIGHT - y)} Td (${escapeString(text)}) Tj ET`)
+    return this
+  }
+
+  // Writes wrapped text and returns the y position below the last line
+  paragraph(x: number, y: number, value: unknown, maxWidth: number, options: TextOptions = {}) {
+    const size = options.size ?? 10
+    const lines = wrapText(toPdfText(value), maxWidth, size, options.font)
+    lines.forEach((line, index) => this.text(x, y + index * size * 1.3, line, options))
+    return y + lines.length * size * 1.3
+  }
+
+  line(x1: number, y1: number, x2: number, y2: number, width = 0.5) {
+    this.current.push(`${num(width)} w ${num(x1)} ${num(A4_HEIGHT - y1)} m ${num(x2)} ${num(A4_HEIGHT - y2)} l S`)
+    return this
+  }
+
+  rect(x: number, y: number, width: number, height: number, { fill }: { fill?: number } = {}) {
+    const box = `${num(x)} ${num(A4_HEIGHT - y - height)} ${num(width)} ${num(height)} re`
+    // `fill` is a grey level from 0 (black) to 1 (white)
+    this.current.push(fill === undefined ? `0.5 w ${box} S` : `${num(fill)} g ${box} f 0 g`)
+    return this
+  }
+
+  toString() {
+    const objects: string[] = []
+    const pageIds = this.pages.map((_, index) => 5 + index * 2)
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index]
+      const content = operations.join('\n')
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4_WIDTH} ${A4_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    })
+
+    let output = '%PDF-1.4\n'
+    const offsets: number[] = []
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`
+    }
+    const xrefOffset = output.length
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+    return output
+  }
+
+  toBlob() {
+    return new Blob([this.toString()], { type: 'application/pdf' })
+  }
+}
+
+// Writes "Page n of N" in the bottom margin of every page
+export function numberPages(pdf: PdfDocument, { y = A4_HEIGHT - 28, x = A4_WIDTH - 40 } = {}) {
+  for (let index = 0; index < pdf.pageCount; index++) {
+    pdf.goToPage(index).text(x, y, `Page ${index + 1} of ${pdf.pageCount}`, { size: 7, align: 'right' })
+  }
+  return pdf
+}
+
+// Draws a QR code `size` points square with its top left corner at (x, y).
+// Runs of dark modules in a row are drawn as one box.
+export function drawQrCode(pdf: PdfDocument, x: number, y: number, size: number, text: string) {
+  const modules = encodeQrCode(text)
+  const unit = size / modules.length
+  modules.forEach((row, rowIndex) => {
+    for (let start = 0; start < row.length; start++) {
+      if (!row[start]) continue
+      let end = start
+      while (end + 1 < row.length && row[end + 1]) end++
+      pdf.rect(x + start * unit, y + rowIndex * unit, (end - start + 1) * unit, unit, { fill: 0 })
+      start = end
+    }
+  })
+  return pdf
+}
+
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function downloadPdf(pdf: PdfDocument, filename: string) {
+  downloadBlob(pdf.toBlob(), filename)
+}
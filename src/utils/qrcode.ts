@@ -0,0 +1,334 @@
+// A QR code encoder for the verification links printed on our documents.
+// It covers byte mode at error correction level M in versions 1-10 (up to
+// 213 bytes), which is plenty for a URL, without a QR dependency. The steps
+// follow ISO/IEC 18004; see the sections named in the comments.
+
+const MAX_VERSION = 10
+
+// Per version, level M (table 9)
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]
+const ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5]
+
+// Level M in the two format bits (table 12)
+const LEVEL_M_BITS = 0
+
+export class QrCodeError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'QrCodeError'
+  }
+}
+
+const bit = (value: number, index: number) => ((value >>> index) & 1) !== 0
+
+// Codeword capacity of a version, before error correction is taken out
+function rawDataModules(version: number) {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2
+    result -= (25 * alignments - 10) * alignments - 55
+    if (version >= 7) result -= 36
+  }
+  return result
+}
+
+const dataCodewords = (version: number) =>
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+
+function alignmentPositions(version: number) {
+  if (version === 1) return []
+  const count = Math.floor(version / 7) + 2
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2
+  const positions = [6]
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position)
+  }
+  return positions
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x: number, y: number) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z & 0xff
+}
+
+function reedSolomonDivisor(degree: number) {
+  const result = new Array<number>(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < result.length) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+export function reedSolomonRemainder(data: number[], degree: number) {
+  const divisor = reedSolomonDivisor(degree)
+  const result = new Array<number>(degree).fill(0)
+  for (const byte of data) {
+    const factor = byte ^ (result.shift() as number)
+    result.push(0)
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor)
+    })
+  }
+  return result
+}
+
+// Mode indicator, length, data, terminator and padding (7.4)
+function encodeData(bytes: Uint8Array, version: number) {
+  const capacity = dataCodewords(version) * 8
+  const bits: number[] = []
+  const append = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+  append(0b0100, 4)
+  append(bytes.length, version < 10 ? 8 : 16)
+  bytes.forEach(byte => append(byte, 8))
+  append(0, Math.min(4, capacity - bits.length))
+  append(0, (8 - (bits.length % 8)) % 8)
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8)
+
+  const codewords: number[] = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, value) => (byte << 1) | value, 0))
+  }
+  return codewords
+}
+
+// Splits the data into blocks, adds error correction to each and
+// interleaves them (7.5, 7.6)
+function addErrorCorrection(data: number[], version: number) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version]
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version]
+  const rawCodewords = Math.floor(rawDataModules(version) / 8)
+  const shortBlocks = blockCount - (rawCodewords % blockCount)
+  const shortBlockLength = Math.floor(rawCodewords / blockCount)
+
+  const blocks: number[][] = []
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1)
+    const block = data.slice(offset, offset + length)
+    offset += length
+    const ecc = reedSolomonRemainder(block, eccLength)
+    // Short blocks get a placeholder so the columns line up
+    if (i < shortBlocks) block.push(-1)
+    blocks.push([...block, ...ecc])
+  }
+
+  const result: number[] = []
+  for (let i = 0; i < blocks[0].length; i++) {
+    for (const block of blocks) {
+      if (block[i] !== -1) result.push(block[i])
+    }
+  }
+  return result
+}
+
+const MASKS: ((x: number, y: number) => boolean)[] = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+]
+
+class QrMatrix {
+  readonly size: number
+  readonly modules: boolean[][]
+  private readonly reserved: boolean[][]
+
+  constructor(readonly version: number) {
+    this.size = version * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false))
+    this.reserved = Array.from({ length: this.size }, () => new Array<boolean>(this.size).fill(false))
+    this.drawFunctionPatterns()
+  }
+
+  private setFunction(x: number, y: number, dark: boolean) {
+    this.modules[y][x] = dark
+    this.reserved[y][x] = true
+  }
+
+  // Finder, timing and alignment patterns, and space for format and
+  // version information (6.3)
+  private drawFunctionPatterns() {
+    const { size } = this
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0)
+      this.setFunction(i, 6, i % 2 === 0)
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx
+          const y = cy + dy
+          const distance = Math.max(Math.abs(dx), Math.abs(dy))
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, distance !== 2 && distance !== 4)
+        }
+      }
+    }
+    const positions = alignmentPositions(this.version)
+    const last = positions.length - 1
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // Skip the three that would overlap the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+        }
+      }
+    }))
+    this.drawFormatBits(0)
+    this.drawVersion()
+  }
+
+  // Level and mask with their BCH code, in both copies (7.9)
+  drawFormatBits(mask: number) {
+    const { size } = this
+    const data = (LEVEL_M_BITS << 3) | mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((data << 10) | remainder) ^ 0x5412
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(bits, i))
+    this.setFunction(8, 7, bit(bits, 6))
+    this.setFunction(8, 8, bit(bits, 7))
+    this.setFunction(7, 8, bit(bits, 8))
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(bits, i))
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(bits, i))
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(bits, i))
+    this.setFunction(8, size - 8, true)
+  }
+
+  // Versions 7 and up carry their number with its BCH code (7.10)
+  private drawVersion() {
+    if (this.version < 7) return
+    let remainder = this.version
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25)
+    const bits = (this.version << 12) | remainder
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      this.setFunction(a, b, bit(bits, i))
+      this.setFunction(b, a, bit(bits, i))
+    }
+  }
+
+  // Zigzags up and down two-module columns from the bottom right (7.7.3)
+  drawCodewords(codewords: number[]) {
+    const { size } = this
+    let index = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vertical : vertical
+          if (!this.reserved[y][x] && index < codewords.length * 8) {
+            this.modules[y][x] = bit(codewords[index >>> 3], 7 - (index & 7))
+            index++
+          }
+        }
+      }
+    }
+  }
+
+  // Masks are their own inverse, so applying one twice undoes it
+  applyMask(mask: number) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  // Lower is better (7.8.3)
+  penalty() {
+    const { size, modules } = this
+    let score = 0
+    const line = (get: (i: number) => boolean) => {
+      let run = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(i) === get(i - 1)) {
+          run++
+        } else {
+          if (run >= 5) score += run - 2
+          run = 1
+        }
+      }
+      // Finder-like 1:1:3:1:1 with four light modules on one side
+      for (let i = 0; i + 11 <= size; i++) {
+        const pattern = Array.from({ length: 11 }, (_, k) => get(i + k))
+        const core = [true, false, true, true, true, false, true]
+        const light = (from: number) => pattern.slice(from, from + 4).every(value => !value)
+        if ((core.every((value, k) => pattern[k] === value) && light(7)) ||
+          (light(0) && core.every((value, k) => pattern[k + 4] === value))) {
+          score += 40
+        }
+      }
+    }
+    for (let i = 0; i < size; i++) {
+      line(x => modules[i][x])
+      line(y => modules[y][i])
+    }
+    let dark = 0
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++
+        if (x < size - 1 && y < size - 1) {
+          const colour = modules[y][x]
+          if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) score += 3
+        }
+      }
+    }
+    const total = size * size
+    score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+    return score
+  }
+}
+
+/**
+ * Encodes text as a QR code in the smallest version that fits, with the
+ * mask that scores best. Returns the modules row by row, `true` for dark.
+ */
+export function encodeQrCode(text: string) {
+  const bytes = new TextEncoder().encode(text)
+  let version = 1
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    version++
+  }
+  if (version > MAX_VERSION) throw new QrCodeError(`Text of ${bytes.length} bytes is too long for a QR code`)
+
+  const matrix = new QrMatrix(version)
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version))
+
+  let bestMask = 0
+  let bestPenalty = Infinity
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask)
+    matrix.drawFormatBits(mask)
+    const penalty = matrix.penalty()
+    if (penalty < bestPenalty) {
+      bestMask = mask
+      bestPenalty = penalty
+    }
+    matrix.applyMask(mask)
+  }
+  matrix.applyMask(bestMask)
+  matrix.drawFormatBits(bestMask)
+  return matrix.modules
+}
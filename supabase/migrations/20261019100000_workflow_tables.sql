@@ -0,0 +1,255 @@
+-- Tables and columns the transaction workflow relies on, added before any
+-- of the later migrations. Everything here is written from the browser, so
+-- row level security limits each table to the two dealers on the deal.
+
+create extension if not exists pgcrypto;
+
+-- `mutate` in src/api/entities.ts bumps this on every write and only writes
+-- when it still holds the value it read
+alter table "Transaction" add column if not exists version integer not null default 0;
+alter table "Vehicle" add column if not exists version integer not null default 0;
+
+-- The dealer whose offer is waiting on the other party
+alter table "Transaction" add column if not exists last_offer_by uuid;
+-- When the pending offer lapses; see src/api/offerExpiry.ts
+alter table "Transaction" add column if not exists offer_expires_at timestamptz;
+-- Position in the queue of backup offers; see src/api/offerQueue.ts
+alter table "Transaction" add column if not exists backup_rank integer;
+-- Escrow release, refunds and cancellation; see src/api/escrowRelease.ts
+alter table "Transaction" add column if not exists escrow_release_at timestamptz;
+alter table "Transaction" add column if not exists escrow_released_at timestamptz;
+alter table "Transaction" add column if not exists refund_request jsonb;
+alter table "Transaction" add column if not exists refunded_amount numeric not null default 0;
+alter table "Transaction" add column if not exists cancellation_reason text;
+alter table "Transaction" add column if not exists cancellation_fee numeric;
+-- Staged payments for high-value deals; see src/api/paymentSchedule.ts
+alter table "Transaction" add column if not exists payment_schedule jsonb;
+
+-- The part of a gateway payment that lands in escrow, net of the gateway's fee
+alter table "PaymentGateway" add column if not exists escrow_amount numeric;
+-- The payment_schedule milestone a payment settles
+alter table "PaymentGateway" add column if not exists milestone_id text;
+
+create or replace function is_transaction_party(p_transaction_id uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from "Transaction" t
+    join "Dealer" d on d.id in (t.buyer_id, t.seller_id)
+    where t.id = p_transaction_id and d.created_by = auth.email()
+  )
+$$;
+
+-- Negotiation history, one row per offer, counter-offer or answer
+create table if not exists "Offer" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  proposer_id uuid not null,
+  type text not null check (type in ('initial', 'counter', 'accept', 'reject', 'withdraw')),
+  amount numeric not null check (amount > 0),
+  conditions jsonb not null default '[]',
+  expires_at timestamptz,
+  -- The chat message an offer was rebuilt from, for deals negotiated before this table
+  legacy_message text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists offer_transaction_idx on "Offer" (transaction_id, created_at);
+
+alter table "Offer" enable row level security;
+
+create policy "Parties read offers" on "Offer" for select using (is_transaction_party(transaction_id));
+create policy "Parties make offers" on "Offer" for insert with check (is_transaction_party(transaction_id));
+
+-- Deal room chat. Rows are appended; only delivery and read receipts and
+-- attachment promotion change afterwards.
+create table if not exists "Message" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  -- A dealer id, or 'system' for workflow notices
+  sender_id text not null,
+  type text not null default 'text' check (type in ('text', 'system', 'attachment')),
+  body text not null default '',
+  attachments jsonb not null default '[]',
+  delivered_at timestamptz,
+  read_at timestamptz,
+  version integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists message_transaction_idx on "Message" (transaction_id, created_at desc);
+
+alter table "Message" enable row level security;
+
+create policy "Parties read messages" on "Message" for select using (is_transaction_party(transaction_id));
+create policy "Parties post messages" on "Message" for insert with check (is_transaction_party(transaction_id));
+create policy "Parties update messages" on "Message" for update using (is_transaction_party(transaction_id));
+
+-- The update policy above lets either party write a row, so this keeps
+-- their writes to setting receipts once and to the promotion fields of
+-- attachments. Sender, body and the files themselves never change.
+create or replace function message_attachment_files(p_attachments jsonb) returns jsonb
+language sql immutable as $$
+  select coalesce(jsonb_agg(
+    a.value - array['promotion_target', 'promotion_status', 'promotion_requested_by', 'promoted_at']
+    order by a.ordinality
+  ), '[]')
+  from jsonb_array_elements(coalesce(p_attachments, '[]')) with ordinality a
+$$;
+
+create or replace function guard_message_update() returns trigger
+language plpgsql as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if new.transaction_id is distinct from old.transaction_id
+    or new.sender_id is distinct from old.sender_id
+    or new.type is distinct from old.type
+    or new.body is distinct from old.body
+    or new.created_at is distinct from old.created_at then
+    raise exception 'Messages cannot be edited once posted';
+  end if;
+
+  if (old.delivered_at is not null and new.delivered_at is distinct from old.delivered_at)
+    or (old.read_at is not null and new.read_at is distinct from old.read_at) then
+    raise exception 'Receipts cannot be changed once set';
+  end if;
+
+  if message_attachment_files(new.attachments) is distinct from message_attachment_files(old.attachments) then
+    raise exception 'Only the listing promotion of an attachment can change';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_message_update on "Message";
+create trigger guard_message_update before update on "Message"
+  for each row execute function guard_message_update();
+
+-- Auction listings; see src/api/auctions.ts
+alter table "Vehicle" add column if not exists listing_mode text not null default 'fixed';
+alter table "Vehicle" add column if not exists auction_status text;
+alter table "Vehicle" add column if not exists auction_start_price numeric;
+alter table "Vehicle" add column if not exists auction_reserve_price numeric;
+alter table "Vehicle" add column if not exists auction_min_increment numeric;
+alter table "Vehicle" add column if not exists auction_start_at timestamptz;
+alter table "Vehicle" add column if not exists auction_end_at timestamptz;
+alter table "Vehicle" add column if not exists auction_current_bid numeric;
+alter table "Vehicle" add column if not exists auction_leader_id uuid;
+alter table "Vehicle" add column if not exists auction_bid_count integer not null default 0;
+alter table "Vehicle" add column if not exists auction_transaction_id uuid references "Transaction" (id);
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'vehicle_listing_mode_check') then
+    alter table "Vehicle" add constraint vehicle_listing_mode_check check (listing_mode in ('fixed', 'auction'));
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'vehicle_auction_status_check') then
+    alter table "Vehicle" add constraint vehicle_auction_status_check
+      check (auction_status in ('active', 'settled', 'unsold', 'cancelled'));
+  end if;
+end;
+$$;
+
+-- Bids on auction listings
+create table if not exists "AuctionBid" (
+  id uuid primary key default gen_random_uuid(),
+  vehicle_id uuid not null references "Vehicle" (id),
+  bidder_id uuid not null,
+  max_amount numeric not null check (max_amount > 0),
+  bid_amount numeric not null check (bid_amount > 0),
+  leading boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auction_bid_vehicle_idx on "AuctionBid" (vehicle_id, created_at desc);
+
+alter table "AuctionBid" enable row level security;
+
+create policy "Signed-in users read bids" on "AuctionBid" for select using (auth.role() = 'authenticated');
+create policy "Dealers place their own bids" on "AuctionBid" for insert
+  with check (exists (select 1 from "Dealer" d where d.id = bidder_id and d.created_by = auth.email()));
+
+-- Double-entry escrow ledger in whole rupees; lines are never changed
+create table if not exists "LedgerEntry" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  journal_id uuid not null,
+  entry_type text not null check (entry_type in ('funding', 'release', 'refund')),
+  account text not null check (account in ('buyer', 'escrow', 'seller', 'platform_fee', 'logistics')),
+  debit bigint not null default 0 check (debit >= 0),
+  credit bigint not null default 0 check (credit >= 0),
+  memo text,
+  reference text,
+  created_at timestamptz not null default now(),
+  check ((debit > 0) <> (credit > 0))
+);
+
+create index if not exists ledger_entry_transaction_idx on "LedgerEntry" (transaction_id, created_at);
+create index if not exists ledger_entry_reference_idx on "LedgerEntry" (transaction_id, entry_type, reference);
+
+alter table "LedgerEntry" enable row level security;
+
+create policy "Parties read the ledger" on "LedgerEntry" for select using (is_transaction_party(transaction_id));
+create policy "Parties post journals" on "LedgerEntry" for insert with check (is_transaction_party(transaction_id));
+
+-- Audit trail of escrow decisions shown in the deal room timeline
+create table if not exists "EscrowEvent" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  event_type text not null check (event_type in (
+    'delivery_confirmed', 'release_scheduled', 'released',
+    'refund_requested', 'refund_agreed', 'refund_declined', 'cancelled'
+  )),
+  amount numeric,
+  reason text not null default '',
+  actor text not null check (actor in ('buyer', 'seller', 'admin', 'system')),
+  actor_dealer_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists escrow_event_transaction_idx on "EscrowEvent" (transaction_id, created_at);
+
+alter table "EscrowEvent" enable row level security;
+
+create policy "Parties read escrow events" on "EscrowEvent" for select using (is_transaction_party(transaction_id));
+create policy "Parties record escrow events" on "EscrowEvent" for insert with check (is_transaction_party(transaction_id));
+
+-- Gateway webhooks already handled. The unique key is what makes a retried
+-- delivery a no-op.
+create table if not exists "PaymentWebhookEvent" (
+  id uuid primary key default gen_random_uuid(),
+  gateway text not null,
+  event_id text not null,
+  event_type text not null,
+  order_id text not null,
+  payload text not null,
+  received_at timestamptz not null default now(),
+  unique (gateway, event_id)
+);
+
+alter table "PaymentWebhookEvent" enable row level security;
+
+create policy "Signed-in users record webhooks" on "PaymentWebhookEvent" for insert with check (auth.role() = 'authenticated');
+create policy "Signed-in users read webhooks" on "PaymentWebhookEvent" for select using (auth.role() = 'authenticated');
+-- A failed event is deleted so the provider's retry is processed
+create policy "Signed-in users forget failed webhooks" on "PaymentWebhookEvent" for delete using (auth.role() = 'authenticated');
+
+-- The deal room and marketplace subscribe to these
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array['Message', 'Offer', 'Transaction', 'Vehicle'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = v_table
+    ) then
+      execute format('alter publication supabase_realtime add table %I', v_table);
+    end if;
+  end loop;
+end;
+$$;
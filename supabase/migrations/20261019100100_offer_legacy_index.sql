@@ -0,0 +1,8 @@
+-- Offers rebuilt from legacy chat are numbered in chat order. The unique key
+-- lets only one of two simultaneous migrations of a deal through; see
+-- `migrateLegacyOffers` in src/api/offers.ts.
+
+alter table "Offer" add column if not exists legacy_index integer;
+
+create unique index if not exists offer_legacy_index_key on "Offer" (transaction_id, legacy_index)
+  where legacy_index is not null;
@@ -0,0 +1,4 @@
+-- Marks deals whose legacy `messages` array has been copied into "Message";
+-- see `migrateLegacyMessages` in src/api/messages.ts.
+
+alter table "Transaction" add column if not exists messages_migrated_at timestamptz;
@@ -0,0 +1,35 @@
+-- Backing stores for the default providers in src/api/integrations.ts: the
+-- "EmailOutbox" table that SendEmail queues into, and the public "uploads"
+-- storage bucket behind UploadFile.
+
+-- Drained by the mail worker with the service role, which bypasses row level
+-- security. Clients may queue mail but never read it back, as the outbox
+-- holds other users' addresses and signing codes.
+create table if not exists "EmailOutbox" (
+  id uuid primary key default gen_random_uuid(),
+  "to" text not null,
+  subject text not null,
+  body text not null,
+  from_name text,
+  status text not null default 'queued' check (status in ('queued', 'sent', 'failed')),
+  queued_at timestamptz not null default now(),
+  sent_at timestamptz,
+  error text
+);
+
+create index if not exists email_outbox_status_idx on "EmailOutbox" (status, queued_at);
+
+alter table "EmailOutbox" enable row level security;
+
+drop policy if exists "Signed-in users queue email" on "EmailOutbox";
+create policy "Signed-in users queue email" on "EmailOutbox" for insert
+  with check (auth.role() = 'authenticated' and status = 'queued');
+
+-- Files are served through public URLs, so only uploads need a policy
+insert into storage.buckets (id, name, public)
+values ('uploads', 'uploads', true)
+on conflict (id) do nothing;
+
+drop policy if exists "Signed-in users upload files" on storage.objects;
+create policy "Signed-in users upload files" on storage.objects for insert
+  to authenticated with check (bucket_id = 'uploads');
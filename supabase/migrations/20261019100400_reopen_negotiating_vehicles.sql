@@ -0,0 +1,17 @@
+-- Vehicles stay live while offers are negotiated, and only move to
+-- in_transaction when one is accepted (see `acceptOffer` in
+-- src/api/offerQueue.ts). The previous flow took the vehicle off the
+-- marketplace on the first offer, which would leave negotiations open at
+-- deploy time unable ever to be accepted. Put those vehicles back.
+
+update "Vehicle" v
+set status = 'live'
+where v.status = 'in_transaction'
+  and exists (
+    select 1 from "Transaction" t
+    where t.vehicle_id = v.id and t.status in ('offer_made', 'negotiating')
+  )
+  and not exists (
+    select 1 from "Transaction" t
+    where t.vehicle_id = v.id and t.status in ('accepted', 'payment_pending', 'in_escrow', 'in_transit', 'completed')
+  );
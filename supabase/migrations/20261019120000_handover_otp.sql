@@ -0,0 +1,151 @@
+-- Vehicle handover codes. Codes are generated and checked here, inside the
+-- database, so the browser never sees a stored code or its hash: clients
+-- have no access to "HandoverOtp" and go through the two functions below.
+
+create extension if not exists pgcrypto;
+
+create table if not exists "HandoverOtp" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  failed_attempts integer not null default 0,
+  used_at timestamptz,
+  -- Set when a newer code replaces it or too many wrong guesses burn it
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists handover_otp_transaction_idx on "HandoverOtp" (transaction_id, created_at desc);
+
+alter table "HandoverOtp" enable row level security;
+-- No policies: only the security definer functions below read or write it.
+
+-- Proof of delivery, readable by both parties to the deal
+create table if not exists "HandoverProof" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null unique,
+  booking_id uuid,
+  otp_id uuid not null references "HandoverOtp" (id),
+  verified_by_dealer_id uuid not null,
+  handed_over_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+alter table "HandoverProof" enable row level security;
+
+create policy "Parties read their handover proof" on "HandoverProof" for select using (
+  exists (
+    select 1 from "Transaction" t
+    join "Dealer" d on d.id in (t.buyer_id, t.seller_id)
+    where t.id = "HandoverProof".transaction_id and d.created_by = auth.email()
+  )
+);
+
+create or replace function caller_dealer_id() returns uuid
+language sql stable security definer set search_path = public as $$
+  select id from "Dealer" where created_by = auth.email() limit 1
+$$;
+
+-- Issues a fresh six-digit code to the buyer, replacing any earlier one.
+-- Codes last 30 minutes and a new one can be requested once a minute.
+create or replace function issue_handover_otp(p_transaction_id uuid)
+returns table (code text, expires_at timestamptz)
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_transaction "Transaction"%rowtype;
+  v_code text;
+  v_expires_at timestamptz := now() + interval '30 minutes';
+begin
+  select * into v_transaction from "Transaction" where id = p_transaction_id;
+  if not found then
+    raise exception 'Transaction not found';
+  end if;
+  if v_transaction.buyer_id is distinct from caller_dealer_id() then
+    raise exception 'Only the buyer can receive the handover code';
+  end if;
+  if coalesce(v_transaction.transport_status, '') not in ('picked_up', 'in_transit') then
+    raise exception 'A handover code is only available while the vehicle is on its way';
+  end if;
+  if exists (select 1 from "HandoverProof" where transaction_id = p_transaction_id) then
+    raise exception 'This vehicle has already been handed over';
+  end if;
+  if exists (
+    select 1 from "HandoverOtp"
+    where transaction_id = p_transaction_id and created_at > now() - interval '1 minute'
+  ) then
+    raise exception 'Please wait a minute before requesting another code';
+  end if;
+
+  update "HandoverOtp" set revoked_at = now()
+  where transaction_id = p_transaction_id and used_at is null and revoked_at is null;
+
+  -- 32 random bits from the CSPRNG; the modulo bias is below one in 4000
+  v_code := lpad(((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint) % 1000000)::text, 6, '0');
+
+  insert into "HandoverOtp" (transaction_id, code_hash, expires_at)
+  values (p_transaction_id, crypt(v_code, gen_salt('bf', 8)), v_expires_at);
+
+  return query select v_code, v_expires_at;
+end;
+$$;
+
+-- Checks a code entered at drop-off. Wrong guesses are counted in the same
+-- call and returned rather than raised, so the count is not rolled back;
+-- the fifth wrong guess burns the code and the buyer has to request a new one.
+create or replace function verify_handover_otp(p_transaction_id uuid, p_code text)
+returns jsonb
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_transaction "Transaction"%rowtype;
+  v_dealer_id uuid := caller_dealer_id();
+  v_otp "HandoverOtp"%rowtype;
+  v_proof_id uuid;
+  v_max_attempts constant integer := 5;
+begin
+  select * into v_transaction from "Transaction" where id = p_transaction_id;
+  if not found then
+    raise exception 'Transaction not found';
+  end if;
+  if v_transaction.seller_id is distinct from v_dealer_id then
+    raise exception 'Only the seller''s side can record the handover';
+  end if;
+
+  select * into v_otp from "HandoverOtp"
+  where transaction_id = p_transaction_id and used_at is null and revoked_at is null
+  order by created_at desc
+  limit 1
+  for update;
+
+  if not found then
+    return jsonb_build_object('status', 'no_active_code');
+  end if;
+  if v_otp.expires_at <= now() then
+    update "HandoverOtp" set revoked_at = now() where id = v_otp.id;
+    return jsonb_build_object('status', 'expired');
+  end if;
+
+  if crypt(coalesce(p_code, ''), v_otp.code_hash) <> v_otp.code_hash then
+    update "HandoverOtp"
+    set failed_attempts = failed_attempts + 1,
+        revoked_at = case when failed_attempts + 1 >= v_max_attempts then now() end
+    where id = v_otp.id;
+    if v_otp.failed_attempts + 1 >= v_max_attempts then
+      return jsonb_build_object('status', 'locked');
+    end if;
+    return jsonb_build_object('status', 'invalid', 'attempts_left', v_max_attempts - v_otp.failed_attempts - 1);
+  end if;
+
+  update "HandoverOtp" set used_at = now() where id = v_otp.id;
+  insert into "HandoverProof" (transaction_id, booking_id, otp_id, verified_by_dealer_id)
+  values (p_transaction_id, v_transaction.transport_booking_id, v_otp.id, v_dealer_id)
+  returning id into v_proof_id;
+
+  return jsonb_build_object('status', 'verified', 'proof_id', v_proof_id);
+end;
+$$;
+
+revoke all on function issue_handover_otp(uuid) from public;
+revoke all on function verify_handover_otp(uuid, text) from public;
+grant execute on function issue_handover_otp(uuid) to authenticated;
+grant execute on function verify_handover_otp(uuid, text) to authenticated;
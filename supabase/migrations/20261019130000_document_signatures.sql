@@ -0,0 +1,277 @@
+-- Electronic signatures on deal documents. A signer asks for a one-time code,
+-- which goes straight from here to the email outbox at their login address,
+-- and signs by entering it. Each signature is an immutable row binding the
+-- signer, the time and the SHA-256 of the document data they signed.
+
+create extension if not exists pgcrypto;
+
+create table if not exists "DocumentSigningOtp" (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null,
+  dealer_id uuid not null,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  failed_attempts integer not null default 0,
+  used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists document_signing_otp_document_idx on "DocumentSigningOtp" (document_id, dealer_id, created_at desc);
+
+alter table "DocumentSigningOtp" enable row level security;
+-- No policies: only the security definer functions below read or write it.
+
+create table if not exists "DocumentSignature" (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null,
+  transaction_id uuid not null,
+  party text not null check (party in ('seller', 'buyer')),
+  signer_dealer_id uuid not null,
+  signer_name text,
+  signer_email text not null,
+  document_hash text not null,
+  otp_id uuid not null references "DocumentSigningOtp" (id),
+  -- Millisecond precision, so the timestamp reads back exactly as hashed
+  signed_at timestamptz not null,
+  -- SHA-256 of document_signature_payload(); lets anyone holding the row
+  -- check that none of the fields above were changed
+  signature_hash text not null,
+  created_at timestamptz not null default now(),
+  unique (document_id, party)
+);
+
+alter table "DocumentSignature" enable row level security;
+
+create policy "Parties read signatures on their deals" on "DocumentSignature" for select using (
+  exists (
+    select 1 from "Transaction" t
+    join "Dealer" d on d.id in (t.buyer_id, t.seller_id)
+    where t.id = "DocumentSignature".transaction_id and d.created_by = auth.email()
+  )
+);
+
+-- Mirrors `signaturePayload` in src/api/documentSignatures.ts
+create or replace function document_signature_payload(
+  p_document_id uuid, p_party text, p_dealer_id uuid, p_email text, p_document_hash text, p_signed_at timestamptz
+) returns text
+language sql immutable as $$
+  select concat_ws('|',
+    p_document_id::text, p_party, p_dealer_id::text, lower(p_email), p_document_hash,
+    to_char(p_signed_at at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+  )
+$$;
+
+-- The side of the deal the caller signs for, or null if they are not a party
+create or replace function caller_document_party(p_document_id uuid)
+returns table (party text, transaction_id uuid, dealer_id uuid)
+language sql stable security definer set search_path = public as $$
+  select
+    case caller_dealer_id() when t.seller_id then 'seller' when t.buyer_id then 'buyer' end,
+    t.id,
+    caller_dealer_id()
+  from "DigitalDocument" doc
+  join "Transaction" t on t.id = doc.transaction_id
+  where doc.id = p_document_id
+$$;
+
+-- Emails a fresh six-digit code to the calling signer, replacing any earlier
+-- one. Codes last 10 minutes and a new one can be requested once a minute.
+-- Only the expiry is returned; the code itself never reaches the browser.
+create or replace function issue_signing_otp(p_document_id uuid)
+returns table (sent_to text, expires_at timestamptz)
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_signer record;
+  v_document "DigitalDocument"%rowtype;
+  v_code text;
+  v_expires_at timestamptz := now() + interval '10 minutes';
+begin
+  select * into v_document from "DigitalDocument" where id = p_document_id;
+  if not found then
+    raise exception 'Document not found';
+  end if;
+  select * into v_signer from caller_document_party(p_document_id);
+  if v_signer.party is null then
+    raise exception 'Only the buyer and seller can sign this document';
+  end if;
+  if v_document.legal_validity = 'executed' then
+    raise exception 'This document has already been executed';
+  end if;
+  if exists (select 1 from "DocumentSignature" where document_id = p_document_id and party = v_signer.party) then
+    raise exception 'You have already signed this document';
+  end if;
+  if exists (
+    select 1 from "DocumentSigningOtp"
+    where document_id = p_document_id and dealer_id = v_signer.dealer_id and created_at > now() - interval '1 minute'
+  ) then
+    raise exception 'Please wait a minute before requesting another code';
+  end if;
+
+  update "DocumentSigningOtp" set revoked_at = now()
+  where document_id = p_document_id and dealer_id = v_signer.dealer_id and used_at is null and revoked_at is null;
+
+  v_code := lpad(((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint) % 1000000)::text, 6, '0');
+
+  insert into "DocumentSigningOtp" (document_id, dealer_id, code_hash, expires_at)
+  values (p_document_id, v_signer.dealer_id, crypt(v_code, gen_salt('bf', 8)), v_expires_at);
+
+  insert into "EmailOutbox" ("to", subject, body, status, queued_at)
+  values (
+    auth.email(),
+    'Your signing code',
+    format(
+      'Your code to sign document %s is %s. It expires in 10 minutes. If you did not ask to sign this document, ignore this email.',
+      v_document.document_data ->> 'documentNumber', v_code
+    ),
+    'queued',
+    now()
+  );
+
+  return query select auth.email()::text, v_expires_at;
+end;
+$$;
+
+-- Signs the document with the caller's code. `p_document_hash` is the hash
+-- the signer's browser computed over the data it showed them; if the stored
+-- document no longer matches it nothing is signed. Wrong codes are counted
+-- and returned rather than raised, as in verify_handover_otp.
+create or replace function sign_document(p_document_id uuid, p_code text, p_document_hash text)
+returns jsonb
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_signer record;
+  v_document "DigitalDocument"%rowtype;
+  v_otp "DocumentSigningOtp"%rowtype;
+  v_dealer "Dealer"%rowtype;
+  v_signed_at timestamptz := date_trunc('milliseconds', now());
+  v_signature_id uuid;
+  v_executed boolean;
+  v_max_attempts constant integer := 5;
+begin
+  select * into v_document from "DigitalDocument" where id = p_document_id for update;
+  if not found then
+    raise exception 'Document not found';
+  end if;
+  select * into v_signer from caller_document_party(p_document_id);
+  if v_signer.party is null then
+    raise exception 'Only the buyer and seller can sign this document';
+  end if;
+  if v_document.legal_validity = 'executed' then
+    raise exception 'This document has already been executed';
+  end if;
+  if v_document.document_hash is distinct from p_document_hash then
+    return jsonb_build_object('status', 'document_changed');
+  end if;
+
+  select * into v_otp from "DocumentSigningOtp"
+  where document_id = p_document_id and dealer_id = v_signer.dealer_id and used_at is null and revoked_at is null
+  order by created_at desc
+  limit 1
+  for update;
+
+  if not found then
+    return jsonb_build_object('status', 'no_active_code');
+  end if;
+  if v_otp.expires_at <= now() then
+    update "DocumentSigningOtp" set revoked_at = now() where id = v_otp.id;
+    return jsonb_build_object('status', 'expired');
+  end if;
+  if v_otp.code_hash <> crypt(p_code, v_otp.code_hash) then
+    update "DocumentSigningOtp"
+    set failed_attempts = failed_attempts + 1,
+        revoked_at = case when failed_attempts + 1 >= v_max_attempts then now() end
+    where id = v_otp.id;
+    if v_otp.failed_attempts + 1 >= v_max_attempts then
+      return jsonb_build_object('status', 'locked');
+    end if;
+    return jsonb_build_object('status', 'invalid', 'attempts_left', v_max_attempts - v_otp.failed_attempts - 1);
+  end if;
+
+  update "DocumentSigningOtp" set used_at = now() where id = v_otp.id;
+  select * into v_dealer from "Dealer" where id = v_signer.dealer_id;
+
+  insert into "DocumentSignature" (
+    document_id, transaction_id, party, signer_dealer_id, signer_name, signer_email,
+    document_hash, otp_id, signed_at, signature_hash
+  ) values (
+    p_document_id, v_signer.transaction_id, v_signer.party, v_signer.dealer_id, v_dealer.business_name, lower(auth.email()),
+    p_document_hash, v_otp.id, v_signed_at,
+    encode(digest(document_signature_payload(
+      p_document_id, v_signer.party, v_signer.dealer_id, auth.email(), p_document_hash, v_signed_at
+    ), 'sha256'), 'hex')
+  )
+  returning id into v_signature_id;
+
+  -- Executed once both sides have signed this exact version
+  v_executed := (
+    select count(distinct party) = 2 from "DocumentSignature"
+    where document_id = p_document_id and document_hash = v_document.document_hash
+  );
+
+  if v_signer.party = 'seller' then
+    update "DigitalDocument"
+    set signed_by_seller = true, seller_signature_timestamp = v_signed_at,
+        legal_validity = case when v_executed then 'executed' else legal_validity end
+    where id = p_document_id;
+  else
+    update "DigitalDocument"
+    set signed_by_buyer = true, buyer_signature_timestamp = v_signed_at,
+        legal_validity = case when v_executed then 'executed' else legal_validity end
+    where id = p_document_id;
+  end if;
+
+  return jsonb_build_object(
+    'status', 'signed', 'signature_id', v_signature_id, 'party', v_signer.party, 'executed', v_executed
+  );
+end;
+$$;
+
+-- Signing flags and execution can only follow from signature rows, so a
+-- client updating "DigitalDocument" directly cannot mark it signed.
+create or replace function guard_document_signing() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.signed_by_seller is true and old.signed_by_seller is not true and not exists (
+    select 1 from "DocumentSignature" where document_id = new.id and party = 'seller'
+  ) then
+    raise exception 'The seller has not signed this document';
+  end if;
+  if new.signed_by_buyer is true and old.signed_by_buyer is not true and not exists (
+    select 1 from "DocumentSignature" where document_id = new.id and party = 'buyer'
+  ) then
+    raise exception 'The buyer has not signed this document';
+  end if;
+  if new.legal_validity = 'executed' and old.legal_validity is distinct from 'executed' and (
+    select count(distinct party) from "DocumentSignature"
+    where document_id = new.id and document_hash = new.document_hash
+  ) < 2 then
+    raise exception 'A document is executed only once both parties have signed it';
+  end if;
+  if exists (select 1 from "DocumentSignature" where document_id = new.id) and (
+    new.document_hash is distinct from old.document_hash or new.document_data is distinct from old.document_data
+  ) then
+    raise exception 'A signed document cannot be changed';
+  end if;
+  return new;
+end;
+$$;
+
+-- Signing used to be a button that set these flags directly. Nothing backs
+-- those signatures, so the documents go back to draft to be signed again.
+update "DigitalDocument"
+set signed_by_seller = false, seller_signature_timestamp = null,
+    signed_by_buyer = false, buyer_signature_timestamp = null,
+    legal_validity = 'draft'
+where not exists (select 1 from "DocumentSignature" s where s.document_id = "DigitalDocument".id)
+  and (signed_by_seller or signed_by_buyer or legal_validity = 'executed');
+
+drop trigger if exists guard_document_signing on "DigitalDocument";
+create trigger guard_document_signing before update on "DigitalDocument"
+for each row execute function guard_document_signing();
+
+revoke all on function issue_signing_otp(uuid) from public;
+revoke all on function sign_document(uuid, text, text) from public;
+revoke all on function caller_document_party(uuid) from public;
+grant execute on function issue_signing_otp(uuid) to authenticated;
+grant execute on function sign_document(uuid, text, text) to authenticated;
@@ -0,0 +1,123 @@
+-- Public verification of deal documents. Anyone holding a document number or
+-- the hash printed in a document's QR code can check it without signing in.
+-- Callers only get what the function returns: party names and identifiers
+-- are masked and signer emails are not included.
+
+create extension if not exists pgcrypto;
+
+-- Mirrors `canonicalJson` in src/api/dealDocuments.ts: object keys sorted at
+-- every level, no whitespace
+create or replace function canonical_json(p_value jsonb) returns text
+language plpgsql immutable as $$
+begin
+  case jsonb_typeof(p_value)
+    when 'object' then
+      return '{' || coalesce((
+        select string_agg(to_jsonb(key)::text || ':' || canonical_json(value), ',' order by key collate "C")
+        from jsonb_each(p_value)
+      ), '') || '}';
+    when 'array' then
+      return '[' || coalesce((
+        select string_agg(canonical_json(value), ',' order by ordinality)
+        from jsonb_array_elements(p_value) with ordinality
+      ), '') || ']';
+    else
+      return p_value::text;
+  end case;
+end;
+$$;
+
+-- Keeps the first two characters of each word: "Sharma Motors" -> "Sh**** Mo****"
+create or replace function mask_words(p_value text) returns text
+language sql immutable as $$
+  select string_agg(left(word, 2) || repeat('*', greatest(length(word) - 2, 0)), ' ' order by position)
+  from regexp_split_to_table(nullif(trim(p_value), ''), '\s+') with ordinality as words(word, position)
+$$;
+
+-- Keeps the first two and last three characters: "27ABCDE1234F1Z5" -> "27**********1Z5"
+create or replace function mask_identifier(p_value text) returns text
+language sql immutable as $$
+  select case
+    when nullif(trim(p_value), '') is null then null
+    when length(p_value) <= 5 then repeat('*', length(p_value))
+    else left(p_value, 2) || repeat('*', length(p_value) - 5) || right(p_value, 3)
+  end
+$$;
+
+-- Finds a document by the hash of its data, the hash of its PDF or its
+-- document number (the latest, if a number was issued more than once), and
+-- reports whether its data still matches the recorded hash and which
+-- signatures on it are valid.
+create or replace function verify_public_document(p_reference text)
+returns jsonb
+language plpgsql stable security definer set search_path = public as $$
+declare
+  v_reference text := trim(coalesce(p_reference, ''));
+  v_document "DigitalDocument"%rowtype;
+  v_data jsonb;
+  v_computed_hash text;
+  v_signatures jsonb;
+begin
+  if v_reference = '' then
+    return jsonb_build_object('found', false);
+  end if;
+
+  if v_reference ~* '^[0-9a-f]{64}$' then
+    select * into v_document from "DigitalDocument"
+    where document_hash = lower(v_reference) or file_hash = lower(v_reference)
+    order by created_at desc
+    limit 1;
+  else
+    select * into v_document from "DigitalDocument"
+    where upper(document_data ->> 'documentNumber') = upper(v_reference)
+    order by created_at desc
+    limit 1;
+  end if;
+
+  if not found then
+    return jsonb_build_object('found', false);
+  end if;
+
+  v_data := v_document.document_data;
+  v_computed_hash := encode(digest(canonical_json(v_data), 'sha256'), 'hex');
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'party', s.party,
+    'signer_name', mask_words(s.signer_name),
+    'signed_at', s.signed_at,
+    'valid', s.document_hash = v_computed_hash and s.signature_hash = encode(digest(document_signature_payload(
+      s.document_id, s.party, s.signer_dealer_id, s.signer_email, s.document_hash, s.signed_at
+    ), 'sha256'), 'hex')
+  ) order by s.signed_at), '[]'::jsonb)
+  into v_signatures
+  from "DocumentSignature" s
+  where s.document_id = v_document.id;
+
+  return jsonb_build_object(
+    'found', true,
+    'document_type', v_document.document_type,
+    'document_number', v_data ->> 'documentNumber',
+    'generated_at', v_document.generated_at,
+    'legal_validity', v_document.legal_validity,
+    'amount', (v_data #>> '{transaction,finalAmount}')::numeric,
+    'vehicle', nullif(concat_ws(' ', v_data #>> '{vehicle,year}', v_data #>> '{vehicle,make}', v_data #>> '{vehicle,model}'), ''),
+    'registration_number', mask_identifier(v_data #>> '{vehicle,registrationNumber}'),
+    'seller', jsonb_build_object(
+      'name', mask_words(v_data #>> '{seller,businessName}'),
+      'city', v_data #>> '{seller,city}',
+      'gstin', mask_identifier(v_data #>> '{seller,gstin}')
+    ),
+    'buyer', jsonb_build_object(
+      'name', mask_words(v_data #>> '{buyer,businessName}'),
+      'city', v_data #>> '{buyer,city}',
+      'gstin', mask_identifier(v_data #>> '{buyer,gstin}')
+    ),
+    'recorded_hash', v_document.document_hash,
+    'hash_matches', v_computed_hash = v_document.document_hash,
+    'signatures', v_signatures
+  );
+end;
+$$;
+
+revoke all on function verify_public_document(text) from public;
+grant execute on function verify_public_document(text) to anon, authenticated;
@@ -0,0 +1,39 @@
+-- Dealers' own layouts for deal documents. Each save is a new, numbered
+-- version and versions are never changed or removed, so a document's
+-- template_version_id always points at exactly what it was rendered with.
+
+create table if not exists "DocumentTemplateVersion" (
+  id uuid primary key default gen_random_uuid(),
+  dealer_id uuid not null,
+  document_type text not null check (document_type in ('sale_agreement', 'receipt', 'delivery_receipt')),
+  version integer not null check (version > 0),
+  template jsonb not null,
+  note text,
+  created_by text default auth.email(),
+  created_at timestamptz not null default now(),
+  unique (dealer_id, document_type, version)
+);
+
+alter table "DocumentTemplateVersion" enable row level security;
+
+-- Templates are printed on every document made from them, so either party
+-- to a deal may need one to re-render a document
+create policy "Signed-in users read templates" on "DocumentTemplateVersion" for select
+  using (auth.role() = 'authenticated');
+
+create policy "Dealers add versions of their own templates" on "DocumentTemplateVersion" for insert
+  with check (exists (select 1 from "Dealer" d where d.id = dealer_id and d.created_by = auth.email()));
+
+create or replace function prevent_template_version_change() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'Template versions cannot be changed; save a new version instead';
+end;
+$$;
+
+drop trigger if exists prevent_template_version_change on "DocumentTemplateVersion";
+create trigger prevent_template_version_change before update or delete on "DocumentTemplateVersion"
+for each row execute function prevent_template_version_change();
+
+alter table "DigitalDocument"
+  add column if not exists template_version_id uuid references "DocumentTemplateVersion" (id);
@@ -0,0 +1,280 @@
+-- Auction bidding and settlement run here rather than in the browser. Proxy
+-- maximums live in "AuctionProxy", which clients cannot read, so neither the
+-- Vehicle row broadcast to the marketplace nor the bid history gives away
+-- how high the leader will go. Clients place bids and settle auctions
+-- through the functions below, and a trigger stops them writing the bidding
+-- columns on "Vehicle" directly.
+
+create table if not exists "AuctionProxy" (
+  vehicle_id uuid not null references "Vehicle" (id),
+  bidder_id uuid not null,
+  max_amount numeric not null check (max_amount > 0),
+  updated_at timestamptz not null default now(),
+  primary key (vehicle_id, bidder_id)
+);
+
+alter table "AuctionProxy" enable row level security;
+-- No policies: only the security definer functions below read or write it.
+
+-- Carry over maximums from bids placed before this migration
+insert into "AuctionProxy" (vehicle_id, bidder_id, max_amount)
+select b.vehicle_id, b.bidder_id, max(b.max_amount)
+from "AuctionBid" b
+join "Vehicle" v on v.id = b.vehicle_id and v.auction_status = 'active'
+group by b.vehicle_id, b.bidder_id
+on conflict do nothing;
+
+alter table "AuctionBid" drop column if exists max_amount;
+alter table "Vehicle" drop column if exists auction_leader_max;
+
+drop policy if exists "Dealers place their own bids" on "AuctionBid";
+
+create or replace function format_lakhs(p_amount numeric) returns text
+language sql immutable as $$
+  select '₹' || to_char(coalesce(p_amount, 0) / 100000.0, 'FM999999990.0') || 'L'
+$$;
+
+-- Clients may start an auction (with the bidding columns cleared) and cancel
+-- one without bids; everything else about a running auction changes only
+-- through `place_auction_bid` and `settle_auction`.
+create or replace function guard_vehicle_auction() returns trigger
+language plpgsql as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if new.auction_status = 'active' and old.auction_status is distinct from 'active' then
+    if new.auction_current_bid is not null or new.auction_leader_id is not null
+      or coalesce(new.auction_bid_count, 0) <> 0 or new.auction_transaction_id is not null then
+      raise exception 'A new auction must start without bids';
+    end if;
+    return new;
+  end if;
+
+  if new.auction_current_bid is distinct from old.auction_current_bid
+    or new.auction_leader_id is distinct from old.auction_leader_id
+    or new.auction_bid_count is distinct from old.auction_bid_count
+    or new.auction_transaction_id is distinct from old.auction_transaction_id then
+    raise exception 'Bids can only be placed through place_auction_bid';
+  end if;
+
+  if old.auction_status in ('active', 'settled') and new.auction_status is distinct from old.auction_status
+    and not (old.auction_status = 'active' and new.auction_status = 'cancelled' and coalesce(old.auction_bid_count, 0) = 0) then
+    raise exception 'Auctions with bids are settled through settle_auction';
+  end if;
+
+  if old.auction_status = 'active' and (
+    new.auction_end_at is distinct from old.auction_end_at
+    or new.auction_reserve_price is distinct from old.auction_reserve_price
+    or new.auction_min_increment is distinct from old.auction_min_increment
+    or (new.listing_mode is distinct from old.listing_mode and new.auction_status = 'active')
+  ) then
+    raise exception 'A running auction cannot be changed';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_vehicle_auction on "Vehicle";
+create trigger guard_vehicle_auction before update on "Vehicle"
+for each row execute function guard_vehicle_auction();
+
+-- Places a proxy bid for the calling dealer. The visible price only rises
+-- one increment above the runner-up, jumps to the reserve once a proxy
+-- covers it, and a tie goes to whoever bid first. Bids in the closing window
+-- push the end time out (anti-sniping).
+create or replace function place_auction_bid(p_vehicle_id uuid, p_max_amount numeric)
+returns jsonb
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_bidder uuid := caller_dealer_id();
+  v_vehicle "Vehicle"%rowtype;
+  v_now timestamptz := now();
+  v_increment numeric;
+  v_reserve numeric;
+  v_minimum numeric;
+  v_previous_leader uuid;
+  v_leader uuid;
+  v_leader_max numeric;
+  v_current numeric;
+  v_leading boolean;
+  v_extension interval;
+  v_end_at timestamptz;
+begin
+  if v_bidder is null then
+    raise exception 'Only dealers can bid';
+  end if;
+  if p_max_amount is null or p_max_amount <= 0 then
+    raise exception 'Invalid bid amount: %', p_max_amount;
+  end if;
+
+  select * into v_vehicle from "Vehicle" where id = p_vehicle_id for update;
+  if not found then
+    raise exception 'Vehicle not found';
+  end if;
+  if v_vehicle.listing_mode is distinct from 'auction' or v_vehicle.auction_status is distinct from 'active'
+    or v_now < v_vehicle.auction_start_at or v_now >= v_vehicle.auction_end_at then
+    raise exception 'This auction is not accepting bids';
+  end if;
+  if v_vehicle.dealer_id = v_bidder then
+    raise exception 'You cannot bid on your own vehicle';
+  end if;
+
+  -- Proxies left over from an earlier auction of the same vehicle
+  if coalesce(v_vehicle.auction_bid_count, 0) = 0 then
+    delete from "AuctionProxy" where vehicle_id = p_vehicle_id;
+  end if;
+
+  v_increment := coalesce(v_vehicle.auction_min_increment, 0);
+  v_reserve := coalesce(v_vehicle.auction_reserve_price, 0);
+  v_previous_leader := v_vehicle.auction_leader_id;
+  v_leader := v_previous_leader;
+  select max_amount into v_leader_max from "AuctionProxy"
+  where vehicle_id = p_vehicle_id and bidder_id = v_previous_leader;
+  v_leader_max := coalesce(v_leader_max, 0);
+
+  if v_previous_leader = v_bidder then
+    if p_max_amount <= v_leader_max then
+      raise exception 'Your maximum bid is already %', format_lakhs(v_leader_max);
+    end if;
+    v_current := coalesce(v_vehicle.auction_current_bid, 0);
+    if p_max_amount >= v_reserve then v_current := greatest(v_current, v_reserve); end if;
+    v_leading := true;
+  else
+    v_minimum := case
+      when v_vehicle.auction_current_bid is null then coalesce(v_vehicle.auction_start_price, 0)
+      else v_vehicle.auction_current_bid + v_increment
+    end;
+    if p_max_amount < v_minimum then
+      raise exception 'Bids must be at least %', format_lakhs(v_minimum);
+    end if;
+
+    if v_previous_leader is null then
+      v_current := coalesce(v_vehicle.auction_start_price, 0);
+      if p_max_amount >= v_reserve then v_current := greatest(v_current, v_reserve); end if;
+      v_leader := v_bidder;
+      v_leading := true;
+    elsif p_max_amount > v_leader_max then
+      v_current := least(p_max_amount, v_leader_max + v_increment);
+      if p_max_amount >= v_reserve then v_current := greatest(v_current, v_reserve); end if;
+      v_leader := v_bidder;
+      v_leading := true;
+    else
+      v_current := least(v_leader_max, p_max_amount + v_increment);
+      if v_leader_max >= v_reserve then v_current := greatest(v_current, v_reserve); end if;
+      v_leading := false;
+    end if;
+  end if;
+
+  insert into "AuctionProxy" (vehicle_id, bidder_id, max_amount)
+  values (p_vehicle_id, v_bidder, p_max_amount)
+  on conflict (vehicle_id, bidder_id) do update set max_amount = excluded.max_amount, updated_at = now();
+
+  select make_interval(mins => coalesce(nullif(config_value, '')::numeric, 2)::integer) into v_extension
+  from "SystemConfig" where config_key = 'auction_extension_minutes';
+  v_extension := coalesce(v_extension, interval '2 minutes');
+  v_end_at := v_vehicle.auction_end_at;
+  if v_end_at - v_now < v_extension then
+    v_end_at := v_now + v_extension;
+  end if;
+
+  update "Vehicle" set
+    auction_current_bid = v_current,
+    auction_leader_id = v_leader,
+    auction_bid_count = coalesce(auction_bid_count, 0) + 1,
+    auction_end_at = v_end_at,
+    version = version + 1
+  where id = p_vehicle_id;
+
+  insert into "AuctionBid" (vehicle_id, bidder_id, bid_amount, leading)
+  values (p_vehicle_id, v_bidder, v_current, v_leading);
+
+  return jsonb_build_object(
+    'leading', v_leading,
+    'current_bid', v_current,
+    'previous_leader_id', v_previous_leader
+  );
+end;
+$$;
+
+-- The calling dealer's own proxy maximum on a running auction, or null
+create or replace function my_auction_maximum(p_vehicle_id uuid)
+returns numeric
+language sql stable security definer set search_path = public as $$
+  select max_amount from "AuctionProxy"
+  where vehicle_id = p_vehicle_id and bidder_id = caller_dealer_id()
+$$;
+
+-- Closes an auction whose end time has passed. If the reserve was met the
+-- winner gets a Transaction at `accepted`, with the winning bid and its
+-- acceptance recorded as offers; otherwise the vehicle goes back to a
+-- fixed-price listing. Only the call that actually settles it gets
+-- `settled: true`, so notifications are sent once.
+create or replace function settle_auction(p_vehicle_id uuid)
+returns jsonb
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_vehicle "Vehicle"%rowtype;
+  v_amount numeric;
+  v_transaction_id uuid;
+begin
+  select * into v_vehicle from "Vehicle" where id = p_vehicle_id for update;
+  if not found or v_vehicle.listing_mode is distinct from 'auction'
+    or v_vehicle.auction_status is distinct from 'active' or now() < v_vehicle.auction_end_at then
+    return jsonb_build_object('settled', false);
+  end if;
+
+  v_amount := v_vehicle.auction_current_bid;
+  delete from "AuctionProxy" where vehicle_id = p_vehicle_id;
+
+  if v_vehicle.auction_leader_id is null or v_amount < coalesce(v_vehicle.auction_reserve_price, 0) then
+    update "Vehicle" set auction_status = 'unsold', listing_mode = 'fixed', version = version + 1
+    where id = p_vehicle_id;
+    return jsonb_build_object(
+      'settled', true,
+      'outcome', 'unsold',
+      'leader_id', v_vehicle.auction_leader_id,
+      'amount', v_amount
+    );
+  end if;
+
+  insert into "Transaction" (vehicle_id, seller_id, buyer_id, offer_amount, final_amount, status, last_offer_by)
+  values (p_vehicle_id, v_vehicle.dealer_id, v_vehicle.auction_leader_id, v_amount, v_amount, 'accepted', v_vehicle.auction_leader_id)
+  returning id into v_transaction_id;
+
+  insert into "Offer" (transaction_id, proposer_id, type, amount, conditions) values
+    (v_transaction_id, v_vehicle.auction_leader_id, 'initial', v_amount, jsonb_build_array('Winning auction bid')),
+    (v_transaction_id, v_vehicle.dealer_id, 'accept', v_amount,
+      jsonb_build_array(format('Reserve of %s met', format_lakhs(v_vehicle.auction_reserve_price))));
+
+  insert into "Message" (transaction_id, sender_id, type, body)
+  values (v_transaction_id, 'system', 'system', format(
+    'Auction won at %s after %s bids. The buyer can now proceed to payment.',
+    format_lakhs(v_amount), coalesce(v_vehicle.auction_bid_count, 0)
+  ));
+
+  update "Vehicle" set
+    auction_status = 'settled',
+    status = 'in_transaction',
+    auction_transaction_id = v_transaction_id,
+    version = version + 1
+  where id = p_vehicle_id;
+
+  return jsonb_build_object(
+    'settled', true,
+    'outcome', 'sold',
+    'leader_id', v_vehicle.auction_leader_id,
+    'amount', v_amount,
+    'transaction_id', v_transaction_id
+  );
+end;
+$$;
+
+revoke all on function place_auction_bid(uuid, numeric) from public;
+revoke all on function my_auction_maximum(uuid) from public;
+revoke all on function settle_auction(uuid) from public;
+grant execute on function place_auction_bid(uuid, numeric) to authenticated;
+grant execute on function my_auction_maximum(uuid) to authenticated;
+grant execute on function settle_auction(uuid) to authenticated;
@@ -0,0 +1,55 @@
+-- GST invoices for completed deals; see src/api/taxInvoices.ts. The unique
+-- keys are what `issueTaxInvoice` relies on when two clients invoice the same
+-- deal, or two deals of one seller, at the same moment.
+
+-- Used to pick the GST slab
+alter table "Vehicle" add column if not exists engine_cc integer;
+alter table "Vehicle" add column if not exists length_mm integer;
+
+create table if not exists "TaxInvoice" (
+  id uuid primary key default gen_random_uuid(),
+  invoice_number text not null,
+  financial_year text not null,
+  sequence integer not null check (sequence > 0),
+  transaction_id uuid not null references "Transaction" (id),
+  seller_id uuid not null,
+  buyer_id uuid not null,
+  issued_at timestamptz not null,
+  seller_details jsonb not null,
+  buyer_details jsonb not null,
+  vehicle_details jsonb not null,
+  place_of_supply text not null,
+  supply_type text not null check (supply_type in ('intra_state', 'inter_state')),
+  gst_slab text not null check (gst_slab in ('small', 'large', 'electric')),
+  sale_value numeric not null,
+  purchase_value numeric not null,
+  taxable_value numeric not null,
+  gst_rate numeric not null,
+  cess_rate numeric not null,
+  cgst numeric not null default 0,
+  sgst numeric not null default 0,
+  igst numeric not null default 0,
+  cess numeric not null default 0,
+  created_at timestamptz not null default now()
+);
+
+-- For tables created before this migration
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'tax_invoice_number_key') then
+    alter table "TaxInvoice" add constraint tax_invoice_number_key unique (seller_id, invoice_number);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'tax_invoice_transaction_key') then
+    alter table "TaxInvoice" add constraint tax_invoice_transaction_key unique (transaction_id);
+  end if;
+end;
+$$;
+
+create index if not exists tax_invoice_sequence_idx on "TaxInvoice" (seller_id, financial_year, sequence desc);
+
+alter table "TaxInvoice" enable row level security;
+
+drop policy if exists "Parties read tax invoices" on "TaxInvoice";
+drop policy if exists "Parties issue tax invoices" on "TaxInvoice";
+create policy "Parties read tax invoices" on "TaxInvoice" for select using (is_transaction_party(transaction_id));
+create policy "Parties issue tax invoices" on "TaxInvoice" for insert with check (is_transaction_party(transaction_id));
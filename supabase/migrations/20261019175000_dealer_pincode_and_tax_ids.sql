@@ -0,0 +1,7 @@
+-- Dealer profile fields read outside the profile page: the pincode places a
+-- dealer for transport distances (src/api/routeDistance.ts), and GSTIN and
+-- PAN go on tax invoices (src/api/taxInvoices.ts).
+
+alter table "Dealer" add column if not exists pincode text;
+alter table "Dealer" add column if not exists gstin text;
+alter table "Dealer" add column if not exists pan text;
@@ -0,0 +1,69 @@
+-- Transport bookings and their tracking log; see src/api/transportBookings.ts.
+-- Partner webhooks are retried and polled status repeats events, so the
+-- unique (booking_id, partner_event_id) key is what logs each event once.
+
+-- Shown in the deal room when a booking is cancelled
+alter table "Transaction" add column if not exists transport_cancellation_reason text;
+
+create table if not exists "TransportBooking" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  logistics_partner_id uuid not null,
+  adapter text not null,
+  partner_booking_id text not null,
+  status text not null check (status in ('booked', 'in_progress', 'delivered', 'cancelled')),
+  pickup_pincode text not null,
+  drop_pincode text not null,
+  distance_km numeric not null,
+  quoted_cost numeric not null,
+  pickup_eta timestamptz not null,
+  delivery_eta timestamptz not null,
+  driver_name text,
+  driver_phone text,
+  truck_number text,
+  cancelled_at timestamptz,
+  cancellation_reason text,
+  last_synced_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists transport_booking_transaction_idx on "TransportBooking" (transaction_id);
+
+create table if not exists "TrackingEvent" (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references "TransportBooking" (id),
+  transaction_id uuid not null references "Transaction" (id),
+  partner_event_id text not null,
+  event_type text not null check (event_type in (
+    'booked', 'driver_assigned', 'picked_up', 'checkpoint', 'out_for_delivery', 'delivered', 'cancelled'
+  )),
+  occurred_at timestamptz not null,
+  location text,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+-- For tables created before this migration
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'tracking_event_partner_event_key') then
+    alter table "TrackingEvent" add constraint tracking_event_partner_event_key unique (booking_id, partner_event_id);
+  end if;
+end;
+$$;
+
+create index if not exists tracking_event_transaction_idx on "TrackingEvent" (transaction_id, occurred_at);
+
+alter table "TransportBooking" enable row level security;
+alter table "TrackingEvent" enable row level security;
+
+drop policy if exists "Parties read transport bookings" on "TransportBooking";
+drop policy if exists "Parties book transport" on "TransportBooking";
+drop policy if exists "Parties update transport bookings" on "TransportBooking";
+drop policy if exists "Parties read tracking events" on "TrackingEvent";
+drop policy if exists "Parties log tracking events" on "TrackingEvent";
+create policy "Parties read transport bookings" on "TransportBooking" for select using (is_transaction_party(transaction_id));
+create policy "Parties book transport" on "TransportBooking" for insert with check (is_transaction_party(transaction_id));
+create policy "Parties update transport bookings" on "TransportBooking" for update using (is_transaction_party(transaction_id));
+create policy "Parties read tracking events" on "TrackingEvent" for select using (is_transaction_party(transaction_id));
+create policy "Parties log tracking events" on "TrackingEvent" for insert with check (is_transaction_party(transaction_id));
@@ -0,0 +1,40 @@
+-- Pickup and delivery condition reports; see src/api/conditionReports.ts.
+-- Each deal gets one report per stage, which the unique key enforces when
+-- a form is submitted twice.
+
+create table if not exists "ConditionReport" (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references "Transaction" (id),
+  stage text not null check (stage in ('pickup', 'delivery')),
+  recorded_by_dealer_id uuid not null,
+  photos jsonb not null default '[]',
+  damage jsonb not null default '[]',
+  odometer_km integer not null check (odometer_km >= 0),
+  fuel_level integer not null check (fuel_level between 0 and 4),
+  notes text,
+  comparison jsonb,
+  flagged boolean not null default false,
+  dispute_opened_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Set when the buyer accepts a flagged vehicle instead of disputing it
+alter table "ConditionReport" add column if not exists dispute_waived_at timestamptz;
+
+-- For tables created before this migration
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'condition_report_stage_key') then
+    alter table "ConditionReport" add constraint condition_report_stage_key unique (transaction_id, stage);
+  end if;
+end;
+$$;
+
+alter table "ConditionReport" enable row level security;
+
+drop policy if exists "Parties read condition reports" on "ConditionReport";
+drop policy if exists "Parties record condition reports" on "ConditionReport";
+drop policy if exists "Parties update condition reports" on "ConditionReport";
+create policy "Parties read condition reports" on "ConditionReport" for select using (is_transaction_party(transaction_id));
+create policy "Parties record condition reports" on "ConditionReport" for insert with check (is_transaction_party(transaction_id));
+create policy "Parties update condition reports" on "ConditionReport" for update using (is_transaction_party(transaction_id));
@@ -0,0 +1,21 @@
+-- Platform admins reconcile payments and settle dealers across every deal
+-- (src/api/reconciliation.ts, src/api/settlementReports.ts), which the
+-- party-only policies on these tables would hide from them. Admins are the
+-- users whose "User" profile row has platform_admin set.
+
+create or replace function is_platform_admin() returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from "User" u
+    where u.email = auth.email() and u.platform_admin
+  )
+$$;
+
+drop policy if exists "Platform admins read transactions" on "Transaction";
+drop policy if exists "Platform admins read payments" on "PaymentGateway";
+drop policy if exists "Platform admins read the ledger" on "LedgerEntry";
+drop policy if exists "Platform admins read escrow events" on "EscrowEvent";
+create policy "Platform admins read transactions" on "Transaction" for select using (is_platform_admin());
+create policy "Platform admins read payments" on "PaymentGateway" for select using (is_platform_admin());
+create policy "Platform admins read the ledger" on "LedgerEntry" for select using (is_platform_admin());
+create policy "Platform admins read escrow events" on "EscrowEvent" for select using (is_platform_admin());
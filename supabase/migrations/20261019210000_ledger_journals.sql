@@ -0,0 +1,230 @@
+-- Escrow journals are posted through `post_ledger_journal` instead of being
+-- inserted from the browser; see `postJournal` in src/api/escrowLedger.ts.
+-- The function works out what a journal has to move from the deal itself
+-- (the gateway payment for funding, the escrow balance and fees for a
+-- release, the cancellation or agreed refund request for a refund) and
+-- refuses anything else, so neither party can write money into or out of
+-- escrow on their own say-so.
+
+drop policy if exists "Parties post journals" on "LedgerEntry";
+
+-- Each journal has a reference: the gateway payment id for funding,
+-- 'release', 'cancellation', or 'refund:' and the request time for a
+-- partial refund. Posting one twice is a unique violation, which callers
+-- take to mean it is already recorded.
+drop index if exists ledger_entry_reference_idx;
+create unique index if not exists ledger_entry_reference_key
+  on "LedgerEntry" (transaction_id, entry_type, reference, account);
+
+-- A numeric "SystemConfig" value, or the default when unset or not a number
+create or replace function numeric_config(p_key text, p_default numeric) returns numeric
+language sql stable security definer set search_path = public as $$
+  select coalesce(
+    (
+      select config_value::numeric from "SystemConfig"
+      where config_key = p_key and config_value ~ '^\s*-?[0-9]+(\.[0-9]+)?\s*$'
+      limit 1
+    ),
+    p_default
+  )
+$$;
+
+-- What a journal moves per account and side, e.g. {"escrow:credit": 500000}
+create or replace function ledger_journal_totals(p_lines jsonb) returns jsonb
+language sql immutable as $$
+  select coalesce(jsonb_object_agg(key, total), '{}')
+  from (
+    select (l ->> 'account') || ':' || side as key, sum(coalesce((l ->> side)::numeric, 0)) as total
+    from jsonb_array_elements(p_lines) l
+    cross join unnest(array['debit', 'credit']) side
+    group by 1
+  ) totals
+  where total <> 0
+$$;
+
+create or replace function post_ledger_journal(
+  p_transaction_id uuid,
+  p_entry_type text,
+  p_lines jsonb,
+  p_memo text default null,
+  p_reference text default null
+) returns setof "LedgerEntry"
+language plpgsql volatile security definer set search_path = public as $$
+declare
+  v_transaction "Transaction"%rowtype;
+  v_line jsonb;
+  v_debit numeric;
+  v_credit numeric;
+  v_debits numeric := 0;
+  v_credits numeric := 0;
+  v_held bigint;
+  v_funded bigint;
+  v_agreed bigint;
+  v_amount bigint;
+  v_fee bigint := 0;
+  v_logistics bigint;
+  v_expected jsonb;
+  v_journal_id uuid := gen_random_uuid();
+begin
+  -- Locked so two journals on one deal are checked one after the other
+  select * into v_transaction from "Transaction" where id = p_transaction_id for update;
+  if not found then
+    raise exception 'Transaction not found';
+  end if;
+  if not (is_transaction_party(p_transaction_id) or is_platform_admin()) then
+    raise exception 'You are not a party to this transaction';
+  end if;
+  if p_reference is null then
+    raise exception 'A journal needs a reference';
+  end if;
+  if exists (
+    select 1 from "LedgerEntry"
+    where transaction_id = p_transaction_id and entry_type = p_entry_type and reference = p_reference
+  ) then
+    raise exception 'This journal has already been recorded' using errcode = 'unique_violation';
+  end if;
+
+  if jsonb_typeof(p_lines) is distinct from 'array' then
+    raise exception 'A journal needs at least two lines';
+  end if;
+  if jsonb_array_length(p_lines) < 2 then
+    raise exception 'A journal needs at least two lines';
+  end if;
+  if (select count(distinct l ->> 'account') from jsonb_array_elements(p_lines) l) <> jsonb_array_length(p_lines) then
+    raise exception 'Each account can appear only once in a journal';
+  end if;
+  for v_line in select * from jsonb_array_elements(p_lines) loop
+    if coalesce(v_line ->> 'account', '') not in ('buyer', 'escrow', 'seller', 'platform_fee', 'logistics') then
+      raise exception 'Unknown ledger account: %', v_line ->> 'account';
+    end if;
+    v_debit := coalesce((v_line ->> 'debit')::numeric, 0);
+    v_credit := coalesce((v_line ->> 'credit')::numeric, 0);
+    if v_debit < 0 or v_credit < 0 or v_debit <> trunc(v_debit) or v_credit <> trunc(v_credit)
+      or (v_debit > 0) = (v_credit > 0) then
+      raise exception 'Each line needs either a debit or a credit in whole rupees (%)', v_line ->> 'account';
+    end if;
+    v_debits := v_debits + v_debit;
+    v_credits := v_credits + v_credit;
+  end loop;
+  if v_debits <> v_credits then
+    raise exception 'Journal does not balance: debits ₹%, credits ₹%', v_debits, v_credits;
+  end if;
+
+  select coalesce(sum(debit - credit), 0) into v_held
+  from "LedgerEntry" where transaction_id = p_transaction_id and account = 'escrow';
+
+  if p_entry_type = 'funding' then
+    -- A payment made on this deal, moved from the buyer into escrow, and no
+    -- more in total than the agreed price
+    v_amount := round((ledger_journal_totals(p_lines) ->> 'escrow:debit')::numeric);
+    v_expected := jsonb_build_array(
+      jsonb_build_object('account', 'escrow', 'debit', v_amount),
+      jsonb_build_object('account', 'buyer', 'credit', v_amount)
+    );
+    if v_amount is null or ledger_journal_totals(p_lines) <> ledger_journal_totals(v_expected) then
+      raise exception 'A funding journal moves a payment from the buyer into escrow';
+    end if;
+    if not exists (
+      select 1 from "PaymentGateway" p
+      where p.transaction_id = p_transaction_id
+        and p.status <> 'failed'
+        and (p.gateway_payment_id is null or p.gateway_payment_id = p_reference)
+        and round(coalesce(p.escrow_amount, p.amount)) = v_amount
+    ) then
+      raise exception 'No payment of ₹% was made on this deal', v_amount;
+    end if;
+    select coalesce(sum(debit), 0) into v_funded
+    from "LedgerEntry" where transaction_id = p_transaction_id and entry_type = 'funding' and account = 'escrow';
+    v_agreed := round(coalesce(v_transaction.final_amount, v_transaction.offer_amount));
+    if v_funded + v_amount > v_agreed then
+      raise exception 'Escrow would hold more than the agreed ₹%', v_agreed;
+    end if;
+
+  elsif p_entry_type = 'release' then
+    -- The same conditions as completing the deal
+    if p_reference <> 'release' then
+      raise exception 'A deal is released once, with the reference ''release''';
+    end if;
+    if v_transaction.status <> 'in_escrow' or v_transaction.escrow_status is distinct from 'paid' then
+      raise exception 'Escrow can only be released on a paid deal with no open refund request';
+    end if;
+    if v_transaction.transport_status is distinct from 'delivered' then
+      raise exception 'Vehicle delivery has not been confirmed';
+    end if;
+    if v_transaction.escrow_release_at > now() and not is_platform_admin() then
+      raise exception 'The buyer''s cooling-off period runs until %', v_transaction.escrow_release_at;
+    end if;
+    if exists (
+      select 1 from "ConditionReport" r
+      where r.transaction_id = p_transaction_id and r.stage = 'delivery' and r.flagged
+        and r.dispute_opened_at is null and r.dispute_waived_at is null
+    ) then
+      raise exception 'The delivery condition report found changes the buyer has not yet disputed or accepted';
+    end if;
+    if v_held <= 0 then
+      raise exception 'There are no funds in escrow to release';
+    end if;
+
+    v_fee := coalesce(round(v_transaction.platform_fee), round(v_held * numeric_config('platform_fee_percent', 1) / 100));
+    v_logistics := round(coalesce(v_transaction.estimated_logistics_cost, 0));
+    if v_held - v_fee - v_logistics < 0 then
+      raise exception 'Fees of ₹% exceed the ₹% held in escrow', v_fee + v_logistics, v_held;
+    end if;
+    v_expected := jsonb_build_array(
+      jsonb_build_object('account', 'escrow', 'credit', v_held),
+      jsonb_build_object('account', 'platform_fee', 'debit', v_fee),
+      jsonb_build_object('account', 'logistics', 'debit', v_logistics),
+      jsonb_build_object('account', 'seller', 'debit', v_held - v_fee - v_logistics)
+    );
+    if ledger_journal_totals(p_lines) <> ledger_journal_totals(v_expected) then
+      raise exception 'A release pays out the ₹% held less a ₹% platform fee and ₹% logistics', v_held, v_fee, v_logistics;
+    end if;
+
+  elsif p_entry_type = 'refund' then
+    if p_reference = 'cancellation' then
+      -- Everything held goes back, less a cancellation fee within the configured rate
+      if v_transaction.status <> 'cancelled' then
+        raise exception 'Only a cancelled deal is refunded in full';
+      end if;
+      v_amount := v_held;
+      v_fee := round(coalesce(v_transaction.cancellation_fee, 0));
+      if v_fee > round(v_held * numeric_config('cancellation_fee_percent', 2) / 100) then
+        raise exception 'The ₹% cancellation fee is more than the configured rate allows', v_fee;
+      end if;
+    elsif v_transaction.refund_request ->> 'status' = 'agreed'
+      and p_reference = 'refund:' || (v_transaction.refund_request ->> 'requested_at') then
+      v_amount := round((v_transaction.refund_request ->> 'amount')::numeric);
+    else
+      raise exception 'No refund has been agreed on this deal';
+    end if;
+    if v_amount <= 0 or v_amount > v_held then
+      raise exception 'Cannot refund ₹%; only ₹% is held in escrow', v_amount, v_held;
+    end if;
+    v_expected := jsonb_build_array(
+      jsonb_build_object('account', 'escrow', 'credit', v_amount),
+      jsonb_build_object('account', 'buyer', 'debit', v_amount - v_fee),
+      jsonb_build_object('account', 'platform_fee', 'debit', v_fee)
+    );
+    if ledger_journal_totals(p_lines) <> ledger_journal_totals(v_expected) then
+      raise exception 'A refund returns ₹% to the buyer and withholds ₹%', v_amount - v_fee, v_fee;
+    end if;
+
+  else
+    raise exception 'Unknown journal type: %', p_entry_type;
+  end if;
+
+  return query
+  with inserted as (
+    insert into "LedgerEntry" (transaction_id, journal_id, entry_type, account, debit, credit, memo, reference)
+    select p_transaction_id, v_journal_id, p_entry_type, l ->> 'account',
+      coalesce((l ->> 'debit')::numeric, 0), coalesce((l ->> 'credit')::numeric, 0), p_memo, p_reference
+    from jsonb_array_elements(p_lines) l
+    returning *
+  )
+  select * from inserted;
+end;
+$$;
+
+revoke all on function numeric_config(text, numeric) from public;
+revoke all on function post_ledger_journal(uuid, text, jsonb, text, text) from public;
+grant execute on function post_ledger_journal(uuid, text, jsonb, text, text) to authenticated;
@@ -0,0 +1,131 @@
+-- The browser names the party it acts as when it moves a deal along (see
+-- `transitionTransaction` in src/api/transactionWorkflow.ts), including
+-- 'system' for the sweeps any page load runs and 'admin' for platform
+-- admins. This trigger holds those writes to what the database can check:
+-- funded and completed states need the matching journal on the ledger,
+-- which only `post_ledger_journal` writes; delivery is confirmed by the
+-- buyer; refund requests are raised in the caller's own name and settled
+-- by the other side; and the admin-only steps need a platform admin.
+
+-- `is_platform_admin` trusts this flag, so only an admin can change it
+alter table "User" add column if not exists platform_admin boolean not null default false;
+
+create or replace function guard_user_platform_admin() returns trigger
+language plpgsql as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    if new.platform_admin and not is_platform_admin() then
+      raise exception 'Only a platform admin can grant admin access';
+    end if;
+  elsif new.platform_admin is distinct from old.platform_admin and not is_platform_admin() then
+    raise exception 'Only a platform admin can grant or revoke admin access';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_user_platform_admin on "User";
+create trigger guard_user_platform_admin before insert or update on "User"
+  for each row execute function guard_user_platform_admin();
+
+-- Admins settle disputes and cancel shipped deals without being a party
+drop policy if exists "Platform admins update transactions" on "Transaction";
+drop policy if exists "Platform admins post messages" on "Message";
+drop policy if exists "Platform admins record escrow events" on "EscrowEvent";
+create policy "Platform admins update transactions" on "Transaction" for update using (is_platform_admin());
+create policy "Platform admins post messages" on "Message" for insert with check (is_platform_admin());
+create policy "Platform admins record escrow events" on "EscrowEvent" for insert with check (is_platform_admin());
+
+create or replace function guard_transaction_update() returns trigger
+language plpgsql as $$
+declare
+  v_admin boolean;
+  v_party text;
+  v_funded numeric;
+  v_agreed numeric;
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  v_admin := is_platform_admin();
+  v_party := case caller_dealer_id()
+    when old.buyer_id then 'buyer'
+    when old.seller_id then 'seller'
+  end;
+
+  -- The price is fixed once an offer is accepted
+  if old.status not in ('offer_made', 'negotiating', 'backup')
+    and (new.offer_amount is distinct from old.offer_amount or new.final_amount is distinct from old.final_amount) then
+    raise exception 'The agreed amount cannot change after the offer is accepted';
+  end if;
+
+  -- Escrow counts as funded once the payment is on the ledger; settling a
+  -- refund request moves it back from disputed without new money
+  if (new.status = 'in_escrow' and old.status is distinct from 'in_escrow')
+    or (new.escrow_status in ('paid', 'partially_paid')
+      and new.escrow_status is distinct from old.escrow_status
+      and old.escrow_status is distinct from 'disputed') then
+    select coalesce(sum(debit), 0) into v_funded
+    from "LedgerEntry" where transaction_id = new.id and entry_type = 'funding' and account = 'escrow';
+    v_agreed := round(coalesce(new.final_amount, new.offer_amount));
+    if v_funded = 0 then
+      raise exception 'No payment has been received into escrow for this deal';
+    end if;
+    if new.escrow_status = 'paid' and v_funded < v_agreed then
+      raise exception 'Escrow holds ₹% of the ₹% agreed', v_funded, v_agreed;
+    end if;
+  end if;
+
+  if ((new.status = 'completed' and old.status is distinct from 'completed')
+    or (new.escrow_status = 'released' and old.escrow_status is distinct from 'released'))
+    and not exists (select 1 from "LedgerEntry" where transaction_id = new.id and entry_type = 'release') then
+    raise exception 'Escrow has to be paid out on the ledger before the deal completes';
+  end if;
+
+  if new.status = 'cancelled' and old.status = 'in_escrow' and old.transport_status is not null and not v_admin then
+    raise exception 'The vehicle is already in transport; only a platform admin can cancel this deal';
+  end if;
+  -- The fee is withheld from the buyer's refund, so only they or an admin can incur it
+  if coalesce(new.cancellation_fee, 0) > 0 and new.cancellation_fee is distinct from old.cancellation_fee
+    and v_party is distinct from 'buyer' and not v_admin then
+    raise exception 'Only the buyer or a platform admin can incur a cancellation fee';
+  end if;
+
+  if ((new.transport_status = 'delivered' and old.transport_status is distinct from 'delivered')
+    or new.delivery_confirmed_at is distinct from old.delivery_confirmed_at
+    or new.escrow_release_at is distinct from old.escrow_release_at)
+    and v_party is distinct from 'buyer' and not v_admin then
+    raise exception 'Only the buyer can confirm delivery';
+  end if;
+
+  if new.refund_request is distinct from old.refund_request then
+    if new.refund_request ->> 'status' = 'open' then
+      if case new.refund_request ->> 'requested_by'
+        when 'admin' then not v_admin
+        else new.refund_request ->> 'requested_by' is distinct from v_party
+      end then
+        raise exception 'A refund can only be requested in your own name';
+      end if;
+    elsif old.refund_request ->> 'status' = 'open'
+      and new.refund_request ->> 'status' in ('agreed', 'declined')
+      and new.refund_request -> 'amount' = old.refund_request -> 'amount'
+      and new.refund_request -> 'requested_at' = old.refund_request -> 'requested_at' then
+      if not v_admin and (v_party is null or v_party = old.refund_request ->> 'requested_by') then
+        raise exception 'A refund request is settled by the other party or an admin';
+      end if;
+    else
+      raise exception 'A refund request can only be raised, or settled as it was requested';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_transaction_update on "Transaction";
+create trigger guard_transaction_update before update on "Transaction"
+  for each row execute function guard_transaction_update();